@@ -8,7 +8,7 @@ const __dirname = dirname(__filename);
 
 // Run the script
 const scriptPath = './src/scripts/analyzeAllVideos.js';
-const child = spawn('node', [scriptPath], {
+const child = spawn('node', [scriptPath, ...process.argv.slice(2)], {
   cwd: __dirname,
   stdio: 'inherit'
 });
@@ -1,6 +1,6 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import fs from 'fs';
+import dashscopeClient from '../src/services/dashscopeClient.js';
 
 // Load environment variables
 dotenv.config();
@@ -39,26 +39,16 @@ const requestBody = {
 
 async function testApi() {
   try {
-    console.log('Making API call to DashScope with a test image...');
+    console.log(`Making API call to DashScope (${dashscopeClient.baseURL}) with a test image...`);
     console.log('Request body:', JSON.stringify(requestBody, null, 2));
     
-    const response = await axios.post(
-      'https://dashscope-intl.aliyuncs.com/api/v1/services/aigc/multimodal-generation/generation',
-      requestBody,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${dashscopeApiKey}`
-        },
-        timeout: 180000 // 3 minutes timeout
-      }
-    );
+    const { data: responseData } = await dashscopeClient.generateMultimodal(requestBody);
     
     console.log('Response received:');
-    console.log(JSON.stringify(response.data, null, 2));
+    console.log(JSON.stringify(responseData, null, 2));
     
     // Save the response to a file
-    fs.writeFileSync('dashscope_test_response.json', JSON.stringify(response.data, null, 2));
+    fs.writeFileSync('dashscope_test_response.json', JSON.stringify(responseData, null, 2));
     console.log('Response saved to dashscope_test_response.json');
     
     // Now try with our video
@@ -92,33 +82,24 @@ async function testApi() {
     
     console.log('Video request body:', JSON.stringify(videoRequestBody, null, 2));
     
-    const videoResponse = await axios.post(
-      'https://dashscope-intl.aliyuncs.com/api/v1/services/aigc/multimodal-generation/generation',
-      videoRequestBody,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${dashscopeApiKey}`
-        },
-        timeout: 180000 // 3 minutes timeout
-      }
-    );
+    const { data: videoResponseData } = await dashscopeClient.generateMultimodal(videoRequestBody);
     
     console.log('Video response received:');
-    console.log(JSON.stringify(videoResponse.data, null, 2));
+    console.log(JSON.stringify(videoResponseData, null, 2));
     
     // Save the video response to a file
-    fs.writeFileSync('dashscope_video_response.json', JSON.stringify(videoResponse.data, null, 2));
+    fs.writeFileSync('dashscope_video_response.json', JSON.stringify(videoResponseData, null, 2));
     console.log('Video response saved to dashscope_video_response.json');
   } catch (error) {
     console.error('Error calling API:', error.message);
     
-    if (error.response) {
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      console.error('Response status:', error.response.status);
+    if (error.status) {
+      console.error('Response status:', error.status);
+      console.error('Error code:', error.code);
       
-      // Save the error response to a file
-      fs.writeFileSync('dashscope_error.json', JSON.stringify(error.response.data, null, 2));
+      // Save the error details to a file
+      const errorDetails = { status: error.status, code: error.code, requestId: error.requestId, message: error.message };
+      fs.writeFileSync('dashscope_error.json', JSON.stringify(errorDetails, null, 2));
       console.log('Error response saved to dashscope_error.json');
     }
   }
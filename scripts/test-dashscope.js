@@ -1,5 +1,5 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
+import dashscopeClient from '../src/services/dashscopeClient.js';
 
 // Load environment variables
 dotenv.config();
@@ -31,28 +31,19 @@ const requestBody = {
 
 async function testApi() {
   try {
-    console.log('Making API call to DashScope...');
+    console.log(`Making API call to DashScope (${dashscopeClient.baseURL})...`);
 
-    const response = await axios.post(
-      'https://dashscope-intl.aliyuncs.com/api/v1/services/aigc/multimodal-generation/generation',
-      requestBody,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${dashscopeApiKey}`
-        },
-        timeout: 180000 // 3 minutes timeout
-      }
-    );
+    const { data } = await dashscopeClient.generateMultimodal(requestBody);
 
     console.log('Response received:');
-    console.log(JSON.stringify(response.data, null, 2));
+    console.log(JSON.stringify(data, null, 2));
   } catch (error) {
     console.error('Error calling API:', error.message);
 
-    if (error.response) {
-      console.error('Response data:', JSON.stringify(error.response.data, null, 2));
-      console.error('Response status:', error.response.status);
+    if (error.status) {
+      console.error('Response status:', error.status);
+      console.error('Error code:', error.code);
+      console.error('Request ID:', error.requestId);
     }
   }
 }
@@ -14,6 +14,17 @@ import deleteVideosRouter from './routes/deleteVideos.js';
 import testRouter from './routes/test.js';
 import stripeRoutes from './routes/stripeRoutes.js';
 import feedbackRoutes from './routes/feedbackRoutes.js';
+import jobsRouter from './routes/jobs.js';
+import videoMetricsRouter from './routes/videoMetrics.js';
+import trendsRouter from './routes/trends.js';
+import entitlementsRouter from './routes/entitlements.js';
+import plansRouter from './routes/plans.js';
+import usageRouter from './routes/usage.js';
+import workspacesRouter from './routes/workspaces.js';
+import businessesRouter from './routes/businesses.js';
+import schedulesRouter from './routes/schedules.js';
+import { startWorkflowWorker } from './services/jobService.js';
+import { startRunScheduler } from './services/scheduleService.js';
 
 // Load environment variables
 dotenv.config();
@@ -99,6 +110,15 @@ app.use('/api/summarize-trends', summarizeTrendsRouter);
 app.use('/api/delete-videos', deleteVideosRouter);
 app.use('/api', stripeRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/video-metrics', videoMetricsRouter);
+app.use('/api/trends', trendsRouter);
+app.use('/api/entitlements', entitlementsRouter);
+app.use('/api/plans', plansRouter);
+app.use('/api/usage', usageRouter);
+app.use('/api/workspaces', workspacesRouter);
+app.use('/api/businesses', businessesRouter);
+app.use('/api/schedules', schedulesRouter);
 
 // Basic health check route
 app.get('/', (_req, res) => {
@@ -129,4 +149,14 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Optionally run queued workflow jobs in this process instead of a separate worker
+if (process.env.RUN_WORKFLOW_WORKER === 'true') {
+  startWorkflowWorker();
+}
+
+// Optionally enqueue runs of due schedules from this process too (the worker does unless RUN_SCHEDULER=false)
+if (process.env.RUN_SCHEDULER === 'true') {
+  startRunScheduler();
+}
+
 export default app;
@@ -0,0 +1,48 @@
+/**
+ * Pipeline features a user can be entitled to. Each expensive route requires one of them.
+ */
+export const PIPELINE_FEATURES = [
+  'generate_queries',
+  'scrape',
+  'analyze',
+  'reconstruct',
+  'summarize',
+  'workflow'
+];
+
+/**
+ * Default features and quotas per access level. The access level comes from the user's billing
+ * state (see entitlementService). A run is a complete-workflow request or a standalone scrape;
+ * analyzedVideosPerMonth counts videos sent to the standalone analyze routes.
+ *
+ * Override a quota with an environment variable named after the level and quota,
+ * e.g. ENTITLEMENTS_TRIAL_RUNS_PER_MONTH=5.
+ */
+export const DEFAULT_ENTITLEMENTS = {
+  active: {
+    features: PIPELINE_FEATURES,
+    runsPerMonth: 30,
+    videosPerRun: 50,
+    maxVideosPerQuery: 10,
+    analyzedVideosPerMonth: 500
+  },
+  trial: {
+    features: PIPELINE_FEATURES,
+    runsPerMonth: 5,
+    videosPerRun: 25,
+    maxVideosPerQuery: 5,
+    analyzedVideosPerMonth: 50
+  },
+  inactive: {
+    features: [],
+    runsPerMonth: 0,
+    videosPerRun: 0,
+    maxVideosPerQuery: 0,
+    analyzedVideosPerMonth: 0
+  }
+};
+
+export default {
+  PIPELINE_FEATURES,
+  DEFAULT_ENTITLEMENTS
+};
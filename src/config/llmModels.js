@@ -0,0 +1,25 @@
+/**
+ * Default ordered model chains per LLM task. Each entry is "<provider>:<model>", or a bare
+ * OpenRouter model name; the first model is tried first and later ones are fallbacks.
+ *
+ * Override a chain with a comma-separated environment variable named after the task,
+ * e.g. LLM_MODELS_GENERATE_SEARCH_QUERIES="openrouter:openai/gpt-4o-mini,stub:default".
+ */
+export const DEFAULT_MODEL_CHAINS = {
+  generateSearchQueries: [
+    'openrouter:deepseek/deepseek-chat-v3-0324:free',
+    'openrouter:openai/gpt-4o-mini'
+  ],
+  reconstructVideos: [
+    'openrouter:deepseek/deepseek-chat-v3-0324:free',
+    'openrouter:openai/gpt-4o-mini'
+  ],
+  summarizeTrends: [
+    'openrouter:openai/gpt-4o',
+    'openrouter:openai/gpt-4o-mini'
+  ]
+};
+
+export default {
+  DEFAULT_MODEL_CHAINS
+};
@@ -0,0 +1,47 @@
+/**
+ * Billing intervals a plan can be priced for (Stripe recurring intervals)
+ */
+export const BILLING_INTERVALS = ['month', 'year'];
+
+/**
+ * Plan checkout uses when the request doesn't name one
+ */
+export const DEFAULT_PLAN_KEY = 'starter';
+
+/**
+ * Default plan catalog. Each plan has Stripe price IDs by billing interval and then currency,
+ * its trial length in days, and optionally its own quotas per access level. A plan without
+ * entitlements for a level gets that level's defaults from src/config/entitlements.js.
+ *
+ * No price IDs are built in, since they belong to one Stripe account. Add or replace a price with
+ * an environment variable named after the plan, interval and currency, e.g.
+ * STRIPE_PRICE_PRO_YEAR_EUR=price_... (STRIPE_PRICE_ID sets the starter plan's monthly USD price);
+ * intervals and currencies without a price ID aren't offered. Replace the whole catalog with PLANS
+ * (JSON with this shape).
+ */
+export const DEFAULT_PLANS = {
+  starter: {
+    name: 'Starter',
+    trialDays: 7,
+    prices: {}
+  },
+  pro: {
+    name: 'Pro',
+    trialDays: 7,
+    prices: {},
+    entitlements: {
+      active: {
+        runsPerMonth: 100,
+        videosPerRun: 150,
+        maxVideosPerQuery: 20,
+        analyzedVideosPerMonth: 1500
+      }
+    }
+  }
+};
+
+export default {
+  BILLING_INTERVALS,
+  DEFAULT_PLAN_KEY,
+  DEFAULT_PLANS
+};
@@ -0,0 +1,25 @@
+/**
+ * Estimated prices (USD) used to cost usage events. Keys are "<provider>:<model>", with "<provider>"
+ * as the fallback for models that aren't listed. Each entry may set:
+ * - perRequest: price of each call
+ * - perUnit: price of each unit of the event's unit type (e.g. video_second)
+ * - perMillionInputTokens / perMillionOutputTokens: token prices
+ *
+ * These are estimates; keep them in line with the providers' price lists. Override or add entries
+ * with a JSON object in USAGE_PRICING, e.g. USAGE_PRICING='{"rapidapi":{"perRequest":0.002}}'.
+ * A cost reported by the provider itself (OpenRouter usage.cost) takes precedence.
+ */
+export const DEFAULT_USAGE_PRICING = {
+  rapidapi: { perRequest: 0.001 },
+  'dashscope:qwen2.5-vl-72b-instruct': { perMillionInputTokens: 2.8, perMillionOutputTokens: 8.4 },
+  dashscope: { perMillionInputTokens: 2.8, perMillionOutputTokens: 8.4 },
+  'openrouter:openai/gpt-4o': { perMillionInputTokens: 2.5, perMillionOutputTokens: 10 },
+  'openrouter:openai/gpt-4o-mini': { perMillionInputTokens: 0.15, perMillionOutputTokens: 0.6 },
+  'openrouter:deepseek/deepseek-chat-v3-0324:free': {},
+  openrouter: { perMillionInputTokens: 2.5, perMillionOutputTokens: 10 },
+  stub: {}
+};
+
+export default {
+  DEFAULT_USAGE_PRICING
+};
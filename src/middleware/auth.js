@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getUserProfile, getAuthUserFromToken, getUserOwnedVideoIds, getUserWorkspaceMemberships } from '../services/supabaseService.js';
+import { verifyHs256Jwt } from '../utils/jwt.js';
+import { ApiError } from '../utils/errorHandler.js';
+import { runWithUsageContext } from '../utils/usageContext.js';
+
+dotenv.config();
+
+// With the project's JWT secret tokens are verified locally; without it every token is checked with Supabase Auth
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+const SUPABASE_JWT_AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || 'authenticated';
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - Whether the strings are equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Verify a Supabase access token
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - { role, authId, email } (authId is null for the service role)
+ * @throws {ApiError} - 401 when the token is not valid
+ */
+export const verifyAccessToken = async (token) => {
+  if (SUPABASE_JWT_SECRET) {
+    let claims;
+    try {
+      claims = verifyHs256Jwt(token, SUPABASE_JWT_SECRET);
+    } catch (error) {
+      throw new ApiError(`Invalid access token: ${error.message}`, 401);
+    }
+
+    if (claims.role === 'service_role') {
+      return { role: 'service_role', authId: null, email: null };
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!claims.sub || !audiences.includes(SUPABASE_JWT_AUDIENCE)) {
+      throw new ApiError('Invalid access token: not a user token', 401);
+    }
+
+    return { role: claims.role || 'authenticated', authId: claims.sub, email: claims.email || null };
+  }
+
+  // The service role key is itself a service credential
+  if (process.env.SUPABASE_SERVICE_ROLE_KEY && safeEqual(token, process.env.SUPABASE_SERVICE_ROLE_KEY)) {
+    return { role: 'service_role', authId: null, email: null };
+  }
+
+  const authUser = await getAuthUserFromToken(token);
+  if (!authUser) {
+    throw new ApiError('Invalid access token', 401);
+  }
+
+  return { role: authUser.role || 'authenticated', authId: authUser.id, email: authUser.email || null };
+};
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token, or null when the header is missing
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Verify the request's access token and attach the caller as req.auth ({ role, authId, email })
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - req.auth
+ */
+const authenticate = async (req) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw new ApiError('Authorization header with a Bearer token is required', 401);
+  }
+
+  req.auth = await verifyAccessToken(token);
+  return req.auth;
+};
+
+/**
+ * Send an authentication or authorization error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional statusCode
+ */
+const sendAuthError = (res, error) => {
+  if (!error.statusCode) {
+    console.error('Error authenticating request:', error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Failed to authenticate request'
+  });
+};
+
+/**
+ * Require a signed-in user. Attaches req.auth and req.user (the caller's users row, found by auth_id).
+ * Third-party API usage while handling the request is attributed to the caller.
+ */
+export const requireAuth = async (req, res, next) => {
+  try {
+    const auth = await authenticate(req);
+    if (!auth.authId) {
+      throw new ApiError('A user access token is required', 403);
+    }
+
+    const user = await getUserProfile(auth.authId);
+    if (!user) {
+      throw new ApiError('No user profile exists for this account', 403);
+    }
+
+    req.user = user;
+    runWithUsageContext({ userId: user.id }, next);
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Require the Supabase service role (the service role key or a service_role token), for operational endpoints
+ */
+export const requireServiceRole = async (req, res, next) => {
+  try {
+    const auth = await authenticate(req);
+    if (auth.role !== 'service_role') {
+      throw new ApiError('This endpoint requires the service role', 403);
+    }
+
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Whether a stored user reference (users.id, or the auth ID older rows may hold) is the caller
+ * @param {Object} req - Express request that passed requireAuth
+ * @param {string} userId - Stored user reference
+ * @returns {boolean} - True when it refers to the caller
+ */
+export const isCurrentUser = (req, userId) => Boolean(userId) && (userId === req.user.id || userId === req.user.auth_id);
+
+/**
+ * Check that every given video was found by one of the caller's trend queries, or a trend query of a
+ * workspace the caller is a member of
+ * @param {Object} req - Express request that passed requireAuth
+ * @param {string[]} videoIds - Video IDs (falsy entries are ignored)
+ * @throws {ApiError} - 403 naming the videos the caller does not own
+ */
+export const assertOwnsVideos = async (req, videoIds) => {
+  const ids = [...new Set(videoIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return;
+  }
+
+  const workspaceIds = (await getUserWorkspaceMemberships(req.user.id)).map(membership => membership.workspace_id);
+  const owned = await getUserOwnedVideoIds(req.user.id, ids, workspaceIds);
+  const notOwned = ids.filter(id => !owned.has(id));
+  if (notOwned.length > 0) {
+    throw new ApiError(`Not allowed to access videos: ${notOwned.join(', ')}`, 403);
+  }
+};
+
+export default {
+  verifyAccessToken,
+  requireAuth,
+  requireServiceRole,
+  isCurrentUser,
+  assertOwnsVideos
+};
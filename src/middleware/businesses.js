@@ -0,0 +1,100 @@
+import { getBusinessById, findWorkspaceByField } from '../services/supabaseService.js';
+import { describeBusiness } from '../services/businessService.js';
+import { canAccessRecord } from './workspaces.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Load a business by ID, treating malformed IDs as missing
+ * @param {string} businessId - Business ID
+ * @returns {Promise<Object|null>} - businesses row, or null
+ */
+const findBusiness = (businessId) => (UUID_PATTERN.test(String(businessId)) ? getBusinessById(businessId) : null);
+
+/**
+ * Let a pipeline request run for a business profile named by body.businessId or query.businessId.
+ * Must run after resolveWorkspace: the business must belong to the request's workspace, or be one of the
+ * caller's personal profiles when no workspace is named. Attaches req.business (null without a businessId).
+ */
+export const resolveBusiness = async (req, res, next) => {
+  const businessId = (req.body && req.body.businessId) || req.query.businessId || null;
+
+  req.business = null;
+  if (!businessId) {
+    return next();
+  }
+
+  try {
+    const business = await findBusiness(businessId);
+    const workspaceId = req.workspace ? req.workspace.id : null;
+
+    // A business from another context is reported as missing rather than revealing that it exists
+    const inContext = business && (business.workspace_id || null) === workspaceId
+      && (workspaceId || business.user_id === req.user.id);
+    if (!inContext) {
+      return res.status(404).json({ success: false, message: 'Business not found' });
+    }
+
+    req.business = business;
+  } catch (error) {
+    console.error('Error resolving business:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get business'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require access to the business named by the :businessId route parameter: the caller's personal
+ * profile, or a workspace profile with the role in its workspace. Must run after requireAuth.
+ * Attaches req.business and req.workspace (null for personal profiles).
+ * @param {string} [minimumRole] - Role needed for workspace profiles (default viewer)
+ * @returns {Function} - Express middleware
+ */
+export const requireBusinessAccess = (minimumRole = 'viewer') => async (req, res, next) => {
+  try {
+    const business = await findBusiness(req.params.businessId);
+
+    if (!(await canAccessRecord(req, business, minimumRole))) {
+      return res.status(404).json({ success: false, message: 'Business not found' });
+    }
+
+    req.business = business;
+    req.workspace = business.workspace_id ? await findWorkspaceByField('id', business.workspace_id) : null;
+  } catch (error) {
+    console.error('Error loading business:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get business'
+    });
+  }
+
+  next();
+};
+
+/**
+ * The business description a pipeline request's prompts use: the profile's, or the one in the body
+ * @param {Object} req - Express request that passed resolveBusiness
+ * @returns {string|undefined} - Business description
+ */
+export const getBusinessDescription = (req) => (req.business ? describeBusiness(req.business) : req.body.businessDescription);
+
+/**
+ * The search parameters a pipeline request scrapes with: the profile's region is the default videosLocation
+ * @param {Object} req - Express request that passed resolveBusiness
+ * @param {Object} [customParams] - Search parameters from the request (see scrapeTikTokVideosWithReport)
+ * @returns {Object} - Search parameters
+ */
+export const getBusinessSearchParams = (req, customParams = {}) => (req.business && req.business.region && customParams.videosLocation === undefined
+  ? { ...customParams, videosLocation: req.business.region }
+  : customParams);
+
+export default {
+  resolveBusiness,
+  requireBusinessAccess,
+  getBusinessDescription,
+  getBusinessSearchParams
+};
@@ -0,0 +1,32 @@
+import { getEntitlements, assertEntitled } from '../services/entitlementService.js';
+import { getBillingAccount } from './workspaces.js';
+
+/**
+ * Require a pipeline feature, and optionally check the size of the request against the caller's quotas.
+ * Must run after requireAuth (and resolveWorkspace, for requests in a workspace, whose entitlements then
+ * apply); attaches req.entitlements. Runs are counted by the route (consumeRun) once the request is valid.
+ * @param {string} feature - One of PIPELINE_FEATURES
+ * @param {Function} [getUsage] - Returns { videosPerQuery, videos } for the request body
+ * @returns {Function} - Express middleware
+ */
+export const requireEntitlement = (feature, getUsage = null) => (req, res, next) => {
+  const entitlements = getEntitlements(getBillingAccount(req));
+  req.entitlements = entitlements;
+
+  try {
+    assertEntitled(entitlements, feature, getUsage ? getUsage(req.body || {}) : {});
+  } catch (error) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      entitlements: error.entitlements
+    });
+  }
+
+  next();
+};
+
+export default {
+  requireEntitlement
+};
@@ -0,0 +1,111 @@
+import { getWorkspaceMember } from '../services/supabaseService.js';
+import { getWorkspaceAccess, hasWorkspaceRole } from '../services/workspaceService.js';
+import { isCurrentUser } from './auth.js';
+
+/**
+ * Send a workspace access error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with an optional statusCode
+ */
+const sendWorkspaceError = (res, error) => {
+  if (!error.statusCode) {
+    console.error('Error checking workspace access:', error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : 'Failed to check workspace access'
+  });
+};
+
+/**
+ * Let a request act in a workspace named by body.workspaceId, query.workspaceId or the X-Workspace-Id header.
+ * Must run after requireAuth. Attaches req.workspace and req.workspaceRole, both null when no workspace is
+ * named (the request acts for the caller alone).
+ * @param {string} [minimumRole] - Role the caller needs in the workspace (default viewer)
+ * @returns {Function} - Express middleware
+ */
+export const resolveWorkspace = (minimumRole = 'viewer') => async (req, res, next) => {
+  const workspaceId = (req.body && req.body.workspaceId) || req.query.workspaceId || req.get('X-Workspace-Id') || null;
+
+  req.workspace = null;
+  req.workspaceRole = null;
+  if (!workspaceId) {
+    return next();
+  }
+
+  try {
+    const { workspace, role } = await getWorkspaceAccess(workspaceId, req.user, minimumRole);
+    req.workspace = workspace;
+    req.workspaceRole = role;
+  } catch (error) {
+    return sendWorkspaceError(res, error);
+  }
+
+  next();
+};
+
+/**
+ * Require a role in the workspace named by the :workspaceId route parameter. Must run after requireAuth.
+ * Attaches req.workspace and req.workspaceRole.
+ * @param {string} [minimumRole] - Role the caller needs (default viewer)
+ * @returns {Function} - Express middleware
+ */
+export const requireWorkspaceRole = (minimumRole = 'viewer') => async (req, res, next) => {
+  try {
+    const { workspace, role } = await getWorkspaceAccess(req.params.workspaceId, req.user, minimumRole);
+    req.workspace = workspace;
+    req.workspaceRole = role;
+  } catch (error) {
+    return sendWorkspaceError(res, error);
+  }
+
+  next();
+};
+
+/**
+ * Who results created by a request belong to
+ * @param {Object} req - Express request that passed requireAuth (and resolveWorkspace, resolveBusiness)
+ * @returns {Object} - { userId, workspaceId, businessId } (workspaceId null for personal requests, businessId
+ *                     null without a business profile)
+ */
+export const getOwner = (req) => ({
+  userId: req.user.id,
+  workspaceId: req.workspace ? req.workspace.id : null,
+  businessId: req.business ? req.business.id : null
+});
+
+/**
+ * The account a request is billed to and whose entitlements apply: the workspace, or the caller
+ * @param {Object} req - Express request that passed requireAuth (and resolveWorkspace)
+ * @returns {Object} - workspaces or users row
+ */
+export const getBillingAccount = (req) => req.workspace || req.user;
+
+/**
+ * Whether the caller may access a stored record: a workspace record needs the role in its workspace,
+ * a personal one must be the caller's
+ * @param {Object} req - Express request that passed requireAuth
+ * @param {Object} record - Row with user_id and workspace_id
+ * @param {string} [minimumRole] - Role needed for workspace records (default viewer)
+ * @returns {Promise<boolean>} - True when the caller may access the record
+ */
+export const canAccessRecord = async (req, record, minimumRole = 'viewer') => {
+  if (!record) {
+    return false;
+  }
+
+  if (record.workspace_id) {
+    const member = await getWorkspaceMember(record.workspace_id, req.user.id);
+    return Boolean(member) && hasWorkspaceRole(member.role, minimumRole);
+  }
+
+  return isCurrentUser(req, record.user_id);
+};
+
+export default {
+  resolveWorkspace,
+  requireWorkspaceRole,
+  getOwner,
+  getBillingAccount,
+  canAccessRecord
+};
@@ -0,0 +1,28 @@
+-- Videos analyzed per month through the standalone analyze routes (the workflow's analyses are part of its run),
+-- checked against the analyzedVideosPerMonth entitlement
+ALTER TABLE user_run_usage ADD COLUMN IF NOT EXISTS analyzed_video_count INTEGER NOT NULL DEFAULT 0;
+
+-- Count p_count analyzed videos for a user in a period if they all fit under the limit.
+-- Returns false, without counting, when they don't.
+CREATE OR REPLACE FUNCTION increment_user_analyzed_video_usage(p_user_id TEXT, p_period TEXT, p_count INTEGER, p_limit INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  INSERT INTO user_run_usage (user_id, period, run_count)
+  VALUES (p_user_id, p_period, 0)
+  ON CONFLICT (user_id, period) DO NOTHING;
+
+  UPDATE user_run_usage
+  SET analyzed_video_count = analyzed_video_count + p_count,
+      updated_at = now()
+  WHERE user_id = p_user_id
+    AND period = p_period
+    AND analyzed_video_count + p_count <= p_limit
+  RETURNING analyzed_video_count INTO v_count;
+
+  RETURN v_count IS NOT NULL;
+END;
+$$;
@@ -0,0 +1,3 @@
+-- Dunning state on users: while a subscription is past_due, access continues until grace_period_ends_at
+ALTER TABLE users ADD COLUMN IF NOT EXISTS grace_period_ends_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_payment_failed_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,11 @@
+-- TikTok's own video ID, so analyses can be reused when the same video is scraped again
+ALTER TABLE tiktok_videos ADD COLUMN IF NOT EXISTS tiktok_id TEXT;
+
+-- Backfill from the original TikTok URL (https://www.tiktok.com/@author/video/<id>)
+UPDATE tiktok_videos
+SET tiktok_id = substring(video_url from '/video/([0-9]+)')
+WHERE tiktok_id IS NULL;
+
+-- Analysis cache lookup: newest analysis of a TikTok video by model and schema version
+CREATE INDEX IF NOT EXISTS idx_tiktok_videos_analysis_cache
+  ON tiktok_videos (tiktok_id, analysis_model, analysis_version, last_analyzed_at DESC);
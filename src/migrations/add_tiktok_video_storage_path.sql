@@ -0,0 +1,3 @@
+-- Path of the archived MP4 in the tiktok-videos bucket (videos/<tiktokId>-<timestamp>.mp4);
+-- NULL when media acquisition failed, is disabled, or the file was deleted after analysis
+ALTER TABLE tiktok_videos ADD COLUMN IF NOT EXISTS storage_path TEXT;
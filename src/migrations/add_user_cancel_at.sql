@@ -0,0 +1,2 @@
+-- When a cancelled subscription ends. The Stripe webhooks have always written it; access now lasts until then.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS cancel_at TIMESTAMP WITH TIME ZONE;
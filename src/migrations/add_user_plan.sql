@@ -0,0 +1,4 @@
+-- Plan a user subscribed to (a key of the plan catalog in src/config/plans.js), recorded by the Stripe webhooks
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan_interval TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan_currency TEXT;
@@ -0,0 +1,14 @@
+-- Give back a run counted for a user in a period, e.g. when the run could not be enqueued after all
+CREATE OR REPLACE FUNCTION decrement_user_run_usage(p_user_id TEXT, p_period TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE user_run_usage
+  SET run_count = run_count - 1,
+      updated_at = now()
+  WHERE user_id = p_user_id
+    AND period = p_period
+    AND run_count > 0;
+END;
+$$;
@@ -0,0 +1,11 @@
+-- Canonical structured video analysis (see VIDEO_ANALYSIS_SCHEMA in src/services/qwenService.js)
+ALTER TABLE tiktok_videos ADD COLUMN IF NOT EXISTS hooks JSONB;
+ALTER TABLE tiktok_videos ADD COLUMN IF NOT EXISTS ctas JSONB;
+ALTER TABLE tiktok_videos ADD COLUMN IF NOT EXISTS content_style TEXT;
+ALTER TABLE tiktok_videos ADD COLUMN IF NOT EXISTS success_factors JSONB;
+
+-- Schema version and model of the stored analysis; NULL marks rows analyzed before versioning (free-text summaries)
+ALTER TABLE tiktok_videos ADD COLUMN IF NOT EXISTS analysis_version INTEGER;
+ALTER TABLE tiktok_videos ADD COLUMN IF NOT EXISTS analysis_model TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_tiktok_videos_analysis_version ON tiktok_videos (analysis_version);
@@ -0,0 +1,10 @@
+-- When each video's metrics were last observed, by a scrape or by re-polling, so tracked videos
+-- can be re-polled in order (metric history lives in video_metric_snapshots)
+
+ALTER TABLE tiktok_videos ADD COLUMN IF NOT EXISTS metrics_polled_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE tiktok_videos SET metrics_polled_at = created_at WHERE metrics_polled_at IS NULL;
+
+ALTER TABLE tiktok_videos ALTER COLUMN metrics_polled_at SET DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS tiktok_videos_metrics_polled_at_idx ON tiktok_videos(metrics_polled_at);
@@ -0,0 +1,2 @@
+-- Store each completed workflow step's output so a retried run can resume from the first incomplete step
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS checkpoints JSONB NOT NULL DEFAULT '{}'::jsonb;
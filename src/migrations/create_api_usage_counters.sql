@@ -0,0 +1,33 @@
+-- Daily request counters for paid third-party APIs (e.g. the RapidAPI trending endpoint)
+CREATE TABLE IF NOT EXISTS api_usage_counters (
+  provider TEXT NOT NULL,
+  day DATE NOT NULL,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  PRIMARY KEY (provider, day)
+);
+
+-- Count one request for today (UTC) if the provider is still under its daily limit.
+-- Returns false, without counting, once the limit is reached.
+CREATE OR REPLACE FUNCTION increment_api_usage(p_provider TEXT, p_daily_limit INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  INSERT INTO api_usage_counters (provider, day, request_count)
+  VALUES (p_provider, (now() AT TIME ZONE 'utc')::date, 0)
+  ON CONFLICT (provider, day) DO NOTHING;
+
+  UPDATE api_usage_counters
+  SET request_count = request_count + 1,
+      updated_at = now()
+  WHERE provider = p_provider
+    AND day = (now() AT TIME ZONE 'utc')::date
+    AND request_count < p_daily_limit
+  RETURNING request_count INTO v_count;
+
+  RETURN v_count IS NOT NULL;
+END;
+$$;
@@ -0,0 +1,23 @@
+-- One row per outbound call to a paid third-party API (RapidAPI, DashScope, OpenRouter),
+-- attributed to the user and workflow run it was made for
+CREATE TABLE IF NOT EXISTS api_usage_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  user_id TEXT,
+  workflow_run_id UUID,
+  provider TEXT NOT NULL,
+  operation TEXT NOT NULL, -- e.g. trend_search, video_lookup, media_resolve, video_analysis or an LLM task
+  model TEXT,
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  units NUMERIC,
+  unit_type TEXT, -- request, video_second
+  latency_ms INTEGER,
+  estimated_cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  success BOOLEAN NOT NULL DEFAULT TRUE,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS api_usage_events_user_id_created_at_idx ON api_usage_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS api_usage_events_workflow_run_id_idx ON api_usage_events(workflow_run_id);
+CREATE INDEX IF NOT EXISTS api_usage_events_created_at_idx ON api_usage_events(created_at);
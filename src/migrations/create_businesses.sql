@@ -0,0 +1,31 @@
+-- Business profiles: one account (or workspace) runs trend research for several brands.
+-- schema/create_tables.sql sketched this table with only description and user_id; the columns
+-- below are added to it where it already exists.
+CREATE TABLE IF NOT EXISTS businesses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  description TEXT NOT NULL,
+  user_id TEXT NOT NULL -- users.id of the creator
+);
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now();
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE; -- NULL for personal profiles
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS name TEXT;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS niche TEXT;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS target_audience TEXT;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS region TEXT; -- ISO country code, e.g. US
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS language TEXT; -- e.g. en
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS brand_voice TEXT;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS competitors TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS businesses_user_id_idx ON businesses(user_id);
+CREATE INDEX IF NOT EXISTS businesses_workspace_id_idx ON businesses(workspace_id);
+
+-- Results of runs for a business; deleting the business keeps them
+ALTER TABLE trend_queries ADD COLUMN IF NOT EXISTS business_id UUID REFERENCES businesses(id) ON DELETE SET NULL;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS business_id UUID REFERENCES businesses(id) ON DELETE SET NULL;
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS business_id UUID REFERENCES businesses(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS trend_queries_business_id_idx ON trend_queries(business_id);
+CREATE INDEX IF NOT EXISTS recommendations_business_id_idx ON recommendations(business_id);
+CREATE INDEX IF NOT EXISTS workflow_runs_business_id_idx ON workflow_runs(business_id);
@@ -0,0 +1,35 @@
+-- Recurring complete-workflow runs for a business profile.
+-- The scheduler enqueues a run when next_run_at is due and moves next_run_at to the following cron time;
+-- it only enqueues when its conditional update of next_run_at wins, so several schedulers can run side by side.
+CREATE TABLE IF NOT EXISTS run_schedules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  business_id UUID NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE, -- the business's workspace; NULL for personal profiles
+  user_id TEXT NOT NULL, -- users.id of the creator; runs are made as this user
+  cron TEXT NOT NULL, -- five-field cron expression, read in timezone
+  timezone TEXT NOT NULL DEFAULT 'UTC', -- IANA time zone, e.g. Europe/Zurich
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  settings JSONB NOT NULL DEFAULT '{}'::jsonb, -- { videosPerQuery, forceReanalysis, sorting, days, videosLocation }
+  next_run_at TIMESTAMP WITH TIME ZONE, -- NULL while disabled
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_run_status TEXT -- status of the latest scheduled_runs row
+);
+
+CREATE INDEX IF NOT EXISTS run_schedules_business_id_idx ON run_schedules(business_id);
+CREATE INDEX IF NOT EXISTS run_schedules_due_idx ON run_schedules(next_run_at) WHERE enabled;
+
+-- Outcome of each time a schedule came due
+CREATE TABLE IF NOT EXISTS scheduled_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  schedule_id UUID NOT NULL REFERENCES run_schedules(id) ON DELETE CASCADE,
+  scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('enqueued', 'skipped', 'failed')),
+  reason TEXT, -- why a run was skipped (an entitlement error code, creator_not_editor) or failed
+  job_id UUID REFERENCES workflow_runs(id) ON DELETE SET NULL, -- the enqueued job, whose status is the run's progress
+  UNIQUE (schedule_id, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS scheduled_runs_schedule_id_idx ON scheduled_runs(schedule_id, scheduled_for DESC);
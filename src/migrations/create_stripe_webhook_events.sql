@@ -0,0 +1,18 @@
+-- Log of received Stripe webhook events, used to skip duplicate deliveries, ignore events older than
+-- the last one applied to the same subscription, and replay events that failed
+CREATE TABLE IF NOT EXISTS stripe_webhook_events (
+  id TEXT PRIMARY KEY, -- Stripe event ID (evt_...)
+  type TEXT NOT NULL,
+  stripe_created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ordering_key TEXT, -- Subscription (or customer) the event applies to
+  status TEXT NOT NULL DEFAULT 'processing', -- processing, processed, failed, skipped
+  attempts INTEGER NOT NULL DEFAULT 1,
+  error TEXT,
+  payload JSONB NOT NULL,
+  received_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  processed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS stripe_webhook_events_ordering_key_created_idx ON stripe_webhook_events(ordering_key, stripe_created_at);
+CREATE INDEX IF NOT EXISTS stripe_webhook_events_status_received_at_idx ON stripe_webhook_events(status, received_at);
@@ -0,0 +1,33 @@
+-- Monthly pipeline run counters per user, checked against the runs-per-month entitlement
+CREATE TABLE IF NOT EXISTS user_run_usage (
+  user_id TEXT NOT NULL,
+  period TEXT NOT NULL, -- UTC month, YYYY-MM
+  run_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, period)
+);
+
+-- Count one run for a user in a period if they are still under their limit.
+-- Returns false, without counting, once the limit is reached.
+CREATE OR REPLACE FUNCTION increment_user_run_usage(p_user_id TEXT, p_period TEXT, p_limit INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  INSERT INTO user_run_usage (user_id, period, run_count)
+  VALUES (p_user_id, p_period, 0)
+  ON CONFLICT (user_id, period) DO NOTHING;
+
+  UPDATE user_run_usage
+  SET run_count = run_count + 1,
+      updated_at = now()
+  WHERE user_id = p_user_id
+    AND period = p_period
+    AND run_count < p_limit
+  RETURNING run_count INTO v_count;
+
+  RETURN v_count IS NOT NULL;
+END;
+$$;
@@ -0,0 +1,49 @@
+-- Persisted workflow runs, used as the job queue for POST /api/complete-workflow
+CREATE TABLE IF NOT EXISTS workflow_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  user_id TEXT,
+  status TEXT NOT NULL DEFAULT 'queued', -- queued, running, completed, failed
+  params JSONB NOT NULL DEFAULT '{}'::jsonb,
+  steps JSONB NOT NULL DEFAULT '{}'::jsonb,
+  result JSONB,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  locked_by TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  heartbeat_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS workflow_runs_status_created_at_idx ON workflow_runs(status, created_at);
+CREATE INDEX IF NOT EXISTS workflow_runs_user_id_idx ON workflow_runs(user_id);
+
+-- Atomically claim the oldest queued run, or a running one whose worker stopped heartbeating
+-- (e.g. the server restarted mid-run). SKIP LOCKED lets several workers poll safely.
+CREATE OR REPLACE FUNCTION claim_workflow_run(p_worker_id TEXT, p_stale_after_seconds INTEGER DEFAULT 600)
+RETURNS SETOF workflow_runs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE workflow_runs
+  SET status = 'running',
+      locked_by = p_worker_id,
+      locked_at = now(),
+      heartbeat_at = now(),
+      attempts = attempts + 1,
+      started_at = COALESCE(started_at, now()),
+      updated_at = now()
+  WHERE id = (
+    SELECT id FROM workflow_runs
+    WHERE status = 'queued'
+       OR (status = 'running' AND heartbeat_at < now() - make_interval(secs => p_stale_after_seconds))
+    ORDER BY created_at
+    FOR UPDATE SKIP LOCKED
+    LIMIT 1
+  )
+  RETURNING *;
+END;
+$$;
@@ -0,0 +1,66 @@
+-- Team workspaces: members share trend queries, recommendations and workflow runs, and the
+-- workspace holds the Stripe subscription (billed per member seat)
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  name TEXT NOT NULL,
+  created_by TEXT NOT NULL, -- users.id
+  billing_email TEXT, -- Where billing emails go (the creator's email by default)
+  -- Billing state, with the same columns and meaning as on users (see add_payment_fields.sql)
+  stripe_customer_id TEXT,
+  subscription_id TEXT,
+  subscription_status TEXT,
+  trial_end_date TIMESTAMP WITH TIME ZONE,
+  cancel_at TIMESTAMP WITH TIME ZONE,
+  payment_completed BOOLEAN NOT NULL DEFAULT false,
+  payment_date TIMESTAMP WITH TIME ZONE,
+  payment_id TEXT,
+  grace_period_ends_at TIMESTAMP WITH TIME ZONE,
+  last_payment_failed_at TIMESTAMP WITH TIME ZONE,
+  plan TEXT,
+  plan_interval TEXT,
+  plan_currency TEXT,
+  seat_quantity INTEGER -- Quantity on the Stripe subscription, kept equal to the member count
+);
+
+CREATE INDEX IF NOT EXISTS workspaces_subscription_id_idx ON workspaces(subscription_id);
+CREATE INDEX IF NOT EXISTS workspaces_stripe_customer_id_idx ON workspaces(stripe_customer_id);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL, -- users.id
+  role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS workspace_members_user_id_idx ON workspace_members(user_id);
+
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token in the invitation link
+  invited_by TEXT NOT NULL, -- users.id
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, accepted, revoked
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  accepted_by TEXT,
+  accepted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS workspace_invitations_workspace_id_idx ON workspace_invitations(workspace_id, status);
+
+-- Rows created in a workspace belong to it; user_id still records who created them
+ALTER TABLE trend_queries ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL;
+ALTER TABLE recommendations ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL;
+ALTER TABLE workflow_runs ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS trend_queries_workspace_id_idx ON trend_queries(workspace_id);
+CREATE INDEX IF NOT EXISTS recommendations_workspace_id_idx ON recommendations(workspace_id);
+CREATE INDEX IF NOT EXISTS workflow_runs_workspace_id_idx ON workflow_runs(workspace_id);
+
+-- Runs in a workspace count against the workspace's quota, under its ID
+COMMENT ON COLUMN user_run_usage.user_id IS 'Billing account the runs count against: a users.id, or a workspaces.id for runs in a workspace';
@@ -0,0 +1,58 @@
+-- One canonical tiktok_videos row per TikTok video, linked to every trend query that surfaced it,
+-- with the metrics seen on each scrape kept as snapshots
+
+CREATE TABLE IF NOT EXISTS trend_query_videos (
+  trend_query_id UUID NOT NULL REFERENCES trend_queries(id) ON DELETE CASCADE,
+  video_id UUID NOT NULL REFERENCES tiktok_videos(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  PRIMARY KEY (trend_query_id, video_id)
+);
+
+CREATE INDEX IF NOT EXISTS trend_query_videos_video_id_idx ON trend_query_videos(video_id);
+
+CREATE TABLE IF NOT EXISTS video_metric_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  video_id UUID NOT NULL REFERENCES tiktok_videos(id) ON DELETE CASCADE,
+  trend_query_id UUID REFERENCES trend_queries(id) ON DELETE SET NULL,
+  views BIGINT,
+  likes BIGINT,
+  comments BIGINT,
+  shares BIGINT,
+  captured_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS video_metric_snapshots_video_id_captured_at_idx ON video_metric_snapshots(video_id, captured_at);
+
+-- Pick the canonical row for each TikTok video: the one with the newest analysis, then the oldest row
+CREATE TEMP TABLE tiktok_video_canonical AS
+SELECT id,
+       first_value(id) OVER (
+         PARTITION BY tiktok_id
+         ORDER BY (summary IS NULL), last_analyzed_at DESC NULLS LAST, created_at, id
+       ) AS canonical_id
+FROM tiktok_videos
+WHERE tiktok_id IS NOT NULL;
+
+-- Link every existing row's trend query to its canonical video
+INSERT INTO trend_query_videos (trend_query_id, video_id, created_at)
+SELECT v.trend_query_id, COALESCE(c.canonical_id, v.id), v.created_at
+FROM tiktok_videos v
+LEFT JOIN tiktok_video_canonical c ON c.id = v.id
+WHERE v.trend_query_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Keep each existing row's metrics as a snapshot of its scrape (only on the first run of this migration)
+INSERT INTO video_metric_snapshots (video_id, trend_query_id, views, likes, shares, captured_at)
+SELECT COALESCE(c.canonical_id, v.id), v.trend_query_id, v.views, v.likes, v.shares, v.created_at
+FROM tiktok_videos v
+LEFT JOIN tiktok_video_canonical c ON c.id = v.id
+WHERE NOT EXISTS (SELECT 1 FROM video_metric_snapshots);
+
+-- Remove the duplicates (recommendations.video_ids may still list their old IDs)
+DELETE FROM tiktok_videos v
+USING tiktok_video_canonical c
+WHERE v.id = c.id AND c.id <> c.canonical_id;
+
+DROP TABLE tiktok_video_canonical;
+
+CREATE UNIQUE INDEX IF NOT EXISTS tiktok_videos_tiktok_id_key ON tiktok_videos(tiktok_id) WHERE tiktok_id IS NOT NULL;
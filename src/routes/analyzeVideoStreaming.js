@@ -1,16 +1,25 @@
 import express from 'express';
 import { analyzeVideoStreaming } from '../services/qwenService.js';
+import { requireAuth, assertOwnsVideos } from '../middleware/auth.js';
+import { consumeAnalyzedVideos } from '../services/entitlementService.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { resolveWorkspace, getBillingAccount } from '../middleware/workspaces.js';
+import { resolveBusiness, getBusinessDescription } from '../middleware/businesses.js';
 
 const router = express.Router();
 
 /**
  * @route POST /api/analyze-video-streaming
- * @desc Analyze a TikTok video using Qwen with streaming response
- * @access Public
+ * @desc Analyze a TikTok video using Qwen with streaming response. A video with a dbId must have been
+ *       found by one of the caller's trend queries. The video counts against the plan's analyzed videos per month.
+ *       With workspaceId (editor role) the workspace's plan and quota apply.
+ *       businessId (a business profile) can replace businessDescription.
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, resolveWorkspace('editor'), resolveBusiness, requireEntitlement('analyze'), async (req, res) => {
   try {
-    const { video, businessDescription } = req.body;
+    const { video } = req.body;
+    const businessDescription = getBusinessDescription(req);
     
     if (!video) {
       return res.status(400).json({ message: 'Valid video object is required' });
@@ -19,6 +28,11 @@ router.post('/', async (req, res) => {
     if (!businessDescription) {
       return res.status(400).json({ message: 'Business description is required' });
     }
+
+    // The analysis is saved to the video's row
+    await assertOwnsVideos(req, [video.dbId]);
+
+    await consumeAnalyzedVideos(getBillingAccount(req), req.entitlements, 1);
     
     // Set headers for streaming response
     res.setHeader('Content-Type', 'text/event-stream');
@@ -57,9 +71,11 @@ router.post('/', async (req, res) => {
     
     // If headers haven't been sent yet, send a regular error response
     if (!res.headersSent) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: error.message || 'Failed to analyze video'
+        message: error.message || 'Failed to analyze video',
+        code: error.code,
+        entitlements: error.entitlements
       });
     } else {
       // Otherwise, send error in the stream format
@@ -1,16 +1,28 @@
 import express from 'express';
 import { analyzeVideos } from '../services/qwenService.js';
+import { requireAuth, assertOwnsVideos } from '../middleware/auth.js';
+import { consumeAnalyzedVideos } from '../services/entitlementService.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { resolveWorkspace, getBillingAccount } from '../middleware/workspaces.js';
+import { resolveBusiness, getBusinessDescription } from '../middleware/businesses.js';
 
 const router = express.Router();
 
 /**
  * @route POST /api/analyze-videos
- * @desc Analyze TikTok videos using Qwen
- * @access Public
+ * @desc Analyze TikTok videos using Qwen. Fresh cached analyses of the same TikTok videos are reused unless force is true.
+ *       Videos with a dbId must have been found by one of the caller's trend queries. At most the caller's
+ *       plan's videos per run can be analyzed at once, and the videos count against the plan's analyzed videos
+ *       per month (the workspace's plan and quota with workspaceId, editor role).
+ *       businessId (a business profile) can replace businessDescription.
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, resolveWorkspace('editor'), resolveBusiness, requireEntitlement('analyze', ({ videos }) => ({
+  videos: Array.isArray(videos) ? videos.length : 0
+})), async (req, res) => {
   try {
-    const { videos, businessDescription } = req.body;
+    const { videos, force = false } = req.body;
+    const businessDescription = getBusinessDescription(req);
 
     if (!videos || !Array.isArray(videos) || videos.length === 0) {
       return res.status(400).json({ message: 'Valid videos array is required' });
@@ -20,7 +32,12 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Business description is required' });
     }
 
-    const analyzedVideos = await analyzeVideos(videos, businessDescription);
+    // Analyses are saved to the videos' rows
+    await assertOwnsVideos(req, videos.map(video => video.dbId));
+
+    await consumeAnalyzedVideos(getBillingAccount(req), req.entitlements, videos.length);
+
+    const analyzedVideos = await analyzeVideos(videos, businessDescription, { force });
 
     res.json({
       success: true,
@@ -32,9 +49,11 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error in analyze videos route:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to analyze videos'
+      message: error.message || 'Failed to analyze videos',
+      code: error.code,
+      entitlements: error.entitlements
     });
   }
 });
@@ -0,0 +1,241 @@
+import express from 'express';
+import {
+  listBusinesses,
+  deleteBusinessById,
+  getTrendQueriesByBusinessId,
+  getRecommendationsByBusinessId,
+  listRunSchedulesByBusinessId
+} from '../services/supabaseService.js';
+import { formatBusiness, createBusinessProfile, updateBusinessProfile } from '../services/businessService.js';
+import { formatSchedule, createBusinessSchedule } from '../services/scheduleService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { resolveWorkspace, getOwner } from '../middleware/workspaces.js';
+import { requireBusinessAccess } from '../middleware/businesses.js';
+
+const router = express.Router();
+
+/**
+ * Read a list limit from the query string
+ * @param {string} value - req.query.limit
+ * @param {number} defaultLimit - Limit when none is given
+ * @returns {number|null} - Limit between 1 and 500, or null when invalid
+ */
+const parseLimit = (value, defaultLimit) => {
+  if (value === undefined) {
+    return defaultLimit;
+  }
+  const limit = parseInt(value, 10);
+  return limit >= 1 && limit <= 500 ? limit : null;
+};
+
+/**
+ * @route POST /api/businesses
+ * @desc Create a business profile. Body: name, description (required), niche, targetAudience, region
+ *       (two-letter country code), language, brandVoice, competitors (array). With workspaceId (editor role)
+ *       the profile belongs to the workspace; otherwise it is the caller's.
+ * @access Private
+ */
+router.post('/', requireAuth, resolveWorkspace('editor'), async (req, res) => {
+  try {
+    const business = await createBusinessProfile(getOwner(req), req.body);
+
+    res.status(201).json({
+      success: true,
+      data: formatBusiness(business)
+    });
+  } catch (error) {
+    console.error('Error in create business route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to create business'
+    });
+  }
+});
+
+/**
+ * @route GET /api/businesses
+ * @desc List the caller's business profiles, or a workspace's with workspaceId (query or X-Workspace-Id header)
+ * @access Private
+ */
+router.get('/', requireAuth, resolveWorkspace('viewer'), async (req, res) => {
+  try {
+    const businesses = await listBusinesses(getOwner(req));
+
+    res.json({
+      success: true,
+      data: businesses.map(formatBusiness)
+    });
+  } catch (error) {
+    console.error('Error in list businesses route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to list businesses'
+    });
+  }
+});
+
+/**
+ * @route GET /api/businesses/:businessId
+ * @desc Get a business profile
+ * @access Private
+ */
+router.get('/:businessId', requireAuth, requireBusinessAccess('viewer'), async (req, res) => {
+  res.json({
+    success: true,
+    data: formatBusiness(req.business)
+  });
+});
+
+/**
+ * @route PATCH /api/businesses/:businessId
+ * @desc Update some fields of a business profile (same fields as POST; null clears an optional field).
+ *       Workspace profiles need the editor role.
+ * @access Private
+ */
+router.patch('/:businessId', requireAuth, requireBusinessAccess('editor'), async (req, res) => {
+  try {
+    const business = await updateBusinessProfile(req.business, req.body);
+
+    res.json({
+      success: true,
+      data: formatBusiness(business)
+    });
+  } catch (error) {
+    console.error('Error in update business route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update business'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/businesses/:businessId
+ * @desc Delete a business profile and its schedules. Its trend queries, recommendations and runs are kept without
+ *       the business.
+ *       Workspace profiles need the editor role.
+ * @access Private
+ */
+router.delete('/:businessId', requireAuth, requireBusinessAccess('editor'), async (req, res) => {
+  try {
+    await deleteBusinessById(req.business.id);
+
+    res.json({
+      success: true,
+      message: 'Business deleted'
+    });
+  } catch (error) {
+    console.error('Error in delete business route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to delete business'
+    });
+  }
+});
+
+/**
+ * @route GET /api/businesses/:businessId/trend-queries
+ * @desc List the trend queries run for a business, newest first. Query: limit (default 100, at most 500)
+ * @access Private
+ */
+router.get('/:businessId/trend-queries', requireAuth, requireBusinessAccess('viewer'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 100);
+    if (!limit) {
+      return res.status(400).json({ success: false, message: 'limit must be between 1 and 500' });
+    }
+
+    const trendQueries = await getTrendQueriesByBusinessId(req.business.id, limit);
+
+    res.json({
+      success: true,
+      data: trendQueries
+    });
+  } catch (error) {
+    console.error('Error in business trend queries route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get trend queries'
+    });
+  }
+});
+
+/**
+ * @route GET /api/businesses/:businessId/recommendations
+ * @desc List the recommendations made for a business, newest first. Query: limit (default 50, at most 500)
+ * @access Private
+ */
+router.get('/:businessId/recommendations', requireAuth, requireBusinessAccess('viewer'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 50);
+    if (!limit) {
+      return res.status(400).json({ success: false, message: 'limit must be between 1 and 500' });
+    }
+
+    const recommendations = await getRecommendationsByBusinessId(req.business.id, limit);
+
+    res.json({
+      success: true,
+      data: recommendations
+    });
+  } catch (error) {
+    console.error('Error in business recommendations route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get recommendations'
+    });
+  }
+});
+
+/**
+ * @route GET /api/businesses/:businessId/schedules
+ * @desc List a business's recurring run schedules
+ * @access Private
+ */
+router.get('/:businessId/schedules', requireAuth, requireBusinessAccess('viewer'), async (req, res) => {
+  try {
+    const schedules = await listRunSchedulesByBusinessId(req.business.id);
+
+    res.json({
+      success: true,
+      data: schedules.map(formatSchedule)
+    });
+  } catch (error) {
+    console.error('Error in list schedules route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to list schedules'
+    });
+  }
+});
+
+/**
+ * @route POST /api/businesses/:businessId/schedules
+ * @desc Schedule recurring complete-workflow runs for a business. Body: frequency (daily, weekly or custom),
+ *       time (HH:MM, daily and weekly), dayOfWeek (0-6 or a weekday name, weekly), cron (five fields, custom),
+ *       timezone (IANA name; default UTC), enabled (default true) and settings: videosPerQuery (default 5),
+ *       forceReanalysis, sorting (rise or rate), days (1, 7 or 30) and videosLocation (country code, or null for
+ *       anywhere; default the business's region).
+ *       Runs are made as the caller and count against the plan's monthly runs like manual ones.
+ *       Workspace profiles need the editor role.
+ * @access Private
+ */
+router.post('/:businessId/schedules', requireAuth, requireBusinessAccess('editor'), requireEntitlement('workflow', ({ settings }) => ({ videosPerQuery: (settings && settings.videosPerQuery) || 5 })), async (req, res) => {
+  try {
+    const schedule = await createBusinessSchedule(req.business, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error in create schedule route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to create schedule'
+    });
+  }
+});
+
+export default router;
@@ -1,90 +1,156 @@
+import crypto from 'crypto';
 import express from 'express';
-import { generateSearchQueries } from '../services/openrouterService.js';
-import { scrapeTikTokVideos } from '../services/rapidApiService.js';
-import { analyzeVideos } from '../services/qwenService.js';
-import { reconstructVideos } from '../services/openrouterService.js';
-import { deleteVideosFromStorageBucket } from '../services/supabaseService.js';
+import { enqueueCountedWorkflowJob } from '../services/jobService.js';
+import { runCompleteWorkflow } from '../services/workflowService.js';
+import { initSSE, sendSSE } from '../utils/sse.js';
+import { runWithUsageContext } from '../utils/usageContext.js';
+import { consumeRun } from '../services/entitlementService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { resolveWorkspace, getOwner, getBillingAccount } from '../middleware/workspaces.js';
+import { resolveBusiness, getBusinessDescription, getBusinessSearchParams } from '../middleware/businesses.js';
+
+// Interval between heartbeat events on the progress stream
+const HEARTBEAT_INTERVAL_MS = 15000;
 
 const router = express.Router();
 
 /**
  * @route POST /api/complete-workflow
- * @desc Run the complete workflow from search queries to video analysis
- * @access Public
+ * @desc Enqueue the complete workflow from search queries to video analysis.
+ *       Poll GET /api/jobs/:id for progress and the final marketing strategy. The job runs for the caller,
+ *       counts as a run against their monthly quota and scrapes at most their plan's videos per run.
+ *       With workspaceId (editor role) the results belong to the workspace and its plan and quota apply.
+ *       With businessId the business profile replaces businessDescription, its region is where videos are searched
+ *       and the results are saved for the business.
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, resolveWorkspace('editor'), resolveBusiness, requireEntitlement('workflow', ({ videosPerQuery = 5 }) => ({ videosPerQuery })), async (req, res) => {
   try {
-    const { businessDescription, userId, videosPerQuery = 5 } = req.body;
+    const { videosPerQuery = 5, forceReanalysis = false } = req.body;
+    const businessDescription = getBusinessDescription(req);
+    const { userId, workspaceId, businessId } = getOwner(req);
 
     if (!businessDescription) {
       return res.status(400).json({ message: 'Business description is required' });
     }
 
-    // Step 1: Generate search queries
-    console.log('Step 1: Generating search queries...');
-    const searchQueries = await generateSearchQueries(businessDescription);
-
-    // Step 2: Scrape TikTok videos
-    console.log(`Step 2: Scraping TikTok videos (${videosPerQuery} videos per query)...`);
-    const videos = await scrapeTikTokVideos(searchQueries, videosPerQuery, userId);
-    console.log(`Successfully scraped ${videos.length} videos from ${searchQueries.length} queries`);
-
-    // Step 3: Analyze videos
-    console.log(`Step 3: Analyzing all ${videos.length} videos...`);
-    const analyzedVideos = await analyzeVideos(videos, businessDescription);
-
-    // Step 4: Reconstruct videos
-    console.log('Step 4: Reconstructing videos...');
-    const marketingStrategy = await reconstructVideos(analyzedVideos, businessDescription, userId);
-
-    // Step 5: Delete videos from storage bucket
-    console.log('Step 5: Deleting videos from storage bucket...');
-    const videoFileNames = [];
-
-    // Extract filenames from video URLs
-    for (const video of videos) {
-      if (video.supabaseUrl) {
-        const urlParts = video.supabaseUrl.split('/');
-        const fileName = urlParts[urlParts.length - 1];
-        if (fileName) {
-          videoFileNames.push(fileName);
-        }
-      }
-    }
-
-    console.log(`Found ${videoFileNames.length} videos to delete`);
-
-    // Delete videos from storage bucket
-    let deletionResult = { deletedCount: 0 };
-    if (videoFileNames.length > 0) {
-      try {
-        deletionResult = await deleteVideosFromStorageBucket(videoFileNames);
-        console.log(`Successfully deleted ${deletionResult.deletedCount} videos from storage bucket`);
-      } catch (deletionError) {
-        console.error('Error deleting videos:', deletionError);
-        // Continue even if deletion fails
-      }
-    }
+    // The run is given back if its job can't be enqueued
+    const job = await enqueueCountedWorkflowJob(getBillingAccount(req), req.entitlements, {
+      businessDescription,
+      userId,
+      workspaceId,
+      businessId,
+      videosPerQuery,
+      forceReanalysis,
+      maxVideos: req.entitlements.videosPerRun,
+      customParams: getBusinessSearchParams(req)
+    });
 
-    // Return the complete workflow results
-    res.json({
+    res.status(202).json({
       success: true,
       data: {
-        businessDescription,
-        userId,
-        searchQueries,
-        videosCount: videos.length,
-        analyzedVideosCount: analyzedVideos.length,
-        marketingStrategy,
-        deletedVideosCount: deletionResult.deletedCount
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
       }
     });
   } catch (error) {
     console.error('Error in complete workflow route:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
+      message: error.message || 'Failed to complete workflow',
+      code: error.code,
+      entitlements: error.entitlements
+    });
+  }
+});
+
+/**
+ * @route POST /api/complete-workflow/stream
+ * @desc Run the complete workflow and stream typed progress events (Server-Sent Events):
+ *       run_started (with the runId its API usage is recorded under), step_started, step_completed,
+ *       queries_generated, video_scraped, analysis_chunk, analysis_complete, strategy_section,
+ *       cleanup_complete, heartbeat, summary and error. The strategy_section events arrive together, once the
+ *       whole strategy has been generated and validated.
+ *       Counts as a run against the caller's monthly quota (the workspace's with workspaceId, editor role).
+ *       Disconnecting stops the run: no further steps or video analyses start.
+ *       businessId works as for POST /api/complete-workflow.
+ * @access Private
+ */
+router.post('/stream', requireAuth, resolveWorkspace('editor'), resolveBusiness, requireEntitlement('workflow', ({ videosPerQuery = 5 }) => ({ videosPerQuery })), async (req, res) => {
+  const { videosPerQuery = 5, forceReanalysis = false } = req.body;
+  const businessDescription = getBusinessDescription(req);
+  const { userId, workspaceId, businessId } = getOwner(req);
+
+  if (!businessDescription) {
+    return res.status(400).json({ message: 'Business description is required' });
+  }
+
+  try {
+    await consumeRun(getBillingAccount(req), req.entitlements);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to complete workflow',
+      code: error.code,
+      entitlements: error.entitlements
+    });
+  }
+
+  initSSE(res);
+
+  // The run isn't a job, so it gets its own ID for its usage events (GET /api/usage/runs/:runId)
+  const runId = crypto.randomUUID();
+  sendSSE(res, 'run_started', { runId });
+
+  const startedAt = Date.now();
+  const heartbeat = setInterval(() => {
+    sendSSE(res, 'heartbeat', { elapsedMs: Date.now() - startedAt });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  // A client that disconnects before the run ends aborts it, so no further steps are paid for
+  const controller = new AbortController();
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  });
+
+  try {
+    const result = await runWithUsageContext({ userId: req.user.id, workflowRunId: runId }, () => runCompleteWorkflow({
+      businessDescription,
+      userId,
+      workspaceId,
+      businessId,
+      videosPerQuery,
+      forceReanalysis,
+      maxVideos: req.entitlements.videosPerRun,
+      customParams: getBusinessSearchParams(req)
+    }, {
+      onEvent: (type, payload) => sendSSE(res, type, payload),
+      signal: controller.signal
+    }));
+
+    sendSSE(res, 'summary', {
+      ...result,
+      runId,
+      durationMs: Date.now() - startedAt
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Complete workflow stream aborted: ${error.message}`);
+      return;
+    }
+
+    console.error('Error in complete workflow stream route:', error);
+    sendSSE(res, 'error', {
       message: error.message || 'Failed to complete workflow'
     });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
   }
 });
 
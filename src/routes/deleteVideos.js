@@ -1,14 +1,22 @@
 import express from 'express';
-import { deleteVideosFromStorageBucket } from '../services/supabaseService.js';
+import {
+  deleteVideosFromStorageBucket,
+  getUserOwnedStoragePaths,
+  clearTikTokVideoStoragePaths
+} from '../services/supabaseService.js';
+import { getUserWorkspaceIds } from '../services/workspaceService.js';
+import { requireAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
  * @route POST /api/delete-videos
- * @desc Delete videos from storage bucket
- * @access Public
+ * @desc Delete archived videos from storage bucket. Each file must be the archived file of a video that
+ *       only the caller's trend queries, or those of workspaces they are an editor of, found. Videos that
+ *       other users' queries also found are shared and answer 403.
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
     const { fileNames, videoIds } = req.body;
     
@@ -18,11 +26,29 @@ router.post('/', async (req, res) => {
         message: 'File names are required and must be a non-empty array' 
       });
     }
+
+    // Match the bucket paths deleteVideosFromStorageBucket uses
+    const storagePaths = fileNames.map(fileName =>
+      String(fileName).startsWith('videos/') ? String(fileName) : `videos/${fileName}`
+    );
+
+    const editorWorkspaceIds = await getUserWorkspaceIds(req.user, 'editor');
+    const ownedPaths = await getUserOwnedStoragePaths(req.user.id, storagePaths, editorWorkspaceIds);
+    const notOwned = storagePaths.filter(storagePath => !ownedPaths.has(storagePath));
+    if (notOwned.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Not allowed to delete files: ${notOwned.join(', ')}`
+      });
+    }
     
-    console.log(`Deleting ${fileNames.length} videos from storage bucket...`);
+    console.log(`Deleting ${storagePaths.length} videos from storage bucket...`);
     
     // Delete videos from storage bucket
-    const result = await deleteVideosFromStorageBucket(fileNames);
+    const result = await deleteVideosFromStorageBucket(storagePaths);
+
+    // Rows must not point at archived files that no longer exist
+    await clearTikTokVideoStoragePaths(storagePaths);
     
     // Return the result
     res.json({
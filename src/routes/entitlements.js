@@ -0,0 +1,31 @@
+import express from 'express';
+import { getEntitlementsWithUsage } from '../services/entitlementService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveWorkspace, getBillingAccount } from '../middleware/workspaces.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/entitlements
+ * @desc Get the caller's access level (from their subscription state), allowed features, quotas and
+ *       this month's run usage. With workspaceId (query or X-Workspace-Id header) the workspace's instead.
+ * @access Private
+ */
+router.get('/', requireAuth, resolveWorkspace('viewer'), async (req, res) => {
+  try {
+    const entitlements = await getEntitlementsWithUsage(getBillingAccount(req));
+
+    res.json({
+      success: true,
+      data: entitlements
+    });
+  } catch (error) {
+    console.error('Error in entitlements route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get entitlements'
+    });
+  }
+});
+
+export default router;
@@ -1,16 +1,19 @@
 import express from 'express';
 import { sendEmail } from '../services/emailService.js';
+import { requireAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
 /**
  * @route POST /api/feedback
- * @desc Send feedback email
- * @access Public
+ * @desc Send feedback email from the caller
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
-    const { subject, message, userEmail, userName } = req.body;
+    const { subject, message, userName } = req.body;
+    // Reply to the account's email rather than one the client claims
+    const userEmail = req.auth.email || req.user.email || req.body.userEmail;
 
     if (!subject || !message || !userEmail) {
       return res.status(400).json({ error: 'Missing required fields' });
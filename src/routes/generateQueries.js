@@ -1,32 +1,29 @@
 import express from 'express';
 import { generateSearchQueries } from '../services/openrouterService.js';
-import { getUserProfile, saveTrendQuery } from '../services/supabaseService.js';
+import { saveTrendQuery } from '../services/supabaseService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { resolveWorkspace, getOwner } from '../middleware/workspaces.js';
+import { resolveBusiness, getBusinessDescription } from '../middleware/businesses.js';
 
 const router = express.Router();
 
 /**
  * @route POST /api/generate-queries
- * @desc Generate search queries for TikTok based on business description
- * @access Public
+ * @desc Generate search queries for TikTok based on business description, saved as the caller's trend queries
+ *       (the workspace's with workspaceId, which needs the editor role). With businessId the business profile
+ *       replaces businessDescription and the queries are saved for the business.
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, resolveWorkspace('editor'), resolveBusiness, requireEntitlement('generate_queries'), async (req, res) => {
   try {
-    let { businessDescription, userId } = req.body;
+    let businessDescription = getBusinessDescription(req);
+    const { userId, workspaceId, businessId } = getOwner(req);
 
-    // If userId is provided but no businessDescription, try to get it from the user profile
-    if (userId && !businessDescription) {
-      try {
-        console.log(`Attempting to get business description for user: ${userId}`);
-        const userProfile = await getUserProfile(userId);
-
-        if (userProfile && userProfile.business_description) {
-          businessDescription = userProfile.business_description;
-          console.log(`Found business description from user profile: ${businessDescription}`);
-        }
-      } catch (profileError) {
-        console.error('Error fetching user profile:', profileError);
-        // Continue with the request even if profile fetch fails
-      }
+    // Without a business or businessDescription, use the description from the caller's user profile
+    if (!businessDescription && req.user.business_description) {
+      businessDescription = req.user.business_description;
+      console.log(`Found business description from user profile: ${businessDescription}`);
     }
 
     if (!businessDescription) {
@@ -35,51 +32,48 @@ router.post('/', async (req, res) => {
 
     const searchQueries = await generateSearchQueries(businessDescription);
 
-    // Save the generated queries to the database if userId is provided
+    // Save the generated queries to the database
     const savedQueries = [];
-    if (userId) {
-      try {
-        console.log(`Saving ${searchQueries.length} queries for user ${userId}`);
+    console.log(`Saving ${searchQueries.length} queries for user ${userId}`);
 
-        // Save each query to the database
-        for (const query of searchQueries) {
-          try {
-            const savedQuery = await saveTrendQuery({
-              userId,
-              query
-            });
+    for (const query of searchQueries) {
+      try {
+        const savedQuery = await saveTrendQuery({
+          userId,
+          workspaceId,
+          businessId,
+          query
+        });
 
-            if (savedQuery) {
-              console.log(`Saved query: ${query} with ID: ${savedQuery.id}`);
-              savedQueries.push(savedQuery);
-            }
-          } catch (saveError) {
-            console.error(`Error saving query "${query}":`, saveError);
-            // Continue with the next query even if this one fails
-          }
+        if (savedQuery) {
+          console.log(`Saved query: ${query} with ID: ${savedQuery.id}`);
+          savedQueries.push(savedQuery);
         }
-
-        console.log(`Successfully saved ${savedQueries.length} out of ${searchQueries.length} queries`);
-      } catch (error) {
-        console.error('Error saving queries to database:', error);
-        // Continue even if saving to database fails
+      } catch (saveError) {
+        console.error(`Error saving query "${query}":`, saveError);
+        // Continue with the next query even if this one fails
       }
     }
 
+    console.log(`Successfully saved ${savedQueries.length} out of ${searchQueries.length} queries`);
+
     res.json({
       success: true,
       data: {
         businessDescription,
         userId,
+        workspaceId,
+        businessId,
         searchQueries,
         savedQueries: savedQueries.length
       }
     });
   } catch (error) {
     console.error('Error in generate queries route:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to generate search queries'
+      message: error.message || 'Failed to generate search queries',
+      validationErrors: error.validationErrors
     });
   }
 });
@@ -0,0 +1,92 @@
+import express from 'express';
+import { getWorkflowJob, formatWorkflowJob, retryWorkflowJob } from '../services/jobService.js';
+import { findWorkspaceByField } from '../services/supabaseService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { canAccessRecord } from '../middleware/workspaces.js';
+
+const router = express.Router();
+
+/**
+ * Load the job named by :id into req.job. A workspace job needs the role in its workspace and the request
+ * then acts in that workspace (req.workspace), so the workspace's entitlements apply.
+ * @param {string} minimumRole - Role needed for workspace jobs
+ * @returns {Function} - Express middleware
+ */
+const loadJob = (minimumRole) => async (req, res, next) => {
+  try {
+    const job = await getWorkflowJob(req.params.id);
+
+    // Other users' jobs are reported as missing rather than revealing that they exist
+    if (!(await canAccessRecord(req, job, minimumRole))) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    req.job = job;
+    req.workspace = job.workspace_id ? await findWorkspaceByField('id', job.workspace_id) : null;
+  } catch (error) {
+    console.error('Error loading job:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get job'
+    });
+  }
+
+  next();
+};
+
+/**
+ * @route GET /api/jobs/:id
+ * @desc Get the status, per-step progress and results of one of the caller's workflow jobs, or of a job
+ *       in one of their workspaces
+ * @access Private
+ */
+router.get('/:id', requireAuth, loadJob('viewer'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: formatWorkflowJob(req.job)
+    });
+  } catch (error) {
+    console.error('Error in get job route:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get job'
+    });
+  }
+});
+
+/**
+ * @route POST /api/jobs/:id/retry
+ * @desc Retry one of the caller's failed workflow jobs, resuming from its first incomplete step.
+ *       Requires the workflow feature but does not count as another run. Workspace jobs need the
+ *       editor role, and the workspace's entitlements apply.
+ * @access Private
+ */
+router.post('/:id/retry', requireAuth, loadJob('editor'), requireEntitlement('workflow'), async (req, res) => {
+  try {
+    const existingJob = req.job;
+
+    if (existingJob.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        message: `Only failed jobs can be retried (job is ${existingJob.status})`
+      });
+    }
+
+    const job = await retryWorkflowJob(req.params.id);
+
+    res.status(202).json({
+      success: true,
+      data: formatWorkflowJob(job)
+    });
+  } catch (error) {
+    console.error('Error in retry job route:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to retry job'
+    });
+  }
+});
+
+export default router;
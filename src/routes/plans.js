@@ -0,0 +1,39 @@
+import express from 'express';
+import { listPlans } from '../services/planService.js';
+import { getLevelEntitlements } from '../services/entitlementService.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/plans
+ * @desc List the plans that can be bought, with their billing intervals and currencies, trial length
+ *       and the quotas of a subscription and a trial on each
+ * @access Public
+ */
+router.get('/', (req, res) => {
+  try {
+    const plans = listPlans().map(plan => ({
+      key: plan.key,
+      name: plan.name,
+      trialDays: plan.trialDays,
+      options: plan.options,
+      entitlements: {
+        active: getLevelEntitlements('active', plan),
+        trial: getLevelEntitlements('trial', plan)
+      }
+    }));
+
+    res.json({
+      success: true,
+      data: plans
+    });
+  } catch (error) {
+    console.error('Error in plans route:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to list plans'
+    });
+  }
+});
+
+export default router;
@@ -1,16 +1,26 @@
 import express from 'express';
 import { reconstructVideos } from '../services/openrouterService.js';
+import { attachVideoVelocity } from '../services/videoMetricsService.js';
+import { requireAuth, assertOwnsVideos } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { resolveWorkspace, getOwner } from '../middleware/workspaces.js';
+import { resolveBusiness, getBusinessDescription } from '../middleware/businesses.js';
 
 const router = express.Router();
 
 /**
  * @route POST /api/reconstruct-videos
- * @desc Reconstruct and summarize TikTok marketing strategies
- * @access Public
+ * @desc Reconstruct and summarize TikTok marketing strategies, saved as a recommendation for the caller.
+ *       Videos with a dbId must have been found by one of the caller's trend queries (or their workspaces').
+ *       With workspaceId (editor role) the recommendation belongs to the workspace. With businessId the business
+ *       profile replaces businessDescription and the recommendation is saved for the business.
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, resolveWorkspace('editor'), resolveBusiness, requireEntitlement('reconstruct'), async (req, res) => {
   try {
-    const { analyzedVideos, businessDescription, userId } = req.body;
+    const { analyzedVideos } = req.body;
+    const businessDescription = getBusinessDescription(req);
+    const owner = getOwner(req);
 
     if (!analyzedVideos || !Array.isArray(analyzedVideos) || analyzedVideos.length === 0) {
       return res.status(400).json({ message: 'Valid analyzed videos array is required' });
@@ -20,22 +30,28 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Business description is required' });
     }
 
-    const marketingStrategy = await reconstructVideos(analyzedVideos, businessDescription, userId);
+    // The recommendation links to these videos
+    await assertOwnsVideos(req, analyzedVideos.map(video => video.dbId));
+
+    const marketingStrategy = await reconstructVideos(await attachVideoVelocity(analyzedVideos), businessDescription, owner);
 
     res.json({
       success: true,
       data: {
         businessDescription,
-        userId,
+        userId: owner.userId,
+        workspaceId: owner.workspaceId,
+        businessId: owner.businessId,
         videosAnalyzed: analyzedVideos.length,
         marketingStrategy
       }
     });
   } catch (error) {
     console.error('Error in reconstruct videos route:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to reconstruct marketing strategy'
+      message: error.message || 'Failed to reconstruct marketing strategy',
+      validationErrors: error.validationErrors
     });
   }
 });
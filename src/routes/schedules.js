@@ -0,0 +1,143 @@
+import express from 'express';
+import {
+  getRunScheduleById,
+  deleteRunScheduleById,
+  listScheduledRuns
+} from '../services/supabaseService.js';
+import { formatSchedule, formatScheduledRun, updateBusinessSchedule } from '../services/scheduleService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { canAccessRecord } from '../middleware/workspaces.js';
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Load the schedule named by :scheduleId into req.schedule. Personal schedules are their creator's;
+ * workspace schedules need the role in the workspace.
+ * @param {string} minimumRole - Role needed for workspace schedules
+ * @returns {Function} - Express middleware
+ */
+const loadSchedule = (minimumRole) => async (req, res, next) => {
+  try {
+    const schedule = UUID_PATTERN.test(req.params.scheduleId) ? await getRunScheduleById(req.params.scheduleId) : null;
+
+    // Other users' schedules are reported as missing rather than revealing that they exist
+    if (!(await canAccessRecord(req, schedule, minimumRole))) {
+      return res.status(404).json({ success: false, message: 'Schedule not found' });
+    }
+
+    req.schedule = schedule;
+  } catch (error) {
+    console.error('Error loading schedule:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get schedule'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Read a list limit from the query string
+ * @param {string} value - req.query.limit
+ * @param {number} defaultLimit - Limit when none is given
+ * @returns {number|null} - Limit between 1 and 500, or null when invalid
+ */
+const parseLimit = (value, defaultLimit) => {
+  if (value === undefined) {
+    return defaultLimit;
+  }
+  const limit = parseInt(value, 10);
+  return limit >= 1 && limit <= 500 ? limit : null;
+};
+
+/**
+ * @route GET /api/schedules/:scheduleId
+ * @desc Get a run schedule with its next run and latest outcome
+ * @access Private
+ */
+router.get('/:scheduleId', requireAuth, loadSchedule('viewer'), async (req, res) => {
+  res.json({
+    success: true,
+    data: formatSchedule(req.schedule)
+  });
+});
+
+/**
+ * @route PATCH /api/schedules/:scheduleId
+ * @desc Update a run schedule (same fields as POST /api/businesses/:businessId/schedules). frequency, time,
+ *       dayOfWeek and cron replace the timing together; settings are merged into the stored ones.
+ *       Workspace schedules need the editor role.
+ * @access Private
+ */
+router.patch('/:scheduleId', requireAuth, loadSchedule('editor'), async (req, res) => {
+  try {
+    const schedule = await updateBusinessSchedule(req.schedule, req.body);
+
+    res.json({
+      success: true,
+      data: formatSchedule(schedule)
+    });
+  } catch (error) {
+    console.error('Error in update schedule route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update schedule'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/schedules/:scheduleId
+ * @desc Delete a run schedule and its run history. Jobs it already enqueued are kept.
+ *       Workspace schedules need the editor role.
+ * @access Private
+ */
+router.delete('/:scheduleId', requireAuth, loadSchedule('editor'), async (req, res) => {
+  try {
+    await deleteRunScheduleById(req.schedule.id);
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted'
+    });
+  } catch (error) {
+    console.error('Error in delete schedule route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to delete schedule'
+    });
+  }
+});
+
+/**
+ * @route GET /api/schedules/:scheduleId/runs
+ * @desc List a schedule's runs, newest first: enqueued (with the job's status), skipped (reason: an entitlement
+ *       code such as run_quota_exhausted, or creator_not_editor) or failed. Query: limit (default 20, at most 500)
+ * @access Private
+ */
+router.get('/:scheduleId/runs', requireAuth, loadSchedule('viewer'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 20);
+    if (!limit) {
+      return res.status(400).json({ success: false, message: 'limit must be between 1 and 500' });
+    }
+
+    const runs = await listScheduledRuns(req.schedule.id, limit);
+
+    res.json({
+      success: true,
+      data: runs.map(formatScheduledRun)
+    });
+  } catch (error) {
+    console.error('Error in schedule runs route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get schedule runs'
+    });
+  }
+});
+
+export default router;
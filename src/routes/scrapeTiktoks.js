@@ -1,41 +1,65 @@
 import express from 'express';
-import { scrapeTikTokVideos } from '../services/rapidApiService.js';
+import { scrapeTikTokVideosWithReport } from '../services/rapidApiService.js';
+import { consumeRun } from '../services/entitlementService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { resolveWorkspace, getOwner, getBillingAccount } from '../middleware/workspaces.js';
+import { resolveBusiness, getBusinessSearchParams } from '../middleware/businesses.js';
 
 const router = express.Router();
 
+// Limit the number of queries to prevent abuse
+const MAX_QUERIES = 5;
+
 /**
  * @route POST /api/scrape-tiktoks
- * @desc Scrape TikTok videos based on search queries
- * @access Public
+ * @desc Scrape TikTok videos based on search queries. queryReports shows how many videos each query
+ *       returned versus videosPerQuery and why it stopped. customParams.providers picks the trend
+ *       sources to try in order (e.g. ["rapidapi", "fixture"]). Trend queries are saved for the caller.
+ *       Counts as a run against the caller's monthly quota. With workspaceId (editor role) the trend
+ *       queries belong to the workspace and the run counts against its quota. With businessId the trend
+ *       queries are saved for the business profile, and its region is the default customParams.videosLocation.
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, resolveWorkspace('editor'), resolveBusiness, requireEntitlement('scrape', ({ searchQueries, videosPerQuery = 5 }) => ({
+  videosPerQuery,
+  videos: (Array.isArray(searchQueries) ? Math.min(searchQueries.length, MAX_QUERIES) : 0) * videosPerQuery
+})), async (req, res) => {
   try {
-    const { searchQueries, videosPerQuery = 5, userId, customParams = {} } = req.body;
+    const { searchQueries, videosPerQuery = 5 } = req.body;
+    const customParams = getBusinessSearchParams(req, req.body.customParams || {});
+    const owner = getOwner(req);
 
     if (!searchQueries || !Array.isArray(searchQueries) || searchQueries.length === 0) {
       return res.status(400).json({ message: 'Valid search queries array is required' });
     }
 
-    // Limit the number of queries to prevent abuse
-    const limitedQueries = searchQueries.slice(0, 5);
+    const limitedQueries = searchQueries.slice(0, MAX_QUERIES);
+
+    await consumeRun(getBillingAccount(req), req.entitlements);
 
-    const videos = await scrapeTikTokVideos(limitedQueries, videosPerQuery, userId, customParams);
+    const { videos, queryReports } = await scrapeTikTokVideosWithReport(limitedQueries, videosPerQuery, owner, customParams);
 
     res.json({
       success: true,
       data: {
         searchQueries: limitedQueries,
         videosCount: videos.length,
-        userId: userId,
+        userId: owner.userId,
+        workspaceId: owner.workspaceId,
+        businessId: owner.businessId,
         customParams,
+        queryReports,
         videos
       }
     });
   } catch (error) {
     console.error('Error in scrape TikToks route:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to scrape TikTok videos'
+      message: error.message || 'Failed to scrape TikTok videos',
+      code: error.code,
+      entitlements: error.entitlements
     });
   }
 });
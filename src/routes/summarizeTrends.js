@@ -1,16 +1,25 @@
 import express from 'express';
 import { summarizeTrends } from '../services/openrouterService.js';
+import { getStoredVideoAnalysis } from '../services/qwenService.js';
+import { requireAuth, assertOwnsVideos } from '../middleware/auth.js';
+import { requireEntitlement } from '../middleware/entitlements.js';
+import { resolveWorkspace, getOwner } from '../middleware/workspaces.js';
+import { resolveBusiness, getBusinessDescription } from '../middleware/businesses.js';
 
 const router = express.Router();
 
 /**
  * @route POST /api/summarize-trends
- * @desc Summarize trends from analyzed videos and provide recreation instructions
- * @access Public
+ * @desc Summarize trends from analyzed videos and provide recreation instructions. Videos are workflow
+ *       results (dbId) or tiktok_videos rows (id) found by one of the caller's trend queries (or their
+ *       workspaces'). With workspaceId (editor role) the recommendation belongs to the workspace. With businessId
+ *       the business profile replaces businessDescription and the recommendation is saved for the business.
+ * @access Private
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, resolveWorkspace('editor'), resolveBusiness, requireEntitlement('summarize'), async (req, res) => {
   try {
-    const { analyzedVideos, businessDescription, userId } = req.body;
+    const { analyzedVideos } = req.body;
+    const businessDescription = getBusinessDescription(req);
 
     if (!analyzedVideos || !Array.isArray(analyzedVideos) || analyzedVideos.length === 0) {
       return res.status(400).json({
@@ -19,22 +28,15 @@ router.post('/', async (req, res) => {
       });
     }
 
+    await assertOwnsVideos(req, analyzedVideos.map(video => video.dbId || video.id));
+
     console.log(`Summarizing trends from ${analyzedVideos.length} videos...`);
 
-    // Extract and parse video analyses
+    // Videos are either workflow results carrying an analysis object or tiktok_videos rows
     const videoAnalyses = analyzedVideos.map(video => {
-      let analysisData = {};
-      // The analysis is now stored in the 'summary' field as a JSON string or object
-      if (typeof video.summary === 'string') {
-        try {
-          analysisData = JSON.parse(video.summary);
-        } catch (e) {
-          console.warn(`Could not parse summary for video ${video.id}. Using raw string.`);
-          analysisData = { summary: video.summary }; // Fallback
-        }
-      } else if (typeof video.summary === 'object' && video.summary !== null) {
-        analysisData = video.summary;
-      }
+      const analysisData = (video.analysis && typeof video.analysis === 'object')
+        ? video.analysis
+        : (getStoredVideoAnalysis(video) || {});
 
       return {
         id: video.id,
@@ -48,7 +50,7 @@ router.post('/', async (req, res) => {
     });
 
     // Get trend summary and recreation instructions
-    const trendSummary = await summarizeTrends(videoAnalyses, businessDescription, userId);
+    const trendSummary = await summarizeTrends(videoAnalyses, businessDescription, getOwner(req));
 
     // Return the trend summary
     res.json({
@@ -61,9 +63,10 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error in summarize trends route:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: error.message || 'Failed to summarize trends'
+      message: error.message || 'Failed to summarize trends',
+      validationErrors: error.validationErrors
     });
   }
 });
@@ -0,0 +1,99 @@
+import express from 'express';
+import { getHashtagTrends, getSoundTrends } from '../services/trendAggregationService.js';
+import { requireAuth, isCurrentUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Read the aggregation options from the query string
+ * @param {Object} req - Express request that passed requireAuth
+ * @returns {Object} - { options } or { error, status } when a value is out of range or another user is requested
+ */
+const parseAggregationQuery = (req) => {
+  const { query } = req;
+  const options = {};
+
+  if (query.userId) {
+    if (!isCurrentUser(req, query.userId)) {
+      return { error: 'Only your own videos can be aggregated by user', status: 403 };
+    }
+    options.userId = req.user.id;
+  }
+
+  if (query.windowDays !== undefined) {
+    const windowDays = parseInt(query.windowDays, 10);
+    if (!(windowDays >= 1 && windowDays <= 90)) {
+      return { error: 'windowDays must be between 1 and 90' };
+    }
+    options.windowDays = windowDays;
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (!(limit >= 1 && limit <= 100)) {
+      return { error: 'limit must be between 1 and 100' };
+    }
+    options.limit = limit;
+  }
+
+  return { options };
+};
+
+/**
+ * @route GET /api/trends/hashtags
+ * @desc Rank hashtags across scraped videos in a time window, with frequency, total and median
+ *       engagement, growth versus the previous window and example videos.
+ *       Query: userId (the caller's ID; omit for all users), windowDays (default 7), limit (default 20)
+ * @access Private
+ */
+router.get('/hashtags', requireAuth, async (req, res) => {
+  try {
+    const { options, error, status = 400 } = parseAggregationQuery(req);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    const data = await getHashtagTrends(options);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error in hashtag trends route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to aggregate hashtag trends'
+    });
+  }
+});
+
+/**
+ * @route GET /api/trends/sounds
+ * @desc Rank sounds across scraped videos in a time window, with the same measures as hashtags.
+ *       Query: userId (the caller's ID; omit for all users), windowDays (default 7), limit (default 20)
+ * @access Private
+ */
+router.get('/sounds', requireAuth, async (req, res) => {
+  try {
+    const { options, error, status = 400 } = parseAggregationQuery(req);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    const data = await getSoundTrends(options);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error in sound trends route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to aggregate sound trends'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,141 @@
+import express from 'express';
+import { summarizeUsage, USAGE_GROUP_BY } from '../services/usageService.js';
+import { getWorkflowJob } from '../services/jobService.js';
+import { requireAuth, requireServiceRole } from '../middleware/auth.js';
+import { canAccessRecord } from '../middleware/workspaces.js';
+
+const router = express.Router();
+
+// Default period of a summary without since
+const DEFAULT_USAGE_DAYS = 30;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Read the summary period and grouping from the query string
+ * @param {Object} query - req.query
+ * @param {string[]} allowedGroupBy - Groupings the route allows
+ * @param {string} defaultGroupBy - Grouping when none is given
+ * @returns {Object} - { options } or { error } when a value is invalid
+ */
+const parseUsageQuery = (query, allowedGroupBy, defaultGroupBy) => {
+  const groupBy = query.groupBy || defaultGroupBy;
+  if (!allowedGroupBy.includes(groupBy)) {
+    return { error: `groupBy must be one of ${allowedGroupBy.join(', ')}` };
+  }
+
+  const since = query.since ? new Date(query.since) : new Date(Date.now() - DEFAULT_USAGE_DAYS * 24 * 60 * 60 * 1000);
+  const until = query.until ? new Date(query.until) : null;
+  if (Number.isNaN(since.getTime()) || (until && Number.isNaN(until.getTime()))) {
+    return { error: 'since and until must be ISO dates' };
+  }
+
+  return {
+    options: {
+      groupBy,
+      since: since.toISOString(),
+      until: until ? until.toISOString() : null
+    }
+  };
+};
+
+/**
+ * @route GET /api/usage
+ * @desc Summarize the caller's third-party API usage and estimated cost.
+ *       Query: groupBy (day, run, provider or model; default day), since (default 30 days ago), until
+ * @access Private
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { options, error } = parseUsageQuery(req.query, USAGE_GROUP_BY.filter(groupBy => groupBy !== 'user'), 'day');
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const summary = await summarizeUsage({ ...options, userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error in usage route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to summarize usage'
+    });
+  }
+});
+
+/**
+ * @route GET /api/usage/runs/:runId
+ * @desc Summarize the third-party API usage and estimated cost of one of the caller's workflow runs, or of a
+ *       run in one of their workspaces. A runId that isn't a job (a streamed run's) covers the caller's own events.
+ *       Query: groupBy (provider, model or day; default provider)
+ * @access Private
+ */
+router.get('/runs/:runId', requireAuth, async (req, res) => {
+  try {
+    // Run IDs are UUIDs; anything else is reported as missing rather than failing the query
+    if (!UUID_PATTERN.test(req.params.runId)) {
+      return res.status(404).json({ success: false, message: 'Run not found' });
+    }
+
+    // Streamed runs have no job; their events are the caller's own
+    const job = await getWorkflowJob(req.params.runId);
+    if (job && !(await canAccessRecord(req, job))) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+
+    const groupBy = req.query.groupBy || 'provider';
+    if (!['provider', 'model', 'day'].includes(groupBy)) {
+      return res.status(400).json({ success: false, message: 'groupBy must be one of provider, model, day' });
+    }
+
+    const summary = await summarizeUsage({ userId: job ? null : req.user.id, workflowRunId: req.params.runId, groupBy });
+    if (!job && summary.totals.events === 0) {
+      return res.status(404).json({ success: false, message: 'Run not found' });
+    }
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error in run usage route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to summarize run usage'
+    });
+  }
+});
+
+/**
+ * @route GET /api/usage/all
+ * @desc Summarize third-party API usage and estimated cost across all users, e.g. per user for pricing.
+ *       Query: groupBy (user, day, run, provider or model; default user), userId, since (default 30 days ago), until
+ * @access Service role
+ */
+router.get('/all', requireServiceRole, async (req, res) => {
+  try {
+    const { options, error } = parseUsageQuery(req.query, USAGE_GROUP_BY, 'user');
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const summary = await summarizeUsage({ ...options, userId: req.query.userId || null });
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error in all usage route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to summarize usage'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import express from 'express';
+import { pollVideoMetrics, getVideosVelocity, getTrendQueryVelocity } from '../services/videoMetricsService.js';
+import { getTrendQueryById } from '../services/supabaseService.js';
+import { requireAuth, requireServiceRole, assertOwnsVideos } from '../middleware/auth.js';
+import { canAccessRecord } from '../middleware/workspaces.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /api/video-metrics/poll
+ * @desc Re-poll the metrics of tracked videos that are due and store them as snapshots.
+ *       Optional body: { limit, providers }
+ * @access Service role
+ */
+router.post('/poll', requireServiceRole, async (req, res) => {
+  try {
+    const { limit, providers } = req.body || {};
+
+    const result = await pollVideoMetrics({
+      limit: limit ? parseInt(limit, 10) : undefined,
+      providers
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in poll video metrics route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to poll video metrics'
+    });
+  }
+});
+
+/**
+ * @route GET /api/video-metrics/trend-queries/:trendQueryId/velocity
+ * @desc Get velocity measures for every video one of the caller's trend queries (or a trend query of one of
+ *       their workspaces) found, fastest first
+ * @access Private
+ */
+router.get('/trend-queries/:trendQueryId/velocity', requireAuth, async (req, res) => {
+  try {
+    const trendQuery = await getTrendQueryById(req.params.trendQueryId);
+    if (!(await canAccessRecord(req, trendQuery))) {
+      return res.status(404).json({ success: false, message: 'Trend query not found' });
+    }
+
+    const videos = await getTrendQueryVelocity(req.params.trendQueryId);
+
+    res.json({
+      success: true,
+      data: { trendQueryId: req.params.trendQueryId, videos }
+    });
+  } catch (error) {
+    console.error('Error in trend query velocity route:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get trend query velocity'
+    });
+  }
+});
+
+/**
+ * @route GET /api/video-metrics/:videoId/velocity
+ * @desc Get velocity measures (views per hour, engagement growth, time since upload, trend) for a video
+ *       found by one of the caller's trend queries or their workspaces'
+ * @access Private
+ */
+router.get('/:videoId/velocity', requireAuth, async (req, res) => {
+  try {
+    await assertOwnsVideos(req, [req.params.videoId]);
+
+    const [video] = await getVideosVelocity([req.params.videoId]);
+
+    if (!video) {
+      return res.status(404).json({ success: false, message: 'Video not found' });
+    }
+
+    res.json({
+      success: true,
+      data: video
+    });
+  } catch (error) {
+    console.error('Error in video velocity route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get video velocity'
+    });
+  }
+});
+
+export default router;
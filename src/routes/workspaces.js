@@ -0,0 +1,333 @@
+import express from 'express';
+import {
+  listWorkspaceMembers,
+  listPendingWorkspaceInvitations,
+  getTrendQueriesByWorkspaceId,
+  getRecommendationsByWorkspaceId
+} from '../services/supabaseService.js';
+import {
+  formatWorkspace,
+  createWorkspace,
+  listUserWorkspaces,
+  inviteToWorkspace,
+  acceptWorkspaceInvitation,
+  revokeWorkspaceInvitation,
+  updateWorkspaceMemberRole,
+  removeWorkspaceMember,
+  syncWorkspaceSeats
+} from '../services/workspaceService.js';
+import { getEntitlementsWithUsage } from '../services/entitlementService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { requireWorkspaceRole } from '../middleware/workspaces.js';
+
+const router = express.Router();
+
+/**
+ * Read a list limit from the query string
+ * @param {string} value - req.query.limit
+ * @param {number} defaultLimit - Limit when none is given
+ * @returns {number|null} - Limit between 1 and 500, or null when invalid
+ */
+const parseLimit = (value, defaultLimit) => {
+  if (value === undefined) {
+    return defaultLimit;
+  }
+  const limit = parseInt(value, 10);
+  return limit >= 1 && limit <= 500 ? limit : null;
+};
+
+/**
+ * @route POST /api/workspaces
+ * @desc Create a workspace with the caller as its owner. Body: name
+ * @access Private
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const workspace = await createWorkspace(req.user, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    console.error('Error in create workspace route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to create workspace'
+    });
+  }
+});
+
+/**
+ * @route GET /api/workspaces
+ * @desc List the workspaces the caller is a member of, with their role in each
+ * @access Private
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const workspaces = await listUserWorkspaces(req.user);
+
+    res.json({
+      success: true,
+      data: workspaces
+    });
+  } catch (error) {
+    console.error('Error in list workspaces route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to list workspaces'
+    });
+  }
+});
+
+/**
+ * @route POST /api/workspaces/invitations/accept
+ * @desc Join a workspace with the token from an invitation email. The caller's email must be the invited one.
+ *       Body: token
+ * @access Private
+ */
+router.post('/invitations/accept', requireAuth, async (req, res) => {
+  try {
+    const result = await acceptWorkspaceInvitation(req.body.token, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in accept invitation route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to accept invitation'
+    });
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:workspaceId
+ * @desc Get a workspace with its members, the caller's role and the workspace's entitlements and run usage
+ * @access Private
+ */
+router.get('/:workspaceId', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const [members, entitlements] = await Promise.all([
+      listWorkspaceMembers(req.workspace.id),
+      getEntitlementsWithUsage(req.workspace)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatWorkspace(req.workspace),
+        role: req.workspaceRole,
+        members: members.map(member => ({
+          userId: member.user_id,
+          email: member.email,
+          role: member.role,
+          joinedAt: member.created_at
+        })),
+        entitlements
+      }
+    });
+  } catch (error) {
+    console.error('Error in get workspace route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get workspace'
+    });
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:workspaceId/invitations
+ * @desc List a workspace's pending invitations
+ * @access Private
+ */
+router.get('/:workspaceId/invitations', requireAuth, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const invitations = await listPendingWorkspaceInvitations(req.workspace.id);
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    console.error('Error in list invitations route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to list invitations'
+    });
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:workspaceId/invitations
+ * @desc Invite someone to a workspace by email. Body: email, role (owner, editor or viewer; default viewer).
+ *       emailSent is false when the invitation was saved but its email could not be sent.
+ * @access Private
+ */
+router.post('/:workspaceId/invitations', requireAuth, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const { invitation, emailSent } = await inviteToWorkspace(req.workspace, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { ...invitation, emailSent }
+    });
+  } catch (error) {
+    console.error('Error in invite route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to invite to workspace'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+ * @desc Revoke a pending invitation
+ * @access Private
+ */
+router.delete('/:workspaceId/invitations/:invitationId', requireAuth, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    await revokeWorkspaceInvitation(req.workspace, req.params.invitationId);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Error in revoke invitation route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to revoke invitation'
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/workspaces/:workspaceId/members/:userId
+ * @desc Change a member's role. Body: role (owner, editor or viewer). The last owner can't be demoted.
+ * @access Private
+ */
+router.patch('/:workspaceId/members/:userId', requireAuth, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const member = await updateWorkspaceMemberRole(req.workspace, req.params.userId, req.body.role);
+
+    res.json({
+      success: true,
+      data: { userId: member.user_id, role: member.role }
+    });
+  } catch (error) {
+    console.error('Error in update member route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to update member'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/workspaces/:workspaceId/members/:userId
+ * @desc Remove a member (owners), or leave the workspace (any member, with their own user ID).
+ *       The last owner can't be removed. The subscription's seats follow the member count.
+ * @access Private
+ */
+router.delete('/:workspaceId/members/:userId', requireAuth, async (req, res, next) => {
+  // Members may always remove themselves
+  const minimumRole = req.params.userId === req.user.id ? 'viewer' : 'owner';
+  return requireWorkspaceRole(minimumRole)(req, res, next);
+}, async (req, res) => {
+  try {
+    const seats = await removeWorkspaceMember(req.workspace, req.params.userId);
+
+    res.json({
+      success: true,
+      data: { seats }
+    });
+  } catch (error) {
+    console.error('Error in remove member route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to remove member'
+    });
+  }
+});
+
+/**
+ * @route POST /api/workspaces/:workspaceId/seats/sync
+ * @desc Set the quantity of the workspace's subscription to its member count, e.g. after a failed sync
+ * @access Private
+ */
+router.post('/:workspaceId/seats/sync', requireAuth, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const seats = await syncWorkspaceSeats(req.workspace);
+
+    res.status(seats.error ? 502 : 200).json({
+      success: !seats.error,
+      data: seats
+    });
+  } catch (error) {
+    console.error('Error in sync seats route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to sync seats'
+    });
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:workspaceId/trend-queries
+ * @desc List the workspace's trend queries, newest first. Query: limit (default 100, at most 500)
+ * @access Private
+ */
+router.get('/:workspaceId/trend-queries', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 100);
+    if (!limit) {
+      return res.status(400).json({ success: false, message: 'limit must be between 1 and 500' });
+    }
+
+    const trendQueries = await getTrendQueriesByWorkspaceId(req.workspace.id, limit);
+
+    res.json({
+      success: true,
+      data: trendQueries
+    });
+  } catch (error) {
+    console.error('Error in workspace trend queries route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get trend queries'
+    });
+  }
+});
+
+/**
+ * @route GET /api/workspaces/:workspaceId/recommendations
+ * @desc List the workspace's recommendations, newest first. Query: limit (default 50, at most 500)
+ * @access Private
+ */
+router.get('/:workspaceId/recommendations', requireAuth, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 50);
+    if (!limit) {
+      return res.status(400).json({ success: false, message: 'limit must be between 1 and 500' });
+    }
+
+    const recommendations = await getRecommendationsByWorkspaceId(req.workspace.id, limit);
+
+    res.json({
+      success: true,
+      data: recommendations
+    });
+  } catch (error) {
+    console.error('Error in workspace recommendations route:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to get recommendations'
+    });
+  }
+});
+
+export default router;
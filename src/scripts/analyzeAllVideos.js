@@ -1,162 +1,29 @@
 import dotenv from 'dotenv';
 import supabaseService from '../services/supabaseService.js';
-import axios from 'axios';
+import { analyzeVideo, VIDEO_ANALYSIS_VERSION } from '../services/qwenService.js';
 
 // Load environment variables
 dotenv.config();
 
-const DASHSCOPE_API_KEY = process.env.DASHSCOPE_API_KEY;
+// --force re-analyzes videos even when a fresh cached analysis of the same TikTok video exists
+const FORCE_REANALYSIS = process.argv.includes('--force');
 
 /**
- * Update video with analysis data
- * @param {string} videoId - Video ID
- * @param {Object} analysisData - Analysis data
+ * Analyze a video with the canonical analysis prompt and save it to its database row
+ * @param {Object} video - Video object with id, storageUrl and optionally tiktokId
  * @returns {Promise<Object>} - Updated video data
  */
-const updateVideoAnalysis = async (videoId, analysisData) => {
-  try {
-    const updatePayload = {
-      summary: analysisData.summary,
-      hooks: analysisData.hooks,
-      ctas: analysisData.ctas,
-      content_style: analysisData.content_style,
-      success_factors: analysisData.success_factors,
-      transcript: analysisData.transcript,
-      last_analyzed_at: new Date().toISOString(),
-      // We are not updating frame_analysis for now
-    };
-
-    console.log(`Updating video ${videoId} with payload:`, JSON.stringify(updatePayload, null, 2));
-
-    const { data, error } = await supabaseService.supabase
-      .from('tiktok_videos')
-      .update(updatePayload)
-      .eq('id', videoId)
-      .select();
-
-    if (error) {
-      console.error(`Supabase error for video ${videoId}:`, error);
-      throw new Error(`Error updating video analysis: ${error.message}`);
-    }
-
-    if (!data || data.length === 0) {
-      throw new Error(`No data returned after updating video ${videoId}. It might not exist.`);
-    }
+const analyzeAndSaveVideo = async (video) => {
+  console.log(`Using video URL: ${video.storageUrl}`);
 
-    console.log(`Successfully updated video ${videoId} in Supabase.`);
-    return data[0];
-  } catch (error) {
-    console.error(`Error in updateVideoAnalysis for video ${videoId}:`, error);
-    // Re-throw the error to be caught by the calling function
-    throw new Error(`Failed to update video analysis for ${videoId}`);
+  const { analysis, model, version, cached, analyzedAt, sourceVideoId } = await analyzeVideo(video, { force: FORCE_REANALYSIS });
+  if (cached && sourceVideoId === video.id) {
+    console.log(`Video ${video.id} already has a fresh analysis`);
+    return { id: video.id };
   }
-};
-
-/**
- * Analyze a video using DashScope API
- * @param {Object} video - Video data with storageUrl
- * @returns {Promise<Object>} - Analysis data
- */
-const analyzeVideo = async (video) => {
-  try {
-    console.log(`Analyzing video: ${video.id}`);
-    const videoUrl = video.storageUrl;
-    console.log(`Using video URL: ${videoUrl}`);
-
-    const prompt = `
-Analyze this TikTok video and provide a detailed marketing analysis. The video has ${video.likes || 0} likes, ${video.comments || 0} comments, and ${video.views || 0} views. The caption is: "${video.caption || ''}".
-
-Your response MUST be a valid JSON object with the following structure:
-{
-  "summary": "A concise, one-paragraph summary of the video's content and marketing angle.",
-  "hooks": [
-    "A list of specific hooks used in the first 3 seconds to grab attention. E.g., 'Uses a controversial statement', 'Starts with a surprising visual'."
-  ],
-  "ctas": [
-    "A list of calls-to-action in the video. E.g., 'Asks users to comment', 'Points to a link in bio'."
-  ],
-  "content_style": "Describe the content style. E.g., 'Fast-paced editing with trending audio', 'User-generated content style', 'Educational tutorial'.",
-  "success_factors": [
-    "A list of key reasons why this video is successful. E.g., 'Relatable humor', 'Addresses a common pain point', 'High production quality'."
-  ],
-  "transcript": "A full transcript of the spoken words in the video. If no speech, return an empty string."
-}
-`;
-
-    const requestBody = {
-      model: 'qwen2.5-vl-72b-instruct',
-      input: {
-        messages: [
-          {
-            role: "system",
-            content: [{
-              text: "You are an expert at analyzing TikTok marketing strategies. Your task is to analyze the provided video and extract key marketing elements that make it successful. You must return your analysis in a valid JSON format."
-            }]
-          },
-          {
-            role: "user",
-            content: [
-              {
-                video: videoUrl,
-                fps: 1,
-                start_time: 0,
-                end_time: 60
-              },
-              {
-                text: prompt
-              }
-            ]
-          }
-        ]
-      },
-      parameters: {
-        result_format: "message"
-      }
-    };
-
-    console.log(`Making API call to DashScope for video: ${video.id}`);
-    axios.defaults.baseURL = 'https://dashscope-intl.aliyuncs.com/api/v1';
-
-    const response = await axios.post(
-      '/services/aigc/multimodal-generation/generation',
-      requestBody,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${DASHSCOPE_API_KEY}`,
-          'X-DashScope-DataInspection': 'enable'
-        },
-        timeout: 300000
-      }
-    );
-
-    console.log(`Response received for video: ${video.id}`);
-    const rawContent = response.data.output.choices[0].message.content[0].text;
-
-    // Clean the response to extract only the JSON part
-    const jsonMatch = rawContent.match(/\{.*\}/s);
-    if (!jsonMatch) {
-      console.error(`Failed to find valid JSON in response for video ${video.id}. Raw content:`, rawContent);
-      throw new Error(`Malformed AI response: No JSON object found for video ${video.id}.`);
-    }
-
-    try {
-      const analysisData = JSON.parse(jsonMatch[0]);
-      console.log(`Successfully parsed JSON for video ${video.id}`);
-      return analysisData;
-    } catch (parseError) {
-      console.error(`Failed to parse JSON for video ${video.id}. Raw JSON string:`, jsonMatch[0]);
-      throw new Error(`Malformed AI response: Invalid JSON format for video ${video.id}.`);
-    }
+  console.log(`Successfully ${cached ? 'reused cached' : 'parsed'} analysis for video ${video.id}`);
 
-  } catch (error) {
-    console.error(`Error in analyzeVideo for video ${video.id}:`, error.message);
-    // Add more context to the error and re-throw
-    if (error.response) {
-      console.error('DashScope API Error Body:', error.response.data);
-    }
-    throw new Error(`Failed to analyze video ${video.id}. Reason: ${error.message}`);
-  }
+  return supabaseService.updateTikTokVideoAnalysis(video.id, analysis, { version, model, analyzedAt });
 };
 
 /**
@@ -203,6 +70,7 @@ const getVideosForTrendQuery = async (trendQuery) => {
 
       videoObjects.push({
         id: dbVideo?.id || `storage-${file.name}`,
+        tiktokId: dbVideo?.tiktok_id || supabaseService.getTikTokIdFromUrl(dbVideo?.video_url),
         fileName: file.name,
         storageUrl: storageUrl,
         dbRecord: dbVideo || null,
@@ -244,11 +112,12 @@ const analyzeVideosForTrendQuery = async (trendQuery) => {
       try {
         console.log(`\nProcessing video: ${video.id} for query "${trendQuery.query}"`);
 
-        // Analyze the video
-        const analysisData = await analyzeVideo(video);
+        if (!video.dbRecord) {
+          console.log(`Skipping ${video.fileName}: no matching database record`);
+          continue;
+        }
 
-        // Update the video with the analysis data
-        const updatedVideo = await updateVideoAnalysis(video.id, analysisData);
+        const updatedVideo = await analyzeAndSaveVideo(video);
         console.log(`Successfully analyzed and updated video: ${updatedVideo.id}`);
       } catch (error) {
         console.error(`Error processing video ${video.id}:`, error);
@@ -263,10 +132,54 @@ const analyzeVideosForTrendQuery = async (trendQuery) => {
 };
 
 /**
- * Main function to analyze videos by trend query batches
+ * Re-analyze videos whose stored analysis predates the current schema version
+ * @param {number} limit - Maximum number of videos to upgrade
+ * @returns {Promise<void>}
+ */
+const upgradeOutdatedAnalyses = async (limit) => {
+  const rows = await supabaseService.getTikTokVideosWithOutdatedAnalysis(VIDEO_ANALYSIS_VERSION, limit);
+  console.log(`Found ${rows.length} videos with analysis older than version ${VIDEO_ANALYSIS_VERSION}`);
+
+  for (const row of rows) {
+    const storageUrl = row.videoUrl || row.download_url;
+    if (!storageUrl) {
+      console.log(`Skipping video ${row.id}: no stored video URL`);
+      continue;
+    }
+
+    try {
+      const updatedVideo = await analyzeAndSaveVideo({
+        id: row.id,
+        tiktokId: row.tiktok_id,
+        storageUrl,
+        caption: row.caption,
+        likes: row.likes,
+        comments: row.comments,
+        views: row.views
+      });
+      console.log(`Upgraded analysis for video: ${updatedVideo.id}`);
+    } catch (error) {
+      console.error(`Error upgrading analysis for video ${row.id}:`, error);
+      // Continue with the next video
+    }
+  }
+};
+
+/**
+ * Main function to analyze videos by trend query batches.
+ * Run with --upgrade [limit] to re-analyze rows with an outdated analysis version instead,
+ * and with --force to skip the analysis cache.
  */
 const analyzeAllVideos = async () => {
   try {
+    const upgradeIndex = process.argv.indexOf('--upgrade');
+    if (upgradeIndex !== -1) {
+      const limit = parseInt(process.argv[upgradeIndex + 1], 10) || 50;
+      await upgradeOutdatedAnalyses(limit);
+      console.log('\nFinished upgrading outdated analyses');
+      return;
+    }
+
     console.log('Starting to analyze videos by trend query batches...');
 
     // Get recent trend queries with their associated videos
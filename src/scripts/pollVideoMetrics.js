@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+import { pollVideoMetrics } from '../services/videoMetricsService.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Re-poll the metrics of tracked videos that are due, storing each result as a snapshot.
+ * Run with an optional limit, e.g. `npm run poll-metrics -- 100`, and repeat from a scheduler.
+ */
+const run = async () => {
+  const limit = parseInt(process.argv[2], 10) || undefined;
+  const result = await pollVideoMetrics({ limit });
+  console.log('Metrics poll result:', result);
+};
+
+// Run the main function
+run()
+  .then(() => {
+    console.log('Script completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Script failed:', error);
+    process.exit(1);
+  });
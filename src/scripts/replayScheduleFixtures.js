@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { EntitlementError } from '../utils/errorHandler.js';
+
+// The scheduler's module creates the Supabase client on import; it is never called here, so the replay
+// also runs (e.g. in npm test) where no Supabase project is configured
+dotenv.config();
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'unused';
+
+const { createRunScheduler } = await import('../services/scheduleService.js');
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'schedules');
+
+/**
+ * Look up a row by a field
+ * @param {Object[]} rows - Table rows
+ * @returns {Function} - (field, value) => copy of the first matching row, or null
+ */
+const findIn = (rows) => async (field, value) => {
+  const match = rows.find(row => row[field] === value);
+  return match ? { ...match } : null;
+};
+
+/**
+ * In-memory tables with the store functions the run scheduler uses
+ * @param {Object} fixture - { users, workspaces, members, businesses, schedules }
+ * @returns {Object} - { store, schedules, runs }
+ */
+const createMemoryStore = (fixture) => {
+  const users = (fixture.users || []).map(row => ({ ...row }));
+  const workspaces = (fixture.workspaces || []).map(row => ({ ...row }));
+  const members = (fixture.members || []).map(row => ({ ...row }));
+  const businesses = (fixture.businesses || []).map(row => ({ ...row }));
+  const schedules = (fixture.schedules || []).map(row => ({ settings: {}, enabled: true, ...row }));
+  const runs = [];
+
+  const store = {
+    listDueSchedules: async (now, limit) => schedules
+      .filter(schedule => schedule.enabled && schedule.next_run_at && new Date(schedule.next_run_at) <= now)
+      .sort((a, b) => new Date(a.next_run_at) - new Date(b.next_run_at))
+      .slice(0, limit)
+      .map(schedule => ({ ...schedule })),
+    // Check and update in one step, as the conditional update does in the database
+    claimSchedule: async (id, dueAt, updateData) => {
+      const schedule = schedules.find(row => row.id === id && row.enabled && row.next_run_at === dueAt);
+      if (!schedule) {
+        return null;
+      }
+      Object.assign(schedule, updateData);
+      return { ...schedule };
+    },
+    getBusiness: async (id) => findIn(businesses)('id', id),
+    findUserByField: findIn(users),
+    findWorkspaceByField: findIn(workspaces),
+    getWorkspaceMember: async (workspaceId, userId) => {
+      const member = members.find(row => row.workspace_id === workspaceId && row.user_id === userId);
+      return member ? { ...member } : null;
+    },
+    saveRun: async (run) => {
+      if (runs.some(saved => saved.schedule_id === run.schedule_id && saved.scheduled_for === run.scheduled_for)) {
+        throw new Error(`Duplicate run of ${run.schedule_id} for ${run.scheduled_for}`);
+      }
+      const saved = { id: `run_${runs.length + 1}`, ...run };
+      runs.push(saved);
+      Object.assign(schedules.find(schedule => schedule.id === run.schedule_id), {
+        last_run_at: run.scheduled_for,
+        last_run_status: run.status
+      });
+      return { ...saved };
+    }
+  };
+
+  return { store, schedules, runs };
+};
+
+/**
+ * Whether an object has the expected fields
+ * @param {Object} actual - Object to check
+ * @param {Object} expected - Expected fields
+ * @returns {boolean} - True when every expected field matches
+ */
+const matchesFields = (actual, expected) => Object.entries(expected)
+  .every(([field, value]) => JSON.stringify(actual[field] ?? null) === JSON.stringify(value));
+
+/**
+ * Run the scheduler at each of a fixture's times and check the runs it recorded, the jobs it enqueued,
+ * the schedules' state and the runs counted per account after each tick
+ * @param {Object} fixture - { description, users, workspaces, members, businesses, schedules, runUsage,
+ *                           failEnqueue (schedule IDs whose jobs can't be enqueued),
+ *                           ticks: [{ now, schedulers, expected: { runs, jobs, schedules, runUsage } }] }
+ * @returns {Promise<string[]>} - Failures
+ */
+const replayFixture = async (fixture) => {
+  const { store, schedules, runs } = createMemoryStore(fixture);
+  const runUsage = { ...fixture.runUsage };
+  const jobs = [];
+  let currentTime = null;
+
+  const createScheduler = () => createRunScheduler({
+    store,
+    enqueueRun: async (params) => {
+      if ((fixture.failEnqueue || []).includes(params.scheduleId)) {
+        throw new Error('Failed to enqueue workflow job');
+      }
+      const job = { id: `job_${jobs.length + 1}`, params };
+      jobs.push(job);
+      return job;
+    },
+    // Runs this month per account ID, against the plan's quota like the user_run_usage counter
+    consumeRun: async (account, entitlements) => {
+      const used = runUsage[account.id] || 0;
+      if (used >= entitlements.runsPerMonth) {
+        throw new EntitlementError(`Your plan's ${entitlements.runsPerMonth} runs for this month are used up`, 'run_quota_exhausted');
+      }
+      runUsage[account.id] = used + 1;
+    },
+    refundRun: async (account) => {
+      runUsage[account.id] = Math.max(0, (runUsage[account.id] || 0) - 1);
+    },
+    now: () => new Date(currentTime)
+  });
+
+  const failures = [];
+
+  for (const [index, { now, schedulers = 1, expected = {} }] of fixture.ticks.entries()) {
+    const tick = `tick ${index + 1} (${now})`;
+    currentTime = now;
+    const runCount = runs.length;
+    const jobCount = jobs.length;
+
+    // Several schedulers polling at once must still run each due schedule once
+    await Promise.all(Array.from({ length: schedulers }, () => createScheduler().runDueSchedules()));
+
+    const newRuns = runs.slice(runCount).map(({ schedule_id, scheduled_for, status, reason }) => ({ schedule_id, scheduled_for, status, reason }));
+    const expectedRuns = expected.runs || [];
+    if (newRuns.length !== expectedRuns.length || !expectedRuns.every((run, runIndex) => matchesFields(newRuns[runIndex], run))) {
+      failures.push(`${tick}: expected runs ${JSON.stringify(expectedRuns)}, got ${JSON.stringify(newRuns)}`);
+    }
+
+    const newJobs = jobs.slice(jobCount).map(job => job.params);
+    const expectedJobs = expected.jobs || [];
+    if (newJobs.length !== expectedJobs.length || !expectedJobs.every((params, jobIndex) => matchesFields(newJobs[jobIndex], params))) {
+      failures.push(`${tick}: expected jobs ${JSON.stringify(expectedJobs)}, got ${JSON.stringify(newJobs)}`);
+    }
+
+    for (const [id, fields] of Object.entries(expected.schedules || {})) {
+      const schedule = schedules.find(row => row.id === id) || {};
+      if (!matchesFields(schedule, fields)) {
+        const actual = Object.fromEntries(Object.keys(fields).map(field => [field, schedule[field] ?? null]));
+        failures.push(`${tick}: schedule ${id} expected ${JSON.stringify(fields)}, got ${JSON.stringify(actual)}`);
+      }
+    }
+
+    for (const [id, count] of Object.entries(expected.runUsage || {})) {
+      if ((runUsage[id] || 0) !== count) {
+        failures.push(`${tick}: account ${id} expected ${count} runs counted, got ${runUsage[id] || 0}`);
+      }
+    }
+  }
+
+  return failures;
+};
+
+/**
+ * Replay the schedule fixtures in src/scripts/fixtures/schedules (or the given fixture files): run the scheduler
+ * with a fixed clock against in-memory tables and check which runs it enqueues or skips.
+ * Run with `npm run replay-schedule-fixtures -- [fixture.json ...]`; exits with 1 when a fixture fails.
+ * Nothing is read from or written to Supabase.
+ */
+const run = async () => {
+  const files = process.argv.slice(2).length > 0
+    ? process.argv.slice(2)
+    : fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort().map(file => path.join(FIXTURES_DIR, file));
+
+  let failed = 0;
+
+  for (const file of files) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const failures = await replayFixture(fixture);
+
+    if (failures.length === 0) {
+      console.log(`PASS ${path.basename(file)}: ${fixture.description}`);
+    } else {
+      failed++;
+      console.log(`FAIL ${path.basename(file)}: ${fixture.description}`);
+      failures.forEach(failure => console.log(`  ${failure}`));
+    }
+  }
+
+  console.log(`${files.length - failed} of ${files.length} fixtures passed`);
+  if (failed > 0) {
+    throw new Error(`${failed} fixture(s) failed`);
+  }
+};
+
+// Run the main function
+run()
+  .then(() => {
+    console.log('Script completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Script failed:', error.message);
+    process.exit(1);
+  });
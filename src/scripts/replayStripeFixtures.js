@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createBillingService } from '../services/billingService.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'stripe');
+
+/**
+ * In-memory table with the lookup and update functions the billing service's stores use
+ * @param {Object[]} initialRows - Initial rows
+ * @returns {Object} - { rows, findByField, update }
+ */
+const createMemoryTable = (initialRows) => {
+  const rows = initialRows.map(row => ({ ...row }));
+
+  return {
+    rows,
+    findByField: async (field, value) => {
+      const match = rows.find(row => row[field] === value);
+      return match ? { ...match } : null;
+    },
+    update: async (id, updateData) => {
+      const match = rows.find(row => row.id === id);
+      if (!match) {
+        throw new Error(`No row ${id}`);
+      }
+      Object.assign(match, updateData);
+      return { ...match };
+    }
+  };
+};
+
+/**
+ * Stripe client answering subscription and customer lookups from the fixture
+ * @param {Object} objects - { subscriptions, customers } by ID
+ * @returns {Object} - Stripe client subset
+ */
+const createFixtureStripe = ({ subscriptions = {}, customers = {} } = {}) => {
+  const retrieveFrom = (objects, kind) => async (id) => {
+    if (!objects[id]) {
+      throw new Error(`No such ${kind}: ${id}`);
+    }
+    return objects[id];
+  };
+
+  return {
+    subscriptions: { retrieve: retrieveFrom(subscriptions, 'subscription') },
+    customers: { retrieve: retrieveFrom(customers, 'customer') }
+  };
+};
+
+/**
+ * Compare expected fields with a memory table
+ * @param {string} tableName - Table name, for the mismatch messages
+ * @param {Object} table - Memory table
+ * @param {Object} expectedRows - Expected fields by row ID
+ * @returns {string[]} - Mismatches
+ */
+const checkRows = (tableName, table, expectedRows = {}) => Object.entries(expectedRows).flatMap(([id, fields]) => {
+  const row = table.rows.find(candidate => candidate.id === id) || {};
+  return Object.entries(fields)
+    .filter(([field, value]) => JSON.stringify(row[field] ?? null) !== JSON.stringify(value))
+    .map(([field, value]) => `${tableName}.${id}.${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(row[field] ?? null)}`);
+});
+
+/**
+ * Apply a fixture's events in order against its users and workspaces and check the state and emails after each step
+ * @param {Object} fixture - { description, now, users, workspaces, stripe, steps: [{ event, expected: { users, workspaces, emails, error } }] }
+ * @returns {Promise<string[]>} - Failures
+ */
+const replayFixture = async (fixture) => {
+  const users = createMemoryTable(fixture.users || []);
+  const workspaces = createMemoryTable(fixture.workspaces || []);
+  const stripe = createFixtureStripe(fixture.stripe);
+  let emails = [];
+
+  const billing = createBillingService({
+    userStore: { findUserByField: users.findByField, updateUser: users.update },
+    workspaceStore: { findWorkspaceByField: workspaces.findByField, updateWorkspace: workspaces.update },
+    notifier: {
+      sendPaymentFailedEmail: async ({ to }) => { emails.push({ type: 'payment_failed', to }); },
+      sendTrialEndingEmail: async ({ to }) => { emails.push({ type: 'trial_ending', to }); }
+    },
+    getStripe: () => stripe,
+    gracePeriodDays: fixture.gracePeriodDays ?? 7,
+    now: () => new Date(fixture.now)
+  });
+
+  const failures = [];
+
+  for (const [index, { event, expected = {} }] of fixture.steps.entries()) {
+    const step = `step ${index + 1} (${event.type})`;
+    emails = [];
+
+    let error = null;
+    try {
+      await billing.applyStripeEvent(event);
+    } catch (applyError) {
+      error = applyError.message;
+    }
+
+    if (Boolean(error) !== Boolean(expected.error) || (error && !error.includes(expected.error))) {
+      failures.push(`${step}: expected ${expected.error ? `error "${expected.error}"` : 'no error'}, got ${error ? `"${error}"` : 'none'}`);
+    }
+
+    failures.push(...[...checkRows('users', users, expected.users), ...checkRows('workspaces', workspaces, expected.workspaces)]
+      .map(mismatch => `${step}: ${mismatch}`));
+
+    const expectedEmails = expected.emails || [];
+    if (JSON.stringify(emails) !== JSON.stringify(expectedEmails)) {
+      failures.push(`${step}: expected emails ${JSON.stringify(expectedEmails)}, got ${JSON.stringify(emails)}`);
+    }
+  }
+
+  return failures;
+};
+
+/**
+ * Replay the recorded Stripe events in src/scripts/fixtures/stripe (or the given fixture files) through
+ * the billing service against in-memory users and workspaces tables, and check the resulting state and emails.
+ * Run with `npm run replay-stripe-fixtures -- [fixture.json ...]`; exits with 1 when a fixture fails.
+ */
+const run = async () => {
+  const files = process.argv.slice(2).length > 0
+    ? process.argv.slice(2)
+    : fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort().map(file => path.join(FIXTURES_DIR, file));
+
+  let failed = 0;
+
+  for (const file of files) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const failures = await replayFixture(fixture);
+
+    if (failures.length === 0) {
+      console.log(`PASS ${path.basename(file)}: ${fixture.description}`);
+    } else {
+      failed++;
+      console.log(`FAIL ${path.basename(file)}: ${fixture.description}`);
+      failures.forEach(failure => console.log(`  ${failure}`));
+    }
+  }
+
+  console.log(`${files.length - failed} of ${files.length} fixtures passed`);
+  if (failed > 0) {
+    throw new Error(`${failed} fixture(s) failed`);
+  }
+};
+
+// Run the main function
+run()
+  .then(() => {
+    console.log('Script completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Script failed:', error.message);
+    process.exit(1);
+  });
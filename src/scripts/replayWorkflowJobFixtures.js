@@ -0,0 +1,123 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { EntitlementError } from '../utils/errorHandler.js';
+
+// The job service's module creates the Supabase client on import; it is never called here, so the replay
+// also runs (e.g. in npm test) where no Supabase project is configured
+dotenv.config();
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'unused';
+
+const { createCountedJobStarter } = await import('../services/jobService.js');
+const { getEntitlements } = await import('../services/entitlementService.js');
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'workflow-jobs');
+
+/**
+ * Make a fixture's workflow requests, as POST /api/complete-workflow does once a request is valid, and check
+ * whether each job was enqueued and the runs counted per account afterwards
+ * @param {Object} fixture - { description, now, users, workspaces, runUsage,
+ *                           requests: [{ account, failEnqueue, expected: { outcome, runUsage } }] } where
+ *                           outcome is enqueued, failed or an entitlement error code
+ * @returns {Promise<string[]>} - Failures
+ */
+const replayFixture = async (fixture) => {
+  const accounts = [...(fixture.users || []), ...(fixture.workspaces || [])];
+  const runUsage = { ...fixture.runUsage };
+  const now = new Date(fixture.now);
+  const failures = [];
+  let failEnqueue = false;
+  let jobCount = 0;
+
+  const enqueueCountedRun = createCountedJobStarter({
+    enqueueRun: async (params) => {
+      if (failEnqueue) {
+        throw new Error('Failed to enqueue workflow job');
+      }
+      jobCount++;
+      return { id: `job_${jobCount}`, status: 'queued', params };
+    },
+    // Runs this month per account ID, against the plan's quota like the user_run_usage counter
+    consumeRun: async (account, entitlements) => {
+      const used = runUsage[account.id] || 0;
+      if (used >= entitlements.runsPerMonth) {
+        throw new EntitlementError(`Your plan's ${entitlements.runsPerMonth} runs for this month are used up`, 'run_quota_exhausted');
+      }
+      runUsage[account.id] = used + 1;
+    },
+    refundRun: async (account) => {
+      runUsage[account.id] = Math.max(0, (runUsage[account.id] || 0) - 1);
+    }
+  });
+
+  for (const [index, { account: accountId, failEnqueue: fail = false, expected = {} }] of fixture.requests.entries()) {
+    const request = `request ${index + 1} (${accountId})`;
+    const account = accounts.find(row => row.id === accountId);
+    failEnqueue = fail;
+
+    let outcome;
+    try {
+      await enqueueCountedRun({ ...account }, getEntitlements(account, now), { userId: accountId }, now);
+      outcome = 'enqueued';
+    } catch (error) {
+      outcome = error instanceof EntitlementError ? error.code : 'failed';
+    }
+
+    if (expected.outcome && outcome !== expected.outcome) {
+      failures.push(`${request}: expected ${expected.outcome}, got ${outcome}`);
+    }
+
+    for (const [id, count] of Object.entries(expected.runUsage || {})) {
+      if ((runUsage[id] || 0) !== count) {
+        failures.push(`${request}: account ${id} expected ${count} runs counted, got ${runUsage[id] || 0}`);
+      }
+    }
+  }
+
+  return failures;
+};
+
+/**
+ * Replay the workflow job fixtures in src/scripts/fixtures/workflow-jobs (or the given fixture files): count runs
+ * and enqueue jobs against in-memory counters, with enqueues that fail, and check the runs each account is charged.
+ * Run with `npm run replay-workflow-job-fixtures -- [fixture.json ...]`; exits with 1 when a fixture fails.
+ * Nothing is read from or written to Supabase.
+ */
+const run = async () => {
+  const files = process.argv.slice(2).length > 0
+    ? process.argv.slice(2)
+    : fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort().map(file => path.join(FIXTURES_DIR, file));
+
+  let failed = 0;
+
+  for (const file of files) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const failures = await replayFixture(fixture);
+
+    if (failures.length === 0) {
+      console.log(`PASS ${path.basename(file)}: ${fixture.description}`);
+    } else {
+      failed++;
+      console.log(`FAIL ${path.basename(file)}: ${fixture.description}`);
+      failures.forEach(failure => console.log(`  ${failure}`));
+    }
+  }
+
+  console.log(`${files.length - failed} of ${files.length} fixtures passed`);
+  if (failed > 0) {
+    throw new Error(`${failed} fixture(s) failed`);
+  }
+};
+
+// Run the main function
+run()
+  .then(() => {
+    console.log('Script completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Script failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,56 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import Stripe from 'stripe';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Sign a Stripe event with STRIPE_WEBHOOK_SECRET and post it to the webhook endpoint, the way Stripe
+ * would deliver it. The file holds an event ({ type, data: { object } }); id and created default to a
+ * new test ID and now, so pass the same file with an id to test a redelivery.
+ * Run with `npm run send-test-webhook -- <event.json> [url]` (default url http://localhost:<PORT>/api/webhook).
+ */
+const run = async () => {
+  const [eventFile, url = `http://localhost:${process.env.PORT || 5001}/api/webhook`] = process.argv.slice(2);
+  if (!eventFile) {
+    throw new Error('Usage: send-test-webhook <event.json> [url]');
+  }
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+  }
+
+  const event = JSON.parse(fs.readFileSync(eventFile, 'utf8'));
+  const payload = JSON.stringify({
+    object: 'event',
+    id: `evt_test_${randomUUID().replace(/-/g, '')}`,
+    created: Math.floor(Date.now() / 1000),
+    ...event
+  });
+
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder');
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET
+  });
+
+  const response = await axios.post(url, payload, {
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    validateStatus: () => true
+  });
+
+  console.log(`Webhook response ${response.status}:`, response.data);
+};
+
+// Run the main function
+run()
+  .then(() => {
+    console.log('Script completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Script failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+import dotenv from 'dotenv';
+import { signHs256Jwt } from '../utils/jwt.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Print an access token signed with SUPABASE_JWT_SECRET, for calling the API locally without Supabase Auth.
+ * Run with an auth user ID, e.g. `npm run sign-token -- <auth-user-id> [email]`, or
+ * `npm run sign-token -- --service` for a service role token.
+ */
+const run = () => {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  if (!secret) {
+    throw new Error('SUPABASE_JWT_SECRET is not set');
+  }
+
+  const [subject, email] = process.argv.slice(2);
+  if (!subject) {
+    throw new Error('Usage: sign-token <auth-user-id> [email] | --service');
+  }
+
+  const payload = subject === '--service'
+    ? { role: 'service_role' }
+    : {
+      sub: subject,
+      email: email || undefined,
+      role: 'authenticated',
+      aud: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated'
+    };
+
+  console.log(signHs256Jwt(payload, secret));
+};
+
+try {
+  run();
+} catch (error) {
+  console.error('Script failed:', error.message);
+  process.exit(1);
+}
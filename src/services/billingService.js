@@ -0,0 +1,490 @@
+import dotenv from 'dotenv';
+import { getPlan, findPlanByPriceId } from './planService.js';
+
+dotenv.config();
+
+// Days a past_due subscription keeps access while Stripe retries the payment
+export const BILLING_GRACE_PERIOD_DAYS = parseFloat(process.env.BILLING_GRACE_PERIOD_DAYS || '7');
+
+// Order the workspace an event is about is looked for in (before any user): lookup key and the workspaces column it matches
+const WORKSPACE_LOOKUP_FIELDS = [
+  ['workspaceId', 'id'],
+  ['subscriptionId', 'subscription_id'],
+  ['customerId', 'stripe_customer_id']
+];
+
+// Order the user an event is about is looked for in: lookup key and the users column it matches
+const USER_LOOKUP_FIELDS = [
+  ['userId', 'id'],
+  ['userId', 'auth_id'],
+  ['subscriptionId', 'subscription_id'],
+  ['customerId', 'stripe_customer_id'],
+  ['email', 'email']
+];
+
+/**
+ * Convert a Stripe timestamp to an ISO string
+ * @param {number} seconds - Unix time in seconds
+ * @returns {string} - ISO timestamp
+ */
+const toIsoString = (seconds) => new Date(seconds * 1000).toISOString();
+
+/**
+ * Subscription an invoice belongs to (invoice.subscription, or invoice.parent.subscription_details in newer API versions)
+ * @param {Object} invoice - Stripe invoice
+ * @returns {string|null} - Subscription ID, or null for one-off invoices
+ */
+export const getInvoiceSubscriptionId = (invoice) => invoice.subscription
+  || (invoice.parent && invoice.parent.subscription_details && invoice.parent.subscription_details.subscription)
+  || null;
+
+/**
+ * What identifies the user or workspace a Stripe event is about
+ * @param {Object} event - Stripe event
+ * @returns {Object|null} - { userId, workspaceId, subscriptionId, customerId, email }, or null when the event
+ *                          doesn't change any account (unhandled types, one-off invoices)
+ */
+export const getEventUserLookup = (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return {
+        userId: (object.metadata && object.metadata.userId) || object.client_reference_id || null,
+        workspaceId: (object.metadata && object.metadata.workspaceId) || null,
+        subscriptionId: object.subscription || null,
+        customerId: object.customer || null,
+        email: (object.customer_details && object.customer_details.email) || object.customer_email || null
+      };
+
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+    case 'customer.subscription.trial_will_end':
+      return { userId: null, workspaceId: null, subscriptionId: object.id, customerId: object.customer || null, email: null };
+
+    case 'invoice.payment_failed':
+    case 'invoice.paid': {
+      const subscriptionId = getInvoiceSubscriptionId(object);
+      if (!subscriptionId) {
+        return null;
+      }
+      return { userId: null, workspaceId: null, subscriptionId, customerId: object.customer || null, email: object.customer_email || null };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Find the user a Stripe event is about: by user ID, then subscription ID, Stripe customer ID and email.
+ * When none match, the Stripe customer's email is tried.
+ * @param {Object} userStore - { findUserByField(field, value) }
+ * @param {Object} lookup - From getEventUserLookup
+ * @param {Function} [getCustomerEmail] - Async function returning a Stripe customer's email
+ * @returns {Promise<Object|null>} - users row, or null when no user matches
+ */
+export const resolveBillingUser = async (userStore, lookup, getCustomerEmail = null) => {
+  for (const [key, field] of USER_LOOKUP_FIELDS) {
+    if (!lookup[key]) continue;
+
+    const user = await userStore.findUserByField(field, lookup[key]);
+    if (user) {
+      return user;
+    }
+  }
+
+  if (getCustomerEmail && lookup.customerId && !lookup.email) {
+    const email = await getCustomerEmail(lookup.customerId);
+    if (email) {
+      return userStore.findUserByField('email', email);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find the workspace a Stripe event is about: by workspace ID (checkout metadata), then subscription ID and
+ * Stripe customer ID. Workspaces are never matched by email, since their billing email is usually a member's.
+ * @param {Object} workspaceStore - { findWorkspaceByField(field, value) }
+ * @param {Object} lookup - From getEventUserLookup
+ * @returns {Promise<Object|null>} - workspaces row, or null when no workspace matches
+ */
+export const resolveBillingWorkspace = async (workspaceStore, lookup) => {
+  for (const [key, field] of WORKSPACE_LOOKUP_FIELDS) {
+    if (!lookup[key]) continue;
+
+    const workspace = await workspaceStore.findWorkspaceByField(field, lookup[key]);
+    if (workspace) {
+      return workspace;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Where an account's billing emails go: a workspace's billing email, or the user's email
+ * @param {Object} account - users or workspaces row
+ * @returns {string|null} - Email address
+ */
+const getBillingEmail = (account) => account.billing_email || account.email || null;
+
+/**
+ * Seat count of a workspace subscription (the quantity of its single item)
+ * @param {Object|null} subscription - Stripe subscription
+ * @returns {Object} - { seat_quantity }, or {} when the subscription has no item
+ */
+const getSeatFields = (subscription) => {
+  const item = subscription && subscription.items && subscription.items.data && subscription.items.data[0];
+  return item && item.quantity ? { seat_quantity: item.quantity } : {};
+};
+
+/**
+ * Stripe IDs to store on an account that was found without them, so later events match directly
+ * @param {Object} user - users or workspaces row
+ * @param {Object} lookup - From getEventUserLookup
+ * @returns {Object} - subscription_id and stripe_customer_id where the user has none
+ */
+const getLinkFields = (user, lookup) => {
+  const fields = {};
+  if (!user.subscription_id && lookup.subscriptionId) {
+    fields.subscription_id = lookup.subscriptionId;
+  }
+  if (!user.stripe_customer_id && lookup.customerId) {
+    fields.stripe_customer_id = lookup.customerId;
+  }
+  return fields;
+};
+
+/**
+ * Plan fields for a subscription, from its price, falling back to the checkout session's metadata
+ * @param {Object|null} subscription - Stripe subscription
+ * @param {Object} [metadata] - Checkout session metadata ({ plan, interval, currency })
+ * @returns {Object} - { plan, plan_interval, plan_currency }, or {} when the plan is unknown
+ */
+const getPlanFields = (subscription, metadata = {}) => {
+  const item = subscription && subscription.items && subscription.items.data && subscription.items.data[0];
+  const match = findPlanByPriceId(item && item.price && item.price.id);
+
+  if (match) {
+    return { plan: match.plan.key, plan_interval: match.interval, plan_currency: match.currency };
+  }
+
+  const plan = getPlan(metadata.plan);
+  if (plan) {
+    return { plan: plan.key, plan_interval: metadata.interval || null, plan_currency: metadata.currency || null };
+  }
+
+  return {};
+};
+
+/**
+ * Mark a subscription past_due and start its grace period. A user already in a grace period keeps
+ * its end date and is only notified when the grace period starts.
+ * @param {Object} user - users row
+ * @param {Date} now - Current time
+ * @param {number} gracePeriodDays - Grace period length
+ * @param {Object} [invoice] - Stripe invoice whose payment failed
+ * @returns {Object} - Transition
+ */
+const getGracePeriodTransition = (user, now, gracePeriodDays, invoice = null) => {
+  const inGracePeriod = user.subscription_status === 'past_due' && Boolean(user.grace_period_ends_at);
+  const gracePeriodEndsAt = inGracePeriod
+    ? user.grace_period_ends_at
+    : new Date(now.getTime() + gracePeriodDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const update = { subscription_status: 'past_due', grace_period_ends_at: gracePeriodEndsAt };
+  if (invoice) {
+    update.last_payment_failed_at = now.toISOString();
+  }
+
+  return {
+    update,
+    notification: inGracePeriod ? null : {
+      type: 'payment_failed',
+      to: getBillingEmail(user) || (invoice && invoice.customer_email) || null,
+      gracePeriodEndsAt,
+      invoiceUrl: invoice ? invoice.hosted_invoice_url || null : null
+    }
+  };
+};
+
+/**
+ * A completed checkout starts the subscription (or its trial) on the plan that was bought
+ * @param {Object} session - Stripe checkout session
+ * @param {Object|null} subscription - The session's subscription
+ * @param {Date} now - Current time
+ * @param {string} accountType - 'user' or 'workspace'
+ * @returns {Object} - Transition
+ */
+const getCheckoutTransition = (session, subscription, now, accountType) => {
+  const isInTrial = Boolean(subscription) && subscription.status === 'trialing';
+
+  // Workspaces have no onboarding; they track their seats instead
+  const accountFields = accountType === 'workspace' ? getSeatFields(subscription) : { onboarding_completed: true };
+
+  return {
+    update: {
+      ...getPlanFields(subscription, session.metadata || {}),
+      ...accountFields,
+      payment_completed: true,
+      payment_date: now.toISOString(),
+      payment_id: session.id,
+      subscription_id: session.subscription || null,
+      stripe_customer_id: session.customer || null,
+      subscription_status: isInTrial ? 'trialing' : 'active',
+      trial_end_date: isInTrial && subscription.trial_end ? toIsoString(subscription.trial_end) : null
+    },
+    notification: null
+  };
+};
+
+/**
+ * A subscription update carries its new status, trial end, cancellation, price (plan changes
+ * made in the customer portal) and, for workspaces, quantity
+ * @param {Object} subscription - Stripe subscription
+ * @param {Object} user - users or workspaces row
+ * @param {Date} now - Current time
+ * @param {number} gracePeriodDays - Grace period length
+ * @param {string} accountType - 'user' or 'workspace'
+ * @returns {Object} - Transition
+ */
+const getSubscriptionUpdatedTransition = (subscription, user, now, gracePeriodDays, accountType) => {
+  const update = {
+    ...getPlanFields(subscription),
+    ...(accountType === 'workspace' ? getSeatFields(subscription) : {}),
+    subscription_status: subscription.status,
+    trial_end_date: subscription.trial_end ? toIsoString(subscription.trial_end) : null
+  };
+
+  // An active subscription past its trial end has been paid for
+  if (subscription.status === 'active' && subscription.trial_end && subscription.trial_end * 1000 < now.getTime()) {
+    update.payment_date = now.toISOString();
+  }
+
+  // A subscription back in good standing ends any grace period
+  if (['active', 'trialing'].includes(subscription.status)) {
+    update.grace_period_ends_at = null;
+  }
+
+  // Access continues until the subscription ends (see entitlementService.getAccessLevel)
+  if (subscription.cancel_at_period_end === true) {
+    const periodEnd = subscription.current_period_end
+      || (subscription.items && subscription.items.data && subscription.items.data[0] && subscription.items.data[0].current_period_end);
+    const endsAt = subscription.cancel_at || periodEnd || subscription.trial_end;
+    update.subscription_status = 'cancelled';
+    update.cancel_at = endsAt ? toIsoString(endsAt) : null;
+  }
+
+  if (update.subscription_status === 'past_due') {
+    const gracePeriod = getGracePeriodTransition(user, now, gracePeriodDays);
+    return { update: { ...update, ...gracePeriod.update }, notification: gracePeriod.notification };
+  }
+
+  return { update, notification: null };
+};
+
+/**
+ * A paid invoice restores an active subscription. $0 invoices (e.g. the one opening a trial) change
+ * nothing unless they settle a past due balance.
+ * @param {Object} invoice - Stripe invoice
+ * @param {Object} user - users row
+ * @param {Date} now - Current time
+ * @returns {Object|null} - Transition
+ */
+const getInvoicePaidTransition = (invoice, user, now) => {
+  const wasPastDue = ['past_due', 'unpaid'].includes(user.subscription_status);
+
+  if (invoice.amount_paid === 0 && !wasPastDue) {
+    return null;
+  }
+
+  return {
+    update: {
+      subscription_status: 'active',
+      grace_period_ends_at: null,
+      payment_completed: true,
+      payment_date: now.toISOString()
+    },
+    notification: null
+  };
+};
+
+/**
+ * Work out how a Stripe event changes a user's or workspace's billing state. Reads nothing but its arguments.
+ * @param {Object} event - Stripe event
+ * @param {Object} user - users or workspaces row the event is about
+ * @param {Object} [context] - What the event doesn't carry
+ * @param {Date} [context.now] - Current time
+ * @param {Object} [context.subscription] - The session's subscription, for checkout.session.completed
+ * @param {number} [context.gracePeriodDays] - Grace period length
+ * @param {string} [context.accountType] - 'user' (default) or 'workspace'
+ * @returns {Object|null} - { update, notification } where update holds users or workspaces columns (or null) and
+ *                          notification is { type: 'payment_failed' | 'trial_ending', to, ... } (or null); null when
+ *                          nothing changes
+ */
+export const getBillingTransition = (event, user, { now = new Date(), subscription = null, gracePeriodDays = BILLING_GRACE_PERIOD_DAYS, accountType = 'user' } = {}) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return getCheckoutTransition(object, subscription, now, accountType);
+
+    case 'customer.subscription.updated':
+      return getSubscriptionUpdatedTransition(object, user, now, gracePeriodDays, accountType);
+
+    case 'customer.subscription.deleted':
+      return {
+        update: {
+          subscription_status: 'cancelled',
+          // Access ends when the subscription ended: at the period end, or straight away for an immediate cancellation
+          cancel_at: object.ended_at || object.current_period_end
+            ? toIsoString(object.ended_at || object.current_period_end)
+            : now.toISOString()
+        },
+        notification: null
+      };
+
+    case 'invoice.payment_failed':
+      return getGracePeriodTransition(user, now, gracePeriodDays, object);
+
+    case 'invoice.paid':
+      return getInvoicePaidTransition(object, user, now);
+
+    case 'customer.subscription.trial_will_end':
+      return {
+        update: null,
+        notification: { type: 'trial_ending', to: getBillingEmail(user), trialEndsAt: new Date(object.trial_end * 1000) }
+      };
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Create a billing service that applies Stripe events to users and workspaces
+ * @param {Object} options - Service dependencies
+ * @param {Object} options.userStore - { findUserByField(field, value), updateUser(id, updateData) }
+ * @param {Object} [options.workspaceStore] - { findWorkspaceByField(field, value), updateWorkspace(id, updateData) };
+ *                                            without it every event is applied to a user
+ * @param {Object} options.notifier - { sendPaymentFailedEmail(details), sendTrialEndingEmail(details) }
+ * @param {Function} [options.getStripe] - Returns the Stripe client, for subscriptions and customers events don't carry
+ * @param {number} [options.gracePeriodDays] - Grace period length (default BILLING_GRACE_PERIOD_DAYS)
+ * @param {Function} [options.now] - Returns the current time
+ * @returns {Object} - Service with an async applyStripeEvent(event)
+ */
+export const createBillingService = ({ userStore, workspaceStore = null, notifier, getStripe = null, gracePeriodDays = BILLING_GRACE_PERIOD_DAYS, now = () => new Date() }) => {
+  const getCustomerEmail = getStripe
+    ? async (customerId) => {
+      try {
+        return (await getStripe().customers.retrieve(customerId)).email || null;
+      } catch (error) {
+        console.error(`Error retrieving Stripe customer ${customerId}:`, error.message);
+        return null;
+      }
+    }
+    : null;
+
+  /**
+   * Send a transition's notification. The state is already saved, so a failure doesn't fail the event.
+   * @param {string} accountLabel - e.g. "user <id>", for the log
+   * @param {Object} notification - Transition notification
+   */
+  const sendNotification = async (accountLabel, { type, ...details }) => {
+    try {
+      if (type === 'payment_failed') {
+        await notifier.sendPaymentFailedEmail(details);
+      } else if (type === 'trial_ending') {
+        await notifier.sendTrialEndingEmail(details);
+      }
+    } catch (error) {
+      console.error(`Error sending ${type} email to ${accountLabel}:`, error);
+    }
+  };
+
+  /**
+   * Find the account an event is about: a workspace when one matches, otherwise a user
+   * @param {Object} lookup - From getEventUserLookup
+   * @returns {Promise<Object|null>} - { accountType, account, update(id, data) }, or null when nothing matches
+   */
+  const resolveAccount = async (lookup) => {
+    const workspace = workspaceStore ? await resolveBillingWorkspace(workspaceStore, lookup) : null;
+    if (workspace) {
+      return { accountType: 'workspace', account: workspace, update: workspaceStore.updateWorkspace };
+    }
+
+    // A checkout for a workspace that no longer exists must not be applied to the owner who paid
+    if (lookup.workspaceId) {
+      return null;
+    }
+
+    const user = await resolveBillingUser(userStore, lookup, getCustomerEmail);
+    return user ? { accountType: 'user', account: user, update: userStore.updateUser } : null;
+  };
+
+  /**
+   * Apply a Stripe event to the user or workspace it is about
+   * @param {Object} event - Verified Stripe event
+   * @returns {Promise<Object>} - { userId, workspaceId, update, notification } (both IDs null for events that
+   *                              don't concern an account)
+   * @throws {Error} - When no account matches or the update fails, so the event is logged as failed and can be replayed
+   */
+  const applyStripeEvent = async (event) => {
+    const lookup = getEventUserLookup(event);
+    if (!lookup) {
+      console.log(`Stripe event ${event.id} (${event.type}) doesn't change any account, ignoring`);
+      return { userId: null, workspaceId: null, update: null, notification: null };
+    }
+
+    const resolved = await resolveAccount(lookup);
+    if (!resolved) {
+      const workspace = lookup.workspaceId ? `workspace ${lookup.workspaceId}, ` : '';
+      throw new Error(`Could not find user for ${event.type} (${workspace}user ${lookup.userId}, subscription ${lookup.subscriptionId}, customer ${lookup.customerId})`);
+    }
+
+    const { accountType, account } = resolved;
+    const accountLabel = `${accountType} ${account.id}`;
+
+    // A checkout session only names its subscription; the trial state comes from Stripe
+    const subscription = event.type === 'checkout.session.completed' && lookup.subscriptionId
+      ? await getStripe().subscriptions.retrieve(lookup.subscriptionId)
+      : null;
+
+    const transition = getBillingTransition(event, account, { now: now(), subscription, gracePeriodDays, accountType });
+    const update = { ...getLinkFields(account, lookup), ...(transition && transition.update) };
+
+    if (Object.keys(update).length > 0) {
+      await resolved.update(account.id, update);
+      console.log(`Stripe event ${event.id} (${event.type}) applied to ${accountLabel}:`, JSON.stringify(update));
+    } else {
+      console.log(`Stripe event ${event.id} (${event.type}) leaves ${accountLabel} unchanged`);
+    }
+
+    const notification = transition && transition.notification;
+    if (notification) {
+      await sendNotification(accountLabel, notification);
+    }
+
+    return {
+      userId: accountType === 'user' ? account.id : null,
+      workspaceId: accountType === 'workspace' ? account.id : null,
+      update,
+      notification
+    };
+  };
+
+  return { applyStripeEvent };
+};
+
+export default {
+  BILLING_GRACE_PERIOD_DAYS,
+  getInvoiceSubscriptionId,
+  getEventUserLookup,
+  resolveBillingUser,
+  resolveBillingWorkspace,
+  getBillingTransition,
+  createBillingService
+};
@@ -0,0 +1,156 @@
+import {
+  createBusiness,
+  updateBusinessById
+} from './supabaseService.js';
+import { ApiError } from '../utils/errorHandler.js';
+
+// Text fields of a profile: request field, businesses column and maximum length
+const TEXT_FIELDS = [
+  ['name', 'name', 100],
+  ['description', 'description', 2000],
+  ['niche', 'niche', 200],
+  ['targetAudience', 'target_audience', 500],
+  ['region', 'region', 10],
+  ['language', 'language', 35],
+  ['brandVoice', 'brand_voice', 500]
+];
+
+const REQUIRED_FIELDS = ['name', 'description'];
+const MAX_COMPETITORS = 20;
+
+/**
+ * Validate a profile from a request body and map it to businesses columns
+ * @param {Object} input - { name, description, niche, targetAudience, region, language, brandVoice, competitors }
+ * @param {boolean} [partial] - Only the given fields are validated (updates); otherwise name and description are required
+ * @returns {Object} - businesses columns
+ * @throws {ApiError} - 400 for a missing or invalid field
+ */
+export const normalizeBusinessInput = (input = {}, partial = false) => {
+  const columns = {};
+
+  for (const [field, column, maxLength] of TEXT_FIELDS) {
+    if (input[field] === undefined) {
+      if (!partial && REQUIRED_FIELDS.includes(field)) {
+        throw new ApiError(`${field} is required`, 400);
+      }
+      continue;
+    }
+
+    const value = input[field] === null ? '' : input[field];
+    if (typeof value !== 'string') {
+      throw new ApiError(`${field} must be a string`, 400);
+    }
+
+    const trimmed = value.trim();
+    if (!trimmed && REQUIRED_FIELDS.includes(field)) {
+      throw new ApiError(`${field} is required`, 400);
+    }
+    if (trimmed.length > maxLength) {
+      throw new ApiError(`${field} must be at most ${maxLength} characters`, 400);
+    }
+
+    columns[column] = trimmed || null;
+  }
+
+  if (columns.region) {
+    columns.region = columns.region.toUpperCase();
+    if (!/^[A-Z]{2}$/.test(columns.region)) {
+      throw new ApiError('region must be a two-letter country code (e.g. US)', 400);
+    }
+  }
+
+  if (input.competitors !== undefined) {
+    const competitors = input.competitors === null ? [] : input.competitors;
+    if (!Array.isArray(competitors) || competitors.some(competitor => typeof competitor !== 'string')) {
+      throw new ApiError('competitors must be an array of names', 400);
+    }
+    if (competitors.length > MAX_COMPETITORS) {
+      throw new ApiError(`At most ${MAX_COMPETITORS} competitors can be listed`, 400);
+    }
+    columns.competitors = [...new Set(competitors.map(competitor => competitor.trim()).filter(Boolean))];
+  }
+
+  return columns;
+};
+
+/**
+ * Business fields returned by the API
+ * @param {Object} business - businesses row
+ * @returns {Object} - Profile with camelCase fields
+ */
+export const formatBusiness = (business) => ({
+  id: business.id,
+  workspaceId: business.workspace_id || null,
+  createdBy: business.user_id,
+  name: business.name || null,
+  description: business.description,
+  niche: business.niche || null,
+  targetAudience: business.target_audience || null,
+  region: business.region || null,
+  language: business.language || null,
+  brandVoice: business.brand_voice || null,
+  competitors: business.competitors || [],
+  createdAt: business.created_at,
+  updatedAt: business.updated_at || null
+});
+
+/**
+ * Describe a business for the LLM prompts, in place of a free-text business description
+ * @param {Object} business - businesses row
+ * @returns {string} - e.g. "Acme Coffee: specialty coffee roaster; niche: ...; competitors: ..."
+ */
+export const describeBusiness = (business) => {
+  const details = [
+    ['niche', business.niche],
+    ['target audience', business.target_audience],
+    ['region', business.region],
+    ['content language', business.language],
+    ['brand voice', business.brand_voice],
+    ['competitors', business.competitors && business.competitors.length > 0 ? business.competitors.join(', ') : null]
+  ].filter(([, value]) => value);
+
+  const summary = business.name ? `${business.name}: ${business.description}` : business.description;
+  return [summary, ...details.map(([label, value]) => `${label}: ${value}`)].join('; ');
+};
+
+/**
+ * Create a business profile for a user, or in a workspace
+ * @param {Object} owner - { userId, workspaceId } (workspaceId null for a personal profile)
+ * @param {Object} input - Profile from the request body (see normalizeBusinessInput)
+ * @returns {Promise<Object>} - businesses row
+ * @throws {ApiError} - 400 for an invalid profile
+ */
+export const createBusinessProfile = async ({ userId, workspaceId = null }, input) => {
+  const business = await createBusiness({
+    ...normalizeBusinessInput(input),
+    user_id: userId,
+    workspace_id: workspaceId
+  });
+
+  console.log(`Created business ${business.id} for ${workspaceId ? `workspace ${workspaceId}` : `user ${userId}`}`);
+  return business;
+};
+
+/**
+ * Update some fields of a business profile
+ * @param {Object} business - businesses row
+ * @param {Object} input - Fields to change (see normalizeBusinessInput)
+ * @returns {Promise<Object>} - Updated businesses row
+ * @throws {ApiError} - 400 for an invalid or empty update
+ */
+export const updateBusinessProfile = async (business, input) => {
+  const columns = normalizeBusinessInput(input, true);
+  if (Object.keys(columns).length === 0) {
+    throw new ApiError('No profile fields to update', 400);
+  }
+
+  return updateBusinessById(business.id, columns);
+};
+
+export default {
+  normalizeBusinessInput,
+  formatBusiness,
+  describeBusiness,
+  createBusinessProfile,
+  updateBusinessProfile
+};
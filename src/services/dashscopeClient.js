@@ -0,0 +1,261 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { DashScopeError } from '../utils/errorHandler.js';
+
+dotenv.config();
+
+// Regional API endpoints; DASHSCOPE_BASE_URL overrides both
+const DASHSCOPE_REGION_BASE_URLS = {
+  intl: 'https://dashscope-intl.aliyuncs.com/api/v1',
+  cn: 'https://dashscope.aliyuncs.com/api/v1'
+};
+
+const MULTIMODAL_GENERATION_PATH = '/services/aigc/multimodal-generation/generation';
+
+const DASHSCOPE_REGION = process.env.DASHSCOPE_REGION || 'intl';
+const DASHSCOPE_BASE_URL = process.env.DASHSCOPE_BASE_URL
+  || DASHSCOPE_REGION_BASE_URLS[DASHSCOPE_REGION]
+  || DASHSCOPE_REGION_BASE_URLS.intl;
+const DASHSCOPE_TIMEOUT_MS = parseInt(process.env.DASHSCOPE_TIMEOUT_MS || '300000', 10); // 5 minutes for video processing
+const DASHSCOPE_MAX_RETRIES = parseInt(process.env.DASHSCOPE_MAX_RETRIES || '2', 10);
+const DASHSCOPE_RETRY_BASE_DELAY_MS = parseInt(process.env.DASHSCOPE_RETRY_BASE_DELAY_MS || '2000', 10);
+
+// Dedicated axios instance so the DashScope base URL never leaks into other API calls
+const dashscopeHttp = axios.create({
+  baseURL: DASHSCOPE_BASE_URL,
+  timeout: DASHSCOPE_TIMEOUT_MS,
+  headers: {
+    'Content-Type': 'application/json',
+    'X-DashScope-DataInspection': 'enable' // Enable data inspection for debugging
+  }
+});
+
+dashscopeHttp.interceptors.request.use((config) => {
+  // Read the key per request so scripts that load .env late still authenticate
+  config.headers.Authorization = `Bearer ${process.env.DASHSCOPE_API_KEY}`;
+  return config;
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read an error body that may be a stream (for streaming requests) into an object
+ * @param {*} data - Response body
+ * @returns {Promise<Object>} - Parsed body, or { message } with the raw text
+ */
+const readErrorBody = async (data) => {
+  if (!data || typeof data.on !== 'function') {
+    return data || {};
+  }
+
+  let text = '';
+  for await (const chunk of data) {
+    text += chunk.toString();
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return { message: text };
+  }
+};
+
+/**
+ * Convert an axios error into a DashScopeError
+ * @param {Error} error - Error thrown by axios
+ * @returns {Promise<DashScopeError>} - Normalized error
+ */
+export const normalizeDashScopeError = async (error) => {
+  if (error instanceof DashScopeError) {
+    return error;
+  }
+
+  if (!error.response) {
+    // Network failure or timeout
+    return new DashScopeError(`DashScope request failed: ${error.message}`, {
+      code: error.code || null,
+      retryable: true
+    });
+  }
+
+  const status = error.response.status;
+  const body = await readErrorBody(error.response.data);
+
+  return new DashScopeError(`DashScope API error (${status}): ${body.message || error.message}`, {
+    status,
+    code: body.code || null,
+    requestId: body.request_id || null,
+    retryable: status === 429 || status >= 500
+  });
+};
+
+/**
+ * Run a DashScope request, retrying rate limits, server errors and network failures with backoff
+ * @param {Function} request - Function that performs the axios request
+ * @returns {Promise<Object>} - Axios response
+ */
+const withRetries = async (request) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const normalizedError = await normalizeDashScopeError(error);
+
+      if (!normalizedError.retryable || attempt >= DASHSCOPE_MAX_RETRIES) {
+        throw normalizedError;
+      }
+
+      const delay = DASHSCOPE_RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+      console.warn(`${normalizedError.message}. Retrying in ${delay}ms (attempt ${attempt + 1} of ${DASHSCOPE_MAX_RETRIES})`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Extract the generated text from a DashScope multimodal response (or stream event)
+ * @param {Object} data - Response body
+ * @returns {string} - Generated text, or an empty string
+ */
+export const extractText = (data) => {
+  const content = data && data.output && data.output.choices && data.output.choices[0]
+    && data.output.choices[0].message && data.output.choices[0].message.content;
+
+  if (Array.isArray(content) && content.length > 0 && content[0].text) {
+    return content[0].text;
+  }
+  return '';
+};
+
+/**
+ * Call the multimodal generation endpoint
+ * @param {Object} requestBody - DashScope request body (model, input, parameters)
+ * @returns {Promise<Object>} - { text, data } with the generated text and the raw response body
+ */
+export const generateMultimodal = async (requestBody) => {
+  const response = await withRetries(() =>
+    dashscopeHttp.post(MULTIMODAL_GENERATION_PATH, requestBody)
+  );
+
+  if (response.data && response.data.code) {
+    throw new DashScopeError(`DashScope API error: ${response.data.message || response.data.code}`, {
+      status: response.status,
+      code: response.data.code,
+      requestId: response.data.request_id || null
+    });
+  }
+
+  const text = extractText(response.data);
+  if (!text) {
+    throw new DashScopeError('DashScope response did not contain any text', {
+      status: response.status,
+      requestId: response.data && response.data.request_id
+    });
+  }
+
+  return { text, data: response.data };
+};
+
+/**
+ * Call the multimodal generation endpoint with Server-Sent Events streaming
+ * @param {Object} requestBody - DashScope request body; streaming parameters are added automatically
+ * @param {Function} [onChunk] - Called with each incremental text chunk
+ * @returns {Promise<Object>} - { text, usage } with the full generated text
+ */
+export const streamMultimodal = async (requestBody, onChunk) => {
+  const streamingBody = {
+    ...requestBody,
+    parameters: {
+      ...(requestBody.parameters || {}),
+      stream: true,
+      incremental_output: true
+    }
+  };
+
+  // Only the connection is retried; a stream that fails midway is reported as an error
+  const response = await withRetries(() =>
+    dashscopeHttp.post(MULTIMODAL_GENERATION_PATH, streamingBody, {
+      headers: { 'Accept': 'text/event-stream' },
+      responseType: 'stream'
+    })
+  );
+
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let fullText = '';
+    let usage = null;
+    let streamError = null;
+
+    // Events are separated by blank lines and may be split across network chunks
+    const processEvent = (rawEvent) => {
+      const dataLines = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim());
+
+      if (dataLines.length === 0) return;
+
+      let data;
+      try {
+        data = JSON.parse(dataLines.join('\n'));
+      } catch (e) {
+        console.log('Error parsing DashScope stream event:', e.message);
+        return;
+      }
+
+      if (data.code) {
+        streamError = new DashScopeError(`DashScope stream error: ${data.message || data.code}`, {
+          code: data.code,
+          requestId: data.request_id || null
+        });
+        return;
+      }
+
+      const text = extractText(data);
+      if (text) {
+        fullText += text;
+        if (onChunk && typeof onChunk === 'function') {
+          onChunk(text);
+        }
+      }
+
+      if (data.usage) {
+        usage = data.usage;
+      }
+    };
+
+    response.data.on('data', (chunk) => {
+      buffer += chunk.toString().replace(/\r\n/g, '\n');
+
+      let separatorIndex;
+      while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+        processEvent(buffer.slice(0, separatorIndex));
+        buffer = buffer.slice(separatorIndex + 2);
+      }
+    });
+
+    response.data.on('end', () => {
+      if (buffer.trim() !== '') {
+        processEvent(buffer);
+      }
+
+      if (streamError) {
+        reject(streamError);
+      } else {
+        resolve({ text: fullText, usage });
+      }
+    });
+
+    response.data.on('error', (error) => {
+      reject(new DashScopeError(`DashScope stream failed: ${error.message}`, { retryable: true }));
+    });
+  });
+};
+
+export default {
+  baseURL: DASHSCOPE_BASE_URL,
+  generateMultimodal,
+  streamMultimodal,
+  extractText,
+  normalizeDashScopeError
+};
@@ -78,6 +78,101 @@ export const sendEmail = async (emailData) => {
   }
 };
 
+/**
+ * Format a date for billing emails
+ * @param {Date|string} date - Date
+ * @returns {string} - e.g. "March 5, 2025"
+ */
+const formatEmailDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Link to the billing page of the frontend
+ * @returns {string} - URL
+ */
+const getBillingUrl = () => `${process.env.FRONTEND_URL || 'https://lazy-trends.com'}/billing`;
+
+/**
+ * Tell a customer their subscription payment failed and when access ends without payment
+ * @param {Object} details - Email details
+ * @param {string} details.to - Customer email
+ * @param {Date|string} details.gracePeriodEndsAt - When access ends unless the payment succeeds
+ * @param {string} [details.invoiceUrl] - Stripe hosted invoice page to pay from
+ * @returns {Promise<Object>} - Email sending result
+ */
+export const sendPaymentFailedEmail = async ({ to, gracePeriodEndsAt, invoiceUrl = null }) => {
+  const payUrl = invoiceUrl || getBillingUrl();
+
+  return sendEmail({
+    to,
+    subject: 'LazyTrend: your payment failed',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #4f46e5;">We couldn't process your payment</h2>
+        <p>The latest payment for your LazyTrend subscription failed. Your access continues until
+          <strong>${formatEmailDate(gracePeriodEndsAt)}</strong>; after that, trend runs are paused until the payment goes through.</p>
+        <p><a href="${payUrl}" style="color: #4f46e5;">Update your payment details</a></p>
+      </div>
+    `
+  });
+};
+
+/**
+ * Remind a customer that their trial is about to end
+ * @param {Object} details - Email details
+ * @param {string} details.to - Customer email
+ * @param {Date|string} details.trialEndsAt - When the trial ends
+ * @returns {Promise<Object>} - Email sending result
+ */
+export const sendTrialEndingEmail = async ({ to, trialEndsAt }) => sendEmail({
+  to,
+  subject: 'LazyTrend: your trial ends soon',
+  html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4f46e5;">Your trial ends on ${formatEmailDate(trialEndsAt)}</h2>
+      <p>Your subscription starts automatically when the trial ends. Make sure your payment details are up to date to keep your trend runs going.</p>
+      <p><a href="${getBillingUrl()}" style="color: #4f46e5;">Manage your subscription</a></p>
+    </div>
+  `
+});
+
+/**
+ * Escape user-provided text for an email body
+ * @param {string} text - Text
+ * @returns {string} - HTML-safe text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Invite someone to join a workspace
+ * @param {Object} details - Email details
+ * @param {string} details.to - Invitee email
+ * @param {string} details.workspaceName - Workspace name
+ * @param {string} [details.inviterEmail] - Email of the member who sent the invitation
+ * @param {string} details.role - Role the invitee gets (owner, editor or viewer)
+ * @param {string} details.acceptUrl - Link that accepts the invitation
+ * @param {Date|string} details.expiresAt - When the invitation expires
+ * @returns {Promise<Object>} - Email sending result
+ */
+export const sendWorkspaceInvitationEmail = async ({ to, workspaceName, inviterEmail = null, role, acceptUrl, expiresAt }) => sendEmail({
+  to,
+  subject: `LazyTrend: join ${workspaceName}`,
+  html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4f46e5;">You're invited to ${escapeHtml(workspaceName)}</h2>
+      <p>${inviterEmail ? escapeHtml(inviterEmail) : 'A teammate'} invited you to join the workspace as ${role === 'viewer' ? 'a' : 'an'} ${role}
+        to share its trend runs and reports. The invitation expires on ${formatEmailDate(expiresAt)}.</p>
+      <p><a href="${acceptUrl}" style="color: #4f46e5;">Accept the invitation</a></p>
+    </div>
+  `
+});
+
 export default {
-  sendEmail
+  sendEmail,
+  sendWorkspaceInvitationEmail,
+  sendPaymentFailedEmail,
+  sendTrialEndingEmail
 };
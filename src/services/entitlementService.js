@@ -0,0 +1,262 @@
+import dotenv from 'dotenv';
+import { DEFAULT_ENTITLEMENTS } from '../config/entitlements.js';
+import { incrementUserRunUsage, decrementUserRunUsage, incrementUserAnalyzedVideoUsage, getUserRunUsage } from './supabaseService.js';
+import { getPlan } from './planService.js';
+import { ApiError, EntitlementError } from '../utils/errorHandler.js';
+
+dotenv.config();
+
+const QUOTA_ENV_NAMES = {
+  runsPerMonth: 'RUNS_PER_MONTH',
+  videosPerRun: 'VIDEOS_PER_RUN',
+  maxVideosPerQuery: 'MAX_VIDEOS_PER_QUERY',
+  analyzedVideosPerMonth: 'ANALYZED_VIDEOS_PER_MONTH'
+};
+
+/**
+ * Work out a user's access level from the billing fields the Stripe webhooks maintain
+ * @param {Object} user - users or workspaces row (subscription_status, trial_end_date, cancel_at, grace_period_ends_at,
+ *                        payment_completed)
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { level: 'active' | 'trial' | 'inactive', reason } where reason explains an inactive level
+ *                     or an active one in a payment grace period
+ */
+export const getAccessLevel = (user, now = new Date()) => {
+  const status = user.subscription_status;
+
+  if (status === 'active') {
+    return { level: 'active', reason: null };
+  }
+
+  if (status === 'trialing') {
+    if (!user.trial_end_date || new Date(user.trial_end_date) > now) {
+      return { level: 'trial', reason: null };
+    }
+    return { level: 'inactive', reason: 'trial_expired' };
+  }
+
+  // Accounts that paid before subscriptions were tracked have no status
+  if (!status && user.payment_completed) {
+    return { level: 'active', reason: null };
+  }
+
+  // Past due accounts keep access while Stripe retries the payment, until their grace period ends
+  if (status === 'past_due' && user.grace_period_ends_at && new Date(user.grace_period_ends_at) > now) {
+    return { level: 'active', reason: 'payment_grace_period' };
+  }
+
+  if (status === 'past_due' || status === 'unpaid') {
+    return { level: 'inactive', reason: 'payment_overdue' };
+  }
+
+  if (status === 'cancelled' || status === 'canceled') {
+    // A cancellation scheduled for the end of the period keeps the access already paid for (or the trial) until then
+    if (user.cancel_at && new Date(user.cancel_at) > now) {
+      const trialing = user.trial_end_date && new Date(user.trial_end_date) > now;
+      return { level: trialing ? 'trial' : 'active', reason: 'cancellation_scheduled' };
+    }
+    return { level: 'inactive', reason: 'subscription_cancelled' };
+  }
+
+  return { level: 'inactive', reason: 'no_subscription' };
+};
+
+/**
+ * Features and quotas for an access level, with environment overrides applied, and then the
+ * plan's own quotas for the level where it has them
+ * @param {string} level - Access level
+ * @param {Object} [plan] - Plan from the catalog
+ * @returns {Object} - { features, runsPerMonth, videosPerRun, maxVideosPerQuery }
+ */
+export const getLevelEntitlements = (level, plan = null) => {
+  const entitlements = { ...DEFAULT_ENTITLEMENTS[level] };
+
+  for (const [quota, envName] of Object.entries(QUOTA_ENV_NAMES)) {
+    const override = parseInt(process.env[`ENTITLEMENTS_${level.toUpperCase()}_${envName}`], 10);
+    if (!Number.isNaN(override)) {
+      entitlements[quota] = override;
+    }
+  }
+
+  // Without a subscription the plan doesn't apply
+  if (plan && level !== 'inactive') {
+    Object.assign(entitlements, plan.entitlements[level]);
+  }
+
+  return entitlements;
+};
+
+/**
+ * Turn a user's billing state and plan into allowed features and quotas. Users without a plan,
+ * or on a plan no longer in the catalog, get the access level's defaults.
+ * @param {Object} user - users or workspaces row (workspaces carry the same billing columns)
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { level, reason, plan, features, runsPerMonth, videosPerRun, maxVideosPerQuery }
+ */
+export const getEntitlements = (user, now = new Date()) => {
+  const { level, reason } = getAccessLevel(user, now);
+  const plan = getPlan(user.plan);
+  return { level, reason, plan: plan ? plan.key : null, ...getLevelEntitlements(level, plan) };
+};
+
+/**
+ * Entitlement fields returned with 402/403 responses so clients can explain the limit
+ * @param {Object} entitlements - From getEntitlements
+ * @returns {Object} - { level, reason, plan, runsPerMonth, videosPerRun, maxVideosPerQuery, analyzedVideosPerMonth }
+ */
+const summarizeEntitlements = ({ level, reason, plan, runsPerMonth, videosPerRun, maxVideosPerQuery, analyzedVideosPerMonth }) => ({
+  level,
+  reason,
+  plan,
+  runsPerMonth,
+  videosPerRun,
+  maxVideosPerQuery,
+  analyzedVideosPerMonth
+});
+
+/**
+ * UTC month that runs are counted in
+ * @param {Date} [now] - Current time
+ * @returns {string} - YYYY-MM
+ */
+export const getUsagePeriod = (now = new Date()) => now.toISOString().slice(0, 7);
+
+/**
+ * Read a requested size as a positive integer, so values like "abc" can't slip past the quota checks
+ * @param {string} name - Field name, for the error message
+ * @param {number|string|null} value - Requested size (numbers or numeric strings from the request body)
+ * @returns {number|null} - Parsed size, or null when none was given
+ * @throws {ApiError} - 400 when the value isn't a positive integer
+ */
+const parseRequestedSize = (name, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof parsed !== 'number' || !Number.isInteger(parsed) || parsed < 1) {
+    throw new ApiError(`${name} must be a positive integer`, 400);
+  }
+  return parsed;
+};
+
+/**
+ * Check that entitlements allow a feature and the size of a request
+ * @param {Object} entitlements - From getEntitlements
+ * @param {string} feature - One of PIPELINE_FEATURES
+ * @param {Object} [usage] - { videosPerQuery, videos } requested, where known
+ * @throws {ApiError} - 400 when videosPerQuery isn't a positive integer
+ * @throws {EntitlementError} - 402 without an active subscription or trial, 403 when the feature or size isn't allowed
+ */
+export const assertEntitled = (entitlements, feature, usage = {}) => {
+  const summary = summarizeEntitlements(entitlements);
+  const videosPerQuery = parseRequestedSize('videosPerQuery', usage.videosPerQuery);
+  const videos = usage.videos === null || usage.videos === undefined ? null : Number(usage.videos);
+
+  if (entitlements.level === 'inactive') {
+    throw new EntitlementError('An active subscription or trial is required', 'subscription_required', 402, summary);
+  }
+
+  if (!entitlements.features.includes(feature)) {
+    throw new EntitlementError(`Your plan does not include ${feature}`, 'feature_not_included', 403, summary);
+  }
+
+  if (videosPerQuery !== null && videosPerQuery > entitlements.maxVideosPerQuery) {
+    throw new EntitlementError(
+      `Your plan allows at most ${entitlements.maxVideosPerQuery} videos per query`,
+      'videos_per_query_exceeded',
+      403,
+      summary
+    );
+  }
+
+  if (videos !== null && videos > entitlements.videosPerRun) {
+    throw new EntitlementError(
+      `Your plan allows at most ${entitlements.videosPerRun} videos per run`,
+      'videos_per_run_exceeded',
+      403,
+      summary
+    );
+  }
+};
+
+/**
+ * Count a run against the account's monthly quota
+ * @param {Object} user - users or workspaces row; runs in a workspace count against the workspace
+ * @param {Object} entitlements - From getEntitlements
+ * @param {Date} [now] - Current time
+ * @throws {EntitlementError} - 403 when the month's runs are used up
+ */
+export const consumeRun = async (user, entitlements, now = new Date()) => {
+  const counted = await incrementUserRunUsage(user.id, getUsagePeriod(now), entitlements.runsPerMonth);
+  if (!counted) {
+    throw new EntitlementError(
+      `Your plan's ${entitlements.runsPerMonth} runs for this month are used up`,
+      'run_quota_exhausted',
+      403,
+      summarizeEntitlements(entitlements)
+    );
+  }
+};
+
+/**
+ * Give back a run counted by consumeRun, for a run that couldn't be started after all
+ * @param {Object} user - users or workspaces row the run was counted against
+ * @param {Date} [now] - Time the run was counted (its month is refunded)
+ */
+export const refundRun = async (user, now = new Date()) => {
+  await decrementUserRunUsage(user.id, getUsagePeriod(now));
+};
+
+/**
+ * Count videos sent to the analyze routes against the account's monthly quota
+ * @param {Object} user - users or workspaces row; analyses in a workspace count against the workspace
+ * @param {Object} entitlements - From getEntitlements
+ * @param {number} count - Videos about to be analyzed
+ * @param {Date} [now] - Current time
+ * @throws {EntitlementError} - 403 when the videos don't fit in what is left of the month's quota
+ */
+export const consumeAnalyzedVideos = async (user, entitlements, count, now = new Date()) => {
+  const counted = await incrementUserAnalyzedVideoUsage(user.id, getUsagePeriod(now), count, entitlements.analyzedVideosPerMonth);
+  if (!counted) {
+    throw new EntitlementError(
+      `Analyzing ${count} video(s) would exceed your plan's ${entitlements.analyzedVideosPerMonth} analyzed videos for this month`,
+      'analysis_quota_exhausted',
+      403,
+      summarizeEntitlements(entitlements)
+    );
+  }
+};
+
+/**
+ * Get a user's entitlements together with this month's usage
+ * @param {Object} user - users or workspaces row
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - Entitlements plus { period, runsUsed, runsRemaining, analyzedVideosUsed, analyzedVideosRemaining }
+ */
+export const getEntitlementsWithUsage = async (user, now = new Date()) => {
+  const entitlements = getEntitlements(user, now);
+  const period = getUsagePeriod(now);
+  const { runs: runsUsed, analyzedVideos: analyzedVideosUsed } = await getUserRunUsage(user.id, period);
+
+  return {
+    ...entitlements,
+    period,
+    runsUsed,
+    runsRemaining: Math.max(0, entitlements.runsPerMonth - runsUsed),
+    analyzedVideosUsed,
+    analyzedVideosRemaining: Math.max(0, entitlements.analyzedVideosPerMonth - analyzedVideosUsed)
+  };
+};
+
+export default {
+  getAccessLevel,
+  getLevelEntitlements,
+  getEntitlements,
+  getUsagePeriod,
+  assertEntitled,
+  consumeRun,
+  refundRun,
+  consumeAnalyzedVideos,
+  getEntitlementsWithUsage
+};
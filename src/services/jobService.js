@@ -0,0 +1,371 @@
+import os from 'os';
+import dotenv from 'dotenv';
+import supabaseService from './supabaseService.js';
+import { WORKFLOW_STEPS, runCompleteWorkflow } from './workflowService.js';
+import { consumeRun as consumeAccountRun, refundRun as refundAccountRun } from './entitlementService.js';
+import { runWithUsageContext } from '../utils/usageContext.js';
+
+dotenv.config();
+
+const supabase = supabaseService.supabase;
+
+// Table holding persisted workflow runs
+const JOBS_TABLE = 'workflow_runs';
+
+// A running job whose heartbeat is older than this is considered abandoned and re-claimed
+const JOB_STALE_AFTER_SECONDS = parseInt(process.env.WORKFLOW_JOB_STALE_AFTER_SECONDS || '600', 10);
+const JOB_HEARTBEAT_INTERVAL_MS = 30000;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.WORKFLOW_JOB_MAX_ATTEMPTS || '3', 10);
+const WORKER_POLL_INTERVAL_MS = parseInt(process.env.WORKFLOW_WORKER_POLL_INTERVAL_MS || '5000', 10);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Build the initial per-step status map for a new job
+ * @returns {Object} - Step name to step status
+ */
+const createInitialSteps = () => WORKFLOW_STEPS.reduce((steps, step) => {
+  steps[step] = { status: 'pending' };
+  return steps;
+}, {});
+
+/**
+ * Enqueue a complete-workflow job
+ * @param {Object} params - Workflow parameters (businessDescription, userId, workspaceId, businessId, videosPerQuery,
+ *                          forceReanalysis, maxVideos, customParams, scheduleId)
+ * @returns {Promise<Object>} - Created job
+ */
+export const enqueueWorkflowJob = async (params) => {
+  try {
+    const { data, error } = await supabase
+      .from(JOBS_TABLE)
+      .insert({
+        user_id: params.userId || null,
+        workspace_id: params.workspaceId || null,
+        business_id: params.businessId || null,
+        status: 'queued',
+        params,
+        steps: createInitialSteps()
+      })
+      .select();
+
+    if (error) {
+      throw new Error(`Error enqueueing workflow job: ${error.message}`);
+    }
+
+    console.log(`Enqueued workflow job: ${data[0].id}`);
+    return data[0];
+  } catch (error) {
+    console.error('Error enqueueing workflow job:', error);
+    throw new Error('Failed to enqueue workflow job');
+  }
+};
+
+/**
+ * Create a function that counts a run against an account's monthly quota and enqueues its workflow job.
+ * A run whose job can't be enqueued is given back, so it doesn't count against the quota.
+ * @param {Object} [deps] - Dependencies
+ * @param {Function} [deps.enqueueRun] - Enqueues workflow params; returns the job (default enqueueWorkflowJob)
+ * @param {Function} [deps.consumeRun] - Counts a run (see entitlementService.consumeRun)
+ * @param {Function} [deps.refundRun] - Gives back a counted run (see entitlementService.refundRun)
+ * @returns {Function} - (account, entitlements, params, now) => the enqueued job; throws the quota's
+ *                       EntitlementError or the enqueue error
+ */
+export const createCountedJobStarter = ({
+  enqueueRun = enqueueWorkflowJob,
+  consumeRun = consumeAccountRun,
+  refundRun = refundAccountRun
+} = {}) => async (account, entitlements, params, now = new Date()) => {
+  await consumeRun(account, entitlements, now);
+
+  try {
+    return await enqueueRun(params);
+  } catch (error) {
+    try {
+      await refundRun(account, now);
+    } catch (refundError) {
+      console.error(`Error refunding a run of account ${account.id}:`, refundError.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Count a run against an account's quota and enqueue its complete-workflow job (see createCountedJobStarter)
+ * @param {Object} account - users or workspaces row the run counts against
+ * @param {Object} entitlements - From getEntitlements
+ * @param {Object} params - Workflow parameters (see enqueueWorkflowJob)
+ * @returns {Promise<Object>} - Created job
+ */
+export const enqueueCountedWorkflowJob = (account, entitlements, params) => createCountedJobStarter()(account, entitlements, params);
+
+/**
+ * Get a workflow job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Job, or null if it does not exist (or the ID isn't a UUID)
+ */
+export const getWorkflowJob = async (jobId) => {
+  // A malformed ID would make the query fail rather than find nothing
+  if (!UUID_PATTERN.test(String(jobId))) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(JOBS_TABLE)
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error getting workflow job: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting workflow job:', error);
+    throw new Error('Failed to get workflow job');
+  }
+};
+
+/**
+ * Update a workflow job
+ * @param {string} jobId - Job ID
+ * @param {Object} updateData - Columns to update
+ * @returns {Promise<Object>} - Updated job
+ */
+const updateWorkflowJob = async (jobId, updateData) => {
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .update({ ...updateData, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select();
+
+  if (error) {
+    throw new Error(`Error updating workflow job ${jobId}: ${error.message}`);
+  }
+
+  return data[0];
+};
+
+/**
+ * Claim the next queued (or abandoned) workflow job for this worker
+ * @param {string} workerId - Identifier of the claiming worker
+ * @returns {Promise<Object|null>} - Claimed job, or null if none is available
+ */
+export const claimNextWorkflowJob = async (workerId) => {
+  const { data, error } = await supabase.rpc('claim_workflow_run', {
+    p_worker_id: workerId,
+    p_stale_after_seconds: JOB_STALE_AFTER_SECONDS
+  });
+
+  if (error) {
+    throw new Error(`Error claiming workflow job: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+/**
+ * Format a job row for API responses
+ * @param {Object} job - Job row
+ * @returns {Object} - Public job representation
+ */
+export const formatWorkflowJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  userId: job.user_id,
+  workspaceId: job.workspace_id || null,
+  businessId: job.business_id || null,
+  params: job.params,
+  steps: job.steps,
+  result: job.result,
+  error: job.error,
+  attempts: job.attempts,
+  createdAt: job.created_at,
+  updatedAt: job.updated_at,
+  startedAt: job.started_at,
+  finishedAt: job.finished_at
+});
+
+/**
+ * Run a claimed workflow job, persisting per-step status, timings and partial results
+ * @param {Object} job - Claimed job row
+ * @returns {Promise<Object>} - Final job row
+ */
+export const processWorkflowJob = async (job) => {
+  console.log(`Processing workflow job ${job.id} (attempt ${job.attempts})`);
+
+  if (job.attempts > JOB_MAX_ATTEMPTS) {
+    console.error(`Workflow job ${job.id} exceeded ${JOB_MAX_ATTEMPTS} attempts`);
+    return updateWorkflowJob(job.id, {
+      status: 'failed',
+      error: job.error || `Job exceeded ${JOB_MAX_ATTEMPTS} attempts`,
+      finished_at: new Date().toISOString(),
+      locked_by: null
+    });
+  }
+
+  const steps = { ...createInitialSteps(), ...job.steps };
+  const checkpoints = { ...(job.checkpoints || {}) };
+
+  // Keep the heartbeat fresh so other workers don't reclaim this job
+  const heartbeat = setInterval(() => {
+    updateWorkflowJob(job.id, { heartbeat_at: new Date().toISOString() })
+      .catch(error => console.error(`Error sending heartbeat for job ${job.id}:`, error.message));
+  }, JOB_HEARTBEAT_INTERVAL_MS);
+
+  try {
+    // Third-party API usage during the run is attributed to the job's user and run
+    const result = await runWithUsageContext(
+      { userId: job.user_id, workflowRunId: job.id },
+      () => runCompleteWorkflow(job.params, {
+        checkpoints,
+        onStepSkipped: async (step, summary) => {
+          steps[step] = { ...steps[step], status: 'completed', reusedCheckpoint: true, result: summary };
+          await updateWorkflowJob(job.id, { steps, heartbeat_at: new Date().toISOString() });
+        },
+        onStepStart: async (step) => {
+          steps[step] = { status: 'running', startedAt: new Date().toISOString() };
+          await updateWorkflowJob(job.id, { steps, heartbeat_at: new Date().toISOString() });
+        },
+        onStepComplete: async (step, summary, checkpoint) => {
+          const finishedAt = new Date();
+          steps[step] = {
+            ...steps[step],
+            status: 'completed',
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt.getTime() - new Date(steps[step].startedAt).getTime(),
+            result: summary
+          };
+          checkpoints[step] = checkpoint;
+          await updateWorkflowJob(job.id, { steps, checkpoints, heartbeat_at: finishedAt.toISOString() });
+        }
+      })
+    );
+
+    console.log(`Workflow job ${job.id} completed`);
+    return await updateWorkflowJob(job.id, {
+      status: 'completed',
+      result,
+      error: null,
+      finished_at: new Date().toISOString(),
+      locked_by: null
+    });
+  } catch (error) {
+    console.error(`Workflow job ${job.id} failed:`, error);
+
+    // Mark whichever step was running as failed
+    for (const step of WORKFLOW_STEPS) {
+      if (steps[step].status === 'running') {
+        steps[step] = { ...steps[step], status: 'failed', error: error.message };
+      }
+    }
+
+    return updateWorkflowJob(job.id, {
+      status: 'failed',
+      steps,
+      error: error.message || 'Failed to complete workflow',
+      finished_at: new Date().toISOString(),
+      locked_by: null
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Re-queue a failed workflow job. Completed steps keep their checkpoints,
+ * so the worker resumes from the first incomplete step.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Re-queued job, or null if it does not exist
+ */
+export const retryWorkflowJob = async (jobId) => {
+  try {
+    const job = await getWorkflowJob(jobId);
+
+    if (!job) {
+      return null;
+    }
+
+    if (job.status !== 'failed') {
+      throw new Error(`Only failed jobs can be retried (job is ${job.status})`);
+    }
+
+    const steps = { ...createInitialSteps(), ...job.steps };
+    for (const step of WORKFLOW_STEPS) {
+      if (steps[step].status !== 'completed') {
+        steps[step] = { status: 'pending' };
+      }
+    }
+
+    console.log(`Retrying workflow job ${jobId}`);
+    return await updateWorkflowJob(jobId, {
+      status: 'queued',
+      steps,
+      error: null,
+      attempts: 0,
+      finished_at: null,
+      locked_by: null
+    });
+  } catch (error) {
+    console.error('Error retrying workflow job:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start polling for workflow jobs and processing them one at a time
+ * @param {Object} [options] - Worker options
+ * @param {string} [options.workerId] - Worker identifier
+ * @param {number} [options.pollIntervalMs] - Delay between polls when the queue is empty
+ * @returns {Function} - Stops the worker once the current job finishes
+ */
+export const startWorkflowWorker = (options = {}) => {
+  const {
+    workerId = `${os.hostname()}-${process.pid}`,
+    pollIntervalMs = WORKER_POLL_INTERVAL_MS
+  } = options;
+
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    if (stopped) return;
+
+    try {
+      const job = await claimNextWorkflowJob(workerId);
+      if (job) {
+        await processWorkflowJob(job);
+        // Look for the next job straight away
+        timer = setTimeout(poll, 0);
+        return;
+      }
+    } catch (error) {
+      console.error('Error polling workflow jobs:', error.message);
+    }
+
+    timer = setTimeout(poll, pollIntervalMs);
+  };
+
+  console.log(`Workflow worker ${workerId} started`);
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    console.log(`Workflow worker ${workerId} stopped`);
+  };
+};
+
+export default {
+  enqueueWorkflowJob,
+  createCountedJobStarter,
+  enqueueCountedWorkflowJob,
+  getWorkflowJob,
+  claimNextWorkflowJob,
+  formatWorkflowJob,
+  processWorkflowJob,
+  retryWorkflowJob,
+  startWorkflowWorker
+};
@@ -0,0 +1,334 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { DEFAULT_MODEL_CHAINS } from '../config/llmModels.js';
+import { LlmError, StructuredOutputError } from '../utils/errorHandler.js';
+import { validateSchema, parseJsonContent } from '../utils/jsonSchema.js';
+import { trackUsage } from './usageService.js';
+
+dotenv.config();
+
+const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+// Retries per model on rate limits (429) and server errors (5xx) before falling back to the next model
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2', 10);
+const LLM_RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000', 10);
+// Longest wait before a retry, however long a provider's Retry-After asks for
+const LLM_RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000', 10);
+const LLM_REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_REQUEST_TIMEOUT_MS || '120000', 10);
+
+// Times an invalid structured response is sent back to the model for repair before giving up
+const LLM_STRUCTURED_MAX_REPAIRS = parseInt(process.env.LLM_STRUCTURED_MAX_REPAIRS || '2', 10);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the plain text of a chat message, whether its content is a string or an array of parts
+ * @param {Object} message - Chat message
+ * @returns {string} - Message text
+ */
+const getMessageText = (message) => {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+  return (message.content || []).map(part => part.text || '').join('\n');
+};
+
+/**
+ * OpenRouter chat completions provider
+ */
+const openrouterProvider = {
+  name: 'openrouter',
+  complete: async ({ model, messages, responseFormat }) => {
+    const requestBody = { model, messages };
+    if (responseFormat) {
+      requestBody.response_format = responseFormat;
+    }
+
+    const response = await axios.post(OPENROUTER_API_URL, requestBody, {
+      headers: {
+        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': 'https://thecompletelazytrend.com',
+        'X-Title': 'The Complete Lazy Trend'
+      },
+      timeout: LLM_REQUEST_TIMEOUT_MS
+    });
+
+    // OpenRouter can return 200 with an error body when the upstream model fails
+    if (response.data.error) {
+      const error = new Error(response.data.error.message || 'OpenRouter returned an error');
+      error.status = response.data.error.code;
+      throw error;
+    }
+
+    if (!response.data.choices || response.data.choices.length === 0) {
+      throw new Error('OpenRouter returned no choices');
+    }
+
+    return {
+      content: response.data.choices[0].message.content,
+      usage: response.data.usage || null
+    };
+  }
+};
+
+// Canned responses used by the stub provider, keyed by task
+const stubResponders = {
+  generateSearchQueries: () => JSON.stringify({
+    queries: ['trending', 'tips', 'howto', 'review', 'dayinthelife']
+  }),
+  reconstructVideos: () => JSON.stringify({
+    observations: 'Stub observations.',
+    keyTakeaways: 'Stub takeaways.',
+    sampleScript: 'Stub script.',
+    technicalSpecifications: '30 seconds, trending audio.',
+    contentThemes: ['Behind the scenes', 'Tutorials'],
+    hashtagStrategy: '#stub #lazytrend',
+    postingFrequency: 'Once a day.'
+  }),
+  summarizeTrends: () => JSON.stringify({
+    trend_observations: 'Stub trend observations.',
+    actionable_insights: ['Stub insight.'],
+    content_ideas: [],
+    hashtag_strategy: ['#stub']
+  })
+};
+
+/**
+ * Local stub provider so the pipeline can run offline (e.g. in tests).
+ * Responses come from registerStubResponse or the built-in defaults above.
+ */
+const stubProvider = {
+  name: 'stub',
+  complete: async ({ task, model, messages }) => {
+    const responder = stubResponders[task];
+    const prompt = messages.map(getMessageText).join('\n');
+    return {
+      content: responder ? responder({ task, model, messages, prompt }) : `Stub response for ${task}`,
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+};
+
+const providers = {
+  [openrouterProvider.name]: openrouterProvider,
+  [stubProvider.name]: stubProvider
+};
+
+/**
+ * Register an LLM provider
+ * @param {Object} provider - Provider with a name and an async complete({ task, model, messages, responseFormat }) method
+ */
+export const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+/**
+ * Set the stub provider's response for a task
+ * @param {string} task - Task name
+ * @param {Function} responder - Receives { task, model, messages, prompt } and returns the response text
+ */
+export const registerStubResponse = (task, responder) => {
+  stubResponders[task] = responder;
+};
+
+/**
+ * Convert a task name to its environment variable, e.g. generateSearchQueries -> LLM_MODELS_GENERATE_SEARCH_QUERIES
+ * @param {string} task - Task name
+ * @returns {string} - Environment variable name
+ */
+const getTaskEnvName = (task) => `LLM_MODELS_${task.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+
+/**
+ * Resolve the ordered model chain for a task.
+ * LLM_PROVIDER=stub forces the stub provider for every task.
+ * @param {string} task - Task name
+ * @returns {Object[]} - Array of { provider, model }
+ */
+export const getModelChain = (task) => {
+  if (process.env.LLM_PROVIDER === 'stub') {
+    return [{ provider: 'stub', model: 'default' }];
+  }
+
+  const configured = process.env[getTaskEnvName(task)];
+  const entries = configured
+    ? configured.split(',').map(entry => entry.trim()).filter(Boolean)
+    : (DEFAULT_MODEL_CHAINS[task] || []);
+
+  return entries.map(entry => {
+    // Split on the first colon only; model names may contain colons (e.g. ":free"), so a prefix that
+    // isn't a provider is part of a bare OpenRouter model name
+    const separatorIndex = entry.indexOf(':');
+    const prefix = separatorIndex === -1 ? null : entry.slice(0, separatorIndex);
+    if (!prefix || !Object.prototype.hasOwnProperty.call(providers, prefix)) {
+      return { provider: 'openrouter', model: entry };
+    }
+    return { provider: prefix, model: entry.slice(separatorIndex + 1) };
+  });
+};
+
+/**
+ * Whether an error from a provider is worth retrying on the same model
+ * @param {Error} error - Provider error
+ * @returns {boolean} - True for rate limits, server errors and network failures
+ */
+const isRetryableError = (error) => {
+  const status = error.response ? error.response.status : error.status;
+  if (!status) {
+    return true;
+  }
+  return status === 429 || status >= 500;
+};
+
+/**
+ * Delay before the next retry: the provider's Retry-After (seconds or an HTTP date) when it sends a
+ * valid one, otherwise exponential backoff, at most LLM_RETRY_MAX_DELAY_MS either way
+ * @param {Error} error - Provider error
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+
+  let delay = null;
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+  }
+  if (delay === null || isNaN(delay) || delay < 0) {
+    delay = LLM_RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+  }
+
+  return Math.min(delay, LLM_RETRY_MAX_DELAY_MS);
+};
+
+/**
+ * Run a chat completion for a task, walking the task's model chain with retries and fallback
+ * @param {string} task - Task name (generateSearchQueries, reconstructVideos, summarizeTrends)
+ * @param {Object[]} messages - Chat messages
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.responseFormat] - Response format passed to providers that support it
+ * @returns {Promise<Object>} - { content, provider, model, usage, latencyMs }
+ */
+export const completeChat = async (task, messages, options = {}) => {
+  const chain = getModelChain(task);
+  const attempts = [];
+
+  if (chain.length === 0) {
+    throw new LlmError(`No models configured for LLM task ${task}`);
+  }
+
+  for (const { provider: providerName, model } of chain) {
+    const provider = providers[providerName];
+
+    if (!provider) {
+      console.error(`Unknown LLM provider "${providerName}" for task ${task}, skipping`);
+      attempts.push({ provider: providerName, model, error: 'Unknown provider' });
+      continue;
+    }
+
+    for (let attempt = 0; attempt <= LLM_MAX_RETRIES; attempt++) {
+      const startedAt = Date.now();
+      try {
+        console.log(`Calling ${providerName}:${model} for ${task} (attempt ${attempt + 1})`);
+        const result = await trackUsage(
+          { provider: providerName, operation: task, model },
+          () => provider.complete({ task, model, messages, responseFormat: options.responseFormat }),
+          ({ usage }) => ({
+            inputTokens: usage ? usage.prompt_tokens : null,
+            outputTokens: usage ? usage.completion_tokens : null,
+            reportedCostUsd: usage ? usage.cost : null
+          })
+        );
+
+        return {
+          content: result.content,
+          usage: result.usage,
+          provider: providerName,
+          model,
+          latencyMs: Date.now() - startedAt
+        };
+      } catch (error) {
+        const status = error.response ? error.response.status : error.status;
+        console.error(`${providerName}:${model} failed for ${task}${status ? ` (status ${status})` : ''}: ${error.message}`);
+        attempts.push({ provider: providerName, model, status, error: error.message });
+
+        if (!isRetryableError(error) || attempt === LLM_MAX_RETRIES) {
+          break;
+        }
+
+        const delay = getRetryDelay(error, attempt);
+        console.log(`Retrying ${providerName}:${model} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+
+    console.warn(`Falling back from ${providerName}:${model} for ${task}`);
+  }
+
+  throw new LlmError(`All models failed for LLM task ${task}`, attempts);
+};
+
+/**
+ * Run a chat completion whose response must be JSON matching a schema.
+ * Invalid responses are sent back to the model with the validation errors,
+ * up to LLM_STRUCTURED_MAX_REPAIRS times.
+ * @param {string} task - Task name
+ * @param {Object[]} messages - Chat messages
+ * @param {Object} schema - JSON schema the response must satisfy (top-level type object)
+ * @returns {Promise<Object>} - { data, content, provider, model, usage, latencyMs }
+ * @throws {StructuredOutputError} - When the response is still invalid after all repairs
+ */
+export const completeStructured = async (task, messages, schema) => {
+  const conversation = [
+    {
+      role: 'system',
+      content: `Respond ONLY with a JSON object that validates against this JSON schema. Do not include any other text or markdown.\n${JSON.stringify(schema)}`
+    },
+    ...messages
+  ];
+
+  let validationErrors = [];
+  let lastContent = null;
+
+  for (let attempt = 0; attempt <= LLM_STRUCTURED_MAX_REPAIRS; attempt++) {
+    const response = await completeChat(task, conversation, { responseFormat: { type: 'json_object' } });
+    lastContent = response.content;
+
+    try {
+      const data = parseJsonContent(response.content);
+      validationErrors = validateSchema(data, schema);
+    } catch (parseError) {
+      validationErrors = [`Response is not valid JSON: ${parseError.message}`];
+    }
+
+    if (validationErrors.length === 0) {
+      return { ...response, data: parseJsonContent(response.content) };
+    }
+
+    console.warn(`Structured output for ${task} failed validation (attempt ${attempt + 1}):`, validationErrors);
+
+    conversation.push(
+      { role: 'assistant', content: response.content || '' },
+      {
+        role: 'user',
+        content: `Your response did not match the required JSON schema:\n- ${validationErrors.join('\n- ')}\nReply again with ONLY the corrected JSON object.`
+      }
+    );
+  }
+
+  throw new StructuredOutputError(
+    `Structured output for LLM task ${task} failed validation`,
+    validationErrors,
+    lastContent
+  );
+};
+
+export default {
+  completeChat,
+  completeStructured,
+  getModelChain,
+  registerProvider,
+  registerStubResponse
+};
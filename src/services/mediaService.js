@@ -0,0 +1,322 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import { uploadVideoToSupabase } from './supabaseService.js';
+import { MediaAcquisitionError } from '../utils/errorHandler.js';
+import { trackUsage } from './usageService.js';
+
+dotenv.config();
+
+// Which resolver turns a scraped video into a downloadable MP4: rapidapi, local or none
+const MEDIA_RESOLVER = process.env.MEDIA_RESOLVER || 'rapidapi';
+
+// Limits for archived videos; the size limit matches the bucket's fileSizeLimit
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || '50000000', 10);
+const MEDIA_MAX_DURATION_SECONDS = parseInt(process.env.MEDIA_MAX_DURATION_SECONDS || '180', 10);
+const MEDIA_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || '120000', 10);
+
+// RapidAPI endpoint that returns a watermark-free MP4 URL for a TikTok page URL
+const MEDIA_RAPIDAPI_HOST = process.env.MEDIA_RAPIDAPI_HOST || 'tiktok-video-no-watermark2.p.rapidapi.com';
+const MEDIA_RAPIDAPI_URL = process.env.MEDIA_RAPIDAPI_URL || `https://${MEDIA_RAPIDAPI_HOST}/`;
+
+// Directory of <tiktokId>.mp4 files used by the local resolver
+const MEDIA_LOCAL_DIR = process.env.MEDIA_LOCAL_DIR || './fixtures/videos';
+
+/**
+ * Resolves MP4 URLs through a RapidAPI TikTok download API
+ */
+const rapidApiResolver = {
+  name: 'rapidapi',
+  resolve: async (video) => {
+    const response = await trackUsage(
+      { provider: 'rapidapi', operation: 'media_resolve', model: MEDIA_RAPIDAPI_HOST, units: 1, unitType: 'request' },
+      () => axios.get(MEDIA_RAPIDAPI_URL, {
+        params: { url: video.originalUrl, hd: '0' },
+        headers: {
+          'X-RapidAPI-Key': process.env.RAPIDAPI_KEY,
+          'X-RapidAPI-Host': MEDIA_RAPIDAPI_HOST
+        },
+        timeout: 30000
+      })
+    );
+
+    const data = response.data && response.data.data;
+    const url = data && (data.play || data.hdplay || data.wmplay);
+    return url ? { url } : null;
+  }
+};
+
+/**
+ * Resolves videos to local files named <tiktokId>.mp4 (falling back to default.mp4), for offline runs and tests
+ */
+const localResolver = {
+  name: 'local',
+  resolve: async (video) => {
+    for (const fileName of [`${video.tiktokId}.mp4`, 'default.mp4']) {
+      const filePath = path.resolve(MEDIA_LOCAL_DIR, fileName);
+      if (fs.existsSync(filePath)) {
+        return { filePath };
+      }
+    }
+    return null;
+  }
+};
+
+/**
+ * Disables media acquisition; videos keep their TikTok page URL
+ */
+const noneResolver = {
+  name: 'none',
+  resolve: async () => null
+};
+
+const resolvers = {
+  [rapidApiResolver.name]: rapidApiResolver,
+  [localResolver.name]: localResolver,
+  [noneResolver.name]: noneResolver
+};
+
+/**
+ * Register a media resolver
+ * @param {Object} resolver - Resolver with a name and an async resolve(video) method returning { url } or { filePath } or null
+ */
+export const registerMediaResolver = (resolver) => {
+  resolvers[resolver.name] = resolver;
+};
+
+/**
+ * Whether media acquisition is enabled
+ * @returns {boolean} - False when MEDIA_RESOLVER is none
+ */
+export const isMediaAcquisitionEnabled = () => MEDIA_RESOLVER !== 'none';
+
+/**
+ * Open a readable stream for a resolved source, rejecting sources that announce a size over the limit
+ * @param {Object} source - { url } or { filePath }
+ * @returns {Promise<Readable>} - Stream of the MP4 bytes
+ */
+const openSourceStream = async (source) => {
+  if (source.filePath) {
+    const { size } = await fs.promises.stat(source.filePath);
+    if (size > MEDIA_MAX_BYTES) {
+      throw new MediaAcquisitionError(`Video is ${size} bytes, over the ${MEDIA_MAX_BYTES} byte limit`, 'too_large');
+    }
+    return fs.createReadStream(source.filePath);
+  }
+
+  let response;
+  try {
+    response = await axios.get(source.url, {
+      responseType: 'stream',
+      timeout: MEDIA_DOWNLOAD_TIMEOUT_MS,
+      maxRedirects: 5
+    });
+  } catch (error) {
+    throw new MediaAcquisitionError(`Error downloading video: ${error.message}`, 'download_failed');
+  }
+
+  const contentLength = parseInt(response.headers['content-length'] || '0', 10);
+  if (contentLength > MEDIA_MAX_BYTES) {
+    response.data.destroy();
+    throw new MediaAcquisitionError(`Video is ${contentLength} bytes, over the ${MEDIA_MAX_BYTES} byte limit`, 'too_large');
+  }
+
+  return response.data;
+};
+
+/**
+ * Copy a stream to a file, aborting once more than MEDIA_MAX_BYTES have been written
+ * @param {Readable} stream - Source stream
+ * @param {string} filePath - Destination file
+ * @returns {Promise<number>} - Number of bytes written
+ */
+const downloadToFile = async (stream, filePath) => {
+  let bytes = 0;
+
+  const sizeLimit = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > MEDIA_MAX_BYTES) {
+        callback(new MediaAcquisitionError(`Video exceeds the ${MEDIA_MAX_BYTES} byte limit`, 'too_large'));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(stream, sizeLimit, fs.createWriteStream(filePath));
+  } catch (error) {
+    if (error instanceof MediaAcquisitionError) {
+      throw error;
+    }
+    throw new MediaAcquisitionError(`Error downloading video: ${error.message}`, 'download_failed');
+  }
+
+  return bytes;
+};
+
+/**
+ * Read an MP4 box header at an offset
+ * @param {FileHandle} handle - Open file
+ * @param {number} offset - Box offset
+ * @param {number} end - Offset where the enclosing box or file ends
+ * @returns {Promise<Object|null>} - { type, size, headerSize }, or null when no complete header fits
+ */
+const readBoxHeader = async (handle, offset, end) => {
+  if (offset + 8 > end) {
+    return null;
+  }
+
+  const header = Buffer.alloc(16);
+  await handle.read(header, 0, 16, offset);
+
+  let size = header.readUInt32BE(0);
+  const type = header.toString('latin1', 4, 8);
+  let headerSize = 8;
+
+  if (size === 1) {
+    // 64-bit largesize follows the type
+    size = Number(header.readBigUInt64BE(8));
+    headerSize = 16;
+  } else if (size === 0) {
+    // Box extends to the end of the file
+    size = end - offset;
+  }
+
+  if (size < headerSize) {
+    return null;
+  }
+
+  return { type, size, headerSize };
+};
+
+/**
+ * Find a child box by type between two offsets
+ * @param {FileHandle} handle - Open file
+ * @param {string} type - Four-character box type
+ * @param {number} start - First child offset
+ * @param {number} end - End of the parent box
+ * @returns {Promise<Object|null>} - { offset, size, headerSize }, or null when not found
+ */
+const findBox = async (handle, type, start, end) => {
+  let offset = start;
+
+  while (offset < end) {
+    const box = await readBoxHeader(handle, offset, end);
+    if (!box) {
+      return null;
+    }
+    if (box.type === type) {
+      return { offset, size: box.size, headerSize: box.headerSize };
+    }
+    offset += box.size;
+  }
+
+  return null;
+};
+
+/**
+ * Read an MP4's duration from its movie header (moov/mvhd), wherever moov sits in the file
+ * @param {string} filePath - MP4 file
+ * @returns {Promise<number|null>} - Duration in seconds, or null when the file has no movie header
+ */
+export const getMp4DurationSeconds = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size: fileSize } = await handle.stat();
+
+    const moov = await findBox(handle, 'moov', 0, fileSize);
+    if (!moov) {
+      return null;
+    }
+
+    const mvhd = await findBox(handle, 'mvhd', moov.offset + moov.headerSize, moov.offset + moov.size);
+    if (!mvhd) {
+      return null;
+    }
+
+    const body = Buffer.alloc(32);
+    await handle.read(body, 0, 32, mvhd.offset + mvhd.headerSize);
+
+    // Version 1 uses 64-bit creation/modification times and duration
+    const version = body.readUInt8(0);
+    const timescale = version === 1 ? body.readUInt32BE(20) : body.readUInt32BE(12);
+    const duration = version === 1 ? Number(body.readBigUInt64BE(24)) : body.readUInt32BE(16);
+
+    return timescale > 0 ? duration / timescale : null;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Resolve, download and archive a scraped video's MP4 in the tiktok-videos bucket.
+ * The file is streamed to a temporary file under the size limit, checked against the duration
+ * limit and then streamed to storage.
+ * @param {Object} video - Scraped video with tiktokId, originalUrl and duration
+ * @returns {Promise<Object>} - { storagePath, storageUrl, sizeBytes, durationSeconds }
+ * @throws {MediaAcquisitionError} - When the video cannot be resolved or breaks a limit
+ */
+export const acquireVideoMedia = async (video) => {
+  // Skip the download when the scraper already reports the video as too long
+  if (video.duration && video.duration > MEDIA_MAX_DURATION_SECONDS) {
+    throw new MediaAcquisitionError(`Video is ${video.duration}s long, over the ${MEDIA_MAX_DURATION_SECONDS}s limit`, 'too_long');
+  }
+
+  const resolver = resolvers[MEDIA_RESOLVER];
+  if (!resolver) {
+    throw new MediaAcquisitionError(`Unknown media resolver "${MEDIA_RESOLVER}"`, 'unresolved');
+  }
+
+  let source;
+  try {
+    source = await resolver.resolve(video);
+  } catch (error) {
+    throw new MediaAcquisitionError(`Media resolver ${resolver.name} failed: ${error.message}`, 'unresolved');
+  }
+
+  if (!source) {
+    throw new MediaAcquisitionError(`Media resolver ${resolver.name} found no MP4 for video ${video.tiktokId}`, 'unresolved');
+  }
+
+  const tempPath = path.join(os.tmpdir(), `lazytrend-${randomUUID()}.mp4`);
+
+  try {
+    const sizeBytes = await downloadToFile(await openSourceStream(source), tempPath);
+
+    const durationSeconds = await getMp4DurationSeconds(tempPath);
+    if (durationSeconds === null) {
+      throw new MediaAcquisitionError('Downloaded file is not an MP4 with a movie header', 'invalid_media');
+    }
+    if (durationSeconds > MEDIA_MAX_DURATION_SECONDS) {
+      throw new MediaAcquisitionError(`Video is ${Math.round(durationSeconds)}s long, over the ${MEDIA_MAX_DURATION_SECONDS}s limit`, 'too_long');
+    }
+
+    const fileName = `${video.tiktokId || randomUUID()}-${Date.now()}.mp4`;
+    const storageUrl = await uploadVideoToSupabase(fs.createReadStream(tempPath), fileName);
+    console.log(`Archived video ${video.tiktokId} (${sizeBytes} bytes, ${Math.round(durationSeconds)}s) to ${fileName}`);
+
+    return {
+      storagePath: `videos/${fileName}`,
+      storageUrl,
+      sizeBytes,
+      durationSeconds
+    };
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
+
+export default {
+  acquireVideoMedia,
+  getMp4DurationSeconds,
+  isMediaAcquisitionEnabled,
+  registerMediaResolver
+};
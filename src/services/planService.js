@@ -0,0 +1,180 @@
+import dotenv from 'dotenv';
+import { BILLING_INTERVALS, DEFAULT_PLAN_KEY, DEFAULT_PLANS } from '../config/plans.js';
+import { ApiError } from '../utils/errorHandler.js';
+
+dotenv.config();
+
+const PRICE_ENV_PATTERN = /^STRIPE_PRICE_([A-Z0-9_]+)_(MONTH|YEAR)_([A-Z]{3})$/;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Copy a plan's price table, leaving out entries that aren't { interval: { currency: priceId } }
+ * so the environment prices don't modify the defaults and a bad entry can't break checkout
+ * @param {string} key - Plan key
+ * @param {*} prices - The plan's prices
+ * @returns {Object} - Valid prices by interval and currency
+ */
+const copyPrices = (key, prices) => {
+  const copy = {};
+  if (prices === undefined) {
+    return copy;
+  }
+  if (!isObject(prices)) {
+    console.error(`Plan config error: ${key}.prices must be an object of billing intervals, ignoring it`);
+    return copy;
+  }
+
+  for (const [interval, byCurrency] of Object.entries(prices)) {
+    if (!BILLING_INTERVALS.includes(interval) || !isObject(byCurrency)) {
+      console.error(`Plan config error: ${key}.prices.${interval} must be one of ${BILLING_INTERVALS.join(', ')} with an object of currencies to price IDs, ignoring it`);
+      continue;
+    }
+
+    copy[interval] = {};
+    for (const [currency, priceId] of Object.entries(byCurrency)) {
+      if (typeof priceId !== 'string' || !priceId) {
+        console.error(`Plan config error: ${key}.prices.${interval}.${currency} must be a Stripe price ID, ignoring it`);
+        continue;
+      }
+      copy[interval][currency.toLowerCase()] = priceId;
+    }
+  }
+
+  return copy;
+};
+
+/**
+ * Plan catalog with the PLANS override and STRIPE_PRICE_<PLAN>_<INTERVAL>_<CURRENCY> prices applied
+ * @returns {Object} - Plans by key
+ */
+const loadPlans = () => {
+  let plans = DEFAULT_PLANS;
+
+  if (process.env.PLANS) {
+    try {
+      plans = JSON.parse(process.env.PLANS);
+    } catch (error) {
+      console.error('Invalid PLANS, using the default plan catalog:', error.message);
+    }
+  }
+
+  const catalog = {};
+  for (const [key, plan] of Object.entries(plans)) {
+    if (!isObject(plan)) {
+      console.error(`Plan config error: plan ${key} must be an object, ignoring it`);
+      continue;
+    }
+    catalog[key] = { ...plan, key, trialDays: plan.trialDays || 0, prices: copyPrices(key, plan.prices), entitlements: plan.entitlements || {} };
+  }
+
+  // STRIPE_PRICE_ID predates the catalog and sets the default plan's monthly USD price
+  if (process.env.STRIPE_PRICE_ID && catalog[DEFAULT_PLAN_KEY]) {
+    catalog[DEFAULT_PLAN_KEY].prices.month = { ...catalog[DEFAULT_PLAN_KEY].prices.month, usd: process.env.STRIPE_PRICE_ID };
+  }
+
+  for (const [name, priceId] of Object.entries(process.env)) {
+    const match = name.match(PRICE_ENV_PATTERN);
+    const key = match && match[1].toLowerCase();
+    if (!match || !priceId) continue;
+
+    if (!catalog[key]) {
+      console.error(`${name} names unknown plan ${key}, ignoring it`);
+      continue;
+    }
+
+    const interval = match[2].toLowerCase();
+    catalog[key].prices[interval] = { ...catalog[key].prices[interval], [match[3].toLowerCase()]: priceId };
+  }
+
+  if (!Object.values(catalog).some(plan => Object.values(plan.prices).some(byCurrency => Object.keys(byCurrency).length > 0))) {
+    console.error('Plan config error: no plan has a Stripe price; set STRIPE_PRICE_ID, STRIPE_PRICE_<PLAN>_<INTERVAL>_<CURRENCY> or PLANS');
+  }
+
+  return catalog;
+};
+
+const plans = loadPlans();
+
+/**
+ * Get a plan from the catalog
+ * @param {string} planKey - Plan key
+ * @returns {Object|null} - Plan ({ key, name, trialDays, prices, entitlements }), or null for an unknown key
+ */
+export const getPlan = (planKey) => (planKey && Object.prototype.hasOwnProperty.call(plans, planKey) ? plans[planKey] : null);
+
+/**
+ * List the plans that can be bought, i.e. that have at least one price
+ * @returns {Object[]} - Plans with their offered { interval, currency } options
+ */
+export const listPlans = () => Object.values(plans)
+  .map(plan => ({
+    ...plan,
+    options: Object.entries(plan.prices).flatMap(([interval, byCurrency]) => Object.entries(byCurrency)
+      .filter(([, priceId]) => Boolean(priceId))
+      .map(([currency]) => ({ interval, currency })))
+  }))
+  .filter(plan => plan.options.length > 0);
+
+/**
+ * Resolve the Stripe price for a plan, interval and currency
+ * @param {Object} selection - Checkout selection
+ * @param {string} [selection.plan] - Plan key (default: DEFAULT_PLAN_KEY)
+ * @param {string} [selection.interval] - Billing interval (default: month)
+ * @param {string} [selection.currency] - ISO currency code (default: usd)
+ * @returns {Object} - { plan, interval, currency, priceId }
+ * @throws {ApiError} - 400 for an unknown plan or an interval and currency the plan isn't offered in,
+ *                      503 when the plan has no price configured at all
+ */
+export const resolvePlanPrice = ({ plan: planKey = DEFAULT_PLAN_KEY, interval = 'month', currency = 'usd' } = {}) => {
+  const plan = getPlan(planKey);
+  if (!plan) {
+    throw new ApiError(`Unknown plan ${planKey}`, 400);
+  }
+
+  if (!BILLING_INTERVALS.includes(interval)) {
+    throw new ApiError(`interval must be one of ${BILLING_INTERVALS.join(', ')}`, 400);
+  }
+
+  if (!Object.values(plan.prices).some(byCurrency => Object.keys(byCurrency).length > 0)) {
+    throw new ApiError(`Plan ${plan.key} has no Stripe price configured`, 503);
+  }
+
+  const normalizedCurrency = String(currency).toLowerCase();
+  const priceId = plan.prices[interval] && plan.prices[interval][normalizedCurrency];
+  if (!priceId) {
+    throw new ApiError(`Plan ${plan.key} is not offered per ${interval} in ${normalizedCurrency.toUpperCase()}`, 400);
+  }
+
+  return { plan, interval, currency: normalizedCurrency, priceId };
+};
+
+/**
+ * Find the plan a Stripe price belongs to
+ * @param {string} priceId - Stripe price ID
+ * @returns {Object|null} - { plan, interval, currency, priceId }, or null for a price outside the catalog
+ */
+export const findPlanByPriceId = (priceId) => {
+  if (!priceId) {
+    return null;
+  }
+
+  for (const plan of Object.values(plans)) {
+    for (const [interval, byCurrency] of Object.entries(plan.prices)) {
+      for (const [currency, id] of Object.entries(byCurrency)) {
+        if (id === priceId) {
+          return { plan, interval, currency, priceId };
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+export default {
+  getPlan,
+  listPlans,
+  resolvePlanPrice,
+  findPlanByPriceId
+};
@@ -1,119 +1,366 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
-import { updateTikTokVideoAnalysis } from './supabaseService.js';
+import { updateTikTokVideoAnalysis, findCachedVideoAnalysis, getTikTokIdFromUrl } from './supabaseService.js';
+import { generateMultimodal, streamMultimodal } from './dashscopeClient.js';
+import { mapWithConcurrency, getRateLimiter } from '../utils/concurrency.js';
+import { validateSchema, parseJsonContent } from '../utils/jsonSchema.js';
+import { StructuredOutputError } from '../utils/errorHandler.js';
+import { trackUsage } from './usageService.js';
 
 dotenv.config();
 
-const DASHSCOPE_API_KEY = process.env.DASHSCOPE_API_KEY;
+// How many videos are analyzed at once, and how many DashScope calls may start per minute
+export const VIDEO_ANALYSIS_CONCURRENCY = parseInt(process.env.VIDEO_ANALYSIS_CONCURRENCY || '3', 10);
+const DASHSCOPE_REQUESTS_PER_MINUTE = parseInt(process.env.DASHSCOPE_REQUESTS_PER_MINUTE || '30', 10);
+
+export const VIDEO_ANALYSIS_MODEL = process.env.VIDEO_ANALYSIS_MODEL || 'qwen2.5-vl-72b-instruct';
+
+// Analyses of the same TikTok video (same model and version) younger than this are reused instead of calling DashScope
+export const ANALYSIS_CACHE_MAX_AGE_DAYS = parseFloat(process.env.ANALYSIS_CACHE_MAX_AGE_DAYS || '7');
+
+// Bump whenever VIDEO_ANALYSIS_SCHEMA or the analysis prompt changes so older rows can be found and re-analyzed
+export const VIDEO_ANALYSIS_VERSION = 1;
+
+const dashscopeRateLimiter = getRateLimiter('dashscope', DASHSCOPE_REQUESTS_PER_MINUTE);
 
 /**
- * Analyze TikTok videos using Qwen's multimodal capabilities
- * @param {Object[]} videos - Array of video data with Supabase URLs
- * @param {string} businessDescription - Description of the business
- * @returns {Promise<Object[]>} - Array of analyzed video data
+ * JSON schema for a single video analysis; stored column-for-column on tiktok_videos
  */
-export const analyzeVideos = async (videos, businessDescription) => {
+export const VIDEO_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'hooks', 'ctas', 'content_style', 'success_factors', 'transcript'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    hooks: { type: 'array', items: { type: 'string' } },
+    ctas: { type: 'array', items: { type: 'string' } },
+    content_style: { type: 'string' },
+    success_factors: { type: 'array', items: { type: 'string' } },
+    transcript: { type: 'string' }
+  }
+};
+
+/**
+ * Build the DashScope request for analyzing a video. The prompt describes the video itself
+ * and is the same for every business, so a stored analysis can be reused across workflows.
+ * @param {Object} video - Video data with supabaseUrl (or storageUrl) and engagement stats
+ * @returns {Object} - DashScope multimodal request body
+ */
+export const buildVideoAnalysisRequest = (video) => {
+  const caption = video.description || video.caption || '';
+
+  return {
+    model: VIDEO_ANALYSIS_MODEL,
+    input: {
+      messages: [
+        {
+          role: "system",
+          content: [{
+            text: "You are an expert at analyzing TikTok marketing strategies. Your task is to analyze the provided video and extract key marketing elements that make it successful. You must return your analysis in a valid JSON format."
+          }]
+        },
+        {
+          role: "user",
+          content: [
+            {
+              video: video.supabaseUrl || video.storageUrl,
+              fps: 1, // Lower fps to reduce data size
+              start_time: 0,
+              end_time: 60 // Limit to first 60 seconds
+            },
+            {
+              text: `Analyze this TikTok video and provide a detailed marketing analysis. The video has ${video.likes || 0} likes, ${video.comments || 0} comments, and ${video.views || 0} views. The caption is: "${caption}".
+
+Your response MUST be a valid JSON object with the following structure:
+{
+  "summary": "A concise, one-paragraph summary of the video's content and marketing angle.",
+  "hooks": [
+    "A list of specific hooks used in the first 3 seconds to grab attention. E.g., 'Uses a controversial statement', 'Starts with a surprising visual'."
+  ],
+  "ctas": [
+    "A list of calls-to-action in the video. E.g., 'Asks users to comment', 'Points to a link in bio'."
+  ],
+  "content_style": "Describe the content style. E.g., 'Fast-paced editing with trending audio', 'User-generated content style', 'Educational tutorial'.",
+  "success_factors": [
+    "A list of key reasons why this video is successful. E.g., 'Relatable humor', 'Addresses a common pain point', 'High production quality'."
+  ],
+  "transcript": "A full transcript of the spoken words in the video. If no speech, return an empty string."
+}`
+            }
+          ]
+        }
+      ]
+    },
+    parameters: {
+      result_format: "message"
+    }
+  };
+};
+
+/**
+ * Make sure a video has an archived file to send to Qwen
+ * @param {Object} video - Video data
+ * @throws {Error} - When media acquisition failed or the video has no URL
+ */
+const assertVideoFile = (video) => {
+  if (!video.supabaseUrl && !video.storageUrl) {
+    throw new Error(`No video file available for video ${video.id}${video.mediaError ? `: ${video.mediaError}` : ''}`);
+  }
+};
+
+/**
+ * Parse and validate a model response against VIDEO_ANALYSIS_SCHEMA
+ * @param {string} content - Model response
+ * @returns {Object} - Analysis with exactly the schema fields
+ * @throws {StructuredOutputError} - When the response is not valid JSON or does not match the schema
+ */
+export const parseVideoAnalysis = (content) => {
+  let data;
   try {
-    const analyzedVideos = [];
+    data = parseJsonContent(content);
+  } catch (parseError) {
+    throw new StructuredOutputError('Video analysis is not valid JSON', [parseError.message], content);
+  }
 
-    for (const video of videos) {
-      console.log(`Analyzing video: ${video.id}`);
+  const validationErrors = validateSchema(data, VIDEO_ANALYSIS_SCHEMA);
+  if (validationErrors.length > 0) {
+    throw new StructuredOutputError('Video analysis failed validation', validationErrors, content);
+  }
 
-      try {
-        // Prepare the request to DashScope API
-        const requestBody = {
-          model: 'qwen2.5-vl-72b-instruct', // Using the model that works with video
-          input: {
-            messages: [
-              {
-                role: "system",
-                content: [{
-                  text: "You are an expert at analyzing TikTok marketing strategies. Your task is to analyze the provided video and extract key marketing elements that make it successful."
-                }]
-              },
-              {
-                role: "user",
-                content: [
-                  {
-                    video: video.supabaseUrl,
-                    fps: 1, // Lower fps to reduce data size
-                    start_time: 0,
-                    end_time: 60 // Limit to first 60 seconds
-                  },
-                  {
-                    text: `Analyze this TikTok video for a ${businessDescription} business. Extract the key marketing elements, content style, hooks used, and why it might be successful. The video has ${video.likes || 0} likes, ${video.comments || 0} comments, and ${video.views || 0} views. The description is: "${video.description || ''}"`
-                  }
-                ]
-              }
-            ]
-          },
-          parameters: {
-            result_format: "message"
-          }
-        };
+  return {
+    summary: data.summary,
+    hooks: data.hooks,
+    ctas: data.ctas,
+    content_style: data.content_style,
+    success_factors: data.success_factors,
+    transcript: data.transcript
+  };
+};
 
-        console.log(`Making API call to DashScope for video: ${video.id}`);
+/**
+ * Read the analysis stored on a tiktok_videos row.
+ * Rows from before analysis versioning may hold a JSON string or free text in summary.
+ * @param {Object} row - tiktok_videos row
+ * @returns {Object|null} - Analysis in the VIDEO_ANALYSIS_SCHEMA shape, or null when the row has none
+ */
+export const getStoredVideoAnalysis = (row) => {
+  if (!row || !row.summary) {
+    return null;
+  }
 
-        // Set base URL for international API
-        axios.defaults.baseURL = 'https://dashscope-intl.aliyuncs.com/api/v1';
+  if (row.analysis_version || row.hooks || row.success_factors) {
+    return {
+      summary: row.summary,
+      hooks: row.hooks || [],
+      ctas: row.ctas || [],
+      content_style: row.content_style || '',
+      success_factors: row.success_factors || [],
+      transcript: row.transcript || ''
+    };
+  }
 
-        const response = await axios.post(
-          '/services/aigc/multimodal-generation/generation',
-          requestBody,
-          {
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${DASHSCOPE_API_KEY}`,
-              'X-DashScope-DataInspection': 'enable' // Enable data inspection for debugging
-            },
-            timeout: 300000 // 5 minutes timeout for longer processing
-          }
-        );
+  try {
+    const parsed = typeof row.summary === 'string' ? JSON.parse(row.summary) : row.summary;
+    if (parsed && typeof parsed === 'object') {
+      return {
+        summary: parsed.summary || '',
+        hooks: parsed.hooks || [],
+        ctas: parsed.ctas || [],
+        content_style: parsed.content_style || '',
+        success_factors: parsed.success_factors || [],
+        transcript: parsed.transcript || row.transcript || ''
+      };
+    }
+  } catch (e) {
+    // Free-text summary from before structured analysis
+  }
 
-        console.log(`Response received for video: ${video.id}`);
+  return {
+    summary: row.summary,
+    hooks: [],
+    ctas: [],
+    content_style: '',
+    success_factors: [],
+    transcript: row.transcript || ''
+  };
+};
 
-        // Extract the analysis from the response
-        const analysis = response.data.output.choices[0].message.content[0].text;
+/**
+ * Save an analysis to the video's database row when the video has one
+ * @param {Object} video - Video data, optionally with dbId
+ * @param {Object} analysis - Parsed analysis
+ * @param {string} [analyzedAt] - When a cached analysis was originally produced
+ * @returns {Promise<string|null>} - last_analyzed_at of the updated row, or null when nothing was saved
+ */
+const saveVideoAnalysis = async (video, analysis, analyzedAt) => {
+  if (!video.dbId) {
+    return null;
+  }
 
-        // Add analysis to video data
-        const analyzedVideo = {
-          ...video,
-          analysis: analysis
-        };
+  try {
+    const updatedVideo = await updateTikTokVideoAnalysis(video.dbId, analysis, {
+      version: VIDEO_ANALYSIS_VERSION,
+      model: VIDEO_ANALYSIS_MODEL,
+      analyzedAt
+    });
+    console.log(`Updated TikTok video with analysis: ${updatedVideo.id}`);
+    return updatedVideo.last_analyzed_at;
+  } catch (dbError) {
+    console.error(`Error updating TikTok video with analysis: ${dbError.message}`);
+    // Continue even if database update fails
+    return null;
+  }
+};
 
-        // Update video with analysis in database if video has dbId
-        if (video.dbId) {
-          try {
-            const analysisData = {
-              summary: analysis,
-              transcript: '', // We don't have transcript extraction yet
-              frameAnalysis: {} // We don't have frame analysis yet
-            };
-
-            const updatedVideo = await updateTikTokVideoAnalysis(video.dbId, analysisData);
-            console.log(`Updated TikTok video with analysis: ${updatedVideo.id}`);
-            analyzedVideo.lastAnalyzedAt = updatedVideo.last_analyzed_at;
-          } catch (dbError) {
-            console.error(`Error updating TikTok video with analysis: ${dbError.message}`);
-            // Continue even if database update fails
-          }
-        }
+/**
+ * Look up a fresh analysis of the same TikTok video made with the current model and schema version
+ * @param {Object} video - Video data with tiktokId (or a TikTok URL in originalUrl / video_url)
+ * @returns {Promise<Object|null>} - tiktok_videos row holding the analysis, or null on a cache miss
+ */
+const findCachedAnalysis = async (video) => {
+  const tiktokId = video.tiktokId || getTikTokIdFromUrl(video.originalUrl || video.video_url);
+  if (!tiktokId || ANALYSIS_CACHE_MAX_AGE_DAYS <= 0) {
+    return null;
+  }
 
-        analyzedVideos.push(analyzedVideo);
+  try {
+    return await findCachedVideoAnalysis(tiktokId, {
+      model: VIDEO_ANALYSIS_MODEL,
+      version: VIDEO_ANALYSIS_VERSION,
+      analyzedAfter: new Date(Date.now() - ANALYSIS_CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error(`Analysis cache lookup failed for video ${video.id}, analyzing it: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Analyze a single TikTok video and validate the result against VIDEO_ANALYSIS_SCHEMA.
+ * A fresh analysis of the same TikTok video is reused unless force is set.
+ * @param {Object} video - Video data with supabaseUrl (or storageUrl)
+ * @param {Object} [options] - Analysis options
+ * @param {boolean} [options.force] - Skip the analysis cache and always call DashScope
+ * @returns {Promise<Object>} - { analysis, model, version, cached, analyzedAt }
+ */
+export const analyzeVideo = async (video, options = {}) => {
+  const cachedRow = options.force ? null : await findCachedAnalysis(video);
+  if (cachedRow) {
+    console.log(`Reusing cached analysis of TikTok video ${cachedRow.tiktok_id} from ${cachedRow.last_analyzed_at}`);
+    return {
+      analysis: getStoredVideoAnalysis(cachedRow),
+      model: cachedRow.analysis_model,
+      version: cachedRow.analysis_version,
+      cached: true,
+      analyzedAt: cachedRow.last_analyzed_at,
+      sourceVideoId: cachedRow.id
+    };
+  }
+
+  assertVideoFile(video);
+  const requestBody = buildVideoAnalysisRequest(video);
+
+  await dashscopeRateLimiter.acquire();
+  console.log(`Making API call to DashScope for video: ${video.id}`);
+
+  const { text } = await trackUsage(
+    getAnalysisUsageEvent(video),
+    () => generateMultimodal(requestBody),
+    ({ data }) => getDashScopeTokens(data && data.usage)
+  );
+  console.log(`Response received for video: ${video.id}`);
+
+  return {
+    analysis: parseVideoAnalysis(text),
+    model: VIDEO_ANALYSIS_MODEL,
+    version: VIDEO_ANALYSIS_VERSION,
+    cached: false,
+    analyzedAt: null
+  };
+};
+
+/**
+ * Usage event for a DashScope video analysis call
+ * @param {Object} video - Video being analyzed
+ * @returns {Object} - Event fields known before the call
+ */
+const getAnalysisUsageEvent = (video) => ({
+  provider: 'dashscope',
+  operation: 'video_analysis',
+  model: VIDEO_ANALYSIS_MODEL,
+  units: video.duration || null,
+  unitType: 'video_second'
+});
+
+/**
+ * Token counts from a DashScope usage object
+ * @param {Object} usage - DashScope usage (input_tokens, output_tokens)
+ * @returns {Object} - { inputTokens, outputTokens }
+ */
+const getDashScopeTokens = (usage) => ({
+  inputTokens: usage ? usage.input_tokens : null,
+  outputTokens: usage ? usage.output_tokens : null
+});
+
+/**
+ * Build the analyzed video and save the analysis to its row, unless the analysis came from that same row
+ * @param {Object} video - Video data
+ * @param {Object} result - Result of analyzeVideo
+ * @returns {Promise<Object>} - Analyzed video data
+ */
+const applyAnalysis = async (video, result) => {
+  const analyzedVideo = {
+    ...video,
+    analysis: result.analysis,
+    analysisVersion: result.version,
+    analysisCached: result.cached
+  };
+
+  if (result.cached && result.sourceVideoId === video.dbId) {
+    analyzedVideo.lastAnalyzedAt = result.analyzedAt;
+    return analyzedVideo;
+  }
+
+  const lastAnalyzedAt = await saveVideoAnalysis(video, result.analysis, result.analyzedAt);
+  if (lastAnalyzedAt) {
+    analyzedVideo.lastAnalyzedAt = lastAnalyzedAt;
+  }
+
+  return analyzedVideo;
+};
+
+/**
+ * Analyze TikTok videos using Qwen's multimodal capabilities.
+ * Videos are analyzed concurrently up to the configured limit; each one succeeds or
+ * fails on its own and results keep the input order.
+ * @param {Object[]} videos - Array of video data with Supabase URLs
+ * @param {string} businessDescription - Description of the business (not part of the analysis prompt)
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.concurrency] - Maximum number of videos analyzed at once
+ * @param {boolean} [options.force] - Re-analyze videos even when a fresh cached analysis exists
+ * @returns {Promise<Object[]>} - Array of analyzed video data
+ */
+export const analyzeVideos = async (videos, businessDescription, options = {}) => {
+  try {
+    const { concurrency = VIDEO_ANALYSIS_CONCURRENCY, force = false } = options;
+    console.log(`Analyzing ${videos.length} videos with concurrency ${concurrency}`);
+
+    return await mapWithConcurrency(videos, concurrency, async (video) => {
+      console.log(`Analyzing video: ${video.id}`);
+
+      try {
+        const analyzedVideo = await applyAnalysis(video, await analyzeVideo(video, { force }));
 
         console.log(`Successfully analyzed video: ${video.id}`);
+        return analyzedVideo;
       } catch (analysisError) {
         console.error(`Error analyzing video ${video.id}:`, analysisError);
-        // Add video with error note
-        analyzedVideos.push({
+        // Return video with error note
+        return {
           ...video,
-          analysis: 'Error analyzing video',
+          analysis: null,
           analysisError: analysisError.message
-        });
+        };
       }
-    }
-
-    return analyzedVideos;
+    });
   } catch (error) {
     console.error('Error analyzing videos:', error);
     throw new Error('Failed to analyze videos');
@@ -121,142 +368,56 @@ export const analyzeVideos = async (videos, businessDescription) => {
 };
 
 /**
- * Analyze a single TikTok video using Qwen's multimodal capabilities with streaming
+ * Analyze a single TikTok video using Qwen's multimodal capabilities with streaming.
+ * Chunks are the raw JSON text as it is generated; the full response is validated once the stream ends.
+ * A fresh cached analysis is returned without streaming any chunks.
  * @param {Object} video - Video data with Supabase URL
- * @param {string} businessDescription - Description of the business
+ * @param {string} businessDescription - Description of the business (not part of the analysis prompt)
  * @param {Function} onChunk - Callback function for each chunk of the response
+ * @param {Object} [options] - Analysis options
+ * @param {boolean} [options.force] - Skip the analysis cache
  * @returns {Promise<Object>} - Analyzed video data
  */
-export const analyzeVideoStreaming = async (video, businessDescription, onChunk) => {
+export const analyzeVideoStreaming = async (video, businessDescription, onChunk, options = {}) => {
   try {
+    const cachedRow = options.force ? null : await findCachedAnalysis(video);
+    if (cachedRow) {
+      console.log(`Reusing cached analysis of TikTok video ${cachedRow.tiktok_id} from ${cachedRow.last_analyzed_at}`);
+      return applyAnalysis(video, {
+        analysis: getStoredVideoAnalysis(cachedRow),
+        version: cachedRow.analysis_version,
+        cached: true,
+        analyzedAt: cachedRow.last_analyzed_at,
+        sourceVideoId: cachedRow.id
+      });
+    }
+
     console.log(`Analyzing video with streaming: ${video.id}`);
 
-    // Prepare the request to DashScope API
-    const requestBody = {
-      model: 'qwen2.5-vl-72b-instruct', // Using the model that works with video
-      input: {
-        messages: [
-          {
-            role: "system",
-            content: [{
-              text: "You are an expert at analyzing TikTok marketing strategies. Your task is to analyze the provided video and extract key marketing elements that make it successful."
-            }]
-          },
-          {
-            role: "user",
-            content: [
-              {
-                video: video.supabaseUrl,
-                fps: 1, // Lower fps to reduce data size
-                start_time: 0,
-                end_time: 60 // Limit to first 60 seconds
-              },
-              {
-                text: `Analyze this TikTok video for a ${businessDescription} business. Extract the key marketing elements, content style, hooks used, and why it might be successful. The video has ${video.likes || 0} likes, ${video.comments || 0} comments, and ${video.views || 0} views. The description is: "${video.description || ''}"`
-              }
-            ]
-          }
-        ]
-      },
-      parameters: {
-        result_format: "message",
-        stream: true,
-        incremental_output: true
-      }
-    };
+    assertVideoFile(video);
+    const requestBody = buildVideoAnalysisRequest(video);
 
+    await dashscopeRateLimiter.acquire();
     console.log(`Making streaming API call to DashScope for video: ${video.id}`);
 
-    // Set base URL for international API
-    axios.defaults.baseURL = 'https://dashscope-intl.aliyuncs.com/api/v1';
-
-    const response = await axios.post(
-      '/services/aigc/multimodal-generation/generation',
-      requestBody,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${DASHSCOPE_API_KEY}`,
-          'X-DashScope-DataInspection': 'enable', // Enable data inspection for debugging
-          'Accept': 'text/event-stream'
-        },
-        responseType: 'stream',
-        timeout: 300000 // 5 minutes timeout for longer processing
-      }
-    );
-
-    console.log(`Stream started for video: ${video.id}`);
-
-    let fullAnalysis = '';
-
-    return new Promise((resolve, reject) => {
-      response.data.on('data', (chunk) => {
-        const chunkStr = chunk.toString();
-
-        // Process each line in the chunk
-        const lines = chunkStr.split('\n');
-        for (const line of lines) {
-          if (line.startsWith('data:')) {
-            try {
-              const data = JSON.parse(line.slice(5));
-
-              if (data.output && data.output.choices && data.output.choices[0].message.content) {
-                const content = data.output.choices[0].message.content;
-                if (content.length > 0 && content[0].text) {
-                  const text = content[0].text;
-
-                  // Call the onChunk callback with the text
-                  if (onChunk && typeof onChunk === 'function') {
-                    onChunk(text);
-                  }
-
-                  fullAnalysis += text;
-                }
-              }
-            } catch (e) {
-              // Skip invalid JSON
-              if (line.slice(5).trim() !== '') {
-                console.log('Error parsing chunk:', e.message);
-              }
-            }
-          }
-        }
-      });
-
-      response.data.on('end', async () => {
-        console.log(`Stream ended for video: ${video.id}`);
-
-        // Create analyzed video object
-        const analyzedVideo = {
-          ...video,
-          analysis: fullAnalysis
-        };
-
-        // Update video with analysis in database if video has dbId
-        if (video.dbId) {
-          try {
-            const analysisData = {
-              summary: fullAnalysis,
-              transcript: '', // We don't have transcript extraction yet
-              frameAnalysis: {} // We don't have frame analysis yet
-            };
-
-            const updatedVideo = await updateTikTokVideoAnalysis(video.dbId, analysisData);
-            console.log(`Updated TikTok video with analysis: ${updatedVideo.id}`);
-            analyzedVideo.lastAnalyzedAt = updatedVideo.last_analyzed_at;
-          } catch (dbError) {
-            console.error(`Error updating TikTok video with analysis: ${dbError.message}`);
-            // Continue even if database update fails
-          }
+    const { text } = await trackUsage(
+      getAnalysisUsageEvent(video),
+      () => streamMultimodal(requestBody, (chunk) => {
+        // Call the onChunk callback with the text
+        if (onChunk && typeof onChunk === 'function') {
+          onChunk(chunk);
         }
+      }),
+      ({ usage }) => getDashScopeTokens(usage)
+    );
 
-        resolve(analyzedVideo);
-      });
+    console.log(`Stream ended for video: ${video.id}`);
 
-      response.data.on('error', (err) => {
-        console.error(`Stream error for video ${video.id}:`, err);
-        reject(err);
-      });
+    return applyAnalysis(video, {
+      analysis: parseVideoAnalysis(text),
+      version: VIDEO_ANALYSIS_VERSION,
+      cached: false,
+      analyzedAt: null
     });
   } catch (error) {
     console.error(`Error analyzing video ${video.id}:`, error);
@@ -265,6 +426,12 @@ export const analyzeVideoStreaming = async (video, businessDescription, onChunk)
 };
 
 export default {
+  VIDEO_ANALYSIS_SCHEMA,
+  VIDEO_ANALYSIS_VERSION,
+  buildVideoAnalysisRequest,
+  parseVideoAnalysis,
+  getStoredVideoAnalysis,
+  analyzeVideo,
   analyzeVideos,
   analyzeVideoStreaming
 };
@@ -1,38 +1,248 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
-import { uploadVideoToSupabase, saveTikTokVideo, saveTrendQuery } from './supabaseService.js';
+import {
+  upsertTikTokVideo,
+  findTikTokVideoByTiktokId,
+  linkVideoToTrendQuery,
+  saveTrendQuery,
+  incrementDailyApiUsage
+} from './supabaseService.js';
+import { acquireVideoMedia, isMediaAcquisitionEnabled } from './mediaService.js';
+import { getTrendSource, resolveTrendSourceChain, parseTrendSearch } from './trendSourceService.js';
 
 dotenv.config();
 
-const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY;
-// Using the TikTok Most Trending and Viral Content API endpoint from RapidAPI (NEW)
-const TIKTOK_TRENDING_API_URL = 'https://tiktok-most-trending-and-viral-content.p.rapidapi.com/video';
-const RAPIDAPI_HOST = 'tiktok-most-trending-and-viral-content.p.rapidapi.com';
+// Videos requested per page from a trend source
+const TRENDING_API_PAGE_SIZE = parseInt(process.env.TRENDING_API_PAGE_SIZE || '10', 10);
+// Trending API requests allowed per scrape (across all queries) and per UTC day (across all scrapes)
+const TRENDING_API_MAX_REQUESTS_PER_SCRAPE = parseInt(process.env.TRENDING_API_MAX_REQUESTS_PER_SCRAPE || '20', 10);
+const TRENDING_API_DAILY_REQUEST_LIMIT = parseInt(process.env.TRENDING_API_DAILY_REQUEST_LIMIT || '500', 10);
 
 /**
- * Scrape TikTok videos based on search queries using the new trending API
- * @param {string[]} searchQueries - Array of search queries
+ * Tracks trending API requests against the per-scrape and per-day budgets
+ */
+const createRequestBudget = () => {
+  let used = 0;
+
+  return {
+    get used() {
+      return used;
+    },
+    /**
+     * Reserve one request
+     * @returns {Promise<string|null>} - null when the request may be made, otherwise which budget is exhausted
+     */
+    reserve: async () => {
+      if (used >= TRENDING_API_MAX_REQUESTS_PER_SCRAPE) {
+        return 'request';
+      }
+
+      if (TRENDING_API_DAILY_REQUEST_LIMIT > 0) {
+        try {
+          const allowed = await incrementDailyApiUsage('rapidapi_trending', TRENDING_API_DAILY_REQUEST_LIMIT);
+          if (!allowed) {
+            return 'daily';
+          }
+        } catch (error) {
+          // Don't block scraping when the usage counter is unavailable
+          console.error(`Could not check the daily trending API budget: ${error.message}`);
+        }
+      }
+
+      used++;
+      return null;
+    }
+  };
+};
+
+/**
+ * Archive and save one video returned by a trend source
+ * @param {Object} video - Normalized video record from trendSourceService
+ * @param {string} query - Search query the video was found for
+ * @param {string|null} trendQueryId - Trend query ID
+ * @param {Object|null} owner - { userId, workspaceId, businessId } the results belong to
+ * @returns {Promise<Object|null>} - Saved video data, or null when the video is invalid or could not be saved
+ */
+const processTrendingVideo = async (video, query, trendQueryId, owner) => {
+  if (!video || !video.tiktokId || !video.author) {
+    console.warn(`Invalid video data for query "${query}". Missing tiktokId or author. Video data:`, video);
+    return null;
+  }
+
+  try {
+    const videoUrl = video.originalUrl;
+    console.log(`Processing video URL: ${videoUrl}`);
+
+    // Use TikTok's oembed service to get thumbnail (most reliable)
+    const thumbnailUrl = `https://www.tiktok.com/oembed?url=${encodeURIComponent(videoUrl)}`;
+
+    const processedVideo = {
+      tiktokId: video.tiktokId,
+      author: video.author,
+      title: video.title || query,
+      description: video.title || query, // Used for caption and hashtags extraction
+      likes: video.likes,
+      comments: video.comments,
+      shares: video.shares,
+      views: video.views,
+      originalUrl: videoUrl, // This will be mapped to video_url in supabaseService
+      supabaseUrl: videoUrl, // Replaced by the archived MP4's storage URL below; mapped to videoUrl in supabaseService
+      storagePath: null,
+      coverUrl: thumbnailUrl, // Generated thumbnail URL
+      searchQuery: query, // Used for context, not directly saved unless part of title/caption
+      duration: video.duration,
+      musicTitle: video.musicTitle || 'N/A',
+      downloadCount: 0, // Trend sources don't provide download counts
+      uploadedAt: video.uploadedAt
+    };
+
+    // A video stored by an earlier run keeps its archived file
+    let existingVideo = null;
+    try {
+      existingVideo = await findTikTokVideoByTiktokId(processedVideo.tiktokId);
+    } catch (lookupError) {
+      console.error(`Error looking up stored video ${processedVideo.tiktokId}: ${lookupError.message}`);
+    }
+
+    if (existingVideo && existingVideo.storage_path && existingVideo.videoUrl) {
+      console.log(`Reusing archived media of stored video ${existingVideo.id}`);
+      processedVideo.supabaseUrl = existingVideo.videoUrl;
+      processedVideo.storagePath = existingVideo.storage_path;
+    } else if (isMediaAcquisitionEnabled()) {
+      // The trending API gives no download URLs, so resolve and archive the MP4 for analysis
+      try {
+        const media = await acquireVideoMedia(processedVideo);
+        processedVideo.supabaseUrl = media.storageUrl;
+        processedVideo.storagePath = media.storagePath;
+      } catch (mediaError) {
+        console.error(`Error acquiring media for video ${processedVideo.tiktokId}: ${mediaError.message}`);
+        // Keep the metadata; analysis reports the missing file instead of sending Qwen a web page
+        processedVideo.supabaseUrl = null;
+        processedVideo.mediaError = mediaError.message;
+      }
+    }
+
+    // Prepare the object for upsertTikTokVideo, aligning with supabaseService.js expectations
+    const videoMetadataToSave = {
+      // Passed for associating trend_query_id
+      userId: owner ? owner.userId : null,
+      workspaceId: owner ? owner.workspaceId || null : null,
+      businessId: owner ? owner.businessId || null : null,
+      tiktok_id: processedVideo.tiktokId,
+      title: processedVideo.title,
+      author: processedVideo.author,
+      likes: processedVideo.likes,
+      shares: processedVideo.shares,
+      views: processedVideo.views,
+      comments: processedVideo.comments, // Only kept in metric snapshots
+      video_url: processedVideo.originalUrl, // Original TikTok URL
+      videoUrl: processedVideo.supabaseUrl, // Supabase storage URL (mapped to 'videoUrl' column)
+      storage_path: processedVideo.storagePath,
+      thumbnail_url: processedVideo.coverUrl,
+      caption: processedVideo.description, // Or a more specific caption field if available
+      duration: processedVideo.duration,
+      music_title: processedVideo.musicTitle,
+      downloads: processedVideo.downloadCount, // Mapping API's download_count to DB's downloads
+      uploaded_at: processedVideo.uploadedAt, // Add the upload date from TikTok API
+      // trend_query_id is handled by upsertTikTokVideo based on the passed trendQueryId or userId
+    };
+
+    try {
+      const { video: savedVideo, created } = await upsertTikTokVideo(videoMetadataToSave, trendQueryId); // Pass trendQueryId explicitly
+      console.log(`${created ? 'Saved' : 'Updated'} TikTok video in database: ${savedVideo.id}`);
+      processedVideo.dbId = savedVideo.id;
+      // Keep archived media on the canonical row even when this scrape could not download it
+      if (!processedVideo.storagePath && savedVideo.storage_path) {
+        processedVideo.supabaseUrl = savedVideo.videoUrl;
+        processedVideo.storagePath = savedVideo.storage_path;
+        delete processedVideo.mediaError;
+      }
+      return processedVideo;
+    } catch (dbError) {
+      console.error(`Error saving TikTok video metadata to database for ${videoUrl}: ${dbError.message}`);
+      return null;
+    }
+  } catch (videoProcessingError) {
+    console.error(`Error processing video ${video.tiktokId} for query "${query}":`, videoProcessingError.message);
+    return null;
+  }
+};
+
+/**
+ * Scrape TikTok videos for search queries, paging through trend sources until each query
+ * has videosPerQuery saved videos, results run out or the request budget is spent.
+ * Queries are keyword searches unless they start with "#" (hashtag) or "@" (creator), or are
+ * { type, value } objects (type: keyword, hashtag, sound or creator).
+ * @param {Array<string|Object>} searchQueries - Array of search queries
  * @param {number} videosPerQuery - Number of videos to fetch per query (default: 5)
- * @param {string} userId - User ID to associate trend queries with
- * @param {Object} customParams - Custom search parameters (sorting, days, videosLocation)
- * @returns {Promise<Object[]>} - Array of video data with Supabase URLs
+ * @param {Object|null} owner - { userId, workspaceId, businessId } to save trend queries for (workspaceId null for
+ *                              personal runs, businessId null without a business profile);
+ *                              null to skip saving trend queries
+ * @param {Object} customParams - Custom search parameters: providers (trend sources to try in order,
+ *                                array or comma-separated), searchType (type of plain string queries)
+ *                                and provider options such as sorting, days and videosLocation
+ * @param {Function} onVideoScraped - Optional callback called with each saved video
+ * @returns {Promise<Object>} - { videos, queryReports } where each report has query, searchType, provider,
+ *          requested, returned, duplicates (videos already returned for an earlier query), pagesFetched and
+ *          stopReason (fulfilled, exhausted, unsupported, request_budget, daily_budget or error)
+ * @throws {TrendSourceError} - When customParams.providers names an unknown provider
  */
-export const scrapeTikTokVideos = async (searchQueries, videosPerQuery = 5, userId = null, customParams = {}) => {
+export const scrapeTikTokVideosWithReport = async (searchQueries, videosPerQuery = 5, owner = null, customParams = {}, onVideoScraped = null) => {
+  const providerChain = resolveTrendSourceChain(customParams.providers);
+
   try {
     const allVideos = [];
-    let totalScrapedVideos = 0; // Keep track of total videos scraped across all queries
+    const queryReports = [];
+    const budget = createRequestBudget();
+    // Videos already saved in this scrape by TikTok ID, so a video found by several queries is returned once
+    const scrapedVideos = new Map();
 
     // Process each search query
-    for (const query of searchQueries) {
+    for (const searchQuery of searchQueries) {
+      const report = {
+        query: typeof searchQuery === 'string' ? searchQuery : String(searchQuery && searchQuery.value),
+        searchType: null,
+        provider: null,
+        requested: videosPerQuery,
+        returned: 0,
+        duplicates: 0,
+        pagesFetched: 0,
+        stopReason: 'exhausted'
+      };
+      queryReports.push(report);
+
+      let search;
+      try {
+        search = parseTrendSearch(searchQuery, customParams.searchType);
+      } catch (searchError) {
+        console.error(`Skipping query "${report.query}": ${searchError.message}`);
+        report.stopReason = 'error';
+        continue;
+      }
+
+      const query = search.label;
+      report.query = query;
+      report.searchType = search.type;
       console.log(`Processing query: "${query}"`);
 
-      // Save trend query to database if userId is provided
+      const providers = providerChain
+        .map(getTrendSource)
+        .filter(provider => provider.searchTypes.includes(search.type));
+
+      if (providers.length === 0) {
+        console.warn(`No trend source in [${providerChain.join(', ')}] supports ${search.type} searches, skipping "${query}"`);
+        report.stopReason = 'unsupported';
+        continue;
+      }
+
+      // Save trend query to database if an owner is provided
       let trendQueryId = null;
-      if (userId) {
+      if (owner && owner.userId) {
         try {
-          console.log(`Attempting to save trend query with userId: ${userId}`);
+          console.log(`Attempting to save trend query with userId: ${owner.userId}${owner.workspaceId ? ` in workspace ${owner.workspaceId}` : ''}`);
           const savedQuery = await saveTrendQuery({
-            userId,
+            userId: owner.userId,
+            workspaceId: owner.workspaceId || null,
+            businessId: owner.businessId || null,
             query
           });
           trendQueryId = savedQuery.id;
@@ -45,164 +255,131 @@ export const scrapeTikTokVideos = async (searchQueries, videosPerQuery = 5, user
         console.log('No userId provided, skipping trend query database save');
       }
 
-      try {
-        // Extract custom parameters with defaults
-        const {
-          sorting = 'rise', // 'rise' or 'rate'
-          days = 7, // 1, 7, or 30
-          videosLocation = null // country code like 'CH', 'US', etc.
-        } = customParams;
-
-        // Search for TikTok videos using the new Trending API
-        console.log(`Searching TikTok for: "${query}" with sorting: ${sorting}, days: ${days}, location: ${videosLocation || 'worldwide'}`);
-        
-        const searchParams = {
-          take: '1', // Only fetch 1 video for testing
-          sorting: sorting,
-          search: query,
-          days: days.toString(),
-          order: 'desc'
-        };
-
-        // Add location filter if specified
-        if (videosLocation && videosLocation.trim() !== '') {
-          searchParams.videosLocation = videosLocation;
-        }
+      let providerIndex = 0;
+      let skip = 0;
 
-        console.log(`Search parameters for "${query}":`, searchParams);
+      while (report.returned < videosPerQuery) {
+        const provider = providers[providerIndex];
 
-        const searchResponse = await axios.get(TIKTOK_TRENDING_API_URL, {
-          params: searchParams,
-          headers: {
-            'X-RapidAPI-Key': RAPIDAPI_KEY,
-            'X-RapidAPI-Host': RAPIDAPI_HOST
+        if (provider.budgeted) {
+          const exhaustedBudget = await budget.reserve();
+          if (exhaustedBudget) {
+            console.warn(`Trending API ${exhaustedBudget} budget exhausted, stopping query "${query}" at ${report.returned}/${videosPerQuery} videos`);
+            report.stopReason = `${exhaustedBudget}_budget`;
+            break;
           }
-        });
+        }
 
-        console.log(`Search API response for query "${query}":`, JSON.stringify(searchResponse.data, null, 2));
+        let page;
+        try {
+          console.log(`Searching ${provider.name} for: "${query}" (page ${report.pagesFetched + 1}, skip ${skip})`);
+          page = await provider.search({
+            type: search.type,
+            value: search.value,
+            take: TRENDING_API_PAGE_SIZE,
+            skip,
+            params: customParams
+          });
+          report.pagesFetched++;
+          report.provider = provider.name;
+        } catch (searchApiError) {
+          console.error(`Error searching ${provider.name} for query "${query}":`, searchApiError.message);
+          if (searchApiError.response) {
+            console.error('Search API Error Response Data:', searchApiError.response.data);
+          }
 
-        // Parse the new API response structure
-        if (!searchResponse.data || !searchResponse.data.data || !searchResponse.data.data.stats || !Array.isArray(searchResponse.data.data.stats)) {
-          console.warn(`No search results or error for query: "${query}". API Response structure invalid`);
-          console.warn(`Response data keys:`, searchResponse.data ? Object.keys(searchResponse.data) : 'No data');
-          if (searchResponse.data && searchResponse.data.data) {
-            console.warn(`Response data.data keys:`, Object.keys(searchResponse.data.data));
+          // Page offsets differ between providers, so only fall back before the first page
+          if (report.pagesFetched === 0 && providerIndex < providers.length - 1) {
+            providerIndex++;
+            console.warn(`Falling back to ${providers[providerIndex].name} for query "${query}"`);
+            continue;
           }
-          continue;
+
+          report.stopReason = 'error';
+          break;
         }
 
-        const videosFromApi = searchResponse.data.data.stats;
-        console.log(`Found ${videosFromApi.length} videos from API for query: "${query}" (sorting: ${sorting}, days: ${days})`);
+        if (page.videos.length === 0 && !page.hasMore) {
+          report.stopReason = 'exhausted';
+          break;
+        }
 
-        // Process up to videosPerQuery videos from search results
-        const videosToProcess = videosFromApi.slice(0, videosPerQuery);
-        console.log(`Attempting to process ${videosToProcess.length} trending videos for query: "${query}"`);
+        console.log(`Found ${page.videos.length} videos on page ${report.pagesFetched} for query: "${query}"`);
 
-        for (let i = 0; i < videosToProcess.length; i++) {
-          const video = videosToProcess[i];
-          // console.log(`Video ${i} raw data for query "${query}":`, JSON.stringify(video, null, 2));
+        for (const video of page.videos) {
+          if (report.returned >= videosPerQuery) {
+            break;
+          }
 
-          // Validate required video data from new API format
-          if (!video || !video.videoId || !video.authorName) {
-            console.warn(`Invalid video data at index ${i} for query "${query}". Missing videoId or authorName. Video data:`, video);
+          const duplicate = scrapedVideos.get(video.tiktokId);
+          if (duplicate) {
+            // Already returned for an earlier query; only record that this query surfaced it too
+            report.duplicates++;
+            if (trendQueryId) {
+              try {
+                await linkVideoToTrendQuery(duplicate.dbId, trendQueryId);
+              } catch (linkError) {
+                console.error(`Error linking duplicate video ${duplicate.dbId} to query "${query}": ${linkError.message}`);
+              }
+            }
             continue;
           }
 
-          try {
-            const videoUrl = video.videoUrl || `https://www.tiktok.com/@${video.authorName}/video/${video.videoId}`;
-            console.log(`Processing video URL: ${videoUrl}`);
-
-            // Generate thumbnail URL - use a more reliable approach
-            let thumbnailUrl = null;
-            
-            if (video.videoId) {
-              // Use TikTok's oembed service to get thumbnail (most reliable)
-              thumbnailUrl = `https://www.tiktok.com/oembed?url=${encodeURIComponent(videoUrl)}`;
-            }
-            
-            // Fallback to a TikTok placeholder image if no thumbnail available
-            if (!thumbnailUrl) {
-              thumbnailUrl = 'https://lf16-tiktok-web.ttwstatic.com/obj/tiktok-web/tiktok/webapp/main/webapp-mobile/8152caf0c8e8bc67ae23.png';
-            }
+          const processedVideo = await processTrendingVideo(video, query, trendQueryId, owner);
+          if (!processedVideo) {
+            continue;
+          }
 
-            console.log(`Generated thumbnail URL: ${thumbnailUrl}`);
-
-            // Note: New API doesn't provide direct download URLs, so we'll store the TikTok URL
-            // and skip the video downloading/uploading part for now
-            let supabaseUrl = videoUrl; // Use the TikTok URL directly
-
-            const processedVideo = {
-              author: video.authorName || video.user || 'Unknown Author',
-              title: video.videoTitle || query,
-              description: video.videoTitle || query, // Used for caption and hashtags extraction
-              likes: video.likes || 0,
-              comments: video.commentsCount || 0,
-              shares: video.shares || 0,
-              views: video.playCount || 0,
-              originalUrl: videoUrl, // This will be mapped to video_url in supabaseService
-              supabaseUrl: supabaseUrl, // This will be mapped to videoUrl in supabaseService
-              coverUrl: thumbnailUrl, // Generated thumbnail URL
-              searchQuery: query, // Used for context, not directly saved unless part of title/caption
-              duration: video.videoDuration || 0,
-              musicTitle: video.musicTitle || 'N/A',
-              downloadCount: 0, // New API doesn't provide download count
-              uploadedAt: video.videoCreateTime || null // Capture upload date from API
-            };
-
-            try {
-              // Prepare the object for saveTikTokVideo, aligning with supabaseService.js expectations
-              const videoMetadataToSave = {
-                userId, // Passed for associating trend_query_id
-                title: processedVideo.title,
-                author: processedVideo.author,
-                likes: processedVideo.likes,
-                shares: processedVideo.shares,
-                views: processedVideo.views,
-                video_url: processedVideo.originalUrl, // Original TikTok URL
-                videoUrl: processedVideo.supabaseUrl, // Supabase storage URL (mapped to 'videoUrl' column)
-                thumbnail_url: processedVideo.coverUrl,
-                caption: processedVideo.description, // Or a more specific caption field if available
-                duration: processedVideo.duration,
-                music_title: processedVideo.musicTitle,
-                downloads: processedVideo.downloadCount, // Mapping API's download_count to DB's downloads
-                uploaded_at: processedVideo.uploadedAt, // Add the upload date from TikTok API
-                // trend_query_id is handled by saveTikTokVideo based on the passed trendQueryId or userId
-              };
-              
-              // console.log(`Video metadata prepared for DB:`, JSON.stringify(videoMetadataToSave, null, 2));
-
-              const savedVideo = await saveTikTokVideo(videoMetadataToSave, trendQueryId); // Pass trendQueryId explicitly
-              console.log(`Saved TikTok video to database: ${savedVideo.id}`);
-              processedVideo.dbId = savedVideo.id;
-              allVideos.push(processedVideo);
-              totalScrapedVideos++; // Increment count of successfully scraped and saved videos
-              console.log(`Successfully processed and saved video: ${processedVideo.id} for query "${query}"`);
-
-            } catch (dbError) {
-              console.error(`Error saving TikTok video metadata to database for ${videoUrl}: ${dbError.message}`);
-              // Decide if we should continue or count this as a failure
-            }
-          } catch (videoProcessingError) {
-            console.error(`Error processing video ${video.video_id} for query "${query}":`, videoProcessingError.message);
+          scrapedVideos.set(processedVideo.tiktokId, processedVideo);
+          allVideos.push(processedVideo);
+          report.returned++;
+          if (onVideoScraped && typeof onVideoScraped === 'function') {
+            onVideoScraped(processedVideo);
           }
-        } // End of for loop for videos in a query
-      } catch (searchApiError) {
-        console.error(`Error searching TikTok for query "${query}":`, searchApiError.message);
-        if (searchApiError.response) {
-          console.error('Search API Error Response Data:', searchApiError.response.data);
+          console.log(`Successfully processed and saved video: ${processedVideo.tiktokId} for query "${query}"`);
+        }
+
+        if (report.returned >= videosPerQuery) {
+          report.stopReason = 'fulfilled';
+          break;
+        }
+
+        if (!page.hasMore) {
+          report.stopReason = 'exhausted';
+          break;
         }
+
+        skip += TRENDING_API_PAGE_SIZE;
       }
+
+      console.log(`Query "${query}" returned ${report.returned}/${videosPerQuery} videos (${report.duplicates} duplicates) from ${report.pagesFetched} ${report.provider || 'trend source'} pages (${report.stopReason})`);
     } // End of for loop for searchQueries
 
-    console.log(`Total videos scraped and processed across all queries: ${totalScrapedVideos}`);
-    console.log(`Total videos in allVideos array: ${allVideos.length}`);
-    return allVideos;
+    console.log(`Total videos scraped and processed across all queries: ${allVideos.length} (${budget.used} budgeted API requests)`);
+    return { videos: allVideos, queryReports };
   } catch (error) {
     console.error('Overall error in scrapeTikTokVideos:', error);
     throw new Error('Failed to scrape TikTok videos');
   }
 };
 
+/**
+ * Scrape TikTok videos based on search queries
+ * @param {Array<string|Object>} searchQueries - Array of search queries (see scrapeTikTokVideosWithReport)
+ * @param {number} videosPerQuery - Number of videos to fetch per query (default: 5)
+ * @param {Object|null} owner - { userId, workspaceId, businessId } to save trend queries for (workspaceId null for
+ *                              personal runs, businessId null without a business profile);
+ *                              null to skip saving trend queries
+ * @param {Object} customParams - Custom search parameters (see scrapeTikTokVideosWithReport)
+ * @param {Function} onVideoScraped - Optional callback called with each saved video
+ * @returns {Promise<Object[]>} - Array of video data with Supabase storage URLs (null with mediaError when archiving failed)
+ */
+export const scrapeTikTokVideos = async (searchQueries, videosPerQuery = 5, owner = null, customParams = {}, onVideoScraped = null) => {
+  const { videos } = await scrapeTikTokVideosWithReport(searchQueries, videosPerQuery, owner, customParams, onVideoScraped);
+  return videos;
+};
+
 export default {
-  scrapeTikTokVideos
+  scrapeTikTokVideos,
+  scrapeTikTokVideosWithReport
 };
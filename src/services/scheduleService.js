@@ -0,0 +1,472 @@
+import os from 'os';
+import dotenv from 'dotenv';
+import {
+  createRunSchedule,
+  updateRunScheduleById,
+  listDueRunSchedules,
+  claimRunSchedule,
+  saveScheduledRun,
+  getBusinessById,
+  findUserByField,
+  findWorkspaceByField,
+  getWorkspaceMember
+} from './supabaseService.js';
+import { enqueueWorkflowJob, createCountedJobStarter } from './jobService.js';
+import { getEntitlements, assertEntitled, consumeRun as consumeAccountRun, refundRun as refundAccountRun } from './entitlementService.js';
+import { hasWorkspaceRole } from './workspaceService.js';
+import { describeBusiness } from './businessService.js';
+import { parseCron, isValidTimezone, getNextCronTime } from '../utils/cron.js';
+import { ApiError, EntitlementError } from '../utils/errorHandler.js';
+
+dotenv.config();
+
+const SCHEDULER_POLL_INTERVAL_MS = parseInt(process.env.RUN_SCHEDULER_POLL_INTERVAL_MS || '60000', 10);
+// Due schedules handled per poll; the rest are picked up by the next poll
+const SCHEDULER_BATCH_SIZE = 20;
+
+export const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'custom'];
+
+// Settings a scheduled run is made with, and their defaults (as for POST /api/complete-workflow)
+const DEFAULT_SCHEDULE_SETTINGS = {
+  videosPerQuery: 5,
+  forceReanalysis: false,
+  sorting: 'rise',
+  days: 7,
+  videosLocation: null
+};
+
+const SORTING_VALUES = ['rise', 'rate'];
+const DAYS_VALUES = [1, 7, 30];
+const MAX_VIDEOS_PER_QUERY = 50;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Build the cron expression for a schedule's timing
+ * @param {Object} input - { frequency, time ("HH:MM", daily and weekly), dayOfWeek (0-6 or sun-sat, weekly), cron (custom) };
+ *                         frequency defaults to custom with a cron, daily otherwise
+ * @returns {string} - Cron expression
+ * @throws {ApiError} - 400 for an invalid timing
+ */
+const buildScheduleCron = ({ frequency, time, dayOfWeek, cron }) => {
+  const resolvedFrequency = frequency || (cron !== undefined ? 'custom' : 'daily');
+  if (!SCHEDULE_FREQUENCIES.includes(resolvedFrequency)) {
+    throw new ApiError(`frequency must be one of ${SCHEDULE_FREQUENCIES.join(', ')}`, 400);
+  }
+
+  if (resolvedFrequency === 'custom') {
+    return parseCron(cron).expression;
+  }
+
+  const match = typeof time === 'string' ? /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(time) : null;
+  if (!match) {
+    throw new ApiError('time must be HH:MM (24-hour) for daily and weekly schedules', 400);
+  }
+  const [hour, minute] = [Number(match[1]), Number(match[2])];
+
+  if (resolvedFrequency === 'daily') {
+    return `${minute} ${hour} * * *`;
+  }
+
+  const day = typeof dayOfWeek === 'string' ? WEEKDAYS.indexOf(dayOfWeek.slice(0, 3).toLowerCase()) : dayOfWeek;
+  if (!Number.isInteger(day) || day < 0 || day > 6) {
+    throw new ApiError('dayOfWeek must be 0-6 (Sunday is 0) or a weekday name for weekly schedules', 400);
+  }
+  return `${minute} ${hour} * * ${day}`;
+};
+
+/**
+ * Validate the settings a schedule's runs are made with
+ * @param {Object} settings - { videosPerQuery, forceReanalysis, sorting, days, videosLocation }
+ * @returns {Object} - Given settings, validated
+ * @throws {ApiError} - 400 for an invalid setting
+ */
+const normalizeScheduleSettings = (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ApiError('settings must be an object', 400);
+  }
+
+  const normalized = {};
+  const { videosPerQuery, forceReanalysis, sorting, days, videosLocation } = settings;
+
+  if (videosPerQuery !== undefined) {
+    if (!Number.isInteger(videosPerQuery) || videosPerQuery < 1 || videosPerQuery > MAX_VIDEOS_PER_QUERY) {
+      throw new ApiError(`settings.videosPerQuery must be between 1 and ${MAX_VIDEOS_PER_QUERY}`, 400);
+    }
+    normalized.videosPerQuery = videosPerQuery;
+  }
+  if (forceReanalysis !== undefined) {
+    if (typeof forceReanalysis !== 'boolean') {
+      throw new ApiError('settings.forceReanalysis must be true or false', 400);
+    }
+    normalized.forceReanalysis = forceReanalysis;
+  }
+  if (sorting !== undefined) {
+    if (!SORTING_VALUES.includes(sorting)) {
+      throw new ApiError(`settings.sorting must be one of ${SORTING_VALUES.join(', ')}`, 400);
+    }
+    normalized.sorting = sorting;
+  }
+  if (days !== undefined) {
+    if (!DAYS_VALUES.includes(days)) {
+      throw new ApiError(`settings.days must be one of ${DAYS_VALUES.join(', ')}`, 400);
+    }
+    normalized.days = days;
+  }
+  if (videosLocation !== undefined) {
+    if (videosLocation !== null && (typeof videosLocation !== 'string' || !/^[A-Za-z]{2}$/.test(videosLocation))) {
+      throw new ApiError('settings.videosLocation must be a two-letter country code (e.g. US) or null', 400);
+    }
+    normalized.videosLocation = videosLocation ? videosLocation.toUpperCase() : null;
+  }
+
+  return normalized;
+};
+
+/**
+ * Validate a schedule from a request body and map it to run_schedules columns
+ * @param {Object} input - { frequency, time, dayOfWeek, cron, timezone, enabled, settings }
+ * @param {boolean} [partial] - Only the given fields are validated (updates); frequency, time, dayOfWeek and
+ *                              cron then replace the timing together when any of them is given
+ * @returns {Object} - run_schedules columns (cron, timezone, enabled, settings)
+ * @throws {ApiError} - 400 for an invalid field
+ */
+export const normalizeScheduleInput = (input = {}, partial = false) => {
+  const columns = {};
+
+  const timingFields = ['frequency', 'time', 'dayOfWeek', 'cron'];
+  if (!partial || timingFields.some(field => input[field] !== undefined)) {
+    columns.cron = buildScheduleCron(input);
+  }
+
+  if (input.timezone !== undefined || !partial) {
+    const timezone = input.timezone === undefined ? 'UTC' : input.timezone;
+    if (!isValidTimezone(timezone)) {
+      throw new ApiError('timezone must be an IANA time zone (e.g. Europe/Zurich)', 400);
+    }
+    columns.timezone = timezone;
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      throw new ApiError('enabled must be true or false', 400);
+    }
+    columns.enabled = input.enabled;
+  }
+
+  if (input.settings !== undefined) {
+    columns.settings = normalizeScheduleSettings(input.settings);
+  }
+
+  return columns;
+};
+
+/**
+ * Schedule fields returned by the API
+ * @param {Object} schedule - run_schedules row
+ * @returns {Object} - Schedule with camelCase fields and settings with their defaults
+ */
+export const formatSchedule = (schedule) => ({
+  id: schedule.id,
+  businessId: schedule.business_id,
+  workspaceId: schedule.workspace_id || null,
+  createdBy: schedule.user_id,
+  cron: schedule.cron,
+  timezone: schedule.timezone,
+  enabled: schedule.enabled,
+  settings: { ...DEFAULT_SCHEDULE_SETTINGS, ...schedule.settings },
+  nextRunAt: schedule.next_run_at || null,
+  lastRunAt: schedule.last_run_at || null,
+  lastRunStatus: schedule.last_run_status || null,
+  createdAt: schedule.created_at,
+  updatedAt: schedule.updated_at || null
+});
+
+/**
+ * Scheduled run fields returned by the API
+ * @param {Object} run - scheduled_runs row, with job: { status, error, finished_at } when listed with listScheduledRuns
+ * @returns {Object} - Run with camelCase fields
+ */
+export const formatScheduledRun = (run) => ({
+  id: run.id,
+  scheduledFor: run.scheduled_for,
+  status: run.status,
+  reason: run.reason || null,
+  jobId: run.job_id || null,
+  jobStatus: run.job ? run.job.status : null,
+  jobError: run.job ? run.job.error : null,
+  finishedAt: run.job ? run.job.finished_at : null,
+  createdAt: run.created_at
+});
+
+/**
+ * When an enabled schedule next runs
+ * @param {Object} schedule - { cron, timezone, enabled }
+ * @param {Date} now - Current time
+ * @returns {string|null} - ISO timestamp, or null when the schedule is disabled
+ * @throws {ApiError} - 400 when the cron expression never matches
+ */
+const getNextRunAt = ({ cron, timezone, enabled }, now) => (enabled
+  ? getNextCronTime(cron, timezone, now).toISOString()
+  : null);
+
+/**
+ * Create a schedule for a business. Its runs are made as the creator, for the business's workspace if it has one.
+ * @param {Object} business - businesses row
+ * @param {Object} user - users row of the creator
+ * @param {Object} input - Schedule from the request body (see normalizeScheduleInput)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - run_schedules row
+ * @throws {ApiError} - 400 for an invalid schedule
+ */
+export const createBusinessSchedule = async (business, user, input, now = new Date()) => {
+  const columns = { enabled: true, settings: {}, ...normalizeScheduleInput(input) };
+
+  const schedule = await createRunSchedule({
+    ...columns,
+    business_id: business.id,
+    workspace_id: business.workspace_id || null,
+    user_id: user.id,
+    next_run_at: getNextRunAt(columns, now)
+  });
+
+  console.log(`Created schedule ${schedule.id} (${schedule.cron} ${schedule.timezone}) for business ${business.id}`);
+  return schedule;
+};
+
+/**
+ * Update a schedule. Settings are merged into the stored ones; the next run is recomputed from the new timing.
+ * @param {Object} schedule - run_schedules row
+ * @param {Object} input - Fields to change (see normalizeScheduleInput)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - Updated run_schedules row
+ * @throws {ApiError} - 400 for an invalid or empty update
+ */
+export const updateBusinessSchedule = async (schedule, input, now = new Date()) => {
+  const columns = normalizeScheduleInput(input, true);
+  if (Object.keys(columns).length === 0) {
+    throw new ApiError('No schedule fields to update', 400);
+  }
+
+  if (columns.settings) {
+    columns.settings = { ...schedule.settings, ...columns.settings };
+  }
+
+  const timingChanged = ['cron', 'timezone', 'enabled'].some(column => columns[column] !== undefined
+    && columns[column] !== schedule[column]);
+  if (timingChanged) {
+    columns.next_run_at = getNextRunAt({ ...schedule, ...columns }, now);
+  }
+
+  return updateRunScheduleById(schedule.id, columns);
+};
+
+/**
+ * Create a scheduler that enqueues complete-workflow runs for due schedules. Each due schedule's next run is
+ * moved first (runs missed while no scheduler was running collapse into one), and only the scheduler whose
+ * move succeeds makes the run, so several can poll the same table. A run is skipped, not enqueued, when the
+ * creator can no longer run the pipeline in the schedule's workspace or the plan doesn't allow it (no active
+ * subscription, settings beyond the plan's quotas, or no runs left this month); either way the outcome is recorded.
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.store - listDueSchedules(now, limit), claimSchedule(id, dueAt, updateData), getBusiness(id),
+ *                              findUserByField(field, value), findWorkspaceByField(field, value),
+ *                              getWorkspaceMember(workspaceId, userId) and saveRun(run)
+ * @param {Function} deps.enqueueRun - Enqueues workflow params; returns the job
+ * @param {Function} [deps.consumeRun] - Counts a run against an account's quota (see entitlementService.consumeRun)
+ * @param {Function} [deps.refundRun] - Gives back a counted run whose job couldn't be enqueued (see entitlementService.refundRun)
+ * @param {Function} [deps.now] - Clock
+ * @param {number} [deps.batchSize] - Due schedules handled per call
+ * @returns {Object} - { runDueSchedules }
+ */
+export const createRunScheduler = ({
+  store,
+  enqueueRun,
+  consumeRun = consumeAccountRun,
+  refundRun = refundAccountRun,
+  now = () => new Date(),
+  batchSize = SCHEDULER_BATCH_SIZE
+}) => {
+  const enqueueCountedRun = createCountedJobStarter({ enqueueRun, consumeRun, refundRun });
+
+  /**
+   * Enqueue the run of a schedule, or work out why it can't run
+   * @param {Object} schedule - run_schedules row
+   * @param {Date} currentTime - Time of the poll
+   * @returns {Promise<Object>} - { status, reason, job_id }
+   */
+  const startRun = async (schedule, currentTime) => {
+    const business = await store.getBusiness(schedule.business_id);
+    if (!business) {
+      return { status: 'skipped', reason: 'business_not_found', job_id: null };
+    }
+
+    let account;
+    if (schedule.workspace_id) {
+      const member = await store.getWorkspaceMember(schedule.workspace_id, schedule.user_id);
+      if (!member || !hasWorkspaceRole(member.role, 'editor')) {
+        return { status: 'skipped', reason: 'creator_not_editor', job_id: null };
+      }
+      account = await store.findWorkspaceByField('id', schedule.workspace_id);
+    } else {
+      account = await store.findUserByField('id', schedule.user_id);
+    }
+    if (!account) {
+      return { status: 'skipped', reason: 'account_not_found', job_id: null };
+    }
+
+    const settings = { ...DEFAULT_SCHEDULE_SETTINGS, ...schedule.settings };
+    const entitlements = getEntitlements(account, currentTime);
+
+    let job;
+    try {
+      assertEntitled(entitlements, 'workflow', { videosPerQuery: settings.videosPerQuery });
+      // A run whose job can't be enqueued is given back and recorded as failed
+      job = await enqueueCountedRun(account, entitlements, {
+        businessDescription: describeBusiness(business),
+        userId: schedule.user_id,
+        workspaceId: schedule.workspace_id || null,
+        businessId: business.id,
+        videosPerQuery: settings.videosPerQuery,
+        forceReanalysis: settings.forceReanalysis,
+        maxVideos: entitlements.videosPerRun,
+        customParams: {
+          sorting: settings.sorting,
+          days: settings.days,
+          // Unless the schedule sets one (null for anywhere), videos are searched in the business's region
+          videosLocation: schedule.settings && schedule.settings.videosLocation !== undefined
+            ? settings.videosLocation
+            : business.region || null
+        },
+        scheduleId: schedule.id
+      }, currentTime);
+    } catch (error) {
+      if (error instanceof EntitlementError) {
+        return { status: 'skipped', reason: error.code, job_id: null };
+      }
+      throw error;
+    }
+
+    return { status: 'enqueued', reason: null, job_id: job.id };
+  };
+
+  /**
+   * Claim and run one due schedule
+   * @param {Object} schedule - Due run_schedules row
+   * @param {Date} currentTime - Time of the poll
+   * @returns {Promise<Object|null>} - Saved scheduled_runs row, or null when another scheduler claimed the run
+   */
+  const runSchedule = async (schedule, currentTime) => {
+    let update;
+    try {
+      update = { next_run_at: getNextCronTime(schedule.cron, schedule.timezone, currentTime).toISOString() };
+    } catch (error) {
+      // A schedule that can't run again is disabled rather than retried on every poll
+      update = { next_run_at: null, enabled: false };
+    }
+
+    const claimed = await store.claimSchedule(schedule.id, schedule.next_run_at, update);
+    if (!claimed) {
+      return null;
+    }
+
+    let outcome;
+    try {
+      outcome = await startRun(schedule, currentTime);
+    } catch (error) {
+      console.error(`Error starting scheduled run of schedule ${schedule.id}:`, error.message);
+      outcome = { status: 'failed', reason: error.message || 'Failed to start run', job_id: null };
+    }
+
+    const run = await store.saveRun({
+      schedule_id: schedule.id,
+      scheduled_for: new Date(schedule.next_run_at).toISOString(),
+      ...outcome
+    });
+
+    console.log(`Schedule ${schedule.id} run for ${run.scheduled_for}: ${outcome.status}${outcome.reason ? ` (${outcome.reason})` : ''}`);
+    return run;
+  };
+
+  /**
+   * Run every schedule that is due now
+   * @returns {Promise<Object[]>} - Saved scheduled_runs rows
+   */
+  const runDueSchedules = async () => {
+    const currentTime = now();
+    const schedules = await store.listDueSchedules(currentTime, batchSize);
+    const runs = [];
+
+    for (const schedule of schedules) {
+      try {
+        const run = await runSchedule(schedule, currentTime);
+        if (run) {
+          runs.push(run);
+        }
+      } catch (error) {
+        console.error(`Error running schedule ${schedule.id}:`, error.message);
+      }
+    }
+
+    return runs;
+  };
+
+  return { runDueSchedules };
+};
+
+/**
+ * Start polling for due schedules and enqueueing their runs (see createRunScheduler)
+ * @param {Object} [options] - Scheduler options
+ * @param {number} [options.pollIntervalMs] - Delay between polls
+ * @returns {Function} - Stops the scheduler
+ */
+export const startRunScheduler = (options = {}) => {
+  const { pollIntervalMs = SCHEDULER_POLL_INTERVAL_MS } = options;
+  const schedulerId = `${os.hostname()}-${process.pid}`;
+
+  const scheduler = createRunScheduler({
+    store: {
+      listDueSchedules: listDueRunSchedules,
+      claimSchedule: claimRunSchedule,
+      getBusiness: getBusinessById,
+      findUserByField,
+      findWorkspaceByField,
+      getWorkspaceMember,
+      saveRun: saveScheduledRun
+    },
+    enqueueRun: enqueueWorkflowJob
+  });
+
+  let stopped = false;
+  let timer = null;
+
+  const poll = async () => {
+    if (stopped) return;
+
+    try {
+      await scheduler.runDueSchedules();
+    } catch (error) {
+      console.error('Error polling run schedules:', error.message);
+    }
+
+    timer = setTimeout(poll, pollIntervalMs);
+  };
+
+  console.log(`Run scheduler ${schedulerId} started`);
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    console.log(`Run scheduler ${schedulerId} stopped`);
+  };
+};
+
+export default {
+  SCHEDULE_FREQUENCIES,
+  normalizeScheduleInput,
+  formatSchedule,
+  formatScheduledRun,
+  createBusinessSchedule,
+  updateBusinessSchedule,
+  createRunScheduler,
+  startRunScheduler
+};
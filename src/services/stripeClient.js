@@ -0,0 +1,35 @@
+import Stripe from 'stripe';
+import dotenv from 'dotenv';
+import { ApiError } from '../utils/errorHandler.js';
+
+dotenv.config();
+
+let stripe = null;
+
+/**
+ * Whether STRIPE_SECRET_KEY is set
+ * @returns {boolean} - True when Stripe calls can be made
+ */
+export const isStripeConfigured = () => Boolean(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Get the shared Stripe client, creating it on first use
+ * @returns {Object} - Stripe client
+ * @throws {ApiError} - 503 when STRIPE_SECRET_KEY is not set
+ */
+export const getStripe = () => {
+  if (!isStripeConfigured()) {
+    throw new ApiError('Stripe is not configured (STRIPE_SECRET_KEY is not set)', 503);
+  }
+
+  if (!stripe) {
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+
+  return stripe;
+};
+
+export default {
+  isStripeConfigured,
+  getStripe
+};
@@ -40,23 +40,29 @@ export const initializeStorage = async () => {
 };
 
 /**
- * Upload video buffer to Supabase storage
- * @param {Buffer} videoBuffer - Video data as buffer
+ * Upload a video to Supabase storage
+ * @param {Buffer|ReadStream} videoData - Video data as a buffer or a readable stream
  * @param {string} fileName - Name to save the file as
  * @returns {Promise<string>} - Public URL of the uploaded video
  */
-export const uploadVideoToSupabase = async (videoBuffer, fileName) => {
+export const uploadVideoToSupabase = async (videoData, fileName) => {
   try {
     // Ensure bucket exists
     await initializeStorage();
 
-    // Upload file from buffer
+    const uploadOptions = {
+      contentType: 'video/mp4',
+      upsert: true // Overwrite if file exists
+    };
+
+    // Streams are sent without buffering the whole file, which fetch only allows in half-duplex mode
+    if (!Buffer.isBuffer(videoData) && typeof videoData.pipe === 'function') {
+      uploadOptions.duplex = 'half';
+    }
+
     const { data, error } = await supabase.storage
       .from(BUCKET_NAME)
-      .upload(`videos/${fileName}`, videoBuffer, {
-        contentType: 'video/mp4',
-        upsert: true // Overwrite if file exists
-      });
+      .upload(`videos/${fileName}`, videoData, uploadOptions);
 
     if (error) {
       throw new Error(`Error uploading video: ${error.message}`);
@@ -85,6 +91,7 @@ export const saveTikTokVideo = async (videoData, trendQueryId) => {
     // console.log(`Attempting to save TikTok video. Provided trendQueryId: ${trendQueryId}, videoData:`, JSON.stringify(videoData, null, 2));
 
     const insertData = {
+      tiktok_id: videoData.tiktok_id || getTikTokIdFromUrl(videoData.video_url),
       video_url: videoData.video_url || `https://www.tiktok.com/@${videoData.author || 'unknown'}/video/unknown`,
       caption: videoData.caption || videoData.description || '',
       views: videoData.views || 0,
@@ -101,6 +108,8 @@ export const saveTikTokVideo = async (videoData, trendQueryId) => {
       thumbnail_url: videoData.thumbnail_url || videoData.coverUrl,
       // Supabase storage URL for the video file itself
       videoUrl: videoData.videoUrl, // This should be the supabaseUrl passed in videoData, now mapped to 'videoUrl'
+      // Path of the archived MP4 in the tiktok-videos bucket (null when media acquisition failed or is disabled)
+      storage_path: videoData.storage_path || null,
       // Upload date from TikTok API
       UPLOADED_AT: videoData.uploaded_at || null
     };
@@ -121,7 +130,12 @@ export const saveTikTokVideo = async (videoData, trendQueryId) => {
         console.log(`Attempting to create/find default trend query for userId: ${videoData.userId} as no trend_query_id was passed.`);
         try {
           const defaultQueryText = videoData.title ? `Default query for: ${videoData.title}` : 'Default TikTok query';
-          const queryToSave = { userId: videoData.userId, query: defaultQueryText };
+          const queryToSave = {
+            userId: videoData.userId,
+            workspaceId: videoData.workspaceId || null,
+            businessId: videoData.businessId || null,
+            query: defaultQueryText
+          };
           const savedDefaultQuery = await saveTrendQuery(queryToSave); // saveTrendQuery handles user lookup/creation
           if (savedDefaultQuery && savedDefaultQuery.id) {
             insertData.trend_query_id = savedDefaultQuery.id;
@@ -173,6 +187,156 @@ export const saveTikTokVideo = async (videoData, trendQueryId) => {
   }
 };
 
+/**
+ * Find the canonical row of a TikTok video
+ * @param {string} tiktokId - TikTok video ID
+ * @returns {Promise<Object|null>} - tiktok_videos row, or null when the video has not been stored yet
+ */
+export const findTikTokVideoByTiktokId = async (tiktokId) => {
+  try {
+    const { data, error } = await supabase
+      .from('tiktok_videos')
+      .select('*')
+      .eq('tiktok_id', tiktokId)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Error finding TikTok video: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error finding TikTok video by TikTok ID:', error);
+    throw new Error('Failed to find TikTok video');
+  }
+};
+
+/**
+ * Link a video to a trend query that surfaced it (no-op when already linked)
+ * @param {string} videoId - Video ID
+ * @param {string} trendQueryId - Trend query ID
+ */
+export const linkVideoToTrendQuery = async (videoId, trendQueryId) => {
+  try {
+    const { error } = await supabase
+      .from('trend_query_videos')
+      .upsert(
+        { trend_query_id: trendQueryId, video_id: videoId },
+        { onConflict: 'trend_query_id,video_id', ignoreDuplicates: true }
+      );
+
+    if (error) {
+      throw new Error(`Error linking video to trend query: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error linking video to trend query:', error);
+    throw new Error('Failed to link video to trend query');
+  }
+};
+
+/**
+ * Record the metrics a video had when it was scraped
+ * @param {string} videoId - Video ID
+ * @param {Object} metrics - views, likes, comments and shares
+ * @param {string} [trendQueryId] - Trend query the video was scraped for
+ * @returns {Promise<Object>} - Saved snapshot
+ */
+export const saveVideoMetricSnapshot = async (videoId, metrics, trendQueryId = null) => {
+  try {
+    const { data, error } = await supabase
+      .from('video_metric_snapshots')
+      .insert({
+        video_id: videoId,
+        trend_query_id: trendQueryId,
+        views: metrics.views || 0,
+        likes: metrics.likes || 0,
+        comments: metrics.comments || 0,
+        shares: metrics.shares || 0,
+        captured_at: new Date().toISOString()
+      })
+      .select();
+
+    if (error) {
+      throw new Error(`Error saving video metric snapshot: ${error.message}`);
+    }
+
+    return data[0];
+  } catch (error) {
+    console.error('Error saving video metric snapshot:', error);
+    throw new Error('Failed to save video metric snapshot');
+  }
+};
+
+/**
+ * Save a scraped TikTok video to its canonical row, inserting it on first sight and refreshing
+ * its metrics (and archived media, when a new file was stored) afterwards. Every call links the
+ * video to the trend query and records a metric snapshot.
+ * @param {Object} videoData - Video metadata as accepted by saveTikTokVideo, plus comments
+ * @param {string} trendQueryId - Trend query ID
+ * @returns {Promise<Object>} - { video, created } with the canonical row and whether it was inserted
+ */
+export const upsertTikTokVideo = async (videoData, trendQueryId) => {
+  const tiktokId = videoData.tiktok_id || getTikTokIdFromUrl(videoData.video_url);
+
+  let existing = tiktokId ? await findTikTokVideoByTiktokId(tiktokId) : null;
+  let video = null;
+
+  if (!existing) {
+    try {
+      video = await saveTikTokVideo(videoData, trendQueryId);
+    } catch (insertError) {
+      // Another scrape may have inserted the same video since the lookup (unique tiktok_id)
+      existing = tiktokId ? await findTikTokVideoByTiktokId(tiktokId) : null;
+      if (!existing) {
+        throw insertError;
+      }
+    }
+  }
+
+  const created = !existing;
+
+  if (existing) {
+    const updates = {
+      views: videoData.views || existing.views,
+      likes: videoData.likes || existing.likes,
+      shares: videoData.shares || existing.shares,
+      metrics_polled_at: new Date().toISOString()
+    };
+    if (videoData.storage_path) {
+      updates.storage_path = videoData.storage_path;
+      updates.videoUrl = videoData.videoUrl;
+    }
+
+    const { data, error } = await supabase
+      .from('tiktok_videos')
+      .update(updates)
+      .eq('id', existing.id)
+      .select();
+
+    if (error) {
+      throw new Error(`Error updating TikTok video ${existing.id}: ${error.message}`);
+    }
+
+    video = data[0];
+    console.log(`TikTok video ${tiktokId} already stored as ${video.id}, refreshed its metrics`);
+  }
+
+  // saveTikTokVideo may have created a default trend query for a new video
+  const linkedTrendQueryId = trendQueryId || (created ? video.trend_query_id : null);
+  if (linkedTrendQueryId) {
+    await linkVideoToTrendQuery(video.id, linkedTrendQueryId);
+  }
+
+  try {
+    await saveVideoMetricSnapshot(video.id, videoData, linkedTrendQueryId);
+  } catch (snapshotError) {
+    // The video itself is saved; a missing snapshot only leaves a gap in its history
+    console.error(`Error saving metric snapshot for video ${video.id}: ${snapshotError.message}`);
+  }
+
+  return { video, created };
+};
+
 /**
  * Extract hashtags from video caption
  * @param {string} caption - Video caption
@@ -187,6 +351,16 @@ const extractHashtags = (caption) => {
   return matches || [];
 };
 
+/**
+ * Extract TikTok's video ID from a TikTok video URL
+ * @param {string} videoUrl - URL like https://www.tiktok.com/@author/video/<id>
+ * @returns {string|null} - TikTok video ID, or null when the URL has none
+ */
+export const getTikTokIdFromUrl = (videoUrl) => {
+  const match = (videoUrl || '').match(/\/video\/(\d+)/);
+  return match ? match[1] : null;
+};
+
 /**
  * Save trend query to the database
  * @param {Object} queryData - Query data
@@ -196,7 +370,9 @@ export const saveTrendQuery = async (queryData) => {
   try {
     // Insert the trend query
     const insertData = {
-      query: queryData.query
+      query: queryData.query,
+      workspace_id: queryData.workspaceId || null,
+      business_id: queryData.businessId || null
     };
 
     // Check if userId exists and try to find the user
@@ -290,38 +466,31 @@ export const saveTrendQuery = async (queryData) => {
 };
 
 /**
- * Update TikTok video with analysis data
+ * Save a structured video analysis to a TikTok video
  * @param {string} videoId - Video ID
- * @param {Object} analysisData - Analysis data
+ * @param {Object} analysis - Analysis matching VIDEO_ANALYSIS_SCHEMA (summary, hooks, ctas, content_style, success_factors, transcript)
+ * @param {Object} meta - Analysis metadata
+ * @param {number} meta.version - Analysis schema version
+ * @param {string} meta.model - Model that produced the analysis
+ * @param {string} [meta.analyzedAt] - When the analysis was produced (defaults to now; set when copying a cached analysis)
  * @returns {Promise<Object>} - Updated video data
  */
-export const updateTikTokVideoAnalysis = async (videoId, analysisData) => {
+export const updateTikTokVideoAnalysis = async (videoId, analysis, { version, model, analyzedAt }) => {
   try {
     console.log(`Updating TikTok video analysis for video ID: ${videoId}`);
 
-    // Ensure frame_analysis is properly formatted as JSON
-    let frameAnalysis = analysisData.frameAnalysis;
-    if (typeof frameAnalysis === 'object') {
-      frameAnalysis = JSON.stringify(frameAnalysis);
-    }
-
-    // Make sure summary is a string
-    const summary = typeof analysisData.summary === 'string'
-      ? analysisData.summary
-      : (analysisData.summary ? JSON.stringify(analysisData.summary) : '');
-
-    // Make sure transcript is a string
-    const transcript = typeof analysisData.transcript === 'string'
-      ? analysisData.transcript
-      : (analysisData.transcript ? JSON.stringify(analysisData.transcript) : '');
-
     const { data, error } = await supabase
       .from('tiktok_videos')
       .update({
-        summary: summary,
-        transcript: transcript,
-        frame_analysis: frameAnalysis,
-        last_analyzed_at: new Date().toISOString()
+        summary: analysis.summary,
+        hooks: analysis.hooks,
+        ctas: analysis.ctas,
+        content_style: analysis.content_style,
+        success_factors: analysis.success_factors,
+        transcript: analysis.transcript,
+        analysis_version: version,
+        analysis_model: model,
+        last_analyzed_at: analyzedAt || new Date().toISOString()
       })
       .eq('id', videoId)
       .select();
@@ -330,6 +499,10 @@ export const updateTikTokVideoAnalysis = async (videoId, analysisData) => {
       throw new Error(`Error updating TikTok video analysis: ${error.message}`);
     }
 
+    if (!data || data.length === 0) {
+      throw new Error(`TikTok video ${videoId} not found`);
+    }
+
     console.log(`Successfully updated TikTok video analysis for video ID: ${videoId}`);
     return data[0];
   } catch (error) {
@@ -339,253 +512,1866 @@ export const updateTikTokVideoAnalysis = async (videoId, analysisData) => {
 };
 
 /**
- * Save recommendation to the database
- * @param {Object} recommendationData - Recommendation data
- * @returns {Promise<Object>} - Saved recommendation data
+ * Clear storage_path (and the storage URL) on rows whose archived files were deleted from the bucket
+ * @param {string[]} storagePaths - Deleted storage paths (videos/<file>.mp4)
+ * @returns {Promise<number>} - Number of rows updated
  */
-export const saveRecommendation = async (recommendationData) => {
+export const clearTikTokVideoStoragePaths = async (storagePaths) => {
   try {
-    console.log('Saving recommendation data to database');
-
-    // Ensure data is properly formatted as JSON strings
-    let combinedSummary = recommendationData.combinedSummary;
-    let contentIdeas = recommendationData.contentIdeas;
-
-    // If combinedSummary is an object, stringify it
-    if (typeof combinedSummary === 'object') {
-      combinedSummary = JSON.stringify(combinedSummary);
-    }
-
-    // If contentIdeas is an object, stringify it
-    if (typeof contentIdeas === 'object') {
-      contentIdeas = JSON.stringify(contentIdeas);
-    }
-
-    // Make sure videoIds is an array
-    const videoIds = Array.isArray(recommendationData.videoIds)
-      ? recommendationData.videoIds
-      : (recommendationData.videoIds ? [recommendationData.videoIds] : []);
-
-    // Create the insert data object
-    const insertData = {
-      combined_summary: combinedSummary,
-      content_ideas: contentIdeas,
-      video_ids: videoIds
-    };
-
-    // We must include a user_id as it's a NOT NULL column
-    // The userId we receive could be either auth_id or regular id
-    if (recommendationData.userId) {
-      try {
-        console.log(`Looking up user with userId: ${recommendationData.userId}`);
-        // Use the updated getUserProfile function that checks both auth_id and id
-        const userProfile = await getUserProfile(recommendationData.userId);
-
-        if (userProfile && userProfile.id) {
-          // Use the actual user.id
-          insertData.user_id = userProfile.id;
-          console.log(`Found user with id: ${userProfile.id} for userId: ${recommendationData.userId}`);
-        } else {
-          console.log(`No user found for userId: ${recommendationData.userId}, creating a default user`);
-
-          // Create a default user
-          const { data: newUser, error: createError } = await supabase
-            .from('users')
-            .insert({
-              auth_id: recommendationData.userId,
-              email: `temp_${recommendationData.userId}@example.com`,
-              created_at: new Date().toISOString(),
-              onboarding_completed: true
-            })
-            .select();
-
-          if (createError) {
-            console.error(`Error creating default user: ${createError.message}`);
-            throw new Error(`Failed to create default user: ${createError.message}`);
-          } else if (newUser && newUser.length > 0) {
-            console.log(`Created default user with id: ${newUser[0].id}`);
-            insertData.user_id = newUser[0].id;
-          } else {
-            throw new Error('Failed to create default user');
-          }
-        }
-      } catch (userError) {
-        console.error(`Error handling user: ${userError.message}`);
-
-        // Try to use system user as fallback
-        console.log(`Attempting to use system user as fallback`);
-        const { data: systemUser, error: systemError } = await supabase
-          .from('users')
-          .select('id')
-          .eq('email', 'system@lazytrend.com')
-          .maybeSingle();
-
-        if (!systemError && systemUser) {
-          console.log(`Using existing system user with id: ${systemUser.id}`);
-          insertData.user_id = systemUser.id;
-        } else {
-          throw new Error(`Cannot save recommendation without a valid user_id: ${userError.message}`);
-        }
-      }
-    } else {
-      // No userId provided, try to use system user
-      console.log(`No userId provided, attempting to use system user`);
-
-      const { data: systemUser, error: systemError } = await supabase
-        .from('users')
-        .select('id')
-        .eq('email', 'system@lazytrend.com')
-        .maybeSingle();
-
-      if (!systemError && systemUser) {
-        console.log(`Using existing system user with id: ${systemUser.id}`);
-        insertData.user_id = systemUser.id;
-      } else {
-        // Create a system user
-        const { data: newSystemUser, error: createSystemError } = await supabase
-          .from('users')
-          .insert({
-            email: 'system@lazytrend.com',
-            created_at: new Date().toISOString(),
-            onboarding_completed: true
-          })
-          .select();
-
-        if (createSystemError) {
-          console.error(`Error creating system user: ${createSystemError.message}`);
-          throw new Error(`Cannot save recommendation without a valid user_id`);
-        } else if (newSystemUser && newSystemUser.length > 0) {
-          console.log(`Created system user with id: ${newSystemUser[0].id}`);
-          insertData.user_id = newSystemUser[0].id;
-        } else {
-          throw new Error(`Failed to create system user`);
-        }
-      }
+    if (!Array.isArray(storagePaths) || storagePaths.length === 0) {
+      return 0;
     }
 
     const { data, error } = await supabase
-      .from('recommendations')
-      .insert(insertData)
-      .select();
+      .from('tiktok_videos')
+      .update({ storage_path: null, videoUrl: null })
+      .in('storage_path', storagePaths)
+      .select('id');
 
     if (error) {
-      throw new Error(`Error saving recommendation: ${error.message}`);
+      throw new Error(`Error clearing storage paths: ${error.message}`);
     }
 
-    console.log(`Successfully saved recommendation with ID: ${data[0].id}`);
-    return data[0];
+    return data.length;
   } catch (error) {
-    console.error('Error saving recommendation:', error);
-    throw new Error('Failed to save recommendation');
+    console.error('Error clearing TikTok video storage paths:', error);
+    throw new Error('Failed to clear TikTok video storage paths');
   }
 };
 
 /**
- * Get TikTok videos by trend query ID
- * @param {string} trendQueryId - Trend query ID
- * @returns {Promise<Array>} - Array of videos
+ * Count one request against a provider's daily API budget
+ * @param {string} provider - Provider name (e.g. rapidapi_trending)
+ * @param {number} dailyLimit - Maximum requests per UTC day
+ * @returns {Promise<boolean>} - True when the request is within today's budget
  */
-export const getTikTokVideosByTrendQueryId = async (trendQueryId) => {
+export const incrementDailyApiUsage = async (provider, dailyLimit) => {
   try {
-    const { data, error } = await supabase
-      .from('tiktok_videos')
-      .select('*')
-      .eq('trend_query_id', trendQueryId);
+    const { data, error } = await supabase.rpc('increment_api_usage', {
+      p_provider: provider,
+      p_daily_limit: dailyLimit
+    });
 
     if (error) {
-      throw new Error(`Error getting TikTok videos: ${error.message}`);
+      throw new Error(`Error incrementing API usage: ${error.message}`);
     }
 
-    return data;
+    return data === true;
   } catch (error) {
-    console.error('Error getting TikTok videos:', error);
-    throw new Error('Failed to get TikTok videos');
+    console.error('Error incrementing daily API usage:', error);
+    throw new Error('Failed to increment daily API usage');
   }
 };
 
 /**
- * Get trend queries by user ID
- * @param {string} userId - User ID
- * @returns {Promise<Array>} - Array of trend queries
+ * Count one pipeline run against a user's monthly quota
+ * @param {string} userId - User ID (users.id)
+ * @param {string} period - UTC month (YYYY-MM)
+ * @param {number} limit - Maximum runs in the period
+ * @returns {Promise<boolean>} - True when the run is within the quota
  */
-export const getTrendQueriesByUserId = async (userId) => {
+export const incrementUserRunUsage = async (userId, period, limit) => {
   try {
-    const { data, error } = await supabase
-      .from('trend_queries')
-      .select('*')
-      .eq('user_id', userId);
+    const { data, error } = await supabase.rpc('increment_user_run_usage', {
+      p_user_id: userId,
+      p_period: period,
+      p_limit: limit
+    });
 
     if (error) {
-      throw new Error(`Error getting trend queries: ${error.message}`);
+      throw new Error(`Error incrementing user run usage: ${error.message}`);
     }
 
-    return data;
+    return data === true;
   } catch (error) {
-    console.error('Error getting trend queries:', error);
-    throw new Error('Failed to get trend queries');
+    console.error('Error incrementing user run usage:', error);
+    throw new Error('Failed to increment user run usage');
   }
 };
 
 /**
- * Get recommendations by user ID
- * @param {string} userId - User ID
- * @returns {Promise<Array>} - Array of recommendations
+ * Give back one run counted for a user in a period (via the decrement_user_run_usage function)
+ * @param {string} userId - User ID (users.id), or workspace ID
+ * @param {string} period - UTC month (YYYY-MM)
+ * @returns {Promise<void>}
  */
-export const getRecommendationsByUserId = async (userId) => {
+export const decrementUserRunUsage = async (userId, period) => {
   try {
-    const { data, error } = await supabase
-      .from('recommendations')
-      .select('*')
-      .eq('user_id', userId);
+    const { error } = await supabase.rpc('decrement_user_run_usage', {
+      p_user_id: userId,
+      p_period: period
+    });
 
     if (error) {
-      throw new Error(`Error getting recommendations: ${error.message}`);
+      throw new Error(`Error decrementing user run usage: ${error.message}`);
     }
-
-    return data;
   } catch (error) {
-    console.error('Error getting recommendations:', error);
-    throw new Error('Failed to get recommendations');
+    console.error('Error decrementing user run usage:', error);
+    throw new Error('Failed to decrement user run usage');
   }
 };
 
 /**
- * Get user profile by user ID
- * @param {string} userId - User ID (can be auth_id or regular id)
- * @returns {Promise<Object>} - User profile
+ * Count analyzed videos for a user in a period if they all fit under a limit (atomic, via the
+ * increment_user_analyzed_video_usage function)
+ * @param {string} userId - User ID (users.id), or workspace ID
+ * @param {string} period - UTC month (YYYY-MM)
+ * @param {number} count - Videos to count
+ * @param {number} limit - Maximum analyzed videos in the period
+ * @returns {Promise<boolean>} - True if counted, false if they would exceed the limit
+ */
+export const incrementUserAnalyzedVideoUsage = async (userId, period, count, limit) => {
+  try {
+    const { data, error } = await supabase.rpc('increment_user_analyzed_video_usage', {
+      p_user_id: userId,
+      p_period: period,
+      p_count: count,
+      p_limit: limit
+    });
+
+    if (error) {
+      throw new Error(`Error incrementing user analyzed video usage: ${error.message}`);
+    }
+
+    return data === true;
+  } catch (error) {
+    console.error('Error incrementing user analyzed video usage:', error);
+    throw new Error('Failed to increment user analyzed video usage');
+  }
+};
+
+/**
+ * Get the pipeline runs a user has made, and the videos they had analyzed, in a period
+ * @param {string} userId - User ID (users.id)
+ * @param {string} period - UTC month (YYYY-MM)
+ * @returns {Promise<Object>} - { runs, analyzedVideos } counted in the period
+ */
+export const getUserRunUsage = async (userId, period) => {
+  try {
+    const { data, error } = await supabase
+      .from('user_run_usage')
+      .select('run_count, analyzed_video_count')
+      .eq('user_id', userId)
+      .eq('period', period)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error getting user run usage: ${error.message}`);
+    }
+
+    return {
+      runs: data ? data.run_count : 0,
+      analyzedVideos: data ? data.analyzed_video_count : 0
+    };
+  } catch (error) {
+    console.error('Error getting user run usage:', error);
+    throw new Error('Failed to get user run usage');
+  }
+};
+
+/**
+ * Find the newest analysis of a TikTok video made with a model and schema version
+ * @param {string} tiktokId - TikTok video ID
+ * @param {Object} criteria - Cache criteria
+ * @param {string} criteria.model - Analysis model
+ * @param {number} criteria.version - Analysis schema version
+ * @param {string} criteria.analyzedAfter - Only analyses newer than this timestamp are returned
+ * @returns {Promise<Object|null>} - tiktok_videos row holding the analysis, or null
+ */
+export const findCachedVideoAnalysis = async (tiktokId, { model, version, analyzedAfter }) => {
+  try {
+    const { data, error } = await supabase
+      .from('tiktok_videos')
+      .select('*')
+      .eq('tiktok_id', tiktokId)
+      .eq('analysis_model', model)
+      .eq('analysis_version', version)
+      .not('summary', 'is', null)
+      .gte('last_analyzed_at', analyzedAfter)
+      .order('last_analyzed_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Error finding cached video analysis: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error finding cached video analysis:', error);
+    throw new Error('Failed to find cached video analysis');
+  }
+};
+
+/**
+ * Get TikTok videos whose stored analysis is missing or older than a schema version
+ * @param {number} version - Current analysis schema version
+ * @param {number} limit - Maximum number of videos to return
+ * @returns {Promise<Object[]>} - Videos to (re)analyze, oldest analysis first
+ */
+export const getTikTokVideosWithOutdatedAnalysis = async (version, limit = 50) => {
+  try {
+    const { data, error } = await supabase
+      .from('tiktok_videos')
+      .select('*')
+      .or(`analysis_version.is.null,analysis_version.lt.${version}`)
+      .order('last_analyzed_at', { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error getting videos with outdated analysis: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting videos with outdated analysis:', error);
+    throw new Error('Failed to get videos with outdated analysis');
+  }
+};
+
+/**
+ * Get tracked videos whose metrics are due for re-polling, least recently polled first
+ * @param {Object} options - Query options
+ * @param {string} options.trackedSince - Only videos first scraped after this ISO timestamp
+ * @param {string} options.polledBefore - Only videos last polled before this ISO timestamp
+ * @param {number} [options.limit] - Maximum number of videos
+ * @returns {Promise<Object[]>} - Video rows
+ */
+export const getVideosDueForMetricsPoll = async ({ trackedSince, polledBefore, limit = 50 }) => {
+  try {
+    const { data, error } = await supabase
+      .from('tiktok_videos')
+      .select('*')
+      .gte('created_at', trackedSince)
+      .lt('metrics_polled_at', polledBefore)
+      .order('metrics_polled_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error getting videos due for metrics poll: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting videos due for metrics poll:', error);
+    throw new Error('Failed to get videos due for metrics poll');
+  }
+};
+
+/**
+ * Save re-polled metrics on a video row and record them as a snapshot
+ * @param {string} videoId - Video ID
+ * @param {Object} metrics - views, likes, comments and shares
+ * @returns {Promise<Object>} - Saved snapshot
+ */
+export const updateTikTokVideoMetrics = async (videoId, metrics) => {
+  try {
+    const { error } = await supabase
+      .from('tiktok_videos')
+      .update({
+        views: metrics.views || 0,
+        likes: metrics.likes || 0,
+        shares: metrics.shares || 0,
+        metrics_polled_at: new Date().toISOString()
+      })
+      .eq('id', videoId);
+
+    if (error) {
+      throw new Error(`Error updating video metrics: ${error.message}`);
+    }
+
+    return await saveVideoMetricSnapshot(videoId, metrics);
+  } catch (error) {
+    console.error('Error updating video metrics:', error);
+    throw new Error('Failed to update video metrics');
+  }
+};
+
+/**
+ * Record a metrics poll that found nothing, so the video moves to the back of the poll queue
+ * @param {string} videoId - Video ID
+ */
+export const markTikTokVideoMetricsPolled = async (videoId) => {
+  try {
+    const { error } = await supabase
+      .from('tiktok_videos')
+      .update({ metrics_polled_at: new Date().toISOString() })
+      .eq('id', videoId);
+
+    if (error) {
+      throw new Error(`Error marking video metrics polled: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error marking video metrics polled:', error);
+    throw new Error('Failed to mark video metrics polled');
+  }
+};
+
+/**
+ * Get metric snapshots for videos, newest first. Reads page by page, so results aren't cut off at the
+ * API's row limit, and stops once every video has perVideo snapshots.
+ * @param {string[]} videoIds - Video IDs
+ * @param {string} [since] - Only snapshots captured after this ISO timestamp
+ * @param {number} [perVideo] - Keep only this many of each video's latest snapshots (all when omitted)
+ * @returns {Promise<Object[]>} - Snapshot rows
+ */
+export const getVideoMetricSnapshots = async (videoIds, since = null, perVideo = null) => {
+  try {
+    if (!videoIds || videoIds.length === 0) {
+      return [];
+    }
+
+    const pageSize = 1000;
+    const counts = new Map();
+    const snapshots = [];
+    let offset = 0;
+
+    while (true) {
+      let query = supabase
+        .from('video_metric_snapshots')
+        .select('*')
+        .in('video_id', videoIds)
+        .order('captured_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + pageSize - 1);
+
+      if (since) {
+        query = query.gte('captured_at', since);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Error getting video metric snapshots: ${error.message}`);
+      }
+
+      for (const snapshot of data || []) {
+        const count = counts.get(snapshot.video_id) || 0;
+        if (!perVideo || count < perVideo) {
+          counts.set(snapshot.video_id, count + 1);
+          snapshots.push(snapshot);
+        }
+      }
+      offset += pageSize;
+
+      const complete = perVideo && counts.size === new Set(videoIds).size &&
+        [...counts.values()].every(count => count >= perVideo);
+      if (!data || data.length < pageSize || complete) {
+        return snapshots;
+      }
+    }
+  } catch (error) {
+    console.error('Error getting video metric snapshots:', error);
+    throw new Error('Failed to get video metric snapshots');
+  }
+};
+
+/**
+ * Get the videos trend queries found in a period, with when each was found, newest first
+ * @param {Object} options - Query options
+ * @param {string} options.since - ISO timestamp; only links created at or after it
+ * @param {string} [options.until] - ISO timestamp; only links created before it
+ * @param {string} [options.userId] - Only trend queries of this user (users.id)
+ * @param {number} [options.offset] - Rows to skip
+ * @param {number} [options.limit] - Maximum number of rows
+ * @returns {Promise<Object[]>} - Rows of { created_at, trend_query_id, tiktok_videos }
+ */
+export const getTrendQueryVideoLinks = async ({ since, until = null, userId = null, offset = 0, limit = 1000 }) => {
+  try {
+    let query = supabase
+      .from('trend_query_videos')
+      .select('created_at, trend_query_id, trend_queries!inner(user_id), tiktok_videos(id, title, author, video_url, hashtags, music_title, views, likes, shares)')
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (until) {
+      query = query.lt('created_at', until);
+    }
+
+    if (userId) {
+      query = query.eq('trend_queries.user_id', userId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Error getting trend query video links: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting trend query video links:', error);
+    throw new Error('Failed to get trend query video links');
+  }
+};
+
+/**
+ * Save a usage event for an outbound third-party API call
+ * @param {Object} event - api_usage_events row (user_id, workflow_run_id, provider, operation, model,
+ *                         input_tokens, output_tokens, units, unit_type, latency_ms, estimated_cost_usd, success, error)
+ * @returns {Promise<void>}
+ */
+export const saveApiUsageEvent = async (event) => {
+  try {
+    const { error } = await supabase
+      .from('api_usage_events')
+      .insert([event]);
+
+    if (error) {
+      throw new Error(`Error saving API usage event: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error saving API usage event:', error);
+    throw new Error('Failed to save API usage event');
+  }
+};
+
+/**
+ * Get a page of usage events, oldest first
+ * @param {Object} filters - Event filters
+ * @param {string} [filters.userId] - Only this user's events (users.id)
+ * @param {string} [filters.workflowRunId] - Only this workflow run's events
+ * @param {string} [filters.since] - ISO timestamp of the earliest event
+ * @param {string} [filters.until] - ISO timestamp the events must be before
+ * @param {number} [filters.offset] - Rows to skip
+ * @param {number} [filters.limit] - Rows to return
+ * @returns {Promise<Object[]>} - api_usage_events rows
+ */
+export const getApiUsageEvents = async ({ userId = null, workflowRunId = null, since = null, until = null, offset = 0, limit = 1000 }) => {
+  try {
+    let query = supabase
+      .from('api_usage_events')
+      .select('created_at, user_id, workflow_run_id, provider, operation, model, input_tokens, output_tokens, units, unit_type, latency_ms, estimated_cost_usd, success')
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+    if (workflowRunId) {
+      query = query.eq('workflow_run_id', workflowRunId);
+    }
+    if (since) {
+      query = query.gte('created_at', since);
+    }
+    if (until) {
+      query = query.lt('created_at', until);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Error getting API usage events: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting API usage events:', error);
+    throw new Error('Failed to get API usage events');
+  }
+};
+
+/**
+ * Log a Stripe webhook event as processing, unless it was already received
+ * @param {Object} event - Verified Stripe event
+ * @param {string|null} orderingKey - Subscription (or customer) the event applies to
+ * @returns {Promise<Object|null>} - The new stripe_webhook_events row, or null for a duplicate delivery
+ */
+export const insertStripeWebhookEvent = async (event, orderingKey) => {
+  try {
+    const { data, error } = await supabase
+      .from('stripe_webhook_events')
+      .upsert([{
+        id: event.id,
+        type: event.type,
+        stripe_created_at: new Date(event.created * 1000).toISOString(),
+        ordering_key: orderingKey,
+        status: 'processing',
+        payload: event
+      }], { onConflict: 'id', ignoreDuplicates: true })
+      .select();
+
+    if (error) {
+      throw new Error(`Error inserting Stripe webhook event: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error inserting Stripe webhook event:', error);
+    throw new Error('Failed to insert Stripe webhook event');
+  }
+};
+
+/**
+ * Get a logged Stripe webhook event
+ * @param {string} eventId - Stripe event ID
+ * @returns {Promise<Object|null>} - stripe_webhook_events row, or null if it was never received
+ */
+export const getStripeWebhookEvent = async (eventId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stripe_webhook_events')
+      .select('*')
+      .eq('id', eventId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error getting Stripe webhook event: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting Stripe webhook event:', error);
+    throw new Error('Failed to get Stripe webhook event');
+  }
+};
+
+/**
+ * Move a failed (or abandoned processing) Stripe webhook event back to processing. Only one caller can
+ * claim it: the update only applies while the row still has the status and updated_at it was read with.
+ * @param {Object} row - The event's stripe_webhook_events row
+ * @returns {Promise<boolean>} - True when this caller claimed the event
+ */
+export const reclaimStripeWebhookEvent = async (row) => {
+  try {
+    const { data, error } = await supabase
+      .from('stripe_webhook_events')
+      .update({ status: 'processing', attempts: row.attempts + 1, updated_at: new Date().toISOString() })
+      .eq('id', row.id)
+      .eq('status', row.status)
+      .eq('updated_at', row.updated_at)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Error reclaiming Stripe webhook event: ${error.message}`);
+    }
+
+    return data.length > 0;
+  } catch (error) {
+    console.error('Error reclaiming Stripe webhook event:', error);
+    throw new Error('Failed to reclaim Stripe webhook event');
+  }
+};
+
+/**
+ * Update a logged Stripe webhook event
+ * @param {string} eventId - Stripe event ID
+ * @param {Object} updateData - Fields to update (status, error, processed_at)
+ * @returns {Promise<void>}
+ */
+export const updateStripeWebhookEvent = async (eventId, updateData) => {
+  try {
+    const { error } = await supabase
+      .from('stripe_webhook_events')
+      .update({ ...updateData, updated_at: new Date().toISOString() })
+      .eq('id', eventId);
+
+    if (error) {
+      throw new Error(`Error updating Stripe webhook event: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error updating Stripe webhook event:', error);
+    throw new Error('Failed to update Stripe webhook event');
+  }
+};
+
+/**
+ * Get the newest processed Stripe webhook event for a subscription (or customer)
+ * @param {string} orderingKey - Subscription (or customer) ID
+ * @returns {Promise<Object|null>} - { id, type, stripe_created_at }, or null when none was processed
+ */
+export const getLatestProcessedStripeWebhookEvent = async (orderingKey) => {
+  try {
+    const { data, error } = await supabase
+      .from('stripe_webhook_events')
+      .select('id, type, stripe_created_at')
+      .eq('ordering_key', orderingKey)
+      .eq('status', 'processed')
+      .order('stripe_created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Error getting latest Stripe webhook event: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error getting latest Stripe webhook event:', error);
+    throw new Error('Failed to get latest Stripe webhook event');
+  }
+};
+
+/**
+ * List logged Stripe webhook events, newest first
+ * @param {Object} [filters] - { status, limit }
+ * @returns {Promise<Object[]>} - stripe_webhook_events rows without payloads
+ */
+export const listStripeWebhookEvents = async ({ status = null, limit = 50 } = {}) => {
+  try {
+    let query = supabase
+      .from('stripe_webhook_events')
+      .select('id, type, stripe_created_at, ordering_key, status, attempts, error, received_at, processed_at')
+      .order('received_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Error listing Stripe webhook events: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error listing Stripe webhook events:', error);
+    throw new Error('Failed to list Stripe webhook events');
+  }
+};
+
+/**
+ * Save recommendation to the database
+ * @param {Object} recommendationData - Recommendation data
+ * @returns {Promise<Object>} - Saved recommendation data
+ */
+export const saveRecommendation = async (recommendationData) => {
+  try {
+    console.log('Saving recommendation data to database');
+
+    // Ensure data is properly formatted as JSON strings
+    let combinedSummary = recommendationData.combinedSummary;
+    let contentIdeas = recommendationData.contentIdeas;
+
+    // If combinedSummary is an object, stringify it
+    if (typeof combinedSummary === 'object') {
+      combinedSummary = JSON.stringify(combinedSummary);
+    }
+
+    // If contentIdeas is an object, stringify it
+    if (typeof contentIdeas === 'object') {
+      contentIdeas = JSON.stringify(contentIdeas);
+    }
+
+    // Make sure videoIds is an array
+    const videoIds = Array.isArray(recommendationData.videoIds)
+      ? recommendationData.videoIds
+      : (recommendationData.videoIds ? [recommendationData.videoIds] : []);
+
+    // Create the insert data object
+    const insertData = {
+      combined_summary: combinedSummary,
+      content_ideas: contentIdeas,
+      video_ids: videoIds,
+      workspace_id: recommendationData.workspaceId || null,
+      business_id: recommendationData.businessId || null
+    };
+
+    // We must include a user_id as it's a NOT NULL column
+    // The userId we receive could be either auth_id or regular id
+    if (recommendationData.userId) {
+      try {
+        console.log(`Looking up user with userId: ${recommendationData.userId}`);
+        // Use the updated getUserProfile function that checks both auth_id and id
+        const userProfile = await getUserProfile(recommendationData.userId);
+
+        if (userProfile && userProfile.id) {
+          // Use the actual user.id
+          insertData.user_id = userProfile.id;
+          console.log(`Found user with id: ${userProfile.id} for userId: ${recommendationData.userId}`);
+        } else {
+          console.log(`No user found for userId: ${recommendationData.userId}, creating a default user`);
+
+          // Create a default user
+          const { data: newUser, error: createError } = await supabase
+            .from('users')
+            .insert({
+              auth_id: recommendationData.userId,
+              email: `temp_${recommendationData.userId}@example.com`,
+              created_at: new Date().toISOString(),
+              onboarding_completed: true
+            })
+            .select();
+
+          if (createError) {
+            console.error(`Error creating default user: ${createError.message}`);
+            throw new Error(`Failed to create default user: ${createError.message}`);
+          } else if (newUser && newUser.length > 0) {
+            console.log(`Created default user with id: ${newUser[0].id}`);
+            insertData.user_id = newUser[0].id;
+          } else {
+            throw new Error('Failed to create default user');
+          }
+        }
+      } catch (userError) {
+        console.error(`Error handling user: ${userError.message}`);
+
+        // Try to use system user as fallback
+        console.log(`Attempting to use system user as fallback`);
+        const { data: systemUser, error: systemError } = await supabase
+          .from('users')
+          .select('id')
+          .eq('email', 'system@lazytrend.com')
+          .maybeSingle();
+
+        if (!systemError && systemUser) {
+          console.log(`Using existing system user with id: ${systemUser.id}`);
+          insertData.user_id = systemUser.id;
+        } else {
+          throw new Error(`Cannot save recommendation without a valid user_id: ${userError.message}`);
+        }
+      }
+    } else {
+      // No userId provided, try to use system user
+      console.log(`No userId provided, attempting to use system user`);
+
+      const { data: systemUser, error: systemError } = await supabase
+        .from('users')
+        .select('id')
+        .eq('email', 'system@lazytrend.com')
+        .maybeSingle();
+
+      if (!systemError && systemUser) {
+        console.log(`Using existing system user with id: ${systemUser.id}`);
+        insertData.user_id = systemUser.id;
+      } else {
+        // Create a system user
+        const { data: newSystemUser, error: createSystemError } = await supabase
+          .from('users')
+          .insert({
+            email: 'system@lazytrend.com',
+            created_at: new Date().toISOString(),
+            onboarding_completed: true
+          })
+          .select();
+
+        if (createSystemError) {
+          console.error(`Error creating system user: ${createSystemError.message}`);
+          throw new Error(`Cannot save recommendation without a valid user_id`);
+        } else if (newSystemUser && newSystemUser.length > 0) {
+          console.log(`Created system user with id: ${newSystemUser[0].id}`);
+          insertData.user_id = newSystemUser[0].id;
+        } else {
+          throw new Error(`Failed to create system user`);
+        }
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('recommendations')
+      .insert(insertData)
+      .select();
+
+    if (error) {
+      throw new Error(`Error saving recommendation: ${error.message}`);
+    }
+
+    console.log(`Successfully saved recommendation with ID: ${data[0].id}`);
+    return data[0];
+  } catch (error) {
+    console.error('Error saving recommendation:', error);
+    throw new Error('Failed to save recommendation');
+  }
+};
+
+/**
+ * Get TikTok videos by trend query ID
+ * @param {string} trendQueryId - Trend query ID
+ * @returns {Promise<Array>} - Array of videos
+ */
+export const getTikTokVideosByTrendQueryId = async (trendQueryId) => {
+  try {
+    const { data, error } = await supabase
+      .from('trend_query_videos')
+      .select('tiktok_videos(*)')
+      .eq('trend_query_id', trendQueryId);
+
+    if (error) {
+      throw new Error(`Error getting TikTok videos: ${error.message}`);
+    }
+
+    return data.map(link => link.tiktok_videos).filter(Boolean);
+  } catch (error) {
+    console.error('Error getting TikTok videos:', error);
+    throw new Error('Failed to get TikTok videos');
+  }
+};
+
+/**
+ * Get TikTok videos by their database IDs
+ * @param {string[]} videoIds - Video IDs
+ * @returns {Promise<Array>} - Array of videos
+ */
+export const getTikTokVideosByIds = async (videoIds) => {
+  try {
+    if (!Array.isArray(videoIds) || videoIds.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('tiktok_videos')
+      .select('*')
+      .in('id', videoIds);
+
+    if (error) {
+      throw new Error(`Error getting TikTok videos: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting TikTok videos by IDs:', error);
+    throw new Error('Failed to get TikTok videos');
+  }
+};
+
+/**
+ * Get trend queries by user ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Array of trend queries
+ */
+export const getTrendQueriesByUserId = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('trend_queries')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Error getting trend queries: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting trend queries:', error);
+    throw new Error('Failed to get trend queries');
+  }
+};
+
+/**
+ * Get recommendations by user ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Array of recommendations
+ */
+export const getRecommendationsByUserId = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('recommendations')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Error getting recommendations: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting recommendations:', error);
+    throw new Error('Failed to get recommendations');
+  }
+};
+
+/**
+ * Get user profile by user ID
+ * @param {string} userId - User ID (can be auth_id or regular id)
+ * @returns {Promise<Object>} - User profile
  */
 export const getUserProfile = async (userId) => {
   try {
-    // First try to find user by auth_id
-    const { data: authData, error: authError } = await supabase
-      .from('users')
+    // First try to find user by auth_id
+    const { data: authData, error: authError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('auth_id', userId)
+      .maybeSingle();
+
+    if (!authError && authData) {
+      console.log(`Found user by auth_id: ${userId}`);
+      return authData;
+    }
+
+    // If not found by auth_id, try by regular id
+    const { data: idData, error: idError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (!idError && idData) {
+      console.log(`Found user by regular id: ${userId}`);
+      return idData;
+    }
+
+    // If we get here, no user was found with either ID
+    console.log(`No user found with auth_id or id: ${userId}`);
+    return null;
+  } catch (error) {
+    console.error('Error getting user profile:', error);
+    throw new Error('Failed to get user profile');
+  }
+};
+
+/**
+ * Find a user by the value of one column, e.g. a Stripe subscription or customer ID
+ * @param {string} field - users column
+ * @param {string} value - Value to match
+ * @returns {Promise<Object|null>} - First matching users row, or null
+ */
+export const findUserByField = async (field, value) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq(field, value)
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error(`Error finding user by ${field}:`, error);
+    throw new Error(`Failed to find user by ${field}`);
+  }
+};
+
+/**
+ * Update a user
+ * @param {string} userId - User ID (users.id)
+ * @param {Object} updateData - Columns to update
+ * @returns {Promise<Object>} - Updated users row
+ */
+export const updateUserById = async (userId, updateData) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update(updateData)
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error updating user:', error);
+    throw new Error('Failed to update user');
+  }
+};
+
+/**
+ * Resolve a Supabase access token to its auth user through the Supabase Auth API
+ * @param {string} accessToken - Access token from the client
+ * @returns {Promise<Object|null>} - Auth user, or null when the token is invalid or expired
+ */
+export const getAuthUserFromToken = async (accessToken) => {
+  try {
+    const { data, error } = await supabase.auth.getUser(accessToken);
+
+    if (error) {
+      console.log(`Supabase rejected access token: ${error.message}`);
+      return null;
+    }
+
+    return data.user;
+  } catch (error) {
+    console.error('Error verifying access token:', error);
+    throw new Error('Failed to verify access token');
+  }
+};
+
+/**
+ * Get a trend query by ID
+ * @param {string} trendQueryId - Trend query ID
+ * @returns {Promise<Object|null>} - Trend query, or null when not found
+ */
+export const getTrendQueryById = async (trendQueryId) => {
+  try {
+    const { data, error } = await supabase
+      .from('trend_queries')
+      .select('*')
+      .eq('id', trendQueryId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error getting trend query: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting trend query:', error);
+    throw new Error('Failed to get trend query');
+  }
+};
+
+/**
+ * PostgREST filter matching trend queries of a user or of their workspaces
+ * @param {string} userId - User ID (users.id)
+ * @param {string[]} workspaceIds - Workspace IDs
+ * @returns {string} - Filter for .or()
+ */
+const getTrendQueryOwnerFilter = (userId, workspaceIds) => (workspaceIds.length > 0
+  ? `user_id.eq.${userId},workspace_id.in.(${workspaceIds.join(',')})`
+  : `user_id.eq.${userId}`);
+
+/**
+ * Filter video IDs down to those found by one of a user's trend queries, or one of their workspaces'
+ * @param {string} userId - User ID (users.id)
+ * @param {string[]} videoIds - Video IDs
+ * @param {string[]} [workspaceIds] - IDs of the workspaces whose trend queries count
+ * @returns {Promise<Set<string>>} - IDs of the videos the user owns
+ */
+export const getUserOwnedVideoIds = async (userId, videoIds, workspaceIds = []) => {
+  try {
+    if (!videoIds || videoIds.length === 0) {
+      return new Set();
+    }
+
+    const { data, error } = await supabase
+      .from('trend_query_videos')
+      .select('video_id, trend_queries!inner(user_id, workspace_id)')
+      .in('video_id', videoIds)
+      .or(getTrendQueryOwnerFilter(userId, workspaceIds), { referencedTable: 'trend_queries' });
+
+    if (error) {
+      throw new Error(`Error checking video ownership: ${error.message}`);
+    }
+
+    return new Set((data || []).map(link => link.video_id));
+  } catch (error) {
+    console.error('Error checking video ownership:', error);
+    throw new Error('Failed to check video ownership');
+  }
+};
+
+/**
+ * Filter storage paths down to the archived files a user owns exclusively: every trend query that found
+ * the video is one of the user's, or one of their workspaces'. A video other users' queries also found
+ * is shared, and its archive isn't the user's to delete.
+ * @param {string} userId - User ID (users.id)
+ * @param {string[]} storagePaths - Paths in the tiktok-videos bucket (videos/<file>)
+ * @param {string[]} [workspaceIds] - IDs of the workspaces whose trend queries count
+ * @returns {Promise<Set<string>>} - Paths the user owns
+ */
+export const getUserOwnedStoragePaths = async (userId, storagePaths, workspaceIds = []) => {
+  try {
+    if (!storagePaths || storagePaths.length === 0) {
+      return new Set();
+    }
+
+    // All of each video's trend queries, not only the user's, to tell exclusive from shared videos
+    const { data, error } = await supabase
+      .from('tiktok_videos')
+      .select('storage_path, trend_query_videos!inner(trend_queries!inner(user_id, workspace_id))')
+      .in('storage_path', storagePaths);
+
+    if (error) {
+      throw new Error(`Error checking storage path ownership: ${error.message}`);
+    }
+
+    const ownsQuery = ({ trend_queries: query }) =>
+      query.user_id === userId || (query.workspace_id !== null && workspaceIds.includes(query.workspace_id));
+
+    // Several rows can share a path (videos are deduplicated, but older rows may remain)
+    const owned = new Set();
+    const shared = new Set();
+    for (const video of data || []) {
+      (video.trend_query_videos.every(ownsQuery) ? owned : shared).add(video.storage_path);
+    }
+
+    return new Set([...owned].filter(storagePath => !shared.has(storagePath)));
+  } catch (error) {
+    console.error('Error checking storage path ownership:', error);
+    throw new Error('Failed to check storage path ownership');
+  }
+};
+
+/**
+ * Create a workspace with its creator as the owner
+ * @param {Object} workspaceData - { name, createdBy (users.id), billingEmail }
+ * @returns {Promise<Object>} - Created workspace
+ */
+export const createWorkspace = async ({ name, createdBy, billingEmail = null }) => {
+  try {
+    const { data: workspace, error } = await supabase
+      .from('workspaces')
+      .insert({ name, created_by: createdBy, billing_email: billingEmail })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating workspace: ${error.message}`);
+    }
+
+    const { error: memberError } = await supabase
+      .from('workspace_members')
+      .insert({ workspace_id: workspace.id, user_id: createdBy, role: 'owner' });
+
+    if (memberError) {
+      // A workspace without an owner can't be managed
+      await supabase.from('workspaces').delete().eq('id', workspace.id);
+      throw new Error(`Error adding workspace owner: ${memberError.message}`);
+    }
+
+    return workspace;
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    throw new Error('Failed to create workspace');
+  }
+};
+
+/**
+ * Find a workspace by the value of one column, e.g. its ID or a Stripe subscription or customer ID
+ * @param {string} field - workspaces column
+ * @param {string} value - Value to match
+ * @returns {Promise<Object|null>} - First matching workspace, or null
+ */
+export const findWorkspaceByField = async (field, value) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspaces')
+      .select('*')
+      .eq(field, value)
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error(`Error finding workspace by ${field}:`, error);
+    throw new Error(`Failed to find workspace by ${field}`);
+  }
+};
+
+/**
+ * Update a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} updateData - Columns to update
+ * @returns {Promise<Object>} - Updated workspace
+ */
+export const updateWorkspaceById = async (workspaceId, updateData) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspaces')
+      .update({ ...updateData, updated_at: new Date().toISOString() })
+      .eq('id', workspaceId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    throw new Error('Failed to update workspace');
+  }
+};
+
+/**
+ * List the workspaces a user is a member of
+ * @param {string} userId - User ID (users.id)
+ * @returns {Promise<Object[]>} - Memberships ({ workspace_id, role, workspaces })
+ */
+export const getUserWorkspaceMemberships = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select('workspace_id, role, created_at, workspaces(*)')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw new Error(`Error getting workspace memberships: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting workspace memberships:', error);
+    throw new Error('Failed to get workspace memberships');
+  }
+};
+
+/**
+ * Get a user's membership of a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID (users.id)
+ * @returns {Promise<Object|null>} - workspace_members row, or null when the user isn't a member
+ */
+export const getWorkspaceMember = async (workspaceId, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error getting workspace member: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error getting workspace member:', error);
+    throw new Error('Failed to get workspace member');
+  }
+};
+
+/**
+ * List a workspace's members with their email
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object[]>} - workspace_members rows with users (id, email)
+ */
+export const listWorkspaceMembers = async (workspaceId) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .select('user_id, role, created_at')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error listing workspace members: ${error.message}`);
+    }
+
+    const userIds = (data || []).map(member => member.user_id);
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    // user_id is TEXT, so the users are read separately rather than embedded
+    const { data: users, error: usersError } = await supabase
+      .from('users')
+      .select('id, email')
+      .in('id', userIds);
+
+    if (usersError) {
+      throw new Error(`Error getting workspace member emails: ${usersError.message}`);
+    }
+
+    const emails = new Map((users || []).map(user => [user.id, user.email]));
+    return data.map(member => ({ ...member, email: emails.get(member.user_id) || null }));
+  } catch (error) {
+    console.error('Error listing workspace members:', error);
+    throw new Error('Failed to list workspace members');
+  }
+};
+
+/**
+ * Add a member to a workspace, or change the role of an existing member
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID (users.id)
+ * @param {string} role - owner, editor or viewer
+ * @returns {Promise<Object>} - workspace_members row
+ */
+export const upsertWorkspaceMember = async (workspaceId, userId, role) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .upsert({ workspace_id: workspaceId, user_id: userId, role }, { onConflict: 'workspace_id,user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving workspace member: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error saving workspace member:', error);
+    throw new Error('Failed to save workspace member');
+  }
+};
+
+/**
+ * Remove a member from a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID (users.id)
+ * @returns {Promise<boolean>} - Whether a member was removed
+ */
+export const removeWorkspaceMember = async (workspaceId, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_members')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) {
+      throw new Error(`Error removing workspace member: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error('Error removing workspace member:', error);
+    throw new Error('Failed to remove workspace member');
+  }
+};
+
+/**
+ * Save a workspace invitation
+ * @param {Object} invitation - { workspace_id, email, role, token_hash, invited_by, expires_at }
+ * @returns {Promise<Object>} - Saved invitation
+ */
+export const saveWorkspaceInvitation = async (invitation) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .insert(invitation)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving workspace invitation: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error saving workspace invitation:', error);
+    throw new Error('Failed to save workspace invitation');
+  }
+};
+
+/**
+ * Find a workspace invitation by the value of one column (its ID or token hash)
+ * @param {string} field - workspace_invitations column
+ * @param {string} value - Value to match
+ * @returns {Promise<Object|null>} - Invitation, or null
+ */
+export const findWorkspaceInvitation = async (field, value) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .select('*')
+      .eq(field, value)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Error finding workspace invitation: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error finding workspace invitation:', error);
+    throw new Error('Failed to find workspace invitation');
+  }
+};
+
+/**
+ * List a workspace's pending invitations
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object[]>} - Invitations, newest first (without token hashes)
+ */
+export const listPendingWorkspaceInvitations = async (workspaceId) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .select('id, email, role, invited_by, created_at, expires_at')
+      .eq('workspace_id', workspaceId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error listing workspace invitations: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error listing workspace invitations:', error);
+    throw new Error('Failed to list workspace invitations');
+  }
+};
+
+/**
+ * Move a pending workspace invitation to a new status. Only a pending invitation changes, so an
+ * invitation is accepted or revoked once.
+ * @param {string} invitationId - Invitation ID
+ * @param {Object} updateData - { status, accepted_by, accepted_at }
+ * @returns {Promise<Object|null>} - Updated invitation, or null when it was no longer pending
+ */
+export const updatePendingWorkspaceInvitation = async (invitationId, updateData) => {
+  try {
+    const { data, error } = await supabase
+      .from('workspace_invitations')
+      .update(updateData)
+      .eq('id', invitationId)
+      .eq('status', 'pending')
+      .select();
+
+    if (error) {
+      throw new Error(`Error updating workspace invitation: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error updating workspace invitation:', error);
+    throw new Error('Failed to update workspace invitation');
+  }
+};
+
+/**
+ * Get a workspace's trend queries, newest first
+ * @param {string} workspaceId - Workspace ID
+ * @param {number} [limit] - Maximum number of trend queries
+ * @returns {Promise<Array>} - Trend queries
+ */
+export const getTrendQueriesByWorkspaceId = async (workspaceId, limit = 100) => {
+  try {
+    const { data, error } = await supabase
+      .from('trend_queries')
       .select('*')
-      .eq('auth_id', userId)
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error getting workspace trend queries: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting workspace trend queries:', error);
+    throw new Error('Failed to get workspace trend queries');
+  }
+};
+
+/**
+ * Get a workspace's recommendations (trend reports), newest first
+ * @param {string} workspaceId - Workspace ID
+ * @param {number} [limit] - Maximum number of recommendations
+ * @returns {Promise<Array>} - Recommendations
+ */
+export const getRecommendationsByWorkspaceId = async (workspaceId, limit = 50) => {
+  try {
+    const { data, error } = await supabase
+      .from('recommendations')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error getting workspace recommendations: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting workspace recommendations:', error);
+    throw new Error('Failed to get workspace recommendations');
+  }
+};
+
+/**
+ * Save a business profile
+ * @param {Object} business - businesses columns (user_id, workspace_id, name, description, ...)
+ * @returns {Promise<Object>} - Saved business
+ */
+export const createBusiness = async (business) => {
+  try {
+    const { data, error } = await supabase
+      .from('businesses')
+      .insert(business)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating business: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error creating business:', error);
+    throw new Error('Failed to create business');
+  }
+};
+
+/**
+ * Get a business profile by ID
+ * @param {string} businessId - Business ID
+ * @returns {Promise<Object|null>} - Business, or null
+ */
+export const getBusinessById = async (businessId) => {
+  try {
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('*')
+      .eq('id', businessId)
       .maybeSingle();
 
-    if (!authError && authData) {
-      console.log(`Found user by auth_id: ${userId}`);
-      return authData;
+    if (error) {
+      throw new Error(`Error getting business: ${error.message}`);
     }
 
-    // If not found by auth_id, try by regular id
-    const { data: idData, error: idError } = await supabase
-      .from('users')
+    return data;
+  } catch (error) {
+    console.error('Error getting business:', error);
+    throw new Error('Failed to get business');
+  }
+};
+
+/**
+ * List the business profiles of a workspace, or a user's personal ones
+ * @param {Object} owner - { userId, workspaceId }; with a workspaceId the workspace's businesses are listed
+ * @returns {Promise<Object[]>} - Businesses, by name
+ */
+export const listBusinesses = async ({ userId, workspaceId = null }) => {
+  try {
+    let query = supabase
+      .from('businesses')
       .select('*')
-      .eq('id', userId)
+      .order('name', { ascending: true });
+
+    query = workspaceId
+      ? query.eq('workspace_id', workspaceId)
+      : query.eq('user_id', userId).is('workspace_id', null);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Error listing businesses: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error listing businesses:', error);
+    throw new Error('Failed to list businesses');
+  }
+};
+
+/**
+ * Update a business profile
+ * @param {string} businessId - Business ID
+ * @param {Object} updateData - Columns to update
+ * @returns {Promise<Object>} - Updated business
+ */
+export const updateBusinessById = async (businessId, updateData) => {
+  try {
+    const { data, error } = await supabase
+      .from('businesses')
+      .update({ ...updateData, updated_at: new Date().toISOString() })
+      .eq('id', businessId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating business: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error updating business:', error);
+    throw new Error('Failed to update business');
+  }
+};
+
+/**
+ * Delete a business profile. Its trend queries, recommendations and runs are kept without the business.
+ * @param {string} businessId - Business ID
+ */
+export const deleteBusinessById = async (businessId) => {
+  try {
+    const { error } = await supabase
+      .from('businesses')
+      .delete()
+      .eq('id', businessId);
+
+    if (error) {
+      throw new Error(`Error deleting business: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error deleting business:', error);
+    throw new Error('Failed to delete business');
+  }
+};
+
+/**
+ * Get a business's trend queries, newest first
+ * @param {string} businessId - Business ID
+ * @param {number} [limit] - Maximum number of trend queries
+ * @returns {Promise<Array>} - Trend queries
+ */
+export const getTrendQueriesByBusinessId = async (businessId, limit = 100) => {
+  try {
+    const { data, error } = await supabase
+      .from('trend_queries')
+      .select('*')
+      .eq('business_id', businessId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error getting business trend queries: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting business trend queries:', error);
+    throw new Error('Failed to get business trend queries');
+  }
+};
+
+/**
+ * Get a business's recommendations (trend reports), newest first
+ * @param {string} businessId - Business ID
+ * @param {number} [limit] - Maximum number of recommendations
+ * @returns {Promise<Array>} - Recommendations
+ */
+export const getRecommendationsByBusinessId = async (businessId, limit = 50) => {
+  try {
+    const { data, error } = await supabase
+      .from('recommendations')
+      .select('*')
+      .eq('business_id', businessId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error getting business recommendations: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting business recommendations:', error);
+    throw new Error('Failed to get business recommendations');
+  }
+};
+
+/**
+ * Create a run schedule
+ * @param {Object} schedule - run_schedules columns
+ * @returns {Promise<Object>} - Created schedule
+ */
+export const createRunSchedule = async (schedule) => {
+  try {
+    const { data, error } = await supabase
+      .from('run_schedules')
+      .insert(schedule)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating run schedule: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error creating run schedule:', error);
+    throw new Error('Failed to create run schedule');
+  }
+};
+
+/**
+ * Get a run schedule by ID
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} - Schedule, or null
+ */
+export const getRunScheduleById = async (scheduleId) => {
+  try {
+    const { data, error } = await supabase
+      .from('run_schedules')
+      .select('*')
+      .eq('id', scheduleId)
       .maybeSingle();
 
-    if (!idError && idData) {
-      console.log(`Found user by regular id: ${userId}`);
-      return idData;
+    if (error) {
+      throw new Error(`Error getting run schedule: ${error.message}`);
     }
 
-    // If we get here, no user was found with either ID
-    console.log(`No user found with auth_id or id: ${userId}`);
-    return null;
+    return data;
   } catch (error) {
-    console.error('Error getting user profile:', error);
-    throw new Error('Failed to get user profile');
+    console.error('Error getting run schedule:', error);
+    throw new Error('Failed to get run schedule');
+  }
+};
+
+/**
+ * List a business's run schedules
+ * @param {string} businessId - Business ID
+ * @returns {Promise<Object[]>} - Schedules, oldest first
+ */
+export const listRunSchedulesByBusinessId = async (businessId) => {
+  try {
+    const { data, error } = await supabase
+      .from('run_schedules')
+      .select('*')
+      .eq('business_id', businessId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error listing run schedules: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error listing run schedules:', error);
+    throw new Error('Failed to list run schedules');
+  }
+};
+
+/**
+ * Update a run schedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} updateData - Columns to update
+ * @returns {Promise<Object>} - Updated schedule
+ */
+export const updateRunScheduleById = async (scheduleId, updateData) => {
+  try {
+    const { data, error } = await supabase
+      .from('run_schedules')
+      .update({ ...updateData, updated_at: new Date().toISOString() })
+      .eq('id', scheduleId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating run schedule: ${error.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error updating run schedule:', error);
+    throw new Error('Failed to update run schedule');
+  }
+};
+
+/**
+ * Delete a run schedule and its run history
+ * @param {string} scheduleId - Schedule ID
+ */
+export const deleteRunScheduleById = async (scheduleId) => {
+  try {
+    const { error } = await supabase
+      .from('run_schedules')
+      .delete()
+      .eq('id', scheduleId);
+
+    if (error) {
+      throw new Error(`Error deleting run schedule: ${error.message}`);
+    }
+  } catch (error) {
+    console.error('Error deleting run schedule:', error);
+    throw new Error('Failed to delete run schedule');
+  }
+};
+
+/**
+ * Get enabled run schedules whose next run is due
+ * @param {Date} now - Current time
+ * @param {number} [limit] - Maximum number of schedules
+ * @returns {Promise<Object[]>} - Due schedules, longest overdue first
+ */
+export const listDueRunSchedules = async (now, limit = 20) => {
+  try {
+    const { data, error } = await supabase
+      .from('run_schedules')
+      .select('*')
+      .eq('enabled', true)
+      .lte('next_run_at', now.toISOString())
+      .order('next_run_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error getting due run schedules: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error getting due run schedules:', error);
+    throw new Error('Failed to get due run schedules');
+  }
+};
+
+/**
+ * Claim a due run by moving the schedule's next run, only if no other scheduler has moved it already
+ * @param {string} scheduleId - Schedule ID
+ * @param {string} dueAt - next_run_at as read with the schedule
+ * @param {Object} updateData - Columns to update (next_run_at)
+ * @returns {Promise<Object|null>} - Updated schedule, or null when the run was claimed elsewhere or the schedule was disabled
+ */
+export const claimRunSchedule = async (scheduleId, dueAt, updateData) => {
+  try {
+    const { data, error } = await supabase
+      .from('run_schedules')
+      .update(updateData)
+      .eq('id', scheduleId)
+      .eq('enabled', true)
+      .eq('next_run_at', dueAt)
+      .select();
+
+    if (error) {
+      throw new Error(`Error claiming run schedule: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error claiming run schedule:', error);
+    throw new Error('Failed to claim run schedule');
+  }
+};
+
+/**
+ * Record the outcome of a scheduled run and keep it as the schedule's latest
+ * @param {Object} run - scheduled_runs columns (schedule_id, scheduled_for, status, reason, job_id)
+ * @returns {Promise<Object>} - Saved run
+ */
+export const saveScheduledRun = async (run) => {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_runs')
+      .insert(run)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error saving scheduled run: ${error.message}`);
+    }
+
+    const { error: scheduleError } = await supabase
+      .from('run_schedules')
+      .update({ last_run_at: run.scheduled_for, last_run_status: run.status })
+      .eq('id', run.schedule_id);
+
+    if (scheduleError) {
+      throw new Error(`Error updating run schedule: ${scheduleError.message}`);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error saving scheduled run:', error);
+    throw new Error('Failed to save scheduled run');
+  }
+};
+
+/**
+ * Get a schedule's runs with the status of their jobs, newest first
+ * @param {string} scheduleId - Schedule ID
+ * @param {number} [limit] - Maximum number of runs
+ * @returns {Promise<Object[]>} - scheduled_runs rows with job: { status, error, finished_at } (null when not enqueued)
+ */
+export const listScheduledRuns = async (scheduleId, limit = 20) => {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_runs')
+      .select('*, job:workflow_runs(status, error, finished_at)')
+      .eq('schedule_id', scheduleId)
+      .order('scheduled_for', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Error listing scheduled runs: ${error.message}`);
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error listing scheduled runs:', error);
+    throw new Error('Failed to list scheduled runs');
   }
 };
 
@@ -612,20 +2398,22 @@ export const getRecentTrendQueriesWithVideos = async (limit = 10) => {
     // Get videos associated with these trend queries
     const trendQueryIds = trendQueries.map(q => q.id);
 
-    const { data: dbVideos, error: dbVideoError } = await supabase
-      .from('tiktok_videos')
-      .select('*')
+    const { data: links, error: dbVideoError } = await supabase
+      .from('trend_query_videos')
+      .select('trend_query_id, tiktok_videos(*)')
       .in('trend_query_id', trendQueryIds);
 
     if (dbVideoError) {
       throw new Error(`Error getting videos for trend queries: ${dbVideoError.message}`);
     }
 
-    console.log(`Found ${dbVideos.length} videos associated with these trend queries`);
+    console.log(`Found ${links.length} videos associated with these trend queries`);
 
-    // Group videos by trend query
+    // Group videos by trend query; a video surfaced by several queries appears under each
     const trendQueriesWithVideos = trendQueries.map(query => {
-      const associatedVideos = dbVideos.filter(video => video.trend_query_id === query.id);
+      const associatedVideos = links
+        .filter(link => link.trend_query_id === query.id && link.tiktok_videos)
+        .map(link => link.tiktok_videos);
       return {
         ...query,
         videos: associatedVideos
@@ -782,13 +2570,76 @@ export default {
   initializeStorage,
   uploadVideoToSupabase,
   saveTikTokVideo,
+  upsertTikTokVideo,
+  findTikTokVideoByTiktokId,
+  linkVideoToTrendQuery,
+  saveVideoMetricSnapshot,
   saveTrendQuery,
   updateTikTokVideoAnalysis,
+  findCachedVideoAnalysis,
+  incrementDailyApiUsage,
+  incrementUserRunUsage,
+  decrementUserRunUsage,
+  incrementUserAnalyzedVideoUsage,
+  getUserRunUsage,
+  clearTikTokVideoStoragePaths,
+  getTikTokIdFromUrl,
+  getTikTokVideosWithOutdatedAnalysis,
+  getVideosDueForMetricsPoll,
+  updateTikTokVideoMetrics,
+  markTikTokVideoMetricsPolled,
+  getVideoMetricSnapshots,
+  getTrendQueryVideoLinks,
+  saveApiUsageEvent,
+  getApiUsageEvents,
+  insertStripeWebhookEvent,
+  getStripeWebhookEvent,
+  reclaimStripeWebhookEvent,
+  updateStripeWebhookEvent,
+  getLatestProcessedStripeWebhookEvent,
+  listStripeWebhookEvents,
   saveRecommendation,
   getTikTokVideosByTrendQueryId,
+  getTikTokVideosByIds,
   getTrendQueriesByUserId,
   getRecommendationsByUserId,
   getUserProfile,
+  findUserByField,
+  updateUserById,
+  getAuthUserFromToken,
+  getTrendQueryById,
+  getUserOwnedVideoIds,
+  getUserOwnedStoragePaths,
+  createWorkspace,
+  findWorkspaceByField,
+  updateWorkspaceById,
+  getUserWorkspaceMemberships,
+  getWorkspaceMember,
+  listWorkspaceMembers,
+  upsertWorkspaceMember,
+  removeWorkspaceMember,
+  saveWorkspaceInvitation,
+  findWorkspaceInvitation,
+  listPendingWorkspaceInvitations,
+  updatePendingWorkspaceInvitation,
+  getTrendQueriesByWorkspaceId,
+  getRecommendationsByWorkspaceId,
+  createBusiness,
+  getBusinessById,
+  listBusinesses,
+  updateBusinessById,
+  deleteBusinessById,
+  getTrendQueriesByBusinessId,
+  getRecommendationsByBusinessId,
+  createRunSchedule,
+  getRunScheduleById,
+  listRunSchedulesByBusinessId,
+  updateRunScheduleById,
+  deleteRunScheduleById,
+  listDueRunSchedules,
+  claimRunSchedule,
+  saveScheduledRun,
+  listScheduledRuns,
   getVideosFromStorageBucket,
   getRecentTrendQueriesWithVideos,
   deleteVideosFromStorageBucket
@@ -0,0 +1,246 @@
+import dotenv from 'dotenv';
+import { getTrendQueryVideoLinks, getUserProfile } from './supabaseService.js';
+import { ApiError } from '../utils/errorHandler.js';
+
+dotenv.config();
+
+// Default window for rankings; growth compares it with the window of the same length before it
+const TREND_AGGREGATION_WINDOW_DAYS = parseInt(process.env.TREND_AGGREGATION_WINDOW_DAYS || '7', 10);
+// Cap on video links read per window of an aggregation, to bound memory and query time
+const TREND_AGGREGATION_MAX_VIDEOS = parseInt(process.env.TREND_AGGREGATION_MAX_VIDEOS || '5000', 10);
+
+const LINKS_PAGE_SIZE = 1000;
+const EXAMPLE_VIDEOS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Music titles that don't identify a sound
+const PLACEHOLDER_SOUNDS = ['n/a', 'unknown', ''];
+
+/**
+ * Hashtags of a video row, lowercased and without duplicates
+ * @param {Object} video - Video row
+ * @returns {string[]} - Hashtags including the leading #
+ */
+const getVideoHashtags = (video) => {
+  let hashtags = video.hashtags || [];
+  if (typeof hashtags === 'string') {
+    try {
+      hashtags = JSON.parse(hashtags);
+    } catch (e) {
+      hashtags = hashtags.match(/#[\w]+/g) || [];
+    }
+  }
+  if (!Array.isArray(hashtags)) {
+    return [];
+  }
+
+  return [...new Set(hashtags
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => tag.length > 1)
+    .map(tag => (tag.startsWith('#') ? tag : `#${tag}`)))];
+};
+
+/**
+ * Sound of a video row
+ * @param {Object} video - Video row
+ * @returns {string[]} - The music title, or nothing for placeholder titles
+ */
+const getVideoSounds = (video) => {
+  const title = (video.music_title || '').trim();
+  return PLACEHOLDER_SOUNDS.includes(title.toLowerCase()) ? [] : [title];
+};
+
+const getEngagement = (video) => (video.likes || 0) + (video.shares || 0);
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Read the distinct videos found in one window, newest first, up to TREND_AGGREGATION_MAX_VIDEOS links
+ * @param {Object} options - { userId (users.id or null), since, until (Date or null for now) }
+ * @returns {Promise<Object>} - { videos, truncated } with the video rows and whether the cap truncated them
+ */
+const loadVideosBetween = async ({ userId, since, until }) => {
+  const videos = new Map();
+  let read = 0;
+  let truncated = false;
+
+  while (true) {
+    const limit = Math.min(LINKS_PAGE_SIZE, TREND_AGGREGATION_MAX_VIDEOS - read);
+    const links = await getTrendQueryVideoLinks({
+      since: since.toISOString(),
+      until: until ? until.toISOString() : null,
+      userId,
+      offset: read,
+      limit
+    });
+    read += links.length;
+
+    for (const link of links) {
+      // A video found by several queries counts once per window
+      if (link.tiktok_videos) {
+        videos.set(link.tiktok_videos.id, link.tiktok_videos);
+      }
+    }
+
+    if (links.length < limit) break;
+    if (read >= TREND_AGGREGATION_MAX_VIDEOS) {
+      truncated = true;
+      break;
+    }
+  }
+
+  return { videos: [...videos.values()], truncated };
+};
+
+/**
+ * Read the distinct videos found in the current and previous windows. Each window is capped on its own,
+ * so a busy previous window can't crowd out the current one.
+ * @param {Object} options - { userId (users.id or null), windowStart, previousStart }
+ * @returns {Promise<Object>} - { current, previous } arrays of video rows and whether a cap truncated them
+ */
+const loadWindowVideos = async ({ userId, windowStart, previousStart }) => {
+  const current = await loadVideosBetween({ userId, since: windowStart, until: null });
+  const previous = await loadVideosBetween({ userId, since: previousStart, until: windowStart });
+
+  return { current: current.videos, previous: previous.videos, truncated: current.truncated || previous.truncated };
+};
+
+/**
+ * Rank the keys (hashtags or sounds) of a set of videos
+ * @param {Object[]} currentVideos - Videos found in the window
+ * @param {Object[]} previousVideos - Videos found in the previous window
+ * @param {Function} getKeys - Returns the keys of a video
+ * @param {number} limit - Maximum number of entries
+ * @returns {Object[]} - Entries of { key, videoCount, totalViews, totalEngagement, medianEngagement,
+ *                       previousVideoCount, growth, exampleVideos }, most frequent first
+ */
+const rankKeys = (currentVideos, previousVideos, getKeys, limit) => {
+  const previousCounts = new Map();
+  for (const video of previousVideos) {
+    for (const key of getKeys(video)) {
+      previousCounts.set(key, (previousCounts.get(key) || 0) + 1);
+    }
+  }
+
+  const groups = new Map();
+  for (const video of currentVideos) {
+    for (const key of getKeys(video)) {
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(video);
+    }
+  }
+
+  const entries = [...groups.entries()].map(([key, videos]) => {
+    const engagements = videos.map(getEngagement);
+    const previousVideoCount = previousCounts.get(key) || 0;
+
+    return {
+      key,
+      videoCount: videos.length,
+      totalViews: videos.reduce((sum, video) => sum + (video.views || 0), 0),
+      totalEngagement: engagements.reduce((sum, value) => sum + value, 0),
+      medianEngagement: median(engagements),
+      previousVideoCount,
+      // null when the key did not appear in the previous window
+      growth: previousVideoCount > 0 ? Number(((videos.length - previousVideoCount) / previousVideoCount).toFixed(4)) : null,
+      exampleVideos: [...videos]
+        .sort((a, b) => (b.views || 0) - (a.views || 0))
+        .slice(0, EXAMPLE_VIDEOS)
+        .map(video => ({
+          videoId: video.id,
+          title: video.title,
+          author: video.author,
+          videoUrl: video.video_url,
+          views: video.views || 0,
+          engagement: getEngagement(video)
+        }))
+    };
+  });
+
+  return entries
+    .sort((a, b) => b.videoCount - a.videoCount || b.totalEngagement - a.totalEngagement)
+    .slice(0, limit);
+};
+
+/**
+ * Aggregate hashtags or sounds over a time window
+ * @param {Function} getKeys - Returns the keys of a video
+ * @param {Object} options - Aggregation options
+ * @param {string} [options.userId] - Only this user's scraped videos (auth ID or users.id); all users when omitted
+ * @param {number} [options.windowDays] - Window length in days (default: TREND_AGGREGATION_WINDOW_DAYS)
+ * @param {number} [options.limit] - Maximum number of entries (default: 20)
+ * @returns {Promise<Object>} - { userId, windowDays, windowStart, previousWindowStart, videoCount, previousVideoCount, truncated, entries }
+ */
+const aggregate = async (getKeys, { userId = null, windowDays = TREND_AGGREGATION_WINDOW_DAYS, limit = 20 } = {}) => {
+  let dbUserId = null;
+  if (userId) {
+    const profile = await getUserProfile(userId);
+    if (!profile) {
+      throw new ApiError('User not found', 404);
+    }
+    dbUserId = profile.id;
+  }
+
+  const now = Date.now();
+  const windowStart = new Date(now - windowDays * DAY_MS);
+  const previousStart = new Date(now - 2 * windowDays * DAY_MS);
+
+  const { current, previous, truncated } = await loadWindowVideos({ userId: dbUserId, windowStart, previousStart });
+
+  return {
+    userId,
+    windowDays,
+    windowStart: windowStart.toISOString(),
+    previousWindowStart: previousStart.toISOString(),
+    videoCount: current.length,
+    previousVideoCount: previous.length,
+    truncated,
+    entries: rankKeys(current, previous, getKeys, limit)
+  };
+};
+
+/**
+ * Rank hashtags across scraped videos in a time window
+ * @param {Object} [options] - { userId, windowDays, limit } (see aggregate)
+ * @returns {Promise<Object>} - Aggregation with entries keyed by hashtag
+ */
+export const getHashtagTrends = async (options = {}) => {
+  try {
+    return await aggregate(getVideoHashtags, options);
+  } catch (error) {
+    console.error('Error aggregating hashtag trends:', error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new Error('Failed to aggregate hashtag trends');
+  }
+};
+
+/**
+ * Rank sounds (music titles) across scraped videos in a time window
+ * @param {Object} [options] - { userId, windowDays, limit } (see aggregate)
+ * @returns {Promise<Object>} - Aggregation with entries keyed by sound
+ */
+export const getSoundTrends = async (options = {}) => {
+  try {
+    return await aggregate(getVideoSounds, options);
+  } catch (error) {
+    console.error('Error aggregating sound trends:', error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new Error('Failed to aggregate sound trends');
+  }
+};
+
+export default {
+  getHashtagTrends,
+  getSoundTrends
+};
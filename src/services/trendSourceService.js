@@ -0,0 +1,296 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { TrendSourceError } from '../utils/errorHandler.js';
+import { trackUsage } from './usageService.js';
+
+dotenv.config();
+
+// Kinds of search a trend source can support
+export const SEARCH_TYPES = ['keyword', 'hashtag', 'sound', 'creator'];
+
+// Providers tried in order when a request doesn't pick its own (comma-separated)
+const TREND_SOURCE_PROVIDERS = process.env.TREND_SOURCE_PROVIDERS || 'rapidapi';
+
+// Using the TikTok Most Trending and Viral Content API endpoint from RapidAPI (NEW)
+const TIKTOK_TRENDING_API_URL = 'https://tiktok-most-trending-and-viral-content.p.rapidapi.com/video';
+const RAPIDAPI_HOST = 'tiktok-most-trending-and-viral-content.p.rapidapi.com';
+
+// Video info API used to look up a single video's current metrics (the same API the media resolver uses)
+const VIDEO_INFO_RAPIDAPI_HOST = process.env.MEDIA_RAPIDAPI_HOST || 'tiktok-video-no-watermark2.p.rapidapi.com';
+const VIDEO_INFO_RAPIDAPI_URL = process.env.MEDIA_RAPIDAPI_URL || `https://${VIDEO_INFO_RAPIDAPI_HOST}/`;
+
+// Directory of JSON fixtures used by the fixture provider
+const TREND_FIXTURES_DIR = process.env.TREND_FIXTURES_DIR || './fixtures/trends';
+
+/**
+ * Build a normalized video record, the shape every provider returns
+ * @param {Object} fields - Video fields
+ * @returns {Object} - { tiktokId, author, title, likes, comments, shares, views, originalUrl, duration, musicTitle, uploadedAt }
+ */
+const normalizeVideo = ({ tiktokId, author, title = null, likes, comments, shares, views, originalUrl, duration, musicTitle, uploadedAt }) => ({
+  tiktokId: String(tiktokId),
+  author,
+  title,
+  likes: Number(likes) || 0,
+  comments: Number(comments) || 0,
+  shares: Number(shares) || 0,
+  views: Number(views) || 0,
+  originalUrl: originalUrl || `https://www.tiktok.com/@${author}/video/${tiktokId}`,
+  duration: Number(duration) || 0,
+  musicTitle: musicTitle || null,
+  uploadedAt: uploadedAt || null
+});
+
+/**
+ * TikTok Most Trending and Viral Content API on RapidAPI. Its only filter is a free-text search
+ * over video titles, so hashtags are searched as "#tag". Single videos are looked up through
+ * the video info API.
+ */
+const rapidApiProvider = {
+  name: 'rapidapi',
+  searchTypes: ['keyword', 'hashtag'],
+  // Requests count against the trending API budgets
+  budgeted: true,
+  search: async ({ type, value, take, skip, params = {} }) => {
+    // Extract custom parameters with defaults
+    const {
+      sorting = 'rise', // 'rise' or 'rate'
+      days = 7, // 1, 7, or 30
+      videosLocation = null // country code like 'CH', 'US', etc.
+    } = params;
+
+    const searchParams = {
+      take: take.toString(),
+      skip: skip.toString(),
+      sorting: sorting,
+      search: type === 'hashtag' ? `#${value}` : value,
+      days: days.toString(),
+      order: 'desc'
+    };
+
+    // Add location filter if specified
+    if (videosLocation && videosLocation.trim() !== '') {
+      searchParams.videosLocation = videosLocation;
+    }
+
+    console.log(`Search parameters for "${value}":`, searchParams);
+
+    const searchResponse = await trackUsage(
+      { provider: 'rapidapi', operation: 'trend_search', model: RAPIDAPI_HOST, units: 1, unitType: 'request' },
+      () => axios.get(TIKTOK_TRENDING_API_URL, {
+        params: searchParams,
+        headers: {
+          'X-RapidAPI-Key': process.env.RAPIDAPI_KEY,
+          'X-RapidAPI-Host': RAPIDAPI_HOST
+        }
+      })
+    );
+
+    // Fail loudly when the vendor changes its response shape instead of reporting no results
+    const stats = searchResponse.data && searchResponse.data.data && searchResponse.data.data.stats;
+    if (!Array.isArray(stats)) {
+      const keys = searchResponse.data ? Object.keys(searchResponse.data).join(', ') : 'no body';
+      throw new TrendSourceError(`RapidAPI trending response has no data.stats array (keys: ${keys})`, 'invalid_response');
+    }
+
+    const videos = [];
+    for (const video of stats) {
+      if (!video || !video.videoId || !video.authorName) {
+        console.warn(`Invalid video data for query "${value}". Missing videoId or authorName. Video data:`, video);
+        continue;
+      }
+
+      videos.push(normalizeVideo({
+        tiktokId: video.videoId,
+        author: video.authorName || video.user,
+        title: video.videoTitle,
+        likes: video.likes,
+        comments: video.commentsCount,
+        shares: video.shares,
+        views: video.playCount,
+        originalUrl: video.videoUrl,
+        duration: video.videoDuration,
+        musicTitle: video.musicTitle,
+        uploadedAt: video.videoCreateTime
+      }));
+    }
+
+    // A short page means there are no more results
+    return { videos, hasMore: stats.length >= take };
+  },
+  lookup: async ({ tiktokId, originalUrl }) => {
+    const response = await trackUsage(
+      { provider: 'rapidapi', operation: 'video_lookup', model: VIDEO_INFO_RAPIDAPI_HOST, units: 1, unitType: 'request' },
+      () => axios.get(VIDEO_INFO_RAPIDAPI_URL, {
+        params: { url: originalUrl, hd: '0' },
+        headers: {
+          'X-RapidAPI-Key': process.env.RAPIDAPI_KEY,
+          'X-RapidAPI-Host': VIDEO_INFO_RAPIDAPI_HOST
+        },
+        timeout: 30000
+      })
+    );
+
+    const data = response.data && response.data.data;
+    if (!data || typeof data.play_count !== 'number') {
+      return null;
+    }
+
+    return normalizeVideo({
+      tiktokId,
+      author: data.author && data.author.unique_id,
+      title: data.title,
+      likes: data.digg_count,
+      comments: data.comment_count,
+      shares: data.share_count,
+      views: data.play_count,
+      originalUrl,
+      duration: data.duration,
+      musicTitle: data.music_info && data.music_info.title,
+      uploadedAt: data.create_time ? new Date(data.create_time * 1000).toISOString() : null
+    });
+  }
+};
+
+/**
+ * Offline provider that pages through JSON fixtures, for tests and local runs. Searches read
+ * TREND_FIXTURES_DIR/<type>-<value>.json, falling back to <type>.json and default.json; each file
+ * holds an array of normalized video records. Lookups find a video by tiktokId in any fixture.
+ */
+const fixtureProvider = {
+  name: 'fixture',
+  searchTypes: SEARCH_TYPES,
+  budgeted: false,
+  search: async ({ type, value, take, skip }) => {
+    const slug = value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    for (const fileName of [`${type}-${slug}.json`, `${type}.json`, 'default.json']) {
+      const filePath = path.resolve(TREND_FIXTURES_DIR, fileName);
+      if (!fs.existsSync(filePath)) {
+        continue;
+      }
+
+      let records;
+      try {
+        records = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      } catch (error) {
+        throw new TrendSourceError(`Invalid trend fixture ${fileName}: ${error.message}`, 'invalid_response');
+      }
+      if (!Array.isArray(records)) {
+        throw new TrendSourceError(`Trend fixture ${fileName} is not an array`, 'invalid_response');
+      }
+
+      const page = records.slice(skip, skip + take);
+      return {
+        videos: page.filter(record => record && record.tiktokId && record.author).map(normalizeVideo),
+        hasMore: skip + take < records.length
+      };
+    }
+
+    return { videos: [], hasMore: false };
+  },
+  lookup: async ({ tiktokId }) => {
+    if (!fs.existsSync(TREND_FIXTURES_DIR)) {
+      return null;
+    }
+
+    const fileNames = (await fs.promises.readdir(TREND_FIXTURES_DIR)).filter(fileName => fileName.endsWith('.json'));
+    for (const fileName of fileNames) {
+      const records = JSON.parse(await fs.promises.readFile(path.resolve(TREND_FIXTURES_DIR, fileName), 'utf8'));
+      const record = Array.isArray(records) && records.find(item => item && String(item.tiktokId) === String(tiktokId));
+      if (record) {
+        return normalizeVideo(record);
+      }
+    }
+
+    return null;
+  }
+};
+
+const providers = {
+  [rapidApiProvider.name]: rapidApiProvider,
+  [fixtureProvider.name]: fixtureProvider
+};
+
+/**
+ * Register a trend source provider
+ * @param {Object} provider - Provider with a name, the searchTypes it supports, whether it is budgeted, an
+ *                            async search({ type, value, take, skip, params }) method returning { videos, hasMore }
+ *                            and optionally an async lookup({ tiktokId, originalUrl }) method returning one
+ *                            normalized video (or null) for metric re-polling
+ */
+export const registerTrendSource = (provider) => {
+  providers[provider.name] = provider;
+};
+
+/**
+ * Get a registered trend source provider
+ * @param {string} name - Provider name
+ * @returns {Object|null} - Provider, or null when none is registered under the name
+ */
+export const getTrendSource = (name) => providers[name] || null;
+
+/**
+ * Resolve the provider chain for a request
+ * @param {string[]|string} [requested] - Provider names (array or comma-separated), e.g. from customParams.providers
+ * @returns {string[]} - Provider names to try in order
+ * @throws {TrendSourceError} - When a requested provider is not registered
+ */
+export const resolveTrendSourceChain = (requested) => {
+  const names = (Array.isArray(requested) ? requested : (requested || TREND_SOURCE_PROVIDERS).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !providers[name]);
+  if (unknown.length > 0) {
+    throw new TrendSourceError(`Unknown trend source provider(s): ${unknown.join(', ')}`, 'unknown_provider', 400);
+  }
+
+  return names;
+};
+
+/**
+ * Turn a search query into a typed search. Strings are keyword searches unless they start with
+ * "#" (hashtag) or "@" (creator); objects are { type, value }.
+ * @param {string|Object} query - Search query
+ * @param {string} [defaultType] - Type for plain strings (customParams.searchType)
+ * @returns {Object} - { type, value, label } where label is the text saved as the trend query
+ * @throws {TrendSourceError} - When the type is not one of SEARCH_TYPES or the value is empty
+ */
+export const parseTrendSearch = (query, defaultType = 'keyword') => {
+  let type = defaultType;
+  let value = query;
+
+  if (query && typeof query === 'object') {
+    type = query.type || defaultType;
+    value = query.value;
+  } else if (typeof query === 'string' && query.startsWith('#')) {
+    type = 'hashtag';
+    value = query.slice(1);
+  } else if (typeof query === 'string' && query.startsWith('@')) {
+    type = 'creator';
+    value = query.slice(1);
+  }
+
+  if (!SEARCH_TYPES.includes(type)) {
+    throw new TrendSourceError(`Unknown search type "${type}"`, 'invalid_search', 400);
+  }
+
+  value = String(value || '').trim();
+  if (!value) {
+    throw new TrendSourceError(`Empty ${type} search`, 'invalid_search', 400);
+  }
+
+  const prefixes = { keyword: '', hashtag: '#', creator: '@', sound: 'sound:' };
+  return { type, value, label: `${prefixes[type]}${value}` };
+};
+
+export default {
+  SEARCH_TYPES,
+  registerTrendSource,
+  getTrendSource,
+  resolveTrendSourceChain,
+  parseTrendSearch
+};
@@ -0,0 +1,223 @@
+import dotenv from 'dotenv';
+import { DEFAULT_USAGE_PRICING } from '../config/usagePricing.js';
+import { saveApiUsageEvent, getApiUsageEvents } from './supabaseService.js';
+import { getUsageContext } from '../utils/usageContext.js';
+
+dotenv.config();
+
+// Cap on events read per summary, to bound memory and query time
+const USAGE_SUMMARY_MAX_EVENTS = parseInt(process.env.USAGE_SUMMARY_MAX_EVENTS || '20000', 10);
+
+const EVENTS_PAGE_SIZE = 1000;
+
+export const USAGE_GROUP_BY = ['day', 'run', 'user', 'provider', 'model'];
+
+/**
+ * Pricing table with the USAGE_PRICING overrides applied
+ * @returns {Object} - Pricing entries by "<provider>:<model>" or "<provider>"
+ */
+const loadPricing = () => {
+  if (!process.env.USAGE_PRICING) {
+    return DEFAULT_USAGE_PRICING;
+  }
+
+  try {
+    return { ...DEFAULT_USAGE_PRICING, ...JSON.parse(process.env.USAGE_PRICING) };
+  } catch (error) {
+    console.error('Invalid USAGE_PRICING, using the default prices:', error.message);
+    return DEFAULT_USAGE_PRICING;
+  }
+};
+
+const pricing = loadPricing();
+
+/**
+ * Estimate the cost of a usage event
+ * @param {Object} event - { provider, model, inputTokens, outputTokens, units, reportedCostUsd }
+ * @returns {number} - Estimated cost in USD
+ */
+export const estimateUsageCost = ({ provider, model = null, inputTokens = 0, outputTokens = 0, units = 0, reportedCostUsd = null }) => {
+  if (typeof reportedCostUsd === 'number') {
+    return reportedCostUsd;
+  }
+
+  const price = pricing[`${provider}:${model}`] || pricing[provider];
+  if (!price) {
+    return 0;
+  }
+
+  const cost = (price.perRequest || 0)
+    + (price.perUnit || 0) * (units || 0)
+    + (price.perMillionInputTokens || 0) * (inputTokens || 0) / 1000000
+    + (price.perMillionOutputTokens || 0) * (outputTokens || 0) / 1000000;
+
+  return Number(cost.toFixed(6));
+};
+
+/**
+ * Record a usage event for an outbound call, attributed to the current usage context.
+ * Never throws: metering must not break the call it measures.
+ * @param {Object} event - Event fields
+ * @param {string} event.provider - Provider (rapidapi, dashscope, openrouter, ...)
+ * @param {string} event.operation - What the call did (trend_search, video_analysis, an LLM task, ...)
+ * @param {string} [event.model] - Model or API used
+ * @param {number} [event.inputTokens] - Prompt tokens
+ * @param {number} [event.outputTokens] - Completion tokens
+ * @param {number} [event.units] - Units of unitType consumed
+ * @param {string} [event.unitType] - request or video_second
+ * @param {number} [event.latencyMs] - Call duration
+ * @param {number} [event.reportedCostUsd] - Cost reported by the provider, used instead of the estimate
+ * @param {boolean} [event.success] - Whether the call succeeded
+ * @param {string} [event.error] - Error message of a failed call
+ * @returns {Promise<void>}
+ */
+export const recordUsageEvent = async (event) => {
+  const { userId, workflowRunId } = getUsageContext();
+
+  try {
+    await saveApiUsageEvent({
+      user_id: userId,
+      workflow_run_id: workflowRunId,
+      provider: event.provider,
+      operation: event.operation,
+      model: event.model || null,
+      input_tokens: event.inputTokens ?? null,
+      output_tokens: event.outputTokens ?? null,
+      units: event.units ?? null,
+      unit_type: event.unitType || null,
+      latency_ms: event.latencyMs ?? null,
+      estimated_cost_usd: estimateUsageCost(event),
+      success: event.success !== false,
+      error: event.error || null
+    });
+  } catch (error) {
+    console.error(`Error recording ${event.provider} usage for ${event.operation}:`, error.message);
+  }
+};
+
+/**
+ * Make an outbound call and record its usage, whether it succeeds or fails
+ * @param {Object} event - Event fields known before the call (provider, operation, model, units, unitType)
+ * @param {Function} call - Async function making the call
+ * @param {Function} [describeResult] - Returns extra event fields from the call's result (e.g. token counts)
+ * @returns {Promise<*>} - The call's result
+ */
+export const trackUsage = async (event, call, describeResult = () => ({})) => {
+  const startedAt = Date.now();
+
+  try {
+    const result = await call();
+    await recordUsageEvent({ ...event, ...describeResult(result), latencyMs: Date.now() - startedAt });
+    return result;
+  } catch (error) {
+    await recordUsageEvent({ ...event, latencyMs: Date.now() - startedAt, success: false, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Key of an event in a summary group
+ * @param {Object} event - api_usage_events row
+ * @param {string} groupBy - One of USAGE_GROUP_BY
+ * @returns {string|null} - Group key
+ */
+const getGroupKey = (event, groupBy) => {
+  switch (groupBy) {
+    case 'day':
+      return event.created_at.slice(0, 10);
+    case 'run':
+      return event.workflow_run_id;
+    case 'user':
+      return event.user_id;
+    case 'model':
+      return event.model ? `${event.provider}:${event.model}` : event.provider;
+    default:
+      return event.provider;
+  }
+};
+
+const createTotals = () => ({
+  events: 0,
+  failedEvents: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  units: {},
+  latencyMs: 0,
+  estimatedCostUsd: 0
+});
+
+const addToTotals = (totals, event) => {
+  totals.events++;
+  if (!event.success) totals.failedEvents++;
+  totals.inputTokens += event.input_tokens || 0;
+  totals.outputTokens += event.output_tokens || 0;
+  if (event.unit_type) {
+    totals.units[event.unit_type] = (totals.units[event.unit_type] || 0) + Number(event.units || 0);
+  }
+  totals.latencyMs += event.latency_ms || 0;
+  totals.estimatedCostUsd += Number(event.estimated_cost_usd || 0);
+};
+
+const roundCost = (totals) => ({ ...totals, estimatedCostUsd: Number(totals.estimatedCostUsd.toFixed(6)) });
+
+/**
+ * Aggregate usage events
+ * @param {Object} options - Summary options
+ * @param {string} [options.userId] - Only this user's events (users.id); all users when omitted
+ * @param {string} [options.workflowRunId] - Only this workflow run's events
+ * @param {string} [options.since] - ISO timestamp of the earliest event
+ * @param {string} [options.until] - ISO timestamp the events must be before
+ * @param {string} [options.groupBy] - One of USAGE_GROUP_BY (default: day)
+ * @returns {Promise<Object>} - { groupBy, since, until, truncated, totals, groups } where totals and each group
+ *          have events, failedEvents, inputTokens, outputTokens, units by unit type, latencyMs and estimatedCostUsd
+ */
+export const summarizeUsage = async ({ userId = null, workflowRunId = null, since = null, until = null, groupBy = 'day' } = {}) => {
+  try {
+    const totals = createTotals();
+    const groups = new Map();
+    let read = 0;
+    let truncated = false;
+
+    while (true) {
+      const events = await getApiUsageEvents({ userId, workflowRunId, since, until, offset: read, limit: EVENTS_PAGE_SIZE });
+      read += events.length;
+
+      for (const event of events) {
+        const key = getGroupKey(event, groupBy);
+        if (!groups.has(key)) {
+          groups.set(key, createTotals());
+        }
+        addToTotals(groups.get(key), event);
+        addToTotals(totals, event);
+      }
+
+      if (events.length < EVENTS_PAGE_SIZE) break;
+      if (read >= USAGE_SUMMARY_MAX_EVENTS) {
+        truncated = true;
+        break;
+      }
+    }
+
+    return {
+      groupBy,
+      since,
+      until,
+      truncated,
+      totals: roundCost(totals),
+      groups: [...groups.entries()]
+        .map(([key, groupTotals]) => ({ key, ...roundCost(groupTotals) }))
+        .sort((a, b) => (groupBy === 'day' ? String(a.key).localeCompare(String(b.key)) : b.estimatedCostUsd - a.estimatedCostUsd))
+    };
+  } catch (error) {
+    console.error('Error summarizing API usage:', error);
+    throw new Error('Failed to summarize API usage');
+  }
+};
+
+export default {
+  USAGE_GROUP_BY,
+  estimateUsageCost,
+  recordUsageEvent,
+  trackUsage,
+  summarizeUsage
+};
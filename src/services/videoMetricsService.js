@@ -0,0 +1,321 @@
+import dotenv from 'dotenv';
+import {
+  getVideosDueForMetricsPoll,
+  updateTikTokVideoMetrics,
+  markTikTokVideoMetricsPolled,
+  getVideoMetricSnapshots,
+  getTikTokVideosByIds,
+  getTikTokVideosByTrendQueryId,
+  incrementDailyApiUsage
+} from './supabaseService.js';
+import { getTrendSource, resolveTrendSourceChain } from './trendSourceService.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+dotenv.config();
+
+// Videos are re-polled while they are younger than METRICS_TRACKING_DAYS (since first scraped),
+// at most once every METRICS_POLL_INTERVAL_HOURS
+const METRICS_TRACKING_DAYS = parseInt(process.env.METRICS_TRACKING_DAYS || '14', 10);
+const METRICS_POLL_INTERVAL_HOURS = parseFloat(process.env.METRICS_POLL_INTERVAL_HOURS || '6');
+const METRICS_POLL_BATCH_SIZE = parseInt(process.env.METRICS_POLL_BATCH_SIZE || '50', 10);
+const METRICS_POLL_CONCURRENCY = parseInt(process.env.METRICS_POLL_CONCURRENCY || '2', 10);
+// Lookups per UTC day for budgeted providers (0 disables the limit)
+const METRICS_POLL_DAILY_REQUEST_LIMIT = parseInt(process.env.METRICS_POLL_DAILY_REQUEST_LIMIT || '500', 10);
+
+// Latest snapshots read per video for velocity: one per poll over the tracking window
+const VELOCITY_SNAPSHOTS_PER_VIDEO = Math.ceil(METRICS_TRACKING_DAYS * 24 / METRICS_POLL_INTERVAL_HOURS) + 1;
+
+// Snapshots closer together than this are too noisy to derive a rate from
+const MIN_RATE_INTERVAL_HOURS = 0.25;
+// Momentum (recent views per hour over the earlier rate) at or above which a video is rising,
+// and below which it is declining rather than peaking
+const RISING_MOMENTUM = 1;
+const DECLINING_MOMENTUM = 0.5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Total engagement of a metrics record
+ * @param {Object} metrics - likes, comments and shares
+ * @returns {number} - Sum of the engagement counts
+ */
+const getEngagement = (metrics) => (metrics.likes || 0) + (metrics.comments || 0) + (metrics.shares || 0);
+
+/**
+ * Views and engagement gained per hour between two snapshots
+ * @param {Object} earlier - Earlier snapshot
+ * @param {Object} later - Later snapshot
+ * @returns {Object} - { viewsPerHour, engagementPerHour }
+ */
+const rateBetween = (earlier, later) => {
+  const hours = (new Date(later.captured_at) - new Date(earlier.captured_at)) / HOUR_MS;
+  return {
+    viewsPerHour: ((later.views || 0) - (earlier.views || 0)) / hours,
+    engagementPerHour: (getEngagement(later) - getEngagement(earlier)) / hours
+  };
+};
+
+/**
+ * Find the latest snapshot at least MIN_RATE_INTERVAL_HOURS before another
+ * @param {Object[]} snapshots - Snapshots, oldest first
+ * @param {number} index - Index of the later snapshot
+ * @returns {number} - Index of the earlier snapshot, or -1
+ */
+const findEarlierSnapshot = (snapshots, index) => {
+  const laterTime = new Date(snapshots[index].captured_at).getTime();
+  for (let i = index - 1; i >= 0; i--) {
+    if (laterTime - new Date(snapshots[i].captured_at).getTime() >= MIN_RATE_INTERVAL_HOURS * HOUR_MS) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * Derive velocity measures for a video from its metric snapshots
+ * @param {Object} video - Video row (views, likes, shares, UPLOADED_AT)
+ * @param {Object[]} snapshots - The video's snapshots, oldest first
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { views, hoursSinceUpload, lifetimeViewsPerHour, recentViewsPerHour, previousViewsPerHour,
+ *                     engagementRate, engagementPerHour, engagementGrowth, momentum, trend, snapshotCount, lastCapturedAt }
+ *                     where trend is rising, peaking, declining or unknown
+ */
+export const computeVideoVelocity = (video, snapshots = [], now = new Date()) => {
+  const latest = snapshots.length > 0 ? snapshots[snapshots.length - 1] : video;
+  const views = latest.views || 0;
+  const engagement = getEngagement(latest);
+
+  const uploadedAt = video.UPLOADED_AT ? new Date(video.UPLOADED_AT) : null;
+  const hoursSinceUpload = uploadedAt && !isNaN(uploadedAt) ? (now - uploadedAt) / HOUR_MS : null;
+  const lifetimeViewsPerHour = hoursSinceUpload > 0 ? views / hoursSinceUpload : null;
+
+  let recent = null;
+  let previous = null;
+  const recentIndex = snapshots.length > 0 ? findEarlierSnapshot(snapshots, snapshots.length - 1) : -1;
+  if (recentIndex !== -1) {
+    recent = rateBetween(snapshots[recentIndex], latest);
+    const previousIndex = findEarlierSnapshot(snapshots, recentIndex);
+    if (previousIndex !== -1) {
+      previous = rateBetween(snapshots[previousIndex], snapshots[recentIndex]);
+    }
+  }
+
+  // Compare the latest rate with the one before it, or with the lifetime average when there is only one
+  const baseline = previous ? previous.viewsPerHour : lifetimeViewsPerHour;
+  const momentum = recent && baseline > 0 ? recent.viewsPerHour / baseline : null;
+
+  let trend = 'unknown';
+  if (momentum !== null) {
+    if (momentum >= RISING_MOMENTUM) {
+      trend = 'rising';
+    } else if (momentum >= DECLINING_MOMENTUM) {
+      trend = 'peaking';
+    } else {
+      trend = 'declining';
+    }
+  }
+
+  const firstEngagement = snapshots.length > 1 ? getEngagement(snapshots[0]) : 0;
+
+  return {
+    views,
+    hoursSinceUpload: round(hoursSinceUpload, 1),
+    lifetimeViewsPerHour: round(lifetimeViewsPerHour),
+    recentViewsPerHour: recent ? round(recent.viewsPerHour) : null,
+    previousViewsPerHour: previous ? round(previous.viewsPerHour) : null,
+    engagementRate: views > 0 ? round(engagement / views, 4) : null,
+    engagementPerHour: recent ? round(recent.engagementPerHour) : null,
+    engagementGrowth: firstEngagement > 0 ? round((engagement - firstEngagement) / firstEngagement, 4) : null,
+    momentum: round(momentum),
+    trend,
+    snapshotCount: snapshots.length,
+    lastCapturedAt: snapshots.length > 0 ? latest.captured_at : null
+  };
+};
+
+/**
+ * Compute velocity for video rows, fastest first
+ * @param {Object[]} videos - Video rows
+ * @returns {Promise<Object[]>} - { videoId, tiktokId, title, author, videoUrl, velocity } per video
+ */
+const buildVelocityReport = async (videos) => {
+  const snapshots = await getVideoMetricSnapshots(videos.map(video => video.id), null, VELOCITY_SNAPSHOTS_PER_VIDEO);
+
+  // Snapshots come newest first; computeVideoVelocity takes them oldest first
+  const snapshotsByVideo = new Map();
+  for (const snapshot of snapshots) {
+    if (!snapshotsByVideo.has(snapshot.video_id)) {
+      snapshotsByVideo.set(snapshot.video_id, []);
+    }
+    snapshotsByVideo.get(snapshot.video_id).unshift(snapshot);
+  }
+
+  const now = new Date();
+  const report = videos.map(video => ({
+    videoId: video.id,
+    tiktokId: video.tiktok_id,
+    title: video.title,
+    author: video.author,
+    videoUrl: video.video_url,
+    velocity: computeVideoVelocity(video, snapshotsByVideo.get(video.id) || [], now)
+  }));
+
+  // Sort by the recent rate where known, otherwise the lifetime rate
+  const sortRate = (entry) => entry.velocity.recentViewsPerHour ?? entry.velocity.lifetimeViewsPerHour ?? -1;
+  return report.sort((a, b) => sortRate(b) - sortRate(a));
+};
+
+/**
+ * Get velocity measures for videos
+ * @param {string[]} videoIds - Video IDs
+ * @returns {Promise<Object[]>} - Velocity report entries, fastest first
+ */
+export const getVideosVelocity = async (videoIds) => {
+  try {
+    const videos = await getTikTokVideosByIds(videoIds);
+    return await buildVelocityReport(videos || []);
+  } catch (error) {
+    console.error('Error getting video velocity:', error);
+    throw new Error('Failed to get video velocity');
+  }
+};
+
+/**
+ * Get velocity measures for every video a trend query found
+ * @param {string} trendQueryId - Trend query ID
+ * @returns {Promise<Object[]>} - Velocity report entries, fastest first
+ */
+export const getTrendQueryVelocity = async (trendQueryId) => {
+  try {
+    const videos = await getTikTokVideosByTrendQueryId(trendQueryId);
+    return await buildVelocityReport(videos);
+  } catch (error) {
+    console.error('Error getting trend query velocity:', error);
+    throw new Error('Failed to get trend query velocity');
+  }
+};
+
+/**
+ * Add velocity measures to videos that have a dbId, leaving them unchanged when velocity is unavailable
+ * @param {Object[]} videos - Videos (e.g. analyzed workflow videos)
+ * @returns {Promise<Object[]>} - Videos with a velocity field where known
+ */
+export const attachVideoVelocity = async (videos) => {
+  try {
+    const report = await getVideosVelocity(videos.filter(video => video.dbId).map(video => video.dbId));
+    const velocityById = new Map(report.map(entry => [entry.videoId, entry.velocity]));
+
+    return videos.map(video => (
+      velocityById.has(video.dbId) ? { ...video, velocity: velocityById.get(video.dbId) } : video
+    ));
+  } catch (error) {
+    console.error(`Continuing without video velocity: ${error.message}`);
+    return videos;
+  }
+};
+
+/**
+ * Look up a video's current metrics through the first provider that finds it
+ * @param {Object} video - Video row
+ * @param {Object[]} providers - Trend source providers with a lookup method
+ * @returns {Promise<Object>} - { metrics, attempted } where metrics is the normalized video (or null) and
+ *                              attempted is false when every provider's daily lookup budget was spent
+ */
+const lookupVideoMetrics = async (video, providers) => {
+  let attempted = false;
+
+  for (const provider of providers) {
+    if (provider.budgeted && METRICS_POLL_DAILY_REQUEST_LIMIT > 0) {
+      let allowed = true;
+      try {
+        allowed = await incrementDailyApiUsage(`${provider.name}_lookup`, METRICS_POLL_DAILY_REQUEST_LIMIT);
+      } catch (error) {
+        // Don't block polling when the usage counter is unavailable
+        console.error(`Could not check the daily ${provider.name} lookup budget: ${error.message}`);
+      }
+      if (!allowed) {
+        console.warn(`Daily ${provider.name} lookup budget exhausted`);
+        continue;
+      }
+    }
+
+    attempted = true;
+    try {
+      const metrics = await provider.lookup({ tiktokId: video.tiktok_id, originalUrl: video.video_url });
+      if (metrics) {
+        return { metrics, attempted };
+      }
+    } catch (error) {
+      console.error(`Error looking up video ${video.id} with ${provider.name}: ${error.message}`);
+    }
+  }
+
+  return { metrics: null, attempted };
+};
+
+/**
+ * Re-poll the metrics of tracked videos that are due and store them as snapshots
+ * @param {Object} [options] - Poll options
+ * @param {number} [options.limit] - Maximum number of videos to poll (default: METRICS_POLL_BATCH_SIZE)
+ * @param {string[]|string} [options.providers] - Trend sources to look videos up with, in order
+ *                                                (default: METRICS_POLL_PROVIDERS or TREND_SOURCE_PROVIDERS)
+ * @returns {Promise<Object>} - { due, updated, notFound, skipped (over the daily lookup budget), failed }
+ */
+export const pollVideoMetrics = async ({ limit = METRICS_POLL_BATCH_SIZE, providers: requestedProviders } = {}) => {
+  const providers = resolveTrendSourceChain(requestedProviders || process.env.METRICS_POLL_PROVIDERS)
+    .map(getTrendSource)
+    .filter(provider => typeof provider.lookup === 'function');
+
+  try {
+    const now = Date.now();
+    const dueVideos = await getVideosDueForMetricsPoll({
+      trackedSince: new Date(now - METRICS_TRACKING_DAYS * 24 * HOUR_MS).toISOString(),
+      polledBefore: new Date(now - METRICS_POLL_INTERVAL_HOURS * HOUR_MS).toISOString(),
+      limit
+    });
+
+    const result = { due: dueVideos.length, updated: 0, notFound: 0, skipped: 0, failed: 0 };
+    if (dueVideos.length === 0 || providers.length === 0) {
+      console.log(`Metrics poll: ${dueVideos.length} videos due, ${providers.length} providers with lookups`);
+      return result;
+    }
+
+    await mapWithConcurrency(dueVideos, METRICS_POLL_CONCURRENCY, async (video) => {
+      const { metrics, attempted } = await lookupVideoMetrics(video, providers);
+      if (!attempted) {
+        result.skipped++;
+        return;
+      }
+
+      try {
+        if (metrics) {
+          await updateTikTokVideoMetrics(video.id, metrics);
+          result.updated++;
+        } else {
+          // Move videos that can't be found (e.g. deleted ones) to the back of the queue
+          await markTikTokVideoMetricsPolled(video.id);
+          result.notFound++;
+        }
+      } catch (error) {
+        console.error(`Error saving polled metrics for video ${video.id}: ${error.message}`);
+        result.failed++;
+      }
+    });
+
+    console.log(`Metrics poll: updated ${result.updated} of ${result.due} due videos (${result.notFound} not found, ${result.skipped} over budget, ${result.failed} failed)`);
+    return result;
+  } catch (error) {
+    console.error('Error polling video metrics:', error);
+    throw new Error('Failed to poll video metrics');
+  }
+};
+
+export default {
+  computeVideoVelocity,
+  getVideosVelocity,
+  getTrendQueryVelocity,
+  attachVideoVelocity,
+  pollVideoMetrics
+};
@@ -0,0 +1,145 @@
+import dotenv from 'dotenv';
+import {
+  insertStripeWebhookEvent,
+  getStripeWebhookEvent,
+  reclaimStripeWebhookEvent,
+  updateStripeWebhookEvent,
+  getLatestProcessedStripeWebhookEvent
+} from './supabaseService.js';
+import { getInvoiceSubscriptionId } from './billingService.js';
+import { ApiError } from '../utils/errorHandler.js';
+
+dotenv.config();
+
+// An event left processing longer than this (e.g. by a crash while it was applied) can be claimed again
+const PROCESSING_LEASE_SECONDS = parseInt(process.env.STRIPE_WEBHOOK_PROCESSING_LEASE_SECONDS || '300', 10);
+
+// Notifications that don't change subscription state, so a newer event never supersedes them
+const UNORDERED_EVENT_TYPES = ['customer.subscription.trial_will_end'];
+
+/**
+ * Subscription (or customer) a Stripe event applies to. Events with the same key are applied in
+ * the order Stripe created them.
+ * @param {Object} event - Stripe event
+ * @returns {string|null} - Subscription ID, customer ID, or null
+ */
+export const getStripeEventOrderingKey = (event) => {
+  const object = (event.data && event.data.object) || {};
+
+  if (UNORDERED_EVENT_TYPES.includes(event.type)) {
+    return null;
+  }
+
+  if (event.type.startsWith('customer.subscription.')) {
+    return object.id || null;
+  }
+
+  return getInvoiceSubscriptionId(object) || object.customer || null;
+};
+
+/**
+ * Whether a logged event may be claimed again: it failed, or its processing lease has run out
+ * @param {Object} row - stripe_webhook_events row
+ * @param {Date} [now] - Current time
+ * @returns {boolean} - True when the event can be reclaimed
+ */
+const isReclaimable = (row, now = new Date()) => row.status === 'failed'
+  || (row.status === 'processing' && now.getTime() - new Date(row.updated_at).getTime() >= PROCESSING_LEASE_SECONDS * 1000);
+
+/**
+ * Apply a claimed event unless a newer event for the same subscription was already applied,
+ * and record the outcome
+ * @param {Object} event - Stripe event
+ * @param {Function} apply - Async function applying the event; throws when it can't
+ * @returns {Promise<Object>} - { status: 'processed' | 'skipped' | 'failed', error, supersededBy }
+ */
+const runStripeEvent = async (event, apply) => {
+  const orderingKey = getStripeEventOrderingKey(event);
+
+  if (orderingKey) {
+    const latest = await getLatestProcessedStripeWebhookEvent(orderingKey);
+
+    // Out-of-order delivery: the newer state has already been applied
+    if (latest && latest.id !== event.id && new Date(latest.stripe_created_at).getTime() > event.created * 1000) {
+      console.log(`Skipping Stripe event ${event.id} (${event.type}): superseded by ${latest.id} (${latest.type})`);
+      await updateStripeWebhookEvent(event.id, {
+        status: 'skipped',
+        error: `Superseded by newer event ${latest.id}`,
+        processed_at: new Date().toISOString()
+      });
+      return { status: 'skipped', supersededBy: latest.id };
+    }
+  }
+
+  try {
+    await apply(event);
+  } catch (error) {
+    console.error(`Error applying Stripe event ${event.id} (${event.type}):`, error);
+    await updateStripeWebhookEvent(event.id, { status: 'failed', error: error.message });
+    return { status: 'failed', error: error.message };
+  }
+
+  await updateStripeWebhookEvent(event.id, {
+    status: 'processed',
+    error: null,
+    processed_at: new Date().toISOString()
+  });
+  return { status: 'processed' };
+};
+
+/**
+ * Log and apply a verified Stripe webhook event exactly once. Redeliveries of a processed or skipped
+ * event are reported as duplicates; a redelivered failed event, or one left processing past its lease,
+ * is applied again.
+ * @param {Object} event - Verified Stripe event
+ * @param {Function} apply - Async function applying the event; throws when it can't
+ * @returns {Promise<Object>} - { status: 'processed' | 'skipped' | 'failed' | 'duplicate' | 'in_progress', error, supersededBy }
+ */
+export const processStripeEvent = async (event, apply) => {
+  const inserted = await insertStripeWebhookEvent(event, getStripeEventOrderingKey(event));
+
+  if (!inserted) {
+    const existing = await getStripeWebhookEvent(event.id);
+
+    if (!isReclaimable(existing) || !(await reclaimStripeWebhookEvent(existing))) {
+      // Still being applied, or claimed by a concurrent delivery
+      if (existing.status === 'processing') {
+        return { status: 'in_progress' };
+      }
+      console.log(`Ignoring duplicate Stripe event ${event.id} (${existing.status})`);
+      return { status: 'duplicate' };
+    }
+
+    console.log(`Retrying ${existing.status} Stripe event ${event.id} (attempt ${existing.attempts + 1})`);
+  }
+
+  return runStripeEvent(event, apply);
+};
+
+/**
+ * Apply a failed Stripe webhook event, or one left processing past its lease, again from its logged payload
+ * @param {string} eventId - Stripe event ID
+ * @param {Function} apply - Async function applying the event; throws when it can't
+ * @returns {Promise<Object>} - { status: 'processed' | 'skipped' | 'failed', error, supersededBy }
+ * @throws {ApiError} - 404 when the event was never received, 409 when it hasn't failed or is still being applied
+ */
+export const replayStripeEvent = async (eventId, apply) => {
+  const existing = await getStripeWebhookEvent(eventId);
+
+  if (!existing) {
+    throw new ApiError('Webhook event not found', 404);
+  }
+
+  if (!isReclaimable(existing) || !(await reclaimStripeWebhookEvent(existing))) {
+    throw new ApiError(`Only failed or stalled webhook events can be replayed (event is ${existing.status})`, 409);
+  }
+
+  console.log(`Replaying ${existing.status} Stripe event ${eventId} (attempt ${existing.attempts + 1})`);
+  return runStripeEvent(existing.payload, apply);
+};
+
+export default {
+  getStripeEventOrderingKey,
+  processStripeEvent,
+  replayStripeEvent
+};
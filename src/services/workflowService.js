@@ -0,0 +1,315 @@
+import { generateSearchQueries, reconstructVideos } from './openrouterService.js';
+import { scrapeTikTokVideosWithReport } from './rapidApiService.js';
+import {
+  analyzeVideos,
+  analyzeVideoStreaming,
+  getStoredVideoAnalysis,
+  VIDEO_ANALYSIS_CONCURRENCY,
+  VIDEO_ANALYSIS_VERSION
+} from './qwenService.js';
+import { deleteVideosFromStorageBucket, getTikTokVideosByIds, clearTikTokVideoStoragePaths } from './supabaseService.js';
+import { attachVideoVelocity } from './videoMetricsService.js';
+import { getHashtagTrends } from './trendAggregationService.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+/**
+ * Ordered list of the steps in the complete workflow
+ */
+export const WORKFLOW_STEPS = [
+  'generateSearchQueries',
+  'scrapeTikTokVideos',
+  'analyzeVideos',
+  'reconstructVideos',
+  'deleteVideosFromStorageBucket'
+];
+
+/**
+ * Extract storage file names from scraped videos
+ * @param {Object[]} videos - Scraped videos
+ * @returns {string[]} - File names to delete from the storage bucket
+ */
+const getVideoFileNames = (videos) => {
+  const videoFileNames = [];
+
+  for (const video of videos) {
+    if (video.storagePath) {
+      videoFileNames.push(video.storagePath);
+    } else if (video.supabaseUrl) {
+      const urlParts = video.supabaseUrl.split('/');
+      const fileName = urlParts[urlParts.length - 1];
+      if (fileName) {
+        videoFileNames.push(fileName);
+      }
+    }
+  }
+
+  return videoFileNames;
+};
+
+/**
+ * Analyze videos with streaming, emitting each chunk as an event. Videos run with the same
+ * concurrency limit as analyzeVideos, so chunks of different videos may interleave.
+ * A failing video is recorded with analysisError like analyzeVideos does.
+ * @param {Object[]} videos - Videos to analyze
+ * @param {string} businessDescription - Description of the business
+ * @param {Function} emit - Event callback
+ * @param {Object} [options] - Analysis options
+ * @param {boolean} [options.force] - Skip the analysis cache
+ * @param {AbortSignal} [signal] - Stops analyzing further videos once aborted
+ * @returns {Promise<Object[]>} - Analyzed videos in input order
+ */
+const analyzeVideosStreaming = async (videos, businessDescription, emit, options = {}, signal = null) =>
+  mapWithConcurrency(videos, VIDEO_ANALYSIS_CONCURRENCY, async (video) => {
+    signal?.throwIfAborted();
+    try {
+      const analyzedVideo = await analyzeVideoStreaming(video, businessDescription, (chunk) => {
+        emit('analysis_chunk', { videoId: video.dbId || video.id, chunk });
+      }, options);
+      emit('analysis_complete', {
+        videoId: video.dbId || video.id,
+        analysis: analyzedVideo.analysis,
+        cached: analyzedVideo.analysisCached
+      });
+      return analyzedVideo;
+    } catch (analysisError) {
+      console.error(`Error analyzing video ${video.id}:`, analysisError);
+      emit('analysis_complete', { videoId: video.dbId || video.id, error: analysisError.message });
+      return {
+        ...video,
+        analysis: null,
+        analysisError: analysisError.message
+      };
+    }
+  });
+
+/**
+ * Analyze scraped videos, reusing analyses already saved to tiktok_videos during an earlier attempt
+ * @param {Object[]} videos - Scraped videos
+ * @param {string} businessDescription - Description of the business
+ * @param {string|null} scrapedAt - When the videos were scraped; analyses saved after this belong to this run
+ * @param {Function} [analyze] - Function used to analyze the remaining videos
+ * @returns {Promise<Object[]>} - Analyzed videos in input order
+ */
+const analyzeVideosWithResume = async (videos, businessDescription, scrapedAt, analyze = analyzeVideos) => {
+  const savedAnalyses = new Map();
+
+  if (scrapedAt) {
+    try {
+      const rows = await getTikTokVideosByIds(videos.filter(video => video.dbId).map(video => video.dbId));
+      for (const row of rows) {
+        if (row.summary && row.analysis_version === VIDEO_ANALYSIS_VERSION
+          && row.last_analyzed_at && new Date(row.last_analyzed_at) >= new Date(scrapedAt)) {
+          savedAnalyses.set(row.id, row);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading saved analyses, analyzing all videos again:', error.message);
+    }
+  }
+
+  const videosToAnalyze = videos.filter(video => !savedAnalyses.has(video.dbId));
+  console.log(`Reusing ${savedAnalyses.size} saved analyses, analyzing ${videosToAnalyze.length} videos`);
+
+  const freshlyAnalyzed = videosToAnalyze.length > 0
+    ? await analyze(videosToAnalyze, businessDescription)
+    : [];
+
+  let freshIndex = 0;
+  return videos.map(video => {
+    const savedRow = savedAnalyses.get(video.dbId);
+    if (savedRow) {
+      return {
+        ...video,
+        analysis: getStoredVideoAnalysis(savedRow),
+        analysisVersion: savedRow.analysis_version,
+        lastAnalyzedAt: savedRow.last_analyzed_at
+      };
+    }
+    return freshlyAnalyzed[freshIndex++];
+  });
+};
+
+/**
+ * Run the complete workflow from search queries to marketing strategy.
+ * Steps with a checkpoint are skipped and their stored output is reused.
+ * @param {Object} params - Workflow parameters
+ * @param {string} params.businessDescription - Description of the business
+ * @param {string} [params.userId] - User ID to associate results with
+ * @param {string} [params.workspaceId] - Workspace the results belong to (omit for personal runs)
+ * @param {string} [params.businessId] - Business profile the results belong to
+ * @param {number} [params.videosPerQuery] - Number of videos to fetch per query
+ * @param {boolean} [params.forceReanalysis] - Re-analyze videos even when a fresh cached analysis exists
+ * @param {number} [params.maxVideos] - Cap on videos scraped in the run (the plan's videos per run);
+ *        fewer queries are scraped so that queries times videosPerQuery stays within it
+ * @param {Object} [params.customParams] - Search parameters for scraping, e.g. sorting, days and videosLocation
+ *        (see scrapeTikTokVideosWithReport)
+ * @param {Object} [hooks] - Optional checkpoints and progress callbacks
+ * @param {Object} [hooks.checkpoints] - Step name to output of a previously completed step
+ * @param {Function} [hooks.onStepStart] - Called with the step name before a step runs
+ * @param {Function} [hooks.onStepComplete] - Called with the step name, a result summary and the checkpoint to store
+ * @param {Function} [hooks.onStepSkipped] - Called with the step name and a result summary when a checkpoint is reused
+ * @param {Function} [hooks.onEvent] - Called with an event type and payload for fine-grained progress
+ *        (queries_generated, video_scraped, analysis_chunk, analysis_complete, strategy_section, cleanup_complete).
+ *        The strategy_section events follow each other once the whole strategy is validated.
+ *        When set, videos are analyzed with streaming so analysis chunks can be reported.
+ * @param {AbortSignal} [hooks.signal] - Aborts the run (e.g. when the client of a streamed run disconnects):
+ *        no further steps or video analyses start, and the run rejects with the abort reason
+ * @returns {Promise<Object>} - Workflow results
+ */
+export const runCompleteWorkflow = async (params, hooks = {}) => {
+  const { businessDescription, userId, workspaceId = null, businessId = null, videosPerQuery = 5, forceReanalysis = false, maxVideos = null, customParams = {} } = params;
+  const owner = userId ? { userId, workspaceId, businessId } : null;
+  const {
+    checkpoints = {},
+    onStepStart = async () => {},
+    onStepComplete = async () => {},
+    onStepSkipped = async () => {},
+    onEvent = null,
+    signal = null
+  } = hooks;
+
+  const emit = (type, payload) => {
+    if (onEvent && !signal?.aborted) {
+      onEvent(type, payload);
+    }
+  };
+
+  const runStep = async (step, execute, summarize) => {
+    signal?.throwIfAborted();
+
+    if (checkpoints[step]) {
+      console.log(`Reusing checkpoint for step ${step}`);
+      await onStepSkipped(step, summarize(checkpoints[step]));
+      emit('step_skipped', { step });
+      return checkpoints[step];
+    }
+
+    await onStepStart(step);
+    emit('step_started', { step });
+    const output = await execute();
+    await onStepComplete(step, summarize(output), output);
+    emit('step_completed', { step });
+    return output;
+  };
+
+  // Step 1: Generate search queries
+  console.log('Step 1: Generating search queries...');
+  const { searchQueries } = await runStep(
+    'generateSearchQueries',
+    async () => ({ searchQueries: await generateSearchQueries(businessDescription) }),
+    output => ({ searchQueries: output.searchQueries })
+  );
+  emit('queries_generated', { searchQueries });
+
+  // Step 2: Scrape TikTok videos
+  const queriesToScrape = maxVideos
+    ? searchQueries.slice(0, Math.max(1, Math.floor(maxVideos / videosPerQuery)))
+    : searchQueries;
+  console.log(`Step 2: Scraping TikTok videos (${videosPerQuery} videos per query)...`);
+  const { videos, scrapedAt, queryReports = [] } = await runStep(
+    'scrapeTikTokVideos',
+    async () => {
+      const { videos: scrapedVideos, queryReports: reports } = await scrapeTikTokVideosWithReport(queriesToScrape, videosPerQuery, owner, customParams, (video) => {
+        emit('video_scraped', {
+          videoId: video.dbId,
+          title: video.title,
+          author: video.author,
+          searchQuery: video.searchQuery,
+          views: video.views
+        });
+      });
+      console.log(`Successfully scraped ${scrapedVideos.length} videos from ${queriesToScrape.length} queries`);
+      return { videos: scrapedVideos, queryReports: reports, scrapedAt: new Date().toISOString() };
+    },
+    output => ({ videosCount: output.videos.length, queryReports: output.queryReports })
+  );
+
+  // Step 3: Analyze videos
+  console.log(`Step 3: Analyzing all ${videos.length} videos...`);
+  const { analyzedVideos } = await runStep(
+    'analyzeVideos',
+    async () => ({
+      analyzedVideos: await analyzeVideosWithResume(
+        videos,
+        businessDescription,
+        scrapedAt,
+        onEvent
+          ? (videosToAnalyze, description) => analyzeVideosStreaming(videosToAnalyze, description, emit, { force: forceReanalysis }, signal)
+          : (videosToAnalyze, description) => analyzeVideos(videosToAnalyze, description, { force: forceReanalysis })
+      )
+    }),
+    output => ({
+      analyzedVideosCount: output.analyzedVideos.length,
+      failedVideosCount: output.analyzedVideos.filter(video => video.analysisError).length
+    })
+  );
+
+  // Step 4: Reconstruct videos
+  console.log('Step 4: Reconstructing videos...');
+  const { marketingStrategy } = await runStep(
+    'reconstructVideos',
+    async () => {
+      // Hashtag rankings back the hashtag strategy with data; the strategy is still generated without them
+      let hashtagTrends = null;
+      try {
+        hashtagTrends = (await getHashtagTrends({ limit: 15 })).entries;
+      } catch (error) {
+        console.error(`Continuing without hashtag trends: ${error.message}`);
+      }
+
+      return {
+        // Velocity lets the strategy favour trends that are still rising
+        marketingStrategy: await reconstructVideos(await attachVideoVelocity(analyzedVideos), businessDescription, owner, (section, content) => {
+          emit('strategy_section', { section, content });
+        }, hashtagTrends)
+      };
+    },
+    output => ({ marketingStrategy: output.marketingStrategy })
+  );
+
+  // Step 5: Delete videos from storage bucket
+  console.log('Step 5: Deleting videos from storage bucket...');
+  const { deletedVideosCount } = await runStep(
+    'deleteVideosFromStorageBucket',
+    async () => {
+      const videoFileNames = getVideoFileNames(videos);
+      console.log(`Found ${videoFileNames.length} videos to delete`);
+
+      let deletionResult = { deletedCount: 0 };
+      if (videoFileNames.length > 0) {
+        try {
+          deletionResult = await deleteVideosFromStorageBucket(videoFileNames);
+          console.log(`Successfully deleted ${deletionResult.deletedCount} videos from storage bucket`);
+
+          // Rows must not point at archived files that no longer exist
+          await clearTikTokVideoStoragePaths(videos.filter(video => video.storagePath).map(video => video.storagePath));
+        } catch (deletionError) {
+          console.error('Error deleting videos:', deletionError);
+          // Continue even if deletion fails
+        }
+      }
+
+      return { deletedVideosCount: deletionResult.deletedCount };
+    },
+    output => ({ deletedVideosCount: output.deletedVideosCount })
+  );
+  emit('cleanup_complete', { deletedVideosCount });
+
+  return {
+    businessDescription,
+    userId,
+    workspaceId,
+    businessId,
+    searchQueries,
+    videosCount: videos.length,
+    queryReports,
+    analyzedVideosCount: analyzedVideos.length,
+    marketingStrategy,
+    deletedVideosCount
+  };
+};
+
+export default {
+  WORKFLOW_STEPS,
+  runCompleteWorkflow
+};
@@ -0,0 +1,350 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import {
+  createWorkspace as insertWorkspace,
+  findWorkspaceByField,
+  updateWorkspaceById,
+  getUserWorkspaceMemberships,
+  getWorkspaceMember,
+  listWorkspaceMembers,
+  upsertWorkspaceMember,
+  removeWorkspaceMember as deleteWorkspaceMember,
+  saveWorkspaceInvitation,
+  findWorkspaceInvitation,
+  updatePendingWorkspaceInvitation,
+  findUserByField
+} from './supabaseService.js';
+import { sendWorkspaceInvitationEmail } from './emailService.js';
+import { getStripe } from './stripeClient.js';
+import { ApiError } from '../utils/errorHandler.js';
+
+dotenv.config();
+
+// Roles in increasing order of permissions: viewers read, editors also run the pipeline, owners also manage members and billing
+export const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+// Days an invitation link stays valid
+const WORKSPACE_INVITATION_TTL_DAYS = parseFloat(process.env.WORKSPACE_INVITATION_TTL_DAYS || '7');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Whether a role has at least the permissions of another
+ * @param {string} role - Member's role
+ * @param {string} minimumRole - Required role
+ * @returns {boolean} - True when role is minimumRole or above
+ */
+export const hasWorkspaceRole = (role, minimumRole) => WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minimumRole);
+
+/**
+ * Workspace fields returned to members
+ * @param {Object} workspace - workspaces row
+ * @returns {Object} - { id, name, createdAt, subscriptionStatus, plan, seatQuantity }
+ */
+export const formatWorkspace = (workspace) => ({
+  id: workspace.id,
+  name: workspace.name,
+  createdAt: workspace.created_at,
+  subscriptionStatus: workspace.subscription_status || null,
+  plan: workspace.plan || null,
+  seatQuantity: workspace.seat_quantity ?? null
+});
+
+/**
+ * Check a user's access to a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} user - users row
+ * @param {string} [minimumRole] - Role required (default viewer)
+ * @returns {Promise<Object>} - { workspace, role }
+ * @throws {ApiError} - 404 when the workspace doesn't exist or the user isn't a member, 403 when their role is too low
+ */
+export const getWorkspaceAccess = async (workspaceId, user, minimumRole = 'viewer') => {
+  // Non-members can't tell a workspace they aren't in from one that doesn't exist
+  if (!UUID_PATTERN.test(String(workspaceId))) {
+    throw new ApiError('Workspace not found', 404);
+  }
+
+  const member = await getWorkspaceMember(workspaceId, user.id);
+  const workspace = member ? await findWorkspaceByField('id', workspaceId) : null;
+  if (!workspace) {
+    throw new ApiError('Workspace not found', 404);
+  }
+
+  if (!hasWorkspaceRole(member.role, minimumRole)) {
+    throw new ApiError(`This requires the ${minimumRole} role in the workspace (you are ${member.role === 'editor' ? 'an' : 'a'} ${member.role})`, 403);
+  }
+
+  return { workspace, role: member.role };
+};
+
+/**
+ * IDs of the workspaces a user is a member of
+ * @param {Object} user - users row
+ * @param {string} [minimumRole] - Only workspaces where the user has at least this role
+ * @returns {Promise<string[]>} - Workspace IDs
+ */
+export const getUserWorkspaceIds = async (user, minimumRole = 'viewer') => (await getUserWorkspaceMemberships(user.id))
+  .filter(membership => hasWorkspaceRole(membership.role, minimumRole))
+  .map(membership => membership.workspace_id);
+
+/**
+ * Create a workspace owned by a user
+ * @param {Object} user - users row
+ * @param {string} name - Workspace name
+ * @returns {Promise<Object>} - Formatted workspace with the creator's role
+ * @throws {ApiError} - 400 for a missing or too long name
+ */
+export const createWorkspace = async (user, name) => {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > 100) {
+    throw new ApiError('name is required (at most 100 characters)', 400);
+  }
+
+  const workspace = await insertWorkspace({ name: trimmedName, createdBy: user.id, billingEmail: user.email || null });
+  console.log(`User ${user.id} created workspace ${workspace.id}`);
+  return { ...formatWorkspace(workspace), role: 'owner' };
+};
+
+/**
+ * List the workspaces a user is a member of
+ * @param {Object} user - users row
+ * @returns {Promise<Object[]>} - Formatted workspaces with the user's role
+ */
+export const listUserWorkspaces = async (user) => (await getUserWorkspaceMemberships(user.id))
+  .filter(membership => membership.workspaces)
+  .map(membership => ({ ...formatWorkspace(membership.workspaces), role: membership.role }));
+
+/**
+ * Hash an invitation token for storage; only the invitee's link holds the token itself
+ * @param {string} token - Invitation token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Invite someone to a workspace by email
+ * @param {Object} workspace - workspaces row
+ * @param {Object} inviter - users row of the owner sending the invitation
+ * @param {Object} invitationData - { email, role (default viewer) }
+ * @returns {Promise<Object>} - { invitation, emailSent }
+ * @throws {ApiError} - 400 for an invalid email or role, 409 when the email belongs to a member
+ */
+export const inviteToWorkspace = async (workspace, inviter, { email, role = 'viewer' }) => {
+  const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw new ApiError('A valid email is required', 400);
+  }
+  if (!WORKSPACE_ROLES.includes(role)) {
+    throw new ApiError(`role must be one of ${WORKSPACE_ROLES.join(', ')}`, 400);
+  }
+
+  const existingUser = await findUserByField('email', normalizedEmail);
+  if (existingUser && await getWorkspaceMember(workspace.id, existingUser.id)) {
+    throw new ApiError(`${normalizedEmail} is already a member of this workspace`, 409);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + WORKSPACE_INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const saved = await saveWorkspaceInvitation({
+    workspace_id: workspace.id,
+    email: normalizedEmail,
+    role,
+    token_hash: hashInvitationToken(token),
+    invited_by: inviter.id,
+    expires_at: expiresAt
+  });
+
+  // The invitation stays valid when the email fails; the owner can revoke it and invite again
+  let emailSent = true;
+  try {
+    await sendWorkspaceInvitationEmail({
+      to: normalizedEmail,
+      workspaceName: workspace.name,
+      inviterEmail: inviter.email || null,
+      role,
+      acceptUrl: `${process.env.FRONTEND_URL || 'https://lazy-trends.com'}/invitations/accept?token=${token}`,
+      expiresAt
+    });
+  } catch (error) {
+    console.error(`Error sending invitation ${saved.id} to ${normalizedEmail}:`, error);
+    emailSent = false;
+  }
+
+  const { token_hash: _tokenHash, ...invitation } = saved;
+  return { invitation, emailSent };
+};
+
+/**
+ * Seats a workspace is billed for: one per member (pending invitations don't count)
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<number>} - Member count
+ */
+export const getWorkspaceSeatCount = async (workspaceId) => (await listWorkspaceMembers(workspaceId)).length;
+
+/**
+ * Set the quantity of a workspace's Stripe subscription to its member count
+ * @param {Object} workspace - workspaces row
+ * @returns {Promise<Object>} - { seats, synced, error } where synced is false without a subscription or when Stripe fails
+ */
+export const syncWorkspaceSeats = async (workspace) => {
+  const seats = await getWorkspaceSeatCount(workspace.id);
+
+  if (!workspace.subscription_id) {
+    return { seats, synced: false, error: null };
+  }
+
+  // Membership changes are already saved, so a Stripe failure is reported rather than thrown
+  try {
+    const stripe = getStripe();
+    const subscription = await stripe.subscriptions.retrieve(workspace.subscription_id);
+    const item = subscription.items.data[0];
+
+    if (item.quantity !== seats) {
+      await stripe.subscriptionItems.update(item.id, { quantity: seats, proration_behavior: 'create_prorations' });
+      console.log(`Workspace ${workspace.id} subscription quantity ${item.quantity} -> ${seats}`);
+    }
+
+    await updateWorkspaceById(workspace.id, { seat_quantity: seats });
+    return { seats, synced: true, error: null };
+  } catch (error) {
+    console.error(`Error syncing seats of workspace ${workspace.id}:`, error);
+    return { seats, synced: false, error: error.message };
+  }
+};
+
+/**
+ * Accept a workspace invitation as the signed-in user
+ * @param {string} token - Token from the invitation link
+ * @param {Object} user - users row; its email must be the invited one
+ * @returns {Promise<Object>} - { workspace, role, seats }
+ * @throws {ApiError} - 404 for an unknown token, 409 when it was already used or revoked, 410 when it
+ *                      expired, 403 when it was sent to another email
+ */
+export const acceptWorkspaceInvitation = async (token, user) => {
+  const invitation = typeof token === 'string' && token
+    ? await findWorkspaceInvitation('token_hash', hashInvitationToken(token))
+    : null;
+
+  if (!invitation) {
+    throw new ApiError('Invitation not found', 404);
+  }
+  if (invitation.status !== 'pending') {
+    throw new ApiError(`Invitation is ${invitation.status}`, 409);
+  }
+  if (new Date(invitation.expires_at) <= new Date()) {
+    throw new ApiError('Invitation has expired', 410);
+  }
+  if (!user.email || user.email.toLowerCase() !== invitation.email) {
+    throw new ApiError('This invitation was sent to another email address', 403);
+  }
+
+  const accepted = await updatePendingWorkspaceInvitation(invitation.id, {
+    status: 'accepted',
+    accepted_by: user.id,
+    accepted_at: new Date().toISOString()
+  });
+  if (!accepted) {
+    throw new ApiError('Invitation was already used', 409);
+  }
+
+  // Accepting never lowers the role of someone who is already a member
+  const existing = await getWorkspaceMember(invitation.workspace_id, user.id);
+  const role = existing && hasWorkspaceRole(existing.role, invitation.role) ? existing.role : invitation.role;
+  await upsertWorkspaceMember(invitation.workspace_id, user.id, role);
+  console.log(`User ${user.id} joined workspace ${invitation.workspace_id} as ${role}`);
+
+  const workspace = await findWorkspaceByField('id', invitation.workspace_id);
+  const seats = await syncWorkspaceSeats(workspace);
+
+  return { workspace: { ...formatWorkspace(workspace), role }, seats };
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {Object} workspace - workspaces row
+ * @param {string} invitationId - Invitation ID
+ * @throws {ApiError} - 404 when the invitation isn't the workspace's, 409 when it is no longer pending
+ */
+export const revokeWorkspaceInvitation = async (workspace, invitationId) => {
+  const invitation = UUID_PATTERN.test(String(invitationId)) ? await findWorkspaceInvitation('id', invitationId) : null;
+  if (!invitation || invitation.workspace_id !== workspace.id) {
+    throw new ApiError('Invitation not found', 404);
+  }
+
+  if (!(await updatePendingWorkspaceInvitation(invitation.id, { status: 'revoked' }))) {
+    throw new ApiError(`Invitation is ${invitation.status}`, 409);
+  }
+};
+
+/**
+ * Find a member and check that a change leaves the workspace with an owner
+ * @param {Object} workspace - workspaces row
+ * @param {string} userId - Member's user ID
+ * @param {string|null} newRole - Role after the change (null when the member is removed)
+ * @returns {Promise<Object>} - The member
+ * @throws {ApiError} - 404 when the user isn't a member, 409 when the last owner would be lost
+ */
+const getMemberForChange = async (workspace, userId, newRole) => {
+  const members = await listWorkspaceMembers(workspace.id);
+  const member = members.find(candidate => candidate.user_id === userId);
+  if (!member) {
+    throw new ApiError('Member not found', 404);
+  }
+
+  const owners = members.filter(candidate => candidate.role === 'owner');
+  if (member.role === 'owner' && newRole !== 'owner' && owners.length === 1) {
+    throw new ApiError('A workspace needs at least one owner', 409);
+  }
+
+  return member;
+};
+
+/**
+ * Change a member's role
+ * @param {Object} workspace - workspaces row
+ * @param {string} userId - Member's user ID
+ * @param {string} role - New role
+ * @returns {Promise<Object>} - workspace_members row
+ * @throws {ApiError} - 400 for an invalid role, 404 for a non-member, 409 when the last owner would be demoted
+ */
+export const updateWorkspaceMemberRole = async (workspace, userId, role) => {
+  if (!WORKSPACE_ROLES.includes(role)) {
+    throw new ApiError(`role must be one of ${WORKSPACE_ROLES.join(', ')}`, 400);
+  }
+
+  await getMemberForChange(workspace, userId, role);
+  return upsertWorkspaceMember(workspace.id, userId, role);
+};
+
+/**
+ * Remove a member (or let a member leave) and update the subscription's seats
+ * @param {Object} workspace - workspaces row
+ * @param {string} userId - Member's user ID
+ * @returns {Promise<Object>} - Seat sync result (see syncWorkspaceSeats)
+ * @throws {ApiError} - 404 for a non-member, 409 when the last owner would be removed
+ */
+export const removeWorkspaceMember = async (workspace, userId) => {
+  await getMemberForChange(workspace, userId, null);
+  await deleteWorkspaceMember(workspace.id, userId);
+  console.log(`User ${userId} left workspace ${workspace.id}`);
+
+  return syncWorkspaceSeats(workspace);
+};
+
+export default {
+  WORKSPACE_ROLES,
+  hasWorkspaceRole,
+  formatWorkspace,
+  getWorkspaceAccess,
+  getUserWorkspaceIds,
+  createWorkspace,
+  listUserWorkspaces,
+  inviteToWorkspace,
+  getWorkspaceSeatCount,
+  syncWorkspaceSeats,
+  acceptWorkspaceInvitation,
+  revokeWorkspaceInvitation,
+  updateWorkspaceMemberRole,
+  removeWorkspaceMember
+};
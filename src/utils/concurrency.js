@@ -0,0 +1,69 @@
+/**
+ * Map over items with at most `limit` calls in flight, keeping results in input order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in the same order as items
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+};
+
+/**
+ * Create a rate limiter that spaces calls to at most `requestsPerMinute`
+ * @param {Object} options - Limiter options
+ * @param {number} options.requestsPerMinute - Allowed calls per minute (0 or less disables limiting)
+ * @returns {Object} - Limiter with an async acquire() that resolves when a call may start
+ */
+export const createRateLimiter = ({ requestsPerMinute }) => {
+  const intervalMs = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  let nextSlotAt = 0;
+
+  return {
+    acquire: async () => {
+      if (intervalMs === 0) return;
+
+      const now = Date.now();
+      const slot = Math.max(now, nextSlotAt);
+      nextSlotAt = slot + intervalMs;
+
+      if (slot > now) {
+        await new Promise(resolve => setTimeout(resolve, slot - now));
+      }
+    }
+  };
+};
+
+// Shared limiters, one per provider, so every caller in the process respects the same limit
+const rateLimiters = new Map();
+
+/**
+ * Get the shared rate limiter for a provider, creating it on first use
+ * @param {string} provider - Provider name (e.g. 'dashscope')
+ * @param {number} requestsPerMinute - Allowed calls per minute
+ * @returns {Object} - Rate limiter
+ */
+export const getRateLimiter = (provider, requestsPerMinute) => {
+  if (!rateLimiters.has(provider)) {
+    rateLimiters.set(provider, createRateLimiter({ requestsPerMinute }));
+  }
+  return rateLimiters.get(provider);
+};
+
+export default {
+  mapWithConcurrency,
+  createRateLimiter,
+  getRateLimiter
+};
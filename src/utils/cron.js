@@ -0,0 +1,236 @@
+import { ApiError } from './errorHandler.js';
+
+// Fields of a cron expression: name, smallest and largest value, and names accepted in place of numbers
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// How far ahead the next run is looked for before an expression is considered never to match (covers 29 February)
+const MAX_SEARCH_DAYS = 5 * 366;
+
+const MINUTE_MS = 60 * 1000;
+
+// Formatters are expensive to create and are reused per time zone
+const formatters = new Map();
+
+/**
+ * Parse one value of a cron field (a number, or a month or weekday name)
+ * @param {string} value - Field value
+ * @param {Object} field - Entry of CRON_FIELDS
+ * @returns {number} - Numeric value
+ * @throws {ApiError} - 400 for an unknown or out-of-range value
+ */
+const parseFieldValue = (value, field) => {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new ApiError(`Invalid ${field.name} "${value}" in cron expression`, 400);
+  }
+  return number;
+};
+
+/**
+ * Parse a cron field into the set of values it matches
+ * @param {string} text - Field text, e.g. "*", "1-5", "0,30" or "*\/15"
+ * @param {Object} field - Entry of CRON_FIELDS
+ * @returns {Object} - { values: Set<number>, any: true when the field is "*" }
+ * @throws {ApiError} - 400 for an invalid field
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new ApiError(`Invalid step "${stepText}" in cron expression`, 400);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else {
+      const [startText, endText] = range.split('-');
+      start = parseFieldValue(startText, field);
+      // "5/15" means from 5 to the end of the range
+      end = endText !== undefined ? parseFieldValue(endText, field) : (stepText !== undefined ? field.max : start);
+    }
+    if (start > end) {
+      throw new ApiError(`Invalid range "${range}" in cron expression`, 400);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values: new Set([...values].sort((a, b) => a - b)), any: text === '*' };
+};
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week), or one of
+ * @hourly, @daily, @weekly and @monthly
+ * @param {string} expression - Cron expression
+ * @returns {Object} - Matching values per field
+ * @throws {ApiError} - 400 for an invalid expression
+ */
+export const parseCron = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new ApiError('cron is required', 400);
+  }
+
+  const normalized = CRON_PRESETS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new ApiError('cron must have five fields: minute hour day-of-month month day-of-week', 400);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, CRON_FIELDS[index]));
+
+  // 7 is another name for Sunday
+  if (dayOfWeek.values.delete(7)) {
+    dayOfWeek.values.add(0);
+  }
+
+  return { expression: normalized, minute, hour, dayOfMonth, month, dayOfWeek };
+};
+
+/**
+ * Check that a time zone is a valid IANA name
+ * @param {string} timezone - e.g. Europe/Zurich
+ * @returns {boolean} - True when the runtime knows the time zone
+ */
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {Object} - { year, month, day, hour, minute, weekday }
+ */
+const getZonedParts = (date, timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(date).map(({ type, value }) => [type, value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: CRON_FIELDS[4].names.indexOf(parts.weekday.toLowerCase())
+  };
+};
+
+/**
+ * Whether a schedule runs on a day. As in cron, when both day fields are restricted either may match.
+ * @param {Object} schedule - From parseCron
+ * @param {Object} parts - From getZonedParts
+ * @returns {boolean} - True when the day matches
+ */
+const matchesDay = (schedule, { month, day, weekday }) => {
+  if (!schedule.month.values.has(month)) {
+    return false;
+  }
+
+  const dayOfMonth = schedule.dayOfMonth.values.has(day);
+  const dayOfWeek = schedule.dayOfWeek.values.has(weekday);
+  if (schedule.dayOfMonth.any || schedule.dayOfWeek.any) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Next time a cron expression matches in a time zone, strictly after a given time.
+ * Times skipped when clocks go forward don't run; a time repeated when clocks go back runs once.
+ * @param {string} expression - Cron expression (see parseCron)
+ * @param {string} timezone - IANA time zone the expression is read in
+ * @param {Date} after - Time to search from
+ * @returns {Date} - Next run time
+ * @throws {ApiError} - 400 for an invalid expression or time zone, or one that never matches
+ */
+export const getNextCronTime = (expression, timezone, after) => {
+  const schedule = parseCron(expression);
+  if (!isValidTimezone(timezone)) {
+    throw new ApiError(`Unknown time zone "${timezone}"`, 400);
+  }
+
+  const afterParts = getZonedParts(after, timezone);
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * MINUTE_MS;
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  while (time <= limit) {
+    const parts = getZonedParts(new Date(time), timezone);
+
+    // Skip ahead to 23:00 on days that don't match (a day is at least 23 hours long, so midnight isn't passed),
+    // to the next local hour, or to the next matching minute within this hour
+    if (!matchesDay(schedule, parts)) {
+      time += Math.max(60 - parts.minute, (23 - parts.hour) * 60 - parts.minute) * MINUTE_MS;
+      continue;
+    }
+    if (!schedule.hour.values.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS;
+      continue;
+    }
+
+    const minute = [...schedule.minute.values].find(value => value >= parts.minute);
+    if (minute === undefined) {
+      time += (60 - parts.minute) * MINUTE_MS;
+      continue;
+    }
+    if (minute > parts.minute) {
+      time += (minute - parts.minute) * MINUTE_MS;
+      continue;
+    }
+
+    // The same wall-clock time again means clocks went back; it already ran
+    const repeated = ['year', 'month', 'day', 'hour', 'minute'].every(key => parts[key] === afterParts[key]);
+    if (!repeated) {
+      return new Date(time);
+    }
+    time += MINUTE_MS;
+  }
+
+  throw new ApiError(`cron expression "${expression}" never matches`, 400);
+};
+
+export default {
+  parseCron,
+  isValidTimezone,
+  getNextCronTime
+};
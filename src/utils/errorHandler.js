@@ -10,6 +10,76 @@ export class ApiError extends Error {
   }
 }
 
+/**
+ * Error raised when every model in an LLM task's fallback chain failed
+ */
+export class LlmError extends ApiError {
+  constructor(message, attempts = []) {
+    super(message, 502);
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Error raised when an LLM response still fails its JSON schema after the repair attempts
+ */
+export class StructuredOutputError extends ApiError {
+  constructor(message, validationErrors = [], rawContent = null) {
+    super(message, 502);
+    this.validationErrors = validationErrors;
+    this.rawContent = rawContent;
+  }
+}
+
+/**
+ * Normalized error from the DashScope API
+ */
+export class DashScopeError extends ApiError {
+  constructor(message, { status = null, code = null, requestId = null, retryable = false } = {}) {
+    super(message, 502);
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Error raised when a scraped video's media cannot be resolved, downloaded or stored
+ * (code: unresolved, too_large, too_long, invalid_media or download_failed)
+ */
+export class MediaAcquisitionError extends ApiError {
+  constructor(message, code) {
+    super(message, 422);
+    this.code = code;
+  }
+}
+
+/**
+ * Error raised by a trend source provider or for a search it cannot run
+ * (code: invalid_response, unsupported_search, invalid_search or unknown_provider)
+ */
+export class TrendSourceError extends ApiError {
+  constructor(message, code, statusCode = 502) {
+    super(message, statusCode);
+    this.code = code;
+  }
+}
+
+/**
+ * Error raised when a user's billing state or quotas don't allow a request: 402 without an active
+ * subscription or trial, 403 when the plan doesn't include the feature or a quota is exhausted
+ * (code: subscription_required, feature_not_included, run_quota_exhausted, analysis_quota_exhausted,
+ * videos_per_query_exceeded or videos_per_run_exceeded). entitlements summarizes the caller's level and quotas for the response.
+ */
+export class EntitlementError extends ApiError {
+  constructor(message, code, statusCode = 403, entitlements = null) {
+    super(message, statusCode);
+    this.code = code;
+    this.entitlements = entitlements;
+  }
+}
+
 /**
  * Async error handler middleware
  * @param {Function} fn - Async route handler
@@ -20,5 +90,11 @@ export const asyncHandler = (fn) => (req, res, next) =>
 
 export default {
   ApiError,
+  LlmError,
+  StructuredOutputError,
+  DashScopeError,
+  MediaAcquisitionError,
+  TrendSourceError,
+  EntitlementError,
   asyncHandler
 };
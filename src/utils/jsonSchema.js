@@ -0,0 +1,108 @@
+/**
+ * Get the JSON schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - One of null, array, integer, number, string, boolean, object
+ */
+const getJsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Validate a value against a JSON schema.
+ * Supports the subset used by our prompts: type, enum, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength and maxLength.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {string[]} - Validation errors (empty when the value is valid)
+ */
+export const validateSchema = (value, schema, path = '$') => {
+  const errors = [];
+  const actualType = getJsonType(value);
+
+  if (schema.type) {
+    const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowedTypes.some(type =>
+      type === actualType || (type === 'number' && actualType === 'integer')
+    );
+    if (!matches) {
+      errors.push(`${path} must be of type ${allowedTypes.join(' or ')}, got ${actualType}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (actualType === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Parse JSON from a model response, tolerating markdown code fences and surrounding text
+ * @param {string} content - Model response
+ * @returns {*} - Parsed value
+ */
+export const parseJsonContent = (content) => {
+  const trimmed = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // Fall back to the outermost object or array in the text
+    const match = trimmed.match(/[\[{][\s\S]*[\]}]/);
+    if (match) {
+      return JSON.parse(match[0]);
+    }
+    throw error;
+  }
+};
+
+export default {
+  validateSchema,
+  parseJsonContent
+};
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+
+/**
+ * Encode a buffer or string as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} - base64url text without padding
+ */
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * HMAC-SHA256 signature of a token's header and payload
+ * @param {string} signingInput - "<header>.<payload>"
+ * @param {string} secret - Signing secret
+ * @returns {Buffer} - Signature
+ */
+const sign = (signingInput, secret) => crypto.createHmac('sha256', secret).update(signingInput).digest();
+
+/**
+ * Sign a payload as an HS256 JWT, the format Supabase uses with a project JWT secret
+ * @param {Object} payload - Claims; exp defaults to one hour from now
+ * @param {string} secret - Signing secret
+ * @returns {string} - Signed token
+ */
+export const signHs256Jwt = (payload, secret) => {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iat: now, exp: now + 3600, ...payload };
+
+  const signingInput = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+  return `${signingInput}.${base64url(sign(signingInput, secret))}`;
+};
+
+/**
+ * Verify an HS256 JWT's signature and time claims
+ * @param {string} token - Token to verify
+ * @param {string} secret - Signing secret
+ * @param {Object} [options] - { audience } to require an aud claim, { clockToleranceSeconds } for exp/nbf
+ * @returns {Object} - The token's claims
+ * @throws {Error} - When the token is malformed, not HS256, badly signed, without an exp claim, expired or for
+ *                   another audience
+ */
+export const verifyHs256Jwt = (token, secret, { audience = null, clockToleranceSeconds = 30 } = {}) => {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  // Never let the token pick its own algorithm
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm ${header.alg}`);
+  }
+
+  const expected = sign(`${parts[0]}.${parts[1]}`, secret);
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  // A token without an expiry would stay valid forever
+  if (typeof claims.exp !== 'number' || !Number.isFinite(claims.exp)) {
+    throw new Error('Token has no expiry');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp + clockToleranceSeconds < now) {
+    throw new Error('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - clockToleranceSeconds > now) {
+    throw new Error('Token not yet valid');
+  }
+
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw new Error('Token audience mismatch');
+    }
+  }
+
+  return claims;
+};
+
+export default {
+  signHs256Jwt,
+  verifyHs256Jwt
+};
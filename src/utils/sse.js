@@ -0,0 +1,32 @@
+/**
+ * Set the headers for a Server-Sent Events response
+ * @param {Object} res - Express response
+ */
+export const initSSE = (res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+};
+
+/**
+ * Write a typed Server-Sent Event. The type is sent both as the SSE event name
+ * (for EventSource listeners) and in the payload (for fetch-based readers).
+ * @param {Object} res - Express response
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @returns {boolean} - Whether the event was written
+ */
+export const sendSSE = (res, type, data = {}) => {
+  if (res.writableEnded || res.destroyed) {
+    return false;
+  }
+
+  res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  return true;
+};
+
+export default {
+  initSSE,
+  sendSSE
+};
@@ -0,0 +1,32 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Who outbound API calls are made for, carried across awaits so services don't need extra parameters
+const usageContextStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a usage context; usage events recorded inside it are attributed to the context
+ * @param {Object} context - { userId, workflowRunId }
+ * @param {Function} fn - Function to run
+ * @returns {*} - The function's return value
+ */
+export const runWithUsageContext = (context, fn) => {
+  const parent = usageContextStorage.getStore() || {};
+  return usageContextStorage.run({ ...parent, ...context }, fn);
+};
+
+/**
+ * Get the current usage context
+ * @returns {Object} - { userId, workflowRunId }, with nulls outside any context
+ */
+export const getUsageContext = () => {
+  const context = usageContextStorage.getStore() || {};
+  return {
+    userId: context.userId || null,
+    workflowRunId: context.workflowRunId || null
+  };
+};
+
+export default {
+  runWithUsageContext,
+  getUsageContext
+};
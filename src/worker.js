@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+import { startWorkflowWorker } from './services/jobService.js';
+import { startRunScheduler } from './services/scheduleService.js';
+
+// Load environment variables
+dotenv.config();
+
+// Standalone worker process that runs queued complete-workflow jobs and, unless RUN_SCHEDULER is false,
+// enqueues the runs of due schedules
+const stopWorker = startWorkflowWorker();
+const stopScheduler = process.env.RUN_SCHEDULER !== 'false' ? startRunScheduler() : null;
+
+const shutdown = (signal) => {
+  console.log(`Received ${signal}, shutting down workflow worker`);
+  stopWorker();
+  if (stopScheduler) {
+    stopScheduler();
+  }
+  process.exit(0);
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));